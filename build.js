@@ -10,6 +10,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { ModuleGraph, ModuleError } from './src/language/modules/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -26,11 +27,18 @@ const config = {
   todoLangExt: '.todolang',
   jsExt: '.js',
 
+  // Scoped CSS of all component style blocks
+  stylesFile: 'todolang-components.css',
+
+  // Compiler plugins (see TodoLangCompiler.registerPlugin), e.g. macros
+  // imported from a local module
+  plugins: [],
+
   // Build modes
   development: process.argv.includes('--dev'),
   production: process.argv.includes('--production'),
   minify: process.argv.includes('--minify'),
-  sourceMaps: process.argv.includes('--source-maps'),
+  sourceMaps: process.argv.includes('--source-maps') || process.argv.includes('--dev'),
   watch: process.argv.includes('--watch')
 };
 
@@ -38,6 +46,8 @@ class TodoLangBuilder {
   constructor(config) {
     this.config = config;
     this.compiler = null; // Will be loaded when needed
+    this.compiledFiles = new Map(); // Source file -> { code, css } of its last compilation
+    this.moduleGraph = null; // Imports between the application's files
   }
 
   async init() {
@@ -50,10 +60,26 @@ class TodoLangBuilder {
 
     // Load compiler when it's implemented
     try {
+      const { TodoLangLexer } = await import('./src/language/lexer/index.js');
+      const { TodoLangParser } = await import('./src/language/parser/index.js');
       const { TodoLangCompiler } = await import('./src/language/compiler/index.js');
-      this.compiler = new TodoLangCompiler();
+      const { TodoLangTypeChecker } = await import('./src/language/type-checker/index.js');
+      const { globalErrorReporter } = await import('./src/debug/error-reporter.js');
+      this.lexer = new TodoLangLexer();
+      this.parser = new TodoLangParser();
+      this.typeChecker = new TodoLangTypeChecker({ errorReporter: globalErrorReporter });
+      this.compiler = new TodoLangCompiler({
+        generateSourceMaps: this.config.sourceMaps,
+        minify: this.config.minify,
+        development: !this.config.production,
+        plugins: this.config.plugins
+      });
       console.log('✅ TodoLang compiler loaded');
     } catch (error) {
+      // A misconfigured plugin is a build error, not a missing compiler
+      if (error.name === 'CompilerError') {
+        throw error;
+      }
       console.log('⚠️  TodoLang compiler not yet implemented, using placeholder');
       this.compiler = new PlaceholderCompiler();
     }
@@ -63,8 +89,9 @@ class TodoLangBuilder {
     console.log('🔨 Starting TodoLang build process...');
 
     try {
-      // Step 1: Compile TodoLang files
+      // Step 1: Compile TodoLang files and extract their component styles
       await this.compileTodoLangFiles();
+      this.writeStylesheet();
 
       // Step 2: Bundle framework and runtime
       await this.bundleFramework();
@@ -97,35 +124,35 @@ class TodoLangBuilder {
       return;
     }
 
-    for (const file of todoLangFiles) {
+    const { compilationOrder, modules } = this.loadModules(todoLangFiles);
+    const compiledPaths = new Set();
+
+    for (const file of compilationOrder) {
       const relativePath = path.relative(this.config.srcDir, file);
-      const outputPath = path.join(
-        this.config.distDir,
-        relativePath.replace(this.config.todoLangExt, this.config.jsExt)
-      );
+      const outputPath = this.getOutputPath(file);
+      const modulePath = this.getModulePath(file);
+      const module = modules.get(file);
 
       console.log(`  Compiling: ${relativePath}`);
 
       try {
-        const sourceCode = fs.readFileSync(file, 'utf8');
-        const compiledCode = await this.compiler.compile(sourceCode, file);
-
-        // Ensure output directory exists
-        const outputDir = path.dirname(outputPath);
-        if (!fs.existsSync(outputDir)) {
-          fs.mkdirSync(outputDir, { recursive: true });
+        if (module instanceof Error) {
+          throw module;
         }
 
-        fs.writeFileSync(outputPath, compiledCode);
-
-        if (this.config.sourceMaps) {
-          // Generate source maps when implemented
-          console.log(`    Generated source map for ${relativePath}`);
+        // A file whose imports failed to compile is not compiled either
+        const failedDependency = module && this.moduleGraph.getDependencies(modulePath)
+          .find(dependency => !compiledPaths.has(dependency));
+        if (failedDependency) {
+          throw new ModuleError(`Imported module '${failedDependency}' failed to compile`, modulePath);
         }
 
+        await this.compileTodoLangFile(file, module);
+        compiledPaths.add(modulePath);
         console.log(`    ✅ Compiled successfully`);
 
       } catch (error) {
+        this.compiledFiles.delete(file);
         console.log(`    ⚠️  Compilation failed: ${error.message}`);
         console.log(`    📝 Using placeholder compilation for development`);
 
@@ -143,6 +170,163 @@ class TodoLangBuilder {
     }
   }
 
+  /**
+   * Parse every file and resolve the imports between them, the way
+   * TodoLangBootstrap does
+   * @returns {Object} { compilationOrder, modules }: the files that failed
+   *   to load, then the rest in dependency order, and each file's
+   *   { sourceCode, ast } or the error that stopped it from loading
+   */
+  loadModules(files) {
+    const modules = new Map();
+
+    if (this.compiler instanceof PlaceholderCompiler) {
+      return { compilationOrder: files, modules };
+    }
+
+    this.moduleGraph = new ModuleGraph(files.map(file => this.getModulePath(file)));
+
+    for (const file of files) {
+      try {
+        modules.set(file, this.loadModule(file));
+      } catch (error) {
+        modules.set(file, error);
+      }
+    }
+
+    let compilationOrder = [];
+    try {
+      compilationOrder = this.moduleGraph.getCompilationOrder()
+        .map(modulePath => path.join(this.config.appDir, modulePath));
+    } catch (error) {
+      // Nothing in a circular import can be compiled
+      for (const file of files) {
+        if (!(modules.get(file) instanceof Error)) {
+          modules.set(file, error);
+        }
+      }
+    }
+
+    const failedFiles = files.filter(file => modules.get(file) instanceof Error);
+    return { compilationOrder: [...failedFiles, ...compilationOrder], modules };
+  }
+
+  /**
+   * Parse a file and add it to the module graph, resolving its imports
+   * @returns {Object} { sourceCode, ast }
+   * @throws When the file does not parse or an import cannot be resolved
+   */
+  loadModule(file) {
+    const sourceCode = fs.readFileSync(file, 'utf8');
+    const ast = this.parser.parse(this.lexer.tokenize(sourceCode));
+    this.moduleGraph.addModule(this.getModulePath(file), ast);
+
+    return { sourceCode, ast };
+  }
+
+  /**
+   * Module graph path of a file: relative to the app directory, with
+   * forward slashes
+   */
+  getModulePath(file) {
+    return path.relative(this.config.appDir, file).split(path.sep).join('/');
+  }
+
+  getOutputPath(file) {
+    return path.join(
+      this.config.distDir,
+      path.relative(this.config.srcDir, file).replace(this.config.todoLangExt, this.config.jsExt)
+    );
+  }
+
+  /**
+   * Compile one TodoLang file into the dist directory, against the
+   * declarations of the modules it imports. Its scoped CSS is kept for
+   * writeStylesheet.
+   * @param {Object} [module] - The file's { sourceCode, ast } from
+   *   loadModules; the file is reloaded when omitted
+   * @returns {Promise<Object>} { code, css, sourceMap }, the source map
+   *   null unless source maps are enabled
+   * @throws When the file fails to compile
+   */
+  async compileTodoLangFile(file, module = null) {
+    const outputPath = this.getOutputPath(file);
+    const { code, css = '', sourceMap } = await this.compileSource(file, outputPath, module);
+
+    // Ensure output directory exists
+    const outputDir = path.dirname(outputPath);
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    if (this.config.sourceMaps && sourceMap) {
+      const sourceMapPath = outputPath + '.map';
+      fs.writeFileSync(sourceMapPath, JSON.stringify(sourceMap, null, 2));
+      fs.writeFileSync(outputPath, `${code}\n//# sourceMappingURL=${path.basename(sourceMapPath)}`);
+      console.log(`    Generated source map for ${path.relative(this.config.srcDir, file)}`);
+    } else {
+      fs.writeFileSync(outputPath, code);
+    }
+
+    const result = { code, css };
+    this.compiledFiles.set(file, result);
+    return { ...result, sourceMap: sourceMap || null };
+  }
+
+  /**
+   * Write the scoped CSS of every compiled component to one stylesheet,
+   * linked from index.html
+   */
+  writeStylesheet() {
+    const css = [...this.compiledFiles]
+      .filter(([, { css }]) => css)
+      .map(([file, { css }]) => `/* ${path.relative(this.config.srcDir, file).split(path.sep).join('/')} */\n${css}`)
+      .join('\n');
+
+    fs.writeFileSync(path.join(this.config.distDir, this.config.stylesFile), css);
+  }
+
+  async compileSource(filePath, outputPath = null, module = null) {
+    if (this.compiler instanceof PlaceholderCompiler) {
+      const sourceCode = fs.readFileSync(filePath, 'utf8');
+      return { code: await this.compiler.compile(sourceCode, filePath), sourceMap: null };
+    }
+
+    if (!module) {
+      // Re-resolve imports in case they changed
+      if (!this.moduleGraph) {
+        this.loadModules(this.findTodoLangFiles(this.config.appDir));
+      }
+      module = this.loadModule(filePath);
+      this.moduleGraph.getCompilationOrder(); // Throws if the file is now part of a circular import
+    }
+
+    const { sourceCode, ast } = module;
+    const modulePath = this.getModulePath(filePath);
+    this.moduleGraph.validateImports(modulePath);
+
+    const importedDeclarations = this.moduleGraph.getImportedDeclarations(modulePath);
+    const typeErrors = this.typeChecker.check(ast, sourceCode, filePath, importedDeclarations);
+    if (typeErrors.length > 0) {
+      const error = new Error(`Type checking failed with ${typeErrors.length} error(s) in ${filePath}: ${typeErrors[0].message}`);
+      error.location = typeErrors[0].location;
+      throw error;
+    }
+
+    // Source map paths are relative to the compiled file
+    const sourcePath = outputPath
+      ? path.relative(path.dirname(outputPath), filePath).split(path.sep).join('/')
+      : filePath;
+
+    return this.compiler.compile(ast, {
+      path: sourcePath,
+      content: sourceCode,
+      outputFile: outputPath ? path.basename(outputPath) : null,
+      modulePath,
+      importedDeclarations
+    });
+  }
+
   async bundleFramework() {
     console.log('📦 Bundling framework and runtime...');
 
@@ -249,6 +433,9 @@ class TodoLangBuilder {
             color: white;
         }
     </style>
+
+    <!-- Styles of TodoLang components -->
+    <link rel="stylesheet" href="${this.config.stylesFile}">
 </head>
 <body>
     <div id="app">
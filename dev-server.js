@@ -12,17 +12,30 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { TodoLangBuilder, config } from './build.js';
+import { TodoLangErrorReporter } from './src/debug/error-reporter.js';
+import { createLiveReloadScript } from './src/debug/live-reload-client.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Server-Sent Events endpoint used by the live-reload client
+const EVENTS_PATH = '/__todolang/events';
+
 class TodoLangDevServer {
   constructor(options = {}) {
     this.port = options.port || 3000;
     this.host = options.host || 'localhost';
     this.distDir = options.distDir || path.join(__dirname, 'dist');
-    this.builder = new TodoLangBuilder(config);
+    this.appDir = options.appDir || path.join(__dirname, 'src', 'app');
+    // Source maps are sent along with hot updates
+    this.builder = new TodoLangBuilder({ ...config, sourceMaps: true, distDir: this.distDir, appDir: this.appDir });
     this.watchers = new Map();
+    this.clients = new Set();
+    this.lastError = null;
+    this.errorReporter = new TodoLangErrorReporter({
+      enableConsoleOutput: false,
+      enableFileLogging: false
+    });
   }
 
   async start() {
@@ -44,9 +57,7 @@ class TodoLangDevServer {
     }
 
     // Create HTTP server
-    this.server = http.createServer((req, res) => {
-      this.handleRequest(req, res);
-    });
+    this.server = this.createServer();
 
     // Start server
     this.server.listen(this.port, this.host, () => {
@@ -66,8 +77,21 @@ class TodoLangDevServer {
     });
   }
 
+  createServer() {
+    return http.createServer((req, res) => {
+      this.handleRequest(req, res);
+    });
+  }
+
   handleRequest(req, res) {
-    let filePath = req.url === '/' ? '/index.html' : req.url;
+    const urlPath = req.url.split('?')[0];
+
+    if (urlPath === EVENTS_PATH) {
+      this.handleEventStream(req, res);
+      return;
+    }
+
+    let filePath = urlPath === '/' ? '/index.html' : urlPath;
     filePath = path.join(this.distDir, filePath);
 
     // Security check - prevent directory traversal
@@ -104,13 +128,46 @@ class TodoLangDevServer {
         'Pragma': 'no-cache',
         'Expires': '0'
       });
-      res.end(data);
+      res.end(ext === '.html' ? this.injectLiveReloadClient(data.toString()) : data);
     });
 
     // Log request
     console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
   }
 
+  /**
+   * Keep a Server-Sent Events stream open for live-reload notifications
+   */
+  handleEventStream(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+
+    // Reconnect quickly after the server restarts
+    res.write('retry: 1000\n\n');
+
+    this.clients.add(res);
+
+    // Pages loaded while the build is broken still get the overlay
+    if (this.lastError) {
+      res.write(this.formatEvent('error', this.lastError));
+    }
+
+    req.on('close', () => {
+      this.clients.delete(res);
+    });
+  }
+
+  injectLiveReloadClient(html) {
+    const script = createLiveReloadScript(EVENTS_PATH);
+    if (html.includes('</body>')) {
+      return html.replace('</body>', `${script}\n</body>`);
+    }
+    return html + script;
+  }
+
   getContentType(ext) {
     const types = {
       '.html': 'text/html',
@@ -182,53 +239,99 @@ class TodoLangDevServer {
       try {
         console.log('🔄 Rebuilding application...');
 
-        // Use the TodoLang bootstrap for hot reloading
+        let update = null;
         if (filePath.endsWith('.todolang')) {
-          await this.handleTodoLangFileChange(filePath);
+          update = await this.handleTodoLangFileChange(filePath);
         } else {
           await this.builder.build();
         }
 
         console.log('✅ Rebuild complete');
-
-        // Notify connected clients about the change
-        this.notifyClients('reload', { file: filePath });
+        this.lastError = null;
+
+        // Stylesheets, including component style blocks, can be swapped
+        // without reloading the page, and recompiled modules are hot
+        // reloaded into it; the client reloads when that needs a remount
+        if (filePath.endsWith('.css') || (update && update.stylesOnly)) {
+          this.notifyClients('css-update', { file: filePath });
+        } else if (update) {
+          this.notifyClients('hot-update', {
+            file: filePath,
+            modulePath: path.relative(this.appDir, filePath).split(path.sep).join('/'),
+            code: update.code,
+            sourceMap: update.sourceMap
+          });
+          for (const dependent of update.dependents) {
+            this.notifyClients('hot-update', dependent);
+          }
+        } else {
+          this.notifyClients('reload', { file: filePath });
+        }
 
       } catch (error) {
         console.error('❌ Rebuild failed:', error.message);
-        this.notifyClients('error', {
-          message: error.message,
-          stack: error.stack,
-          file: filePath
-        });
+        this.lastError = this.createErrorPayload(error, error.filePath || filePath);
+        this.notifyClients('error', this.lastError);
       }
     }, 100);
   }
 
+  /**
+   * Recompile a changed TodoLang file, and the modules importing it, into
+   * dist and rewrite the component stylesheet
+   * @returns {Promise<Object>} { code, sourceMap, stylesOnly, dependents }:
+   *   the recompiled module, its source map, whether only the file's style
+   *   blocks changed, and the { file, modulePath, code, sourceMap } of each
+   *   recompiled dependent in dependency order
+   */
   async handleTodoLangFileChange(filePath) {
     console.log(`🔥 Hot reloading TodoLang file: ${filePath}`);
 
+    const previous = this.builder.compiledFiles.get(filePath);
+    let result;
     try {
-      // Import and use the TodoLang bootstrap for hot reloading
-      const { TodoLangBootstrap } = await import('./src/main.js');
-
-      if (!this.bootstrap) {
-        this.bootstrap = new TodoLangBootstrap({
-          mode: 'development',
-          enableHotReload: true,
-          enableErrorReporting: true
-        });
-        await this.bootstrap.start();
-      } else {
-        // Trigger hot reload for the specific file
-        const relativePath = path.relative(path.join(__dirname, 'src', 'app'), filePath);
-        await this.bootstrap.recompileFile(relativePath);
-      }
-
+      result = await this.builder.compileTodoLangFile(filePath);
     } catch (error) {
       console.error('❌ TodoLang hot reload failed:', error.message);
+      error.filePath = filePath;
       throw error;
     }
+
+    const { code, css, sourceMap } = result;
+    const stylesOnly = Boolean(previous) && previous.code === code && previous.css !== css;
+    const dependents = stylesOnly ? [] : await this.recompileDependents(filePath);
+    this.builder.writeStylesheet();
+
+    return { code, sourceMap, stylesOnly, dependents };
+  }
+
+  /**
+   * Recompile the modules that import a file, directly or indirectly, which
+   * are compiled against its declarations
+   * @returns {Promise<Object[]>} { file, modulePath, code, sourceMap } of
+   *   each dependent, in dependency order
+   */
+  async recompileDependents(filePath) {
+    const moduleGraph = this.builder.moduleGraph;
+    if (!moduleGraph) {
+      return [];
+    }
+
+    const dependentPaths = new Set(moduleGraph.getDependents(this.builder.getModulePath(filePath)));
+    const dependents = [];
+    for (const modulePath of moduleGraph.getCompilationOrder().filter(modulePath => dependentPaths.has(modulePath))) {
+      const file = path.join(this.appDir, modulePath);
+      try {
+        const { code, sourceMap } = await this.builder.compileTodoLangFile(file);
+        dependents.push({ file, modulePath, code, sourceMap });
+      } catch (error) {
+        console.error(`❌ Recompiling ${modulePath} failed:`, error.message);
+        error.filePath = file;
+        throw error;
+      }
+    }
+
+    return dependents;
   }
 
   setupProductionFallback() {
@@ -295,16 +398,45 @@ class TodoLangDevServer {
     }
   }
 
+  /**
+   * Build the overlay payload for a failed build: the message, a code frame
+   * around the error location and suggestions from the error reporter
+   */
+  createErrorPayload(error, filePath) {
+    const sourceCode = filePath && fs.existsSync(filePath) && fs.statSync(filePath).isFile()
+      ? fs.readFileSync(filePath, 'utf8')
+      : null;
+    const file = filePath ? path.relative(__dirname, filePath).split(path.sep).join('/') : null;
+    const report = this.errorReporter.reportCompilationError(error, sourceCode, file);
+    const sourceLine = sourceCode && error.location
+      ? sourceCode.split('\n')[error.location.line - 1]
+      : '';
+
+    return {
+      file,
+      message: error.message,
+      location: error.location ? { line: error.location.line, column: error.location.column } : null,
+      context: report.context,
+      suggestions: this.errorReporter.generateErrorSuggestions(error, sourceLine)
+    };
+  }
+
+  formatEvent(type, data) {
+    return `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  }
+
+  /**
+   * Push an event to every connected live-reload client
+   * @param {string} type - 'reload', 'hot-update', 'css-update' or 'error'
+   * @param {Object} data - JSON payload for the client
+   */
   notifyClients(type, data) {
-    // In a full implementation, this would use WebSocket or Server-Sent Events
-    // to notify browser clients about changes
-    console.log(`📡 Notify clients: ${type}`, data);
-
-    // For now, we'll just log the notification
-    // In a real implementation, you would:
-    // 1. Maintain a list of connected WebSocket clients
-    // 2. Send the notification to all connected clients
-    // 3. The client-side code would handle the notification (reload, show error, etc.)
+    console.log(`📡 Notify clients: ${type} (${this.clients.size} connected)`);
+
+    const message = this.formatEvent(type, data);
+    for (const client of this.clients) {
+      client.write(message);
+    }
   }
 
   cleanup() {
@@ -314,6 +446,12 @@ class TodoLangDevServer {
     }
     this.watchers.clear();
 
+    // Close live-reload streams so the server can shut down
+    for (const client of this.clients) {
+      client.end();
+    }
+    this.clients.clear();
+
     // Close server
     if (this.server) {
       this.server.close();
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+/**
+ * TodoLang Command Line Tools
+ *
+ * Commands:
+ * - fmt: Rewrites .todolang files in the canonical format. With --check,
+ *   lists the files that are not formatted and fails instead, for CI.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TodoLangFormatter } from '../src/language/formatter/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.dirname(__dirname);
+
+const DEFAULT_PATHS = [path.join(rootDir, 'src', 'app')];
+
+class TodoLangCLI {
+  constructor() {
+    this.formatter = new TodoLangFormatter();
+  }
+
+  /**
+   * Run a command
+   * @param {string[]} args - Command line arguments after the script name
+   * @returns {number} Exit code
+   */
+  run(args) {
+    const [command, ...rest] = args;
+
+    switch (command) {
+      case 'fmt':
+        return this.format(rest);
+      case undefined:
+      case '--help':
+        this.printHelp();
+        return 0;
+      default:
+        console.error(`Unknown command: ${command}`);
+        this.printHelp();
+        return 1;
+    }
+  }
+
+  /**
+   * Format files and directories, src/app by default
+   */
+  format(args) {
+    const check = args.includes('--check');
+    const paths = args.filter(arg => !arg.startsWith('--'));
+    const targets = paths.length > 0 ? paths.map(p => path.resolve(p)) : DEFAULT_PATHS;
+
+    // A mistyped path would otherwise check nothing and pass
+    const missing = targets.filter(target => !fs.existsSync(target));
+    for (const target of missing) {
+      console.error(`❌ No such file or directory: ${path.relative(process.cwd(), target)}`);
+    }
+
+    const files = targets
+      .filter(target => !missing.includes(target))
+      .flatMap(target => this.findTodoLangFiles(target));
+
+    const unformatted = [];
+    let failed = missing.length;
+
+    for (const file of files) {
+      const relativePath = path.relative(process.cwd(), file);
+      const source = fs.readFileSync(file, 'utf8');
+
+      let formatted;
+      try {
+        formatted = this.formatter.format(source);
+      } catch (error) {
+        failed++;
+        console.error(`❌ ${relativePath}: cannot format a file that does not parse`);
+        for (const cause of error.errors || [error]) {
+          const location = cause.location ? `:${cause.location.line}:${cause.location.column}` : '';
+          console.error(`   ${relativePath}${location} ${cause.message}`);
+        }
+        continue;
+      }
+
+      if (formatted === source) continue;
+
+      unformatted.push(relativePath);
+      if (check) {
+        console.log(`✗ ${relativePath}`);
+      } else {
+        fs.writeFileSync(file, formatted);
+        console.log(`✓ ${relativePath}`);
+      }
+    }
+
+    console.log('');
+    if (check) {
+      console.log(unformatted.length > 0
+        ? `${unformatted.length} of ${files.length} file(s) need formatting; run \`npm run fmt\``
+        : `All ${files.length - failed} file(s) are formatted`);
+    } else {
+      console.log(`Formatted ${unformatted.length} of ${files.length} file(s)`);
+    }
+
+    return failed > 0 || (check && unformatted.length > 0) ? 1 : 0;
+  }
+
+  /**
+   * A file itself, or the .todolang files under a directory
+   */
+  findTodoLangFiles(target) {
+    if (!fs.statSync(target).isDirectory()) {
+      return [target];
+    }
+
+    return fs.readdirSync(target).sort().flatMap(item => {
+      const fullPath = path.join(target, item);
+      return fs.statSync(fullPath).isDirectory() || item.endsWith('.todolang')
+        ? this.findTodoLangFiles(fullPath)
+        : [];
+    });
+  }
+
+  printHelp() {
+    console.log(`
+TodoLang Command Line Tools
+
+Usage: todolang <command> [options]
+
+Commands:
+  fmt [paths...]     Format .todolang files (default: src/app)
+
+Options:
+  --check            List files that are not formatted and exit with 1,
+                     without writing them
+  --help             Show this help message
+
+Examples:
+  todolang fmt
+  todolang fmt --check src/app/models
+`);
+  }
+}
+
+// CLI interface
+function main() {
+  const cli = new TodoLangCLI();
+
+  try {
+    process.exit(cli.run(process.argv.slice(2)));
+  } catch (error) {
+    console.error('todolang failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run if called directly, or through the package's bin link
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === __filename) {
+  main();
+}
+
+export { TodoLangCLI };
@@ -7,6 +7,8 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { SourceMap } from '../language/compiler/index.js';
+import { installReporter } from './reporting.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -28,6 +30,7 @@ export class TodoLangErrorReporter {
     this.errorLog = [];
     this.warningLog = [];
     this.debugLog = [];
+    this.sourceMaps = new Map();
 
     this.initializeLogging();
   }
@@ -85,7 +88,10 @@ export class TodoLangErrorReporter {
       error: {
         name: error.name || 'RuntimeError',
         message: error.message,
-        stack: this.options.enableStackTrace ? error.stack : null
+        stack: this.options.enableStackTrace ? error.stack : null,
+        sourceStack: this.options.enableStackTrace && this.options.enableSourceMapping
+          ? this.mapStackTrace(error.stack)
+          : null
       },
       executionContext: {
         component: executionContext.component || null,
@@ -212,6 +218,106 @@ export class TodoLangErrorReporter {
     };
   }
 
+  /**
+   * Register the source map of a compiled file for stack trace mapping; a
+   * null map forgets the file's previous one
+   */
+  registerSourceMap(generatedFile, sourceMap) {
+    const file = generatedFile.split(path.sep).join('/');
+    if (sourceMap) {
+      this.sourceMaps.set(file, sourceMap);
+    } else {
+      this.sourceMaps.delete(file);
+    }
+  }
+
+  /**
+   * Find the source map for a compiled file - registered maps first, keyed
+   * by file path or, for modules the runtime evaluated, by sourceURL - then
+   * a .map file written next to it by the build
+   */
+  findSourceMap(generatedFile) {
+    for (const [file, sourceMap] of this.sourceMaps) {
+      if (generatedFile.endsWith(file)) {
+        return sourceMap;
+      }
+    }
+
+    const filePath = this.toFilePath(generatedFile);
+    const mapPath = filePath + '.map';
+
+    if (path.isAbsolute(filePath) && fs.existsSync(mapPath)) {
+      try {
+        const sourceMap = JSON.parse(fs.readFileSync(mapPath, 'utf8'));
+        this.sourceMaps.set(filePath, sourceMap);
+        return sourceMap;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Convert a file:// URL from a stack frame to a file path
+   */
+  toFilePath(file) {
+    return file.startsWith('file://') ? fileURLToPath(file) : file;
+  }
+
+  /**
+   * Map a generated line/column (1-based, as in stack traces) back to the
+   * original TodoLang source
+   */
+  originalPositionFor(generatedFile, line, column) {
+    const sourceMap = this.findSourceMap(generatedFile);
+    if (!sourceMap) {
+      return null;
+    }
+
+    const position = SourceMap.originalPositionFor(sourceMap, line, column - 1);
+    if (!position) {
+      return null;
+    }
+
+    // Sources are relative to the compiled file on disk
+    const filePath = this.toFilePath(generatedFile);
+    const source = path.isAbsolute(filePath) && position.source && !path.isAbsolute(position.source)
+      ? path.resolve(path.dirname(filePath), position.source)
+      : position.source;
+
+    return { ...position, source, column: position.column + 1 };
+  }
+
+  /**
+   * Rewrite stack frames of compiled files to their .todolang locations
+   * @returns {string|null} Mapped stack, or null if no frame could be mapped
+   */
+  mapStackTrace(stack) {
+    if (!stack) {
+      return null;
+    }
+
+    // todolang:/// URLs name modules evaluated by the runtime
+    let mapped = false;
+    const result = stack.replace(/((?:file|https?|todolang):\/\/[^\s()]+?|\/[^\s()]+?):(\d+):(\d+)/g, (frame, file, line, column) => {
+      if (!file.endsWith('.js')) {
+        return frame;
+      }
+
+      const position = this.originalPositionFor(file, Number(line), Number(column));
+      if (!position) {
+        return frame;
+      }
+
+      mapped = true;
+      return `${position.source}:${position.line}:${position.column}`;
+    });
+
+    return mapped ? result : null;
+  }
+
   /**
    * Estimate the length of the token causing the error
    */
@@ -325,7 +431,10 @@ export class TodoLangErrorReporter {
       console.error(`URL: ${errorReport.browserInfo.url}`);
     }
 
-    if (errorReport.error.stack && this.options.enableStackTrace) {
+    if (errorReport.error.sourceStack) {
+      console.error('\nStack Trace (TodoLang sources):');
+      console.error(errorReport.error.sourceStack);
+    } else if (errorReport.error.stack && this.options.enableStackTrace) {
       console.error('\nStack Trace:');
       console.error(errorReport.error.stack);
     }
@@ -524,6 +633,9 @@ export class TodoLangErrorReporter {
 // Create a global error reporter instance
 export const globalErrorReporter = new TodoLangErrorReporter();
 
+// Receive the warnings and source maps of browser-safe framework code
+installReporter(globalErrorReporter);
+
 // Export convenience functions
 export function reportCompilationError(error, sourceCode, filePath) {
   return globalErrorReporter.reportCompilationError(error, sourceCode, filePath);
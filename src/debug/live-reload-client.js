@@ -0,0 +1,176 @@
+/**
+ * TodoLang Live Reload Client
+ *
+ * Browser side of the dev server's live-reload channel. The dev server
+ * serializes `liveReloadClient` into every served HTML page; it listens on
+ * the Server-Sent Events endpoint and hot reloads recompiled modules into
+ * the running application, reloads the page, refreshes stylesheets or shows
+ * a full-screen compile error overlay.
+ *
+ * Hot reloading needs the page's TodoLangRuntime under RUNTIME_GLOBAL,
+ * which TodoLangBootstrap publishes in development mode. Pages without one
+ * reload instead; that includes the index.html generated by build.js, which
+ * creates no runtime.
+ */
+
+export const OVERLAY_ID = '__todolang-error-overlay';
+
+// Global under which a page exposes its TodoLangRuntime, as TodoLangBootstrap
+// does in development mode
+export const RUNTIME_GLOBAL = '__TODOLANG_RUNTIME__';
+
+/**
+ * Client entry point - runs in the browser, so it must not reference
+ * anything outside its own body
+ * @param {string} eventsPath - Server-Sent Events endpoint
+ * @param {string} overlayId - Id of the error overlay element
+ * @param {string} runtimeGlobal - Window property holding the application's runtime
+ */
+export function liveReloadClient(eventsPath, overlayId, runtimeGlobal) {
+  function removeOverlay() {
+    const overlay = document.getElementById(overlayId);
+    if (overlay) {
+      overlay.parentNode.removeChild(overlay);
+    }
+  }
+
+  function element(tag, style, text) {
+    const node = document.createElement(tag);
+    if (style) node.style.cssText = style;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function renderCodeFrame(context) {
+    const frame = element('pre', 'background:#1a1a1a;padding:12px 16px;border-radius:4px;overflow:auto;color:#ddd;');
+    const width = String(context.endLine).length;
+
+    for (const line of context.lines) {
+      const gutter = `${line.isErrorLine ? '>' : ' '} ${String(line.lineNumber).padStart(width)} | `;
+      const row = element('div', line.isErrorLine ? 'color:#fff;background:#3a1d1d;' : '', gutter + line.content);
+      row.className = line.isErrorLine ? 'todolang-error-line' : 'todolang-context-line';
+      frame.appendChild(row);
+
+      if (line.isErrorLine && line.column) {
+        const caret = ' '.repeat(gutter.length + line.column - 1) + '^';
+        frame.appendChild(element('div', 'color:#ff6b6b;', caret));
+      }
+    }
+
+    return frame;
+  }
+
+  function showOverlay(data) {
+    removeOverlay();
+
+    const overlay = element('div',
+      'position:fixed;top:0;left:0;right:0;bottom:0;z-index:2147483647;overflow:auto;cursor:pointer;' +
+      'background:rgba(0,0,0,0.9);color:#fff;font:14px/1.5 monospace;padding:32px;box-sizing:border-box;');
+    overlay.id = overlayId;
+
+    overlay.appendChild(element('h2', 'color:#ff6b6b;margin:0 0 8px;', 'TodoLang Compilation Error'));
+
+    if (data.file) {
+      const location = data.location ? `:${data.location.line}:${data.location.column}` : '';
+      const file = element('div', 'color:#aaa;margin-bottom:16px;', data.file + location);
+      file.className = 'todolang-error-file';
+      overlay.appendChild(file);
+    }
+
+    const message = element('pre', 'white-space:pre-wrap;margin:0 0 16px;', data.message);
+    message.className = 'todolang-error-message';
+    overlay.appendChild(message);
+
+    if (data.context && data.context.lines) {
+      overlay.appendChild(renderCodeFrame(data.context));
+    }
+
+    if (data.suggestions && data.suggestions.length > 0) {
+      overlay.appendChild(element('h3', 'color:#ffd166;margin:16px 0 8px;', 'Suggestions'));
+      const list = element('ul', 'margin:0;padding-left:20px;');
+      list.className = 'todolang-error-suggestions';
+      for (const suggestion of data.suggestions) {
+        list.appendChild(element('li', '', suggestion));
+      }
+      overlay.appendChild(list);
+    }
+
+    overlay.appendChild(element('p', 'color:#888;margin-top:24px;', 'Click anywhere to dismiss. The overlay closes when the next build succeeds.'));
+    overlay.addEventListener('click', removeOverlay);
+
+    document.body.appendChild(overlay);
+  }
+
+  function refreshStylesheets() {
+    const links = document.querySelectorAll('link[rel="stylesheet"]');
+    for (const link of links) {
+      const href = link.getAttribute('href').replace(/[?&]__todolang=\d+/, '');
+      link.setAttribute('href', `${href}${href.includes('?') ? '&' : '?'}__todolang=${Date.now()}`);
+    }
+  }
+
+  function reload() {
+    removeOverlay();
+    window.location.reload();
+  }
+
+  /**
+   * Swap a recompiled module into the running application, keeping
+   * component state; reload when there is no runtime, the module fails to
+   * load or its state blocks changed incompatibly
+   */
+  function hotUpdate(update) {
+    const runtime = window[runtimeGlobal];
+    if (!runtime) {
+      reload();
+      return Promise.resolve();
+    }
+
+    return Promise.resolve()
+      .then(() => runtime.hotReload(update.modulePath, update.code, {
+        remount: false,
+        sourceMap: update.sourceMap || null
+      }))
+      .then(result => {
+        if (result.remountRequired) {
+          reload();
+          return;
+        }
+        removeOverlay();
+        refreshStylesheets();
+      })
+      .catch(reload);
+  }
+
+  if (!window.EventSource) return;
+
+  const source = new window.EventSource(eventsPath);
+
+  source.addEventListener('reload', reload);
+
+  source.addEventListener('hot-update', event => {
+    hotUpdate(JSON.parse(event.data));
+  });
+
+  source.addEventListener('css-update', () => {
+    removeOverlay();
+    refreshStylesheets();
+  });
+
+  // Connection errors are also 'error' events, but carry no data
+  source.addEventListener('error', event => {
+    if (event.data) {
+      showOverlay(JSON.parse(event.data));
+    }
+  });
+}
+
+/**
+ * Script tag that starts the live reload client
+ * @param {string} eventsPath - Server-Sent Events endpoint
+ * @returns {string} HTML script element
+ */
+export function createLiveReloadScript(eventsPath) {
+  const args = [eventsPath, OVERLAY_ID, RUNTIME_GLOBAL].map(arg => JSON.stringify(arg));
+  return `<script>(${liveReloadClient.toString()})(${args.join(', ')});</script>`;
+}
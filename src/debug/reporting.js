@@ -0,0 +1,46 @@
+/**
+ * TodoLang Reporting Channel
+ *
+ * Browser-safe entry point for warnings and source maps from code that runs
+ * in the page, such as the runtime and the virtual DOM. It has no Node
+ * imports, so that code loads in the browser as well as under Node.
+ * Warnings go to the console until a reporter is installed; the Node error
+ * reporter installs globalErrorReporter when it is loaded, so warnings are
+ * then logged with the rest.
+ */
+
+let installedReporter = null;
+
+/**
+ * Send warnings and source maps to a reporter
+ * @param {Object|null} reporter - Object with reportWarning and
+ *   registerSourceMap, such as a TodoLangErrorReporter; null for the console
+ * @returns {Object|null} The reporter it replaces
+ */
+export function installReporter(reporter) {
+  const previous = installedReporter;
+  installedReporter = reporter;
+  return previous;
+}
+
+/**
+ * Report a warning with context
+ */
+export function reportWarning(message, context = {}) {
+  if (installedReporter) {
+    return installedReporter.reportWarning(message, context);
+  }
+
+  console.warn(`⚠️  [TodoLang Warning] ${message}`);
+  return null;
+}
+
+/**
+ * Register the source map of generated code, or forget it with null, so
+ * stack traces through that code can be mapped back to TodoLang
+ */
+export function registerSourceMap(generatedFile, sourceMap) {
+  if (installedReporter) {
+    installedReporter.registerSourceMap(generatedFile, sourceMap);
+  }
+}
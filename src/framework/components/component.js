@@ -8,9 +8,22 @@
  * - Component registration and instantiation system
  */
 
-import { VirtualDOMRenderer, createElement } from './virtual-dom.js';
+import { VirtualDOMRenderer, createElement, createFragment } from './virtual-dom.js';
 import { TodoLangStateManager } from '../state/index.js';
 
+// `event.key` values matched by key modifiers such as `onKeyDown.enter`
+const KEY_MODIFIERS = {
+  enter: ['Enter'],
+  esc: ['Escape'],
+  tab: ['Tab'],
+  space: [' '],
+  up: ['ArrowUp'],
+  down: ['ArrowDown'],
+  left: ['ArrowLeft'],
+  right: ['ArrowRight'],
+  delete: ['Delete', 'Backspace']
+};
+
 /**
  * Component Lifecycle States
  */
@@ -45,7 +58,7 @@ class TodoLangComponent {
     this._isUpdating = false;
 
     // Rendering
-    this._renderer = new VirtualDOMRenderer();
+    this._renderer = new VirtualDOMRenderer(this);
     this._container = null;
     this._currentVNode = null;
 
@@ -53,6 +66,11 @@ class TodoLangComponent {
     this._stateManager = null;
     this._reactiveState = null;
     this._stateUnsubscribe = null;
+    this._watchers = [];
+
+    // Props and state of the last render, passed to updated()
+    this._renderedProps = null;
+    this._renderedState = null;
 
     // Child components
     this._children = new Map();
@@ -60,6 +78,8 @@ class TodoLangComponent {
 
     // Event handlers
     this._eventHandlers = new Map();
+    this._boundHandlers = new WeakMap(); // Handler -> modifiers -> bound handler
+    this._bindingHandlers = new Map(); // Bound state path and property -> input handler
 
     // Performance tracking
     this._renderCount = 0;
@@ -191,6 +211,10 @@ class TodoLangComponent {
         this._stateUnsubscribe = null;
       }
 
+      // Clean up state watchers
+      this._watchers.forEach(unsubscribe => unsubscribe());
+      this._watchers = [];
+
       // Clean up state manager dependencies
       if (this._stateManager) {
         this._stateManager.clearDependencies(this.id);
@@ -230,6 +254,9 @@ class TodoLangComponent {
     this._componentState = ComponentState.UPDATING;
     this._isUpdating = true;
 
+    const previousProps = this._renderedProps;
+    const previousState = this._renderedState;
+
     try {
       // Call beforeUpdate lifecycle hook
       this._callLifecycleHook('beforeUpdate');
@@ -238,7 +265,7 @@ class TodoLangComponent {
       this._performRender();
 
       // Call updated lifecycle hook
-      this._callLifecycleHook('updated');
+      this._callLifecycleHook('updated', previousProps, previousState);
 
       this._componentState = ComponentState.MOUNTED;
 
@@ -259,6 +286,15 @@ class TodoLangComponent {
     }
   }
 
+  /**
+   * Receive new props from the parent component (triggers re-render)
+   * @param {Object} nextProps - Props passed by the parent render
+   */
+  receiveProps(nextProps) {
+    this.props = { ...nextProps };
+    this.update();
+  }
+
   /**
    * Set component state (triggers re-render)
    * @param {Object|Function} newState - New state or state updater function
@@ -280,6 +316,44 @@ class TodoLangComponent {
     Object.assign(this.state, stateUpdate);
   }
 
+  /**
+   * Replace the component state with reactive initial values - used by
+   * compiled TodoLang `state { }` blocks
+   * @param {Object} initialState - Initial state values
+   * @returns {Proxy} Reactive state proxy
+   */
+  createReactiveState(initialState) {
+    this._initialState = { ...initialState };
+    this._reactiveState = this._stateManager.createState(initialState, this.id);
+    return this._reactiveState;
+  }
+
+  /**
+   * Call `callback(newValue, oldValue)` when the state at a path changes -
+   * used by compiled TodoLang `watch` blocks. Watchers are removed when the
+   * component unmounts.
+   * @param {string} path - Dot-notation state path, e.g. 'currentFilter'
+   * @param {Function} callback - Receives the new and the previous value
+   * @returns {Function} Unsubscribe function
+   */
+  watchState(path, callback) {
+    const unsubscribe = this._stateManager.subscribe((change) => {
+      if (change.path === path) {
+        callback(change.newValue, change.oldValue);
+      } else {
+        // A change inside the watched value: it was mutated in place
+        const value = path.split('.').reduce((current, key) => current == null ? current : current[key], this.state);
+        callback(value, value);
+      }
+    }, path);
+
+    this._watchers.push(unsubscribe);
+    return () => {
+      unsubscribe();
+      this._watchers = this._watchers.filter(watcher => watcher !== unsubscribe);
+    };
+  }
+
   /**
    * Get current component state
    * @returns {Object} Current state
@@ -333,6 +407,43 @@ class TodoLangComponent {
         this._stateManager.stopTracking();
       }
     }
+
+    // Shallow snapshot for the next updated() call
+    this._renderedProps = this.props;
+    this._renderedState = this.getState();
+  }
+
+  /**
+   * Create a virtual node - used by compiled TodoLang render methods
+   * @param {string|Function} type - Tag name or component class
+   * @param {Object} props - Element attributes or component props
+   * @param {...any} children - Child nodes
+   * @returns {VNode} Virtual DOM node
+   */
+  createElement(type, props, ...children) {
+    return createElement(type, props, ...children);
+  }
+
+  /**
+   * Create a fragment virtual node - used by compiled TodoLang `<>...</>`
+   * @param {...any} children - Child nodes
+   * @returns {VNode} Fragment node
+   */
+  createFragment(...children) {
+    return createFragment(...children);
+  }
+
+  /**
+   * Look up a component class used in JSX but declared in another file
+   * @param {string} name - Registered component name
+   * @returns {Class} Component class
+   */
+  resolveComponent(name) {
+    const ComponentClass = globalRegistry.get(name);
+    if (!ComponentClass) {
+      throw new Error(`Component ${name} is not registered`);
+    }
+    return ComponentClass;
   }
 
   /**
@@ -373,8 +484,10 @@ class TodoLangComponent {
 
   /**
    * Lifecycle hook: called after component is updated
+   * @param {Object|null} prevProps - Props of the previous render
+   * @param {Object|null} prevState - Shallow copy of the state at the previous render
    */
-  updated() {}
+  updated(prevProps, prevState) {}
 
   /**
    * Lifecycle hook: called before component is unmounted
@@ -485,6 +598,75 @@ class TodoLangComponent {
     }
   }
 
+  /**
+   * Bind a JSX event handler to the component and apply event modifiers -
+   * used by compiled `onClick={this.handleClick}` and `onSubmit.prevent`.
+   * `self` and key modifiers skip events that do not match; `prevent` and
+   * `stop` apply to the events that do. The same handler and modifiers give
+   * the same function, so re-renders do not replace DOM listeners.
+   * @param {Function|null} handler - Handler, or null for modifiers alone
+   * @param {string[]} modifiers - e.g. ['enter', 'prevent']
+   * @returns {Function|*} Bound handler; non-function values are returned as is
+   */
+  bindEvent(handler, modifiers = []) {
+    if (typeof handler !== 'function' && !(handler == null && modifiers.length > 0)) {
+      return handler;
+    }
+
+    const cacheKey = handler || this.bindEvent;
+    if (!this._boundHandlers.has(cacheKey)) {
+      this._boundHandlers.set(cacheKey, new Map());
+    }
+    const variants = this._boundHandlers.get(cacheKey);
+    const variantKey = modifiers.join('.');
+
+    if (!variants.has(variantKey)) {
+      variants.set(variantKey, (event, ...args) => {
+        if (modifiers.includes('self') && event.target !== event.currentTarget) return;
+        const keys = modifiers.filter(modifier => KEY_MODIFIERS[modifier]);
+        if (keys.length > 0 && !keys.some(modifier => KEY_MODIFIERS[modifier].includes(event.key))) return;
+
+        if (modifiers.includes('prevent')) event.preventDefault();
+        if (modifiers.includes('stop')) event.stopPropagation();
+
+        return handler ? handler.call(this, event, ...args) : undefined;
+      });
+    }
+
+    return variants.get(variantKey);
+  }
+
+  /**
+   * Input handler of a `bind:value` or `bind:checked` binding: writes the
+   * element property to the state path, then calls the element's own
+   * handler for the same event, if any
+   * @param {string} path - Dot-notation state path, e.g. 'inputValue'
+   * @param {string} property - Element property, 'value' or 'checked'
+   * @param {Function} handler - The element's own handler, already bound
+   * @returns {Function} Event handler, the same one across renders
+   */
+  bindState(path, property, handler = null) {
+    const cacheKey = `${path}:${property}`;
+    const cached = this._bindingHandlers.get(cacheKey);
+    if (cached && cached.handler === handler) {
+      return cached.listener;
+    }
+
+    const listener = (event) => {
+      const keys = path.split('.');
+      const last = keys.pop();
+      const target = keys.reduce((current, key) => current[key], this.state);
+      target[last] = event.target[property];
+
+      if (handler) {
+        handler(event);
+      }
+    };
+
+    this._bindingHandlers.set(cacheKey, { handler, listener });
+    return listener;
+  }
+
   /**
    * Get component debug information
    * @returns {Object} Debug information
@@ -508,10 +690,10 @@ class TodoLangComponent {
    * Call lifecycle hook safely
    * @private
    */
-  _callLifecycleHook(hookName) {
+  _callLifecycleHook(hookName, ...args) {
     try {
       if (typeof this[hookName] === 'function') {
-        this[hookName]();
+        this[hookName](...args);
       }
     } catch (error) {
       this._handleError(error, hookName);
@@ -614,6 +796,15 @@ class ComponentRegistry {
     return this._components.has(name);
   }
 
+  /**
+   * Get a registered component class
+   * @param {string} name - Component name
+   * @returns {Class|null} Component class or null
+   */
+  get(name) {
+    return this._components.get(name) || null;
+  }
+
   /**
    * Create component instance
    * @param {string} name - Component name
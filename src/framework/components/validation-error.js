@@ -120,7 +120,7 @@ export class ValidationError extends TodoLangComponent {
         errorField ? createElement('span', {
           class: 'error-field',
           style: {
-            marginLx',
+            marginLeft: '8px',
             fontSize: '12px',
             color: '#868e96',
             fontStyle: 'italic'
@@ -470,6 +470,51 @@ export const validators = {
     };
   },
 
+  /**
+   * Minimum value validator
+   */
+  min: (min, message) => {
+    return (value) => {
+      if (typeof value === 'number' && value < min) {
+        return {
+          type: 'min',
+          message: message || `Must be at least ${min}`
+        };
+      }
+      return true;
+    };
+  },
+
+  /**
+   * Maximum value validator
+   */
+  max: (max, message) => {
+    return (value) => {
+      if (typeof value === 'number' && value > max) {
+        return {
+          type: 'max',
+          message: message || `Must be no more than ${max}`
+        };
+      }
+      return true;
+    };
+  },
+
+  /**
+   * Allowed values validator
+   */
+  oneOf: (allowed, message) => {
+    return (value) => {
+      if (value !== undefined && value !== null && !allowed.includes(value)) {
+        return {
+          type: 'oneOf',
+          message: message || `Must be one of: ${allowed.join(', ')}`
+        };
+      }
+      return true;
+    };
+  },
+
   /**
    * Pattern validator
    */
@@ -517,6 +562,48 @@ export const validators = {
   }
 };
 
+/**
+ * Run synchronous field validators, such as a compiled model's
+ * `static validators`, against an object. Returns the same shape as
+ * FormValidator.validateAll, plus the validated `values`.
+ * @param {Object} values - Field values
+ * @param {Object<string, Function[]>} fieldValidators - Validators by field name
+ * @param {Object} options - `trim`: fields whose strings are trimmed first
+ */
+export function validateFields(values, fieldValidators, options = {}) {
+  const trimmed = { ...values };
+  for (const name of options.trim || []) {
+    if (typeof trimmed[name] === 'string') {
+      trimmed[name] = trimmed[name].trim();
+    }
+  }
+
+  const fields = {};
+  const errors = {};
+
+  for (const [name, validatorList] of Object.entries(fieldValidators)) {
+    const fieldErrors = [];
+    for (const validator of validatorList) {
+      const result = validator(trimmed[name], name);
+      if (result !== true) {
+        fieldErrors.push({ ...result, field: name });
+      }
+    }
+
+    fields[name] = { isValid: fieldErrors.length === 0, errors: fieldErrors };
+    if (fieldErrors.length > 0) {
+      errors[name] = fieldErrors;
+    }
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    fields,
+    errors,
+    values: trimmed
+  };
+}
+
 /**
  * Form validation helper
  */
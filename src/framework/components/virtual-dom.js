@@ -8,6 +8,8 @@
  * - Event handling and component props support
  */
 
+import { reportWarning } from '../../debug/reporting.js';
+
 /**
  * Virtual DOM Node Types
  */
@@ -27,8 +29,8 @@ class VNode {
     this.type = type;
     this.props = props || {};
     this.children = Array.isArray(children) ? children : [children].filter(Boolean);
-    this.key = props.key || null;
-    this.ref = props.ref || null;
+    this.key = this.props.key !== undefined ? this.props.key : null;
+    this.ref = this.props.ref || null;
 
     // Internal properties for DOM management
     this._domNode = null;
@@ -76,22 +78,67 @@ class VNode {
   }
 }
 
+// List warnings already shown, so re-renders do not repeat them
+const reportedKeyWarnings = new Set();
+
+/**
+ * Warn about lists of elements without keys or with duplicate keys. Lists
+ * are arrays inside a children array, as compiled from
+ * `{todos.map(todo => <TodoItem key={todo.id} />)}`.
+ */
+function checkListKeys(parentType, children) {
+  for (const group of children) {
+    if (!Array.isArray(group)) continue;
+
+    for (const list of group) {
+      if (!Array.isArray(list)) continue;
+
+      const nodes = list.flat(Infinity).filter(child => child instanceof VNode && !child.isText());
+      const keys = nodes.map(child => child.key).filter(key => key !== null);
+      let problem = null;
+      if (keys.length < nodes.length) {
+        problem = "should have a 'key' prop";
+      } else if (new Set(keys).size < keys.length) {
+        problem = 'should have unique keys';
+      }
+
+      const parentName = typeof parentType === 'function' ? parentType.name : parentType;
+      const message = problem && `Each child in a list rendered inside <${parentName}> ${problem}`;
+      if (message && !reportedKeyWarnings.has(message)) {
+        reportedKeyWarnings.add(message);
+        reportWarning(message, { parent: parentName });
+      }
+    }
+  }
+}
+
+/**
+ * Flatten children into virtual nodes: nested arrays and fragments are
+ * spliced in, null/undefined/false dropped and primitives become text nodes
+ */
+function normalizeChildren(children) {
+  return children.flat(Infinity)
+    .filter(child => child !== null && child !== undefined && child !== false)
+    .flatMap(child => {
+      if (typeof child === 'string' || typeof child === 'number') {
+        return [createTextNode(String(child))];
+      }
+      return child instanceof VNode && child.isFragment() ? child.children : [child];
+    });
+}
+
 /**
  * Create a virtual DOM element
  */
 function createElement(type, props = {}, ...children) {
-  // Flatten children array and filter out null/undefined values
-  const flatChildren = children.flat().filter(child =>
-    child !== null && child !== undefined && child !== false
-  );
+  checkListKeys(type, children);
+  const processedChildren = normalizeChildren(children);
 
-  // Convert primitive values to text nodes
-  const processedChildren = flatChildren.map(child => {
-    if (typeof child === 'string' || typeof child === 'number') {
-      return createTextNode(String(child));
-    }
-    return child;
-  });
+  // Components receive their children as props.children and render them
+  // themselves, so the component vnode has no children of its own
+  if (typeof type === 'function') {
+    return new VNode(type, { ...props, children: processedChildren }, []);
+  }
 
   return new VNode(type, props, processedChildren);
 }
@@ -104,10 +151,12 @@ function createTextNode(text) {
 }
 
 /**
- * Create a fragment virtual node (for grouping multiple elements)
+ * Create a fragment virtual node (for grouping multiple elements). Fragments
+ * nested in elements are spliced into their parent's children.
  */
 function createFragment(...children) {
-  return new VNode(VNodeType.FRAGMENT, {}, children.flat());
+  checkListKeys('fragment', children);
+  return new VNode(VNodeType.FRAGMENT, {}, normalizeChildren(children));
 }
 
 /**
@@ -118,7 +167,8 @@ const PatchType = {
   REMOVE: 'remove',
   REPLACE: 'replace',
   UPDATE: 'update',
-  REORDER: 'reorder'
+  MOVE: 'move',
+  INSERT: 'insert'
 };
 
 /**
@@ -151,14 +201,15 @@ class VirtualDOMDiffer {
   diff(oldVNode, newVNode) {
     this.patches = [];
     this.index = 0;
-    this._diffNode(oldVNode, newVNode, 0);
+    this._diffNode(oldVNode, newVNode, 0, 0);
     return this.patches;
   }
 
   /**
    * Internal method to diff individual nodes
+   * CREATE patches target the parent node, which the new node is appended to
    */
-  _diffNode(oldVNode, newVNode, index) {
+  _diffNode(oldVNode, newVNode, index, parentIndex) {
     const currentIndex = index;
 
     // Case 1: New node doesn't exist - remove old node
@@ -169,7 +220,7 @@ class VirtualDOMDiffer {
 
     // Case 2: Old node doesn't exist - create new node
     if (!oldVNode) {
-      this.patches.push(new Patch(PatchType.CREATE, null, newVNode, currentIndex));
+      this.patches.push(new Patch(PatchType.CREATE, null, newVNode, parentIndex));
       return;
     }
 
@@ -179,7 +230,20 @@ class VirtualDOMDiffer {
       return;
     }
 
-    // Case 4: Text nodes - check if content changed
+    // Same node type - the new vnode keeps the existing DOM node
+    newVNode._domNode = oldVNode._domNode;
+
+    // Case 4: Component nodes - keep the mounted instance and pass new props
+    if (oldVNode.isComponent() && newVNode.isComponent()) {
+      newVNode._component = oldVNode._component;
+      const propPatches = this._diffProps(oldVNode.props, newVNode.props);
+      if (Object.keys(propPatches).length > 0) {
+        this.patches.push(new Patch(PatchType.UPDATE, oldVNode, newVNode, currentIndex, propPatches));
+      }
+      return;
+    }
+
+    // Case 5: Text nodes - check if content changed
     if (oldVNode.isText() && newVNode.isText()) {
       if (oldVNode.props.textContent !== newVNode.props.textContent) {
         this.patches.push(new Patch(PatchType.UPDATE, oldVNode, newVNode, currentIndex, {
@@ -189,7 +253,14 @@ class VirtualDOMDiffer {
       return;
     }
 
-    // Case 5: Element nodes - diff props and children
+    // Case 6: Fragment nodes - diff children only (fragment types are
+    // strings too, so this must come before the element case)
+    if (oldVNode.isFragment() && newVNode.isFragment()) {
+      this._diffChildren(oldVNode.children, newVNode.children, currentIndex);
+      return;
+    }
+
+    // Case 7: Element nodes - diff props and children
     if (oldVNode.isElement() && newVNode.isElement()) {
       // Diff properties
       const propPatches = this._diffProps(oldVNode.props, newVNode.props);
@@ -200,11 +271,6 @@ class VirtualDOMDiffer {
       // Diff children
       this._diffChildren(oldVNode.children, newVNode.children, currentIndex);
     }
-
-    // Case 6: Fragment nodes - diff children only
-    if (oldVNode.isFragment() && newVNode.isFragment()) {
-      this._diffChildren(oldVNode.children, newVNode.children, currentIndex);
-    }
   }
 
   /**
@@ -235,22 +301,25 @@ class VirtualDOMDiffer {
   }
 
   /**
-   * Diff children arrays using key-based reconciliation
+   * Diff children arrays - keyed children are matched by key, others by index
    */
   _diffChildren(oldChildren, newChildren, parentIndex) {
+    if (this._hasKeys(oldChildren) || this._hasKeys(newChildren)) {
+      this._diffKeyedChildren(oldChildren, newChildren, parentIndex);
+      return;
+    }
+
     const oldLength = oldChildren.length;
     const newLength = newChildren.length;
     const maxLength = Math.max(oldLength, newLength);
 
     let childIndex = parentIndex + 1;
 
-    // Simple approach: diff children by index
-    // TODO: Implement key-based reconciliation for better performance
     for (let i = 0; i < maxLength; i++) {
       const oldChild = oldChildren[i];
       const newChild = newChildren[i];
 
-      this._diffNode(oldChild, newChild, childIndex);
+      this._diffNode(oldChild, newChild, childIndex, parentIndex);
 
       // Update child index for next iteration
       if (oldChild) {
@@ -261,12 +330,148 @@ class VirtualDOMDiffer {
     }
   }
 
+  /**
+   * Diff children using key-based reconciliation
+   * Matched children keep their DOM nodes and are moved into place, so
+   * removing or reordering items only touches the affected nodes
+   */
+  _diffKeyedChildren(oldChildren, newChildren, parentIndex) {
+    // Flat DOM index of every old child, plus lookups for matching
+    const oldIndices = [];
+    const oldKeyMap = new Map();
+    const oldUnkeyed = [];
+    let childIndex = parentIndex + 1;
+
+    oldChildren.forEach((oldChild, position) => {
+      oldIndices.push(childIndex);
+      childIndex += this._getNodeCount(oldChild);
+
+      if (oldChild.key !== null) {
+        oldKeyMap.set(oldChild.key, position);
+      } else {
+        oldUnkeyed.push(position);
+      }
+    });
+
+    // Old position of each new child (-1 for new nodes); unkeyed children
+    // are matched in order
+    const matched = new Set();
+    const matches = newChildren.map(newChild => {
+      let oldPosition = -1;
+
+      if (newChild.key !== null) {
+        if (oldKeyMap.has(newChild.key)) {
+          oldPosition = oldKeyMap.get(newChild.key);
+        }
+      } else if (oldUnkeyed.length > 0) {
+        oldPosition = oldUnkeyed.shift();
+      }
+
+      // Duplicate keys can only claim the old node once
+      if (oldPosition === -1 || matched.has(oldPosition)) {
+        return -1;
+      }
+
+      matched.add(oldPosition);
+      return oldPosition;
+    });
+
+    // Remove old children that are no longer present
+    oldChildren.forEach((oldChild, position) => {
+      if (!matched.has(position)) {
+        this.patches.push(new Patch(PatchType.REMOVE, oldChild, null, oldIndices[position]));
+      }
+    });
+
+    // Diff matched children in place
+    newChildren.forEach((newChild, position) => {
+      const oldPosition = matches[position];
+      if (oldPosition !== -1) {
+        this._diffNode(oldChildren[oldPosition], newChild, oldIndices[oldPosition], parentIndex);
+      }
+    });
+
+    // Children in the longest run that kept their relative order stay put.
+    // Walk right to left so each node is placed before an already placed anchor
+    const stable = this._longestIncreasingSubsequence(matches);
+    let anchor = null;
+
+    for (let position = newChildren.length - 1; position >= 0; position--) {
+      const newChild = newChildren[position];
+      const oldPosition = matches[position];
+
+      if (oldPosition === -1) {
+        this.patches.push(new Patch(PatchType.INSERT, null, newChild, parentIndex, { anchor }));
+        anchor = newChild;
+      } else {
+        const oldChild = oldChildren[oldPosition];
+        if (!stable.has(position)) {
+          this.patches.push(new Patch(PatchType.MOVE, oldChild, newChild, parentIndex, { anchor }));
+        }
+        anchor = oldChild;
+      }
+    }
+  }
+
+  /**
+   * Check if any child in a list has a key
+   */
+  _hasKeys(children) {
+    return children.some(child => child && child.key !== null);
+  }
+
+  /**
+   * Find the longest increasing run of old positions (ignoring -1 entries)
+   * @returns {Set<number>} Positions in the sequence that belong to the run
+   */
+  _longestIncreasingSubsequence(sequence) {
+    const tails = [];
+    const previous = new Array(sequence.length).fill(-1);
+
+    for (let i = 0; i < sequence.length; i++) {
+      const value = sequence[i];
+      if (value === -1) continue;
+
+      // Binary search for the first tail that is not smaller than value
+      let low = 0;
+      let high = tails.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (sequence[tails[mid]] < value) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
+
+      if (low > 0) {
+        previous[i] = tails[low - 1];
+      }
+      tails[low] = i;
+    }
+
+    const result = new Set();
+    let current = tails.length > 0 ? tails[tails.length - 1] : -1;
+    while (current !== -1) {
+      result.add(current);
+      current = previous[current];
+    }
+
+    return result;
+  }
+
   /**
    * Get the total number of nodes in a virtual DOM tree
    */
   _getNodeCount(vnode) {
     if (!vnode) return 0;
 
+    // A mounted component occupies the DOM nodes of its own rendered tree
+    if (vnode.isComponent()) {
+      const instance = vnode._component;
+      return instance && instance._currentVNode ? this._getNodeCount(instance._currentVNode) : 1;
+    }
+
     let count = 1; // Count the node itself
 
     if (vnode.children) {
@@ -284,8 +489,11 @@ class VirtualDOMDiffer {
  * Applies patches to the real DOM efficiently
  */
 class VirtualDOMPatcher {
-  constructor() {
+  constructor(owner = null) {
     this.eventDelegator = new EventDelegator();
+    // Component whose render output is being patched; child component
+    // instances created from component vnodes are attached to it
+    this.owner = owner;
   }
 
   /**
@@ -315,20 +523,31 @@ class VirtualDOMPatcher {
         this._createNode(element, patch.newVNode);
         break;
 
-      case PatchType.REMOVE:
-        this._removeNode(element);
+      case PatchType.REMOVE: {
+        // Unmounting forgets a fragment root's nodes, so collect them first
+        const nodes = getDOMNodes(patch.vnode, element);
+        this._unmountComponents(patch.vnode);
+        nodes.forEach(node => this._removeNode(node));
         break;
+      }
 
-      case PatchType.REPLACE:
-        this._replaceNode(element, patch.newVNode);
+      case PatchType.REPLACE: {
+        const nodes = getDOMNodes(patch.vnode, element);
+        this._unmountComponents(patch.vnode);
+        this._replaceNode(nodes, patch.newVNode);
         break;
+      }
 
       case PatchType.UPDATE:
         this._updateNode(element, patch.props, patch.vnode, patch.newVNode);
         break;
 
-      case PatchType.REORDER:
-        this._reorderChildren(element, patch.props.moves);
+      case PatchType.INSERT:
+        this._insertNode(element, patch.newVNode, patch.props.anchor);
+        break;
+
+      case PatchType.MOVE:
+        this._moveNode(element, patch.vnode, patch.props.anchor);
         break;
     }
   }
@@ -344,6 +563,31 @@ class VirtualDOMPatcher {
     return domNode;
   }
 
+  /**
+   * Insert a new DOM node before the DOM node of an anchor virtual node
+   * (or at the end when there is no anchor)
+   */
+  _insertNode(parentElement, vnode, anchor) {
+    const domNode = this._renderVNode(vnode);
+    if (parentElement && domNode) {
+      parentElement.insertBefore(domNode, anchor ? getDOMNodes(anchor)[0] : null);
+    }
+    return domNode;
+  }
+
+  /**
+   * Move the DOM nodes of an existing virtual node before the DOM node of
+   * an anchor virtual node
+   */
+  _moveNode(parentElement, vnode, anchor) {
+    if (!parentElement) return;
+
+    const anchorNode = anchor ? getDOMNodes(anchor)[0] : null;
+    for (const domNode of getDOMNodes(vnode)) {
+      parentElement.insertBefore(domNode, anchorNode);
+    }
+  }
+
   /**
    * Remove a DOM node
    */
@@ -356,16 +600,16 @@ class VirtualDOMPatcher {
   }
 
   /**
-   * Replace a DOM node with a new one
+   * Replace the DOM nodes of a virtual node with a new one
    */
-  _replaceNode(oldElement, newVNode) {
-    if (!oldElement || !oldElement.parentNode) return;
+  _replaceNode(oldElements, newVNode) {
+    const [firstElement] = oldElements;
+    if (!firstElement || !firstElement.parentNode) return;
 
     const newElement = this._renderVNode(newVNode);
     if (newElement) {
-      // Clean up old event listeners
-      this.eventDelegator.removeAllListeners(oldElement);
-      oldElement.parentNode.replaceChild(newElement, oldElement);
+      firstElement.parentNode.insertBefore(newElement, firstElement);
+      oldElements.forEach(oldElement => this._removeNode(oldElement));
     }
   }
 
@@ -375,6 +619,12 @@ class VirtualDOMPatcher {
   _updateNode(element, props, oldVNode, newVNode) {
     if (!element) return;
 
+    // Component nodes re-render themselves with the new props
+    if (newVNode && newVNode.isComponent()) {
+      this._updateComponent(newVNode);
+      return;
+    }
+
     // Update text content for text nodes
     if (props.textContent !== undefined) {
       element.textContent = props.textContent;
@@ -408,6 +658,11 @@ class VirtualDOMPatcher {
       return textNode;
     }
 
+    // Component node
+    if (vnode.isComponent()) {
+      return this._renderComponent(vnode);
+    }
+
     // Fragment node
     if (vnode.isFragment()) {
       const fragment = document.createDocumentFragment();
@@ -452,6 +707,91 @@ class VirtualDOMPatcher {
     return null;
   }
 
+  /**
+   * Instantiate and mount the component class of a component vnode
+   */
+  _renderComponent(vnode) {
+    if (typeof vnode.type !== 'function') return null;
+
+    const instance = new vnode.type(this._getComponentProps(vnode));
+    vnode._component = instance;
+
+    if (this.owner && typeof this.owner.addChild === 'function') {
+      this.owner.addChild(instance.id, instance);
+    }
+
+    // Mount into a detached fragment; the caller inserts the rendered root
+    const mountContainer = document.createDocumentFragment();
+    instance.mount(mountContainer);
+
+    vnode._domNode = this._getComponentDOMNode(instance);
+
+    if (vnode.ref && typeof vnode.ref === 'function') {
+      vnode.ref(instance);
+    }
+
+    // A fragment root leaves several nodes, which are inserted together
+    return getFragmentRoot(vnode) ? mountContainer : vnode._domNode;
+  }
+
+  /**
+   * Pass new props to the mounted instance of a component vnode
+   */
+  _updateComponent(vnode) {
+    const instance = vnode._component;
+    if (!instance) return;
+
+    instance.receiveProps(this._getComponentProps(vnode));
+
+    if (instance._currentVNode) {
+      vnode._domNode = this._getComponentDOMNode(instance);
+    }
+  }
+
+  /**
+   * The DOM node of a component's rendered root, or the first of its
+   * nodes when the root is a fragment
+   */
+  _getComponentDOMNode(instance) {
+    const fragmentRoot = instance._renderer ? instance._renderer.fragmentRoot : null;
+    if (fragmentRoot) {
+      return fragmentRoot.nodes[0];
+    }
+    return instance._currentVNode ? instance._currentVNode._domNode : null;
+  }
+
+  /**
+   * Unmount component instances inside a virtual node that is leaving the DOM
+   */
+  _unmountComponents(vnode) {
+    if (!vnode) return;
+
+    if (vnode.isComponent()) {
+      const instance = vnode._component;
+      if (!instance) return;
+
+      if (this.owner && typeof this.owner.removeChild === 'function' && this.owner.getChild(instance.id)) {
+        this.owner.removeChild(instance.id);
+      } else if (instance._isMounted) {
+        instance.unmount();
+      }
+      vnode._component = null;
+      return;
+    }
+
+    for (const child of vnode.children) {
+      this._unmountComponents(child);
+    }
+  }
+
+  /**
+   * Component props are the vnode props without the reserved key and ref
+   */
+  _getComponentProps(vnode) {
+    const { key, ref, ...props } = vnode.props;
+    return props;
+  }
+
   /**
    * Set a property on a DOM element
    */
@@ -642,15 +982,70 @@ class DOMWalker {
   }
 }
 
+/**
+ * Fragment Root
+ * Stands in for the root DOM node of a rendered fragment, which has none
+ * once its children are inserted. An empty text node marks the end of the
+ * fragment, so patches can append to it and its parent's node count holds
+ */
+class FragmentRoot {
+  constructor(renderer) {
+    this.renderer = renderer;
+    this.end = document.createTextNode('');
+  }
+
+  /**
+   * The fragment's top-level DOM nodes, without the end marker
+   */
+  get childNodes() {
+    return this.renderer.currentVTree.children.flatMap(child => getDOMNodes(child));
+  }
+
+  /**
+   * Every DOM node the fragment occupies in its parent
+   */
+  get nodes() {
+    return [...this.childNodes, this.end];
+  }
+
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  insertBefore(node, referenceNode) {
+    return this.end.parentNode.insertBefore(node, referenceNode || this.end);
+  }
+}
+
+/**
+ * Fragment root of a component vnode whose instance rendered a fragment
+ */
+function getFragmentRoot(vnode) {
+  const instance = vnode && vnode.isComponent() ? vnode._component : null;
+  return instance && instance._renderer ? instance._renderer.fragmentRoot : null;
+}
+
+/**
+ * The DOM nodes a rendered virtual node occupies in its parent
+ */
+function getDOMNodes(vnode, element = vnode._domNode) {
+  const fragmentRoot = getFragmentRoot(vnode);
+  if (fragmentRoot) {
+    return fragmentRoot.nodes;
+  }
+  return element ? [element] : [];
+}
+
 /**
  * Virtual DOM Renderer
  * Main class that orchestrates virtual DOM operations
  */
 class VirtualDOMRenderer {
-  constructor() {
+  constructor(owner = null) {
     this.differ = new VirtualDOMDiffer();
-    this.patcher = new VirtualDOMPatcher();
+    this.patcher = new VirtualDOMPatcher(owner);
     this.currentVTree = null;
+    this.fragmentRoot = null;
   }
 
   /**
@@ -663,11 +1058,17 @@ class VirtualDOMRenderer {
       if (domNode) {
         container.appendChild(domNode);
       }
+      if (vnode.isFragment()) {
+        this.fragmentRoot = new FragmentRoot(this);
+        container.appendChild(this.fragmentRoot.end);
+      }
       this.currentVTree = vnode;
     } else {
-      // Update render
+      // Update render - patch indices are relative to the rendered root,
+      // fragments have no DOM node of their own so they start at their root
+      const rootNode = this.fragmentRoot || this.currentVTree._domNode;
       const patches = this.differ.diff(this.currentVTree, vnode);
-      this.patcher.patch(container, patches, vnode);
+      this.patcher.patch(rootNode, patches, vnode);
       this.currentVTree = vnode;
     }
   }
@@ -680,6 +1081,7 @@ class VirtualDOMRenderer {
       container.innerHTML = '';
     }
     this.currentVTree = null;
+    this.fragmentRoot = null;
   }
 }
 
@@ -7,6 +7,9 @@
  * - Detects state mutations and provides automatic UI synchronization
  */
 
+// Built-in objects whose methods only work on the object itself
+const UNPROXIED_TYPES = [Date, Map, Set, WeakMap, WeakSet, RegExp, Promise];
+
 /**
  * Reactive State Proxy Handler
  * Intercepts property access and mutations to trigger reactivity
@@ -19,13 +22,18 @@ class ReactiveHandler {
 
   get(target, property, receiver) {
     const value = Reflect.get(target, property, receiver);
+    // Symbols such as Symbol.iterator are not part of any state path
+    if (typeof property === 'symbol') {
+      return value;
+    }
     const fullPath = this.path ? `${this.path}.${property}` : property;
 
     // Track property access for dependency tracking
     this.stateManager._trackAccess(fullPath);
 
-    // If the value is an object, wrap it in a reactive proxy
-    if (value !== null && typeof value === 'object') {
+    // If the value is an object, wrap it in a reactive proxy. Dates, maps
+    // and sets keep their data in internal slots a proxy cannot reach
+    if (value !== null && typeof value === 'object' && !UNPROXIED_TYPES.some(type => value instanceof type)) {
       return new Proxy(value, new ReactiveHandler(this.stateManager, fullPath));
     }
 
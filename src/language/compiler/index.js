@@ -10,15 +10,21 @@ import {
   ProgramNode, ComponentNode, StateNode, PropertyNode, MethodNode,
   ComputedNode, RenderNode, ModelNode, ServiceNode, ParameterNode,
   TypeNode, BlockNode, ExpressionStatementNode, IfNode, ForNode,
-  WhileNode, ReturnNode, BreakNode, ContinueNode, VariableDeclarationNode,
+  WhileNode, ReturnNode, BreakNode, ContinueNode, TryNode, CatchClause,
+  ThrowNode, VariableDeclarationNode,
   VariableDeclaratorNode, ArrowFunctionNode, NewExpressionNode,
   BinaryExpressionNode, UnaryExpressionNode, AssignmentNode,
   ConditionalNode, CallNode, MemberNode, IdentifierNode, ThisNode,
   StringLiteralNode, NumberLiteralNode, BooleanLiteralNode,
-  NullLiteralNode, ArrayLiteralNode, ObjectLiteralNode,
-  ObjectPropertyNode, JSXElementNode, JSXAttributeNode,
-  JSXTextNode, JSXExpressionNode
+  AwaitExpressionNode, NullLiteralNode, RegexLiteralNode, TemplateLiteralNode,
+  ArrayLiteralNode, ObjectLiteralNode,
+  ObjectPropertyNode, JSXElementNode, JSXFragmentNode, JSXAttributeNode,
+  JSXSpreadAttributeNode, JSXTextNode, JSXExpressionNode
 } from '../parser/index.js';
+import { TokenType, OperatorPrecedence } from '../tokens.js';
+import { getModuleExports, getImportSpecifier } from '../modules/index.js';
+import { getStyleScope, scopeStyles } from '../styles/index.js';
+import { traverse } from '../traverse/index.js';
 
 export class CompilerError extends Error {
   constructor(message, node = null) {
@@ -29,78 +35,406 @@ export class CompilerError extends Error {
   }
 }
 
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Encode an integer as a base64 VLQ segment field
+ */
+export function encodeVLQ(value) {
+  // The sign is stored in the least significant bit
+  let vlq = value < 0 ? ((-value) << 1) | 1 : value << 1;
+  let encoded = '';
+
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) {
+      digit |= 32; // Continuation bit
+    }
+    encoded += BASE64_CHARS[digit];
+  } while (vlq > 0);
+
+  return encoded;
+}
+
+/**
+ * Decode a base64 VLQ segment into its integer fields
+ */
+export function decodeVLQ(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+
+  for (const char of segment) {
+    const digit = BASE64_CHARS.indexOf(char);
+    if (digit === -1) {
+      throw new Error(`Invalid base64 VLQ character: ${char}`);
+    }
+
+    value += (digit & 31) << shift;
+
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Source Map v3 builder
+ * Lines are 1-based and columns 0-based, matching the source-map spec tooling
+ */
 export class SourceMap {
-  constructor() {
+  constructor(file = null) {
+    this.file = file;
     this.mappings = [];
     this.sources = [];
+    this.sourcesContent = [];
     this.names = [];
   }
 
-  addMapping(generatedLine, generatedColumn, sourceLine, sourceColumn, sourceName = null) {
+  /**
+   * Register an original source file and return its index
+   */
+  addSource(sourcePath, content = null) {
+    let index = this.sources.indexOf(sourcePath);
+    if (index === -1) {
+      index = this.sources.length;
+      this.sources.push(sourcePath);
+      this.sourcesContent.push(content);
+    }
+    return index;
+  }
+
+  addMapping(generatedLine, generatedColumn, sourceLine, sourceColumn, sourceName = null, sourceIndex = 0) {
+    let nameIndex = null;
+    if (sourceName !== null) {
+      nameIndex = this.names.indexOf(sourceName);
+      if (nameIndex === -1) {
+        nameIndex = this.names.length;
+        this.names.push(sourceName);
+      }
+    }
+
     this.mappings.push({
       generatedLine,
       generatedColumn,
+      sourceIndex,
       sourceLine,
       sourceColumn,
-      sourceName
+      sourceName,
+      nameIndex
     });
   }
 
   generate() {
-    // Simplified source map generation
-    return {
+    const map = {
       version: 3,
       sources: this.sources,
+      sourcesContent: this.sourcesContent,
       names: this.names,
       mappings: this.encodeMappings()
     };
+
+    if (this.file) {
+      map.file = this.file;
+    }
+
+    return map;
   }
 
+  /**
+   * Encode mappings as semicolon separated lines of base64 VLQ segments.
+   * Every field except the generated column is relative to the previous segment
+   * in the whole map; the generated column restarts on each line.
+   */
   encodeMappings() {
-    // Simplified mapping encoding - in a real implementation,
-    // this would use VLQ encoding
-    if (this.mappings.length === 0) {
-      return '';
+    const lines = [];
+    const sorted = [...this.mappings].sort((a, b) =>
+      a.generatedLine - b.generatedLine || a.generatedColumn - b.generatedColumn
+    );
+
+    for (const mapping of sorted) {
+      while (lines.length < mapping.generatedLine) {
+        lines.push([]);
+      }
+      lines[mapping.generatedLine - 1].push(mapping);
     }
-    return this.mappings.map(m =>
-      `${m.generatedLine},${m.generatedColumn},${m.sourceLine},${m.sourceColumn}`
-    ).join(';');
+
+    let previousSource = 0;
+    let previousSourceLine = 0;
+    let previousSourceColumn = 0;
+    let previousName = 0;
+
+    return lines.map(mappings => {
+      let previousColumn = 0;
+
+      return mappings.map(mapping => {
+        const sourceLine = mapping.sourceLine - 1;
+        let segment = encodeVLQ(mapping.generatedColumn - previousColumn) +
+          encodeVLQ(mapping.sourceIndex - previousSource) +
+          encodeVLQ(sourceLine - previousSourceLine) +
+          encodeVLQ(mapping.sourceColumn - previousSourceColumn);
+
+        previousColumn = mapping.generatedColumn;
+        previousSource = mapping.sourceIndex;
+        previousSourceLine = sourceLine;
+        previousSourceColumn = mapping.sourceColumn;
+
+        if (mapping.nameIndex !== null) {
+          segment += encodeVLQ(mapping.nameIndex - previousName);
+          previousName = mapping.nameIndex;
+        }
+
+        return segment;
+      }).join(',');
+    }).join(';');
+  }
+
+  /**
+   * Decode the mappings string of a generated source map
+   */
+  static decodeMappings(mappings) {
+    const decoded = [];
+    let sourceIndex = 0;
+    let sourceLine = 0;
+    let sourceColumn = 0;
+    let nameIndex = 0;
+
+    mappings.split(';').forEach((line, lineIndex) => {
+      let generatedColumn = 0;
+
+      for (const segment of line.split(',')) {
+        if (!segment) continue;
+
+        const fields = decodeVLQ(segment);
+        generatedColumn += fields[0];
+
+        const mapping = { generatedLine: lineIndex + 1, generatedColumn };
+
+        if (fields.length >= 4) {
+          sourceIndex += fields[1];
+          sourceLine += fields[2];
+          sourceColumn += fields[3];
+          mapping.sourceIndex = sourceIndex;
+          mapping.sourceLine = sourceLine + 1;
+          mapping.sourceColumn = sourceColumn;
+        }
+
+        if (fields.length >= 5) {
+          nameIndex += fields[4];
+          mapping.nameIndex = nameIndex;
+        }
+
+        decoded.push(mapping);
+      }
+    });
+
+    return decoded;
+  }
+
+  /**
+   * Find the original position of a generated line/column in a source map
+   * @returns {Object|null} { source, line, column, name } or null if unmapped
+   */
+  static originalPositionFor(map, line, column) {
+    let match = null;
+
+    for (const mapping of SourceMap.decodeMappings(map.mappings)) {
+      if (mapping.generatedLine !== line || mapping.sourceIndex === undefined) continue;
+      if (mapping.generatedColumn > column) break;
+      match = mapping;
+    }
+
+    if (!match) {
+      return null;
+    }
+
+    return {
+      source: map.sources[match.sourceIndex],
+      line: match.sourceLine,
+      column: match.sourceColumn,
+      name: match.nameIndex !== undefined ? map.names[match.nameIndex] : null
+    };
   }
 }
 
+// Declaration kinds compiled by the compiler itself
+const BUILTIN_DECLARATIONS = ['Component', 'Model', 'Service', 'Enum'];
+
 export class TodoLangCompiler {
   constructor(options = {}) {
     this.options = {
       generateSourceMaps: true,
       minify: false,
       target: 'es6',
+      // Check component props against their declared types when created
+      development: true,
+      // Compiler plugins, applied in order; see registerPlugin()
+      plugins: [],
       ...options
     };
     this.sourceMap = new SourceMap();
+    this.sourceLocations = [];
+    this.pendingMappings = [];
     this.output = [];
     this.indentLevel = 0;
     this.currentLine = 1;
     this.currentColumn = 1;
+    this.componentNames = new Set();
+    this.exportedNames = new Set();
+    this.styles = [];
+    this.styleScope = null;
+    this.plugins = [];
+    this.declarationCompilers = new Map(); // Custom declaration type -> { plugin, compile }
+    this.expressionCompilers = new Map(); // Expression type -> [{ plugin, compile }]
+    for (const plugin of this.options.plugins) {
+      this.registerPlugin(plugin);
+    }
+  }
+
+  /**
+   * Register a compiler plugin. A plugin is an object with a `name` and any
+   * of these hooks:
+   *   - transform(ast, context): rewrites the AST before code generation,
+   *     in place or by returning a new Program
+   *   - visitor: traversed over the AST after `transform`, see traverse()
+   *   - declarations: { Type(node, compiler) } compiles declarations of a
+   *     custom type, emitting code with compiler.emitLine()
+   *   - expressions: { Type(node, compiler) } returns the code of an
+   *     expression, or undefined to leave it to the compiler
+   * The context holds the `source` passed to compile() and the compiler
+   * `options`.
+   */
+  registerPlugin(plugin) {
+    if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+      throw new CompilerError('Compiler plugins need a name');
+    }
+
+    for (const [type, compile] of Object.entries(plugin.declarations || {})) {
+      if (BUILTIN_DECLARATIONS.includes(type)) {
+        throw new CompilerError(`Plugin '${plugin.name}' cannot redefine the ${type} declaration`);
+      }
+      if (this.declarationCompilers.has(type)) {
+        const other = this.declarationCompilers.get(type).plugin;
+        throw new CompilerError(`Plugin '${plugin.name}' redefines the ${type} declaration of plugin '${other.name}'`);
+      }
+      this.declarationCompilers.set(type, { plugin, compile });
+    }
+
+    for (const [type, compile] of Object.entries(plugin.expressions || {})) {
+      if (!this.expressionCompilers.has(type)) {
+        this.expressionCompilers.set(type, []);
+      }
+      this.expressionCompilers.get(type).push({ plugin, compile });
+    }
+
+    this.plugins.push(plugin);
+  }
+
+  /**
+   * Apply the plugins' transforms and visitors to the AST
+   * @returns {ProgramNode} The transformed AST
+   */
+  transform(ast, source = {}) {
+    const context = { source, options: this.options };
+
+    for (const plugin of this.plugins) {
+      if (plugin.transform) {
+        ast = this.runPluginHook(plugin, () => plugin.transform(ast, context) || ast);
+        if (!ast || ast.type !== 'Program') {
+          throw new CompilerError(`Plugin '${plugin.name}' transform must return a Program`);
+        }
+      }
+      if (plugin.visitor) {
+        this.runPluginHook(plugin, () => traverse(ast, plugin.visitor, context));
+      }
+    }
+
+    return ast;
+  }
+
+  /**
+   * Run a plugin hook, naming the plugin in any error it throws
+   */
+  runPluginHook(plugin, hook) {
+    try {
+      return hook();
+    } catch (error) {
+      // Errors of hooks run by this hook already name their plugin
+      if (error instanceof CompilerError && error.plugin) {
+        throw error;
+      }
+      const node = error instanceof CompilerError ? error.node : null;
+      const pluginError = new CompilerError(`Plugin '${plugin.name}': ${error.message}`, node);
+      pluginError.plugin = plugin.name;
+      throw pluginError;
+    }
   }
 
   /**
    * Compile AST to JavaScript code
+   * @param {ProgramNode} ast - Parsed program
+   * @param {Object} source - Optional { path, content, outputFile } recorded in the source map,
+   *   `modulePath` (relative to the source root) used to resolve import paths, and
+   *   `importedDeclarations` (by local name) used to revive imported models and enums
+   * @returns {Object} { code, css, sourceMap } - `css` holds the scoped CSS of
+   *   the file's component style blocks, empty when there are none
    */
-  compile(ast) {
+  compile(ast, source = {}) {
     if (!ast || ast.type !== 'Program') {
       throw new CompilerError('Expected Program AST node');
     }
 
+    ast = this.transform(ast, source);
+
     this.output = [];
     this.indentLevel = 0;
     this.currentLine = 1;
     this.currentColumn = 1;
+    this.sourceMap = new SourceMap(source.outputFile || null);
+    this.sourceMap.addSource(source.path || 'input.todolang', source.content || null);
+    this.sourceLocations = [];
+    this.pendingMappings = [];
+    this.styles = [];
+    this.stylePath = source.modulePath || source.path || '';
+
+    const imports = ast.imports || [];
+
+    // Components declared in or imported into this file can be referenced
+    // directly from JSX
+    this.componentNames = new Set([
+      ...ast.declarations
+        .filter(declaration => declaration.type === 'Component')
+        .map(declaration => declaration.name),
+      ...imports.flatMap(importNode => importNode.specifiers.map(specifier => specifier.local))
+    ]);
+    this.exportedNames = new Set(getModuleExports(ast).keys());
+    this.declarations = new Map([
+      ...(source.importedDeclarations || []),
+      ...ast.declarations.filter(Boolean).map(declaration => [declaration.name, declaration])
+    ]);
 
     // Add runtime imports and setup
     this.emitLine('// Generated by TodoLang Compiler');
     this.emitLine('// Do not edit this file directly');
     this.emitLine('');
-    this.emitLine('import { TodoLangRuntime, Component, StateManager, VirtualDOM } from "./runtime/index.js";');
+    const runtimeImports = ['TodoLangRuntime', 'Component', 'StateManager', 'VirtualDOM'];
+    if (ast.declarations.some(declaration => this.hasConstraints(declaration))) {
+      runtimeImports.push('validators', 'validateFields');
+    }
+    if (ast.declarations.some(declaration => this.needsValuesEqual(declaration))) {
+      runtimeImports.push('valuesEqual');
+    }
+    this.emitLine(`import { ${runtimeImports.join(', ')} } from "${this.getRuntimePath(source.modulePath)}";`);
+    for (const importNode of imports) {
+      this.compileImport(importNode, source.modulePath);
+    }
     this.emitLine('');
 
     // Compile all declarations
@@ -109,20 +443,55 @@ export class TodoLangCompiler {
       this.emitLine('');
     }
 
-    const code = this.output.join('\n');
+    const code = this.resolveSourceMappings(this.output.join('\n'));
+    const css = this.styles.join('\n');
 
     if (this.options.generateSourceMaps) {
       return {
         code,
+        css,
         sourceMap: this.sourceMap.generate()
       };
     }
 
-    return { code };
+    return { code, css };
+  }
+
+  /**
+   * Path of the runtime module relative to the compiled file; output keeps
+   * the source directory layout with the runtime at its root
+   */
+  getRuntimePath(modulePath = null) {
+    const depth = modulePath ? modulePath.split('/').length - 1 : 0;
+    return depth > 0 ? `${'../'.repeat(depth)}runtime/index.js` : './runtime/index.js';
+  }
+
+  /**
+   * Compile an import declaration. Resolved imports point at the compiled
+   * .js file of the imported module.
+   */
+  compileImport(node, modulePath = null) {
+    const specifier = node.resolvedPath && modulePath
+      ? getImportSpecifier(modulePath, node.resolvedPath)
+      : node.source;
+    const bindings = node.specifiers.map(({ imported, local }) => (
+      imported === local ? imported : `${imported} as ${local}`
+    ));
+
+    this.addSourceMapping(node);
+    this.emitLine(`import { ${bindings.join(', ')} } from ${JSON.stringify(specifier)};`);
   }
 
   /**
-   * Compile a declaration (component, model, or service)
+   * `export ` for declarations the module exports
+   */
+  getExportKeyword(node) {
+    return this.exportedNames.has(node.name) ? 'export ' : '';
+  }
+
+  /**
+   * Compile a declaration (component, model, service, enum, or a kind
+   * added by a plugin)
    */
   compileDeclaration(node) {
     this.addSourceMapping(node);
@@ -133,44 +502,97 @@ export class TodoLangCompiler {
         return this.compileModel(node);
       case 'Service':
         return this.compileService(node);
-      default:
-        throw new CompilerError(`Unknown declaration type: ${node.type}`, node);
+      case 'Enum':
+        return this.compileEnum(node);
+    }
+
+    const custom = this.declarationCompilers.get(node.type);
+    if (!custom) {
+      throw new CompilerError(`Unknown declaration type: ${node.type}`, node);
     }
+    return this.runPluginHook(custom.plugin, () => custom.compile(node, this));
   }
 
   /**
    * Compile a component declaration
    */
   compileComponent(node) {
-    this.emitLine(`export class ${node.name} extends Component {`);
+    // DOM elements of a component with a style block carry its scope attribute
+    this.styleScope = node.style ? getStyleScope(node.name, this.stylePath) : null;
+    if (node.style) {
+      this.styles.push(`/* ${node.name} */\n${scopeStyles(node.style.css, this.styleScope)}`);
+    }
+
+    this.emitLine(`${this.getExportKeyword(node)}class ${node.name} extends Component {`);
     this.indent();
 
-    // Generate constructor with state initialization
-    if (node.stateDeclaration) {
-      this.emitLine('constructor(props = {}) {');
+    if (node.propsDeclaration) {
+      this.compilePropTypes(node.propsDeclaration);
+    }
+
+    // Bound methods are prototype methods that TodoLangRuntime.bindMethods
+    // gives each instance a bound function for
+    const boundMethods = node.methods.filter(method => method.isBound).map(method => method.name);
+    if (boundMethods.length > 0) {
+      this.emitLine('static get boundMethods() {');
       this.indent();
-      this.emitLine('super(props);');
-      this.emitLine('this.initializeState();');
+      this.emitLine(`return ${JSON.stringify(boundMethods)};`);
       this.dedent();
       this.emitLine('}');
       this.emitLine('');
+    }
 
-      // Generate state initialization method
-      this.compileStateInitialization(node.stateDeclaration);
-    } else {
-      this.emitLine('constructor(props = {}) {');
+    // Props get their defaults before the base class stores them
+    const resolveProps = props =>
+      `TodoLangRuntime.resolveProps(${node.name}, ${props}${this.options.development ? ', { validate: true }' : ''})`;
+    const superProps = node.propsDeclaration ? resolveProps('props') : 'props';
+
+    // Generate constructor with state and watcher initialization
+    this.emitLine('constructor(props = {}) {');
+    this.indent();
+    this.emitLine(`super(${superProps});`);
+    if (boundMethods.length > 0) {
+      this.emitLine('TodoLangRuntime.bindMethods(this);');
+    }
+    if (node.stateDeclaration) {
+      this.emitLine('this.initializeState();');
+    }
+    if (node.watchers.length > 0) {
+      this.emitLine('this.initializeWatchers();');
+    }
+    this.dedent();
+    this.emitLine('}');
+    this.emitLine('');
+
+    // Props passed by a re-rendering parent need their defaults too
+    if (node.propsDeclaration) {
+      this.emitLine('receiveProps(nextProps) {');
       this.indent();
-      this.emitLine('super(props);');
+      this.emitLine(`super.receiveProps(${resolveProps('nextProps')});`);
       this.dedent();
       this.emitLine('}');
       this.emitLine('');
     }
 
+    if (node.stateDeclaration) {
+      // Generate state initialization method
+      this.compileStateInitialization(node.stateDeclaration);
+    }
+
+    if (node.watchers.length > 0) {
+      this.compileWatchers(node.watchers);
+    }
+
     // Compile computed properties
     for (const computed of node.computedProperties) {
       this.compileComputedProperty(computed);
     }
 
+    // Compile lifecycle blocks into the TodoLangComponent hooks
+    for (const hook of node.lifecycleHooks) {
+      this.compileMethod(new MethodNode(hook.hook, hook.parameters, hook.body, false, false, hook.location));
+    }
+
     // Compile methods
     for (const method of node.methods) {
       this.compileMethod(method);
@@ -183,6 +605,73 @@ export class TodoLangCompiler {
 
     this.dedent();
     this.emitLine('}');
+    this.styleScope = null;
+  }
+
+  /**
+   * Compile `watch` blocks into `initializeWatchers()`, which subscribes
+   * each one through TodoLangComponent.watchState. The component removes
+   * the subscriptions when it unmounts.
+   */
+  compileWatchers(watchers) {
+    this.emitLine('initializeWatchers() {');
+    this.indent();
+
+    for (const watcher of watchers) {
+      const params = watcher.parameters.map(p => this.compileParameter(p)).join(', ');
+      this.addSourceMapping(watcher);
+      this.emitLine(`this.watchState(${JSON.stringify(watcher.path)}, (${params}) => {`);
+      this.indent();
+      for (const statement of watcher.body) {
+        this.compileStatement(statement);
+      }
+      this.dedent();
+      this.emitLine('});');
+    }
+
+    this.dedent();
+    this.emitLine('}');
+    this.emitLine('');
+  }
+
+  /**
+   * Compile a props block into `static get propTypes()`, read by
+   * TodoLangRuntime.resolveProps. A getter, so defaults are fresh for each
+   * instance and may reference declarations that come later in the file.
+   */
+  compilePropTypes(propsNode) {
+    this.emitLine('static get propTypes() {');
+    this.indent();
+    this.emitLine('return {');
+    this.indent();
+
+    propsNode.properties.forEach((property, index) => {
+      const type = property.type;
+      const entries = [`type: ${JSON.stringify(type.name)}`];
+      if (type.isArray) {
+        entries.push('array: true');
+      }
+
+      const declaration = this.declarations.get(type.name);
+      if (declaration && declaration.type === 'Enum') {
+        entries.push(`values: ${type.name}.values()`);
+      }
+
+      if (property.defaultValue) {
+        entries.push(`default: ${this.compileExpression(property.defaultValue)}`);
+      } else if (!type.isOptional) {
+        entries.push('required: true');
+      }
+
+      const separator = index < propsNode.properties.length - 1 ? ',' : '';
+      this.emitLine(`${property.name}: { ${entries.join(', ')} }${separator}`);
+    });
+
+    this.dedent();
+    this.emitLine('};');
+    this.dedent();
+    this.emitLine('}');
+    this.emitLine('');
   }
 
   /**
@@ -238,6 +727,7 @@ export class TodoLangCompiler {
    * Compile a computed property
    */
   compileComputedProperty(node) {
+    this.addSourceMapping(node);
     this.emitLine(`get ${node.name}() {`);
     this.indent();
 
@@ -255,9 +745,11 @@ export class TodoLangCompiler {
    */
   compileMethod(node) {
     const staticKeyword = node.isStatic ? 'static ' : '';
-    const params = node.parameters.map(p => p.name).join(', ');
+    const asyncKeyword = node.isAsync ? 'async ' : '';
+    const params = node.parameters.map(p => this.compileParameter(p)).join(', ');
 
-    this.emitLine(`${staticKeyword}${node.name}(${params}) {`);
+    this.addSourceMapping(node);
+    this.emitLine(`${staticKeyword}${asyncKeyword}${node.name}(${params}) {`);
     this.indent();
 
     for (const statement of node.body) {
@@ -273,18 +765,19 @@ export class TodoLangCompiler {
    * Compile render method
    */
   compileRenderMethod(node) {
+    this.addSourceMapping(node);
     this.emitLine('render() {');
     this.indent();
 
     // Find the JSX return statement
+    const isJSX = expression => expression.type === 'JSXElement' || expression.type === 'JSXFragment';
     for (const statement of node.body) {
-      if (statement.type === 'ExpressionStatement' &&
-          statement.expression.type === 'JSXElement') {
-        this.emitLine('return ' + this.compileJSXElement(statement.expression) + ';');
+      if (statement.type === 'ExpressionStatement' && isJSX(statement.expression)) {
+        this.emitLine('return ' + this.compileExpression(statement.expression) + ';');
       } else if (statement.type === 'Return' &&
                  statement.expression &&
-                 statement.expression.type === 'JSXElement') {
-        this.emitLine('return ' + this.compileJSXElement(statement.expression) + ';');
+                 isJSX(statement.expression)) {
+        this.emitLine('return ' + this.compileExpression(statement.expression) + ';');
       } else {
         this.compileStatement(statement);
       }
@@ -299,12 +792,12 @@ export class TodoLangCompiler {
    * Compile a model declaration
    */
   compileModel(node) {
-    this.emitLine(`export class ${node.name} {`);
+    this.emitLine(`${this.getExportKeyword(node)}class ${node.name} {`);
     this.indent();
 
-    // Generate constructor
-    const constructorParams = node.properties
-      .filter(p => !p.defaultValue)
+    // Generate constructor, taking the fields without defaults and then
+    // the ones with defaults
+    const constructorParams = this.getConstructorFields(node)
       .map(p => p.name)
       .join(', ');
 
@@ -320,10 +813,24 @@ export class TodoLangCompiler {
       }
     }
 
+    for (const name of this.getTrimmedFields(node)) {
+      this.emitLine(`if (typeof this.${name} === "string") {`);
+      this.indent();
+      this.emitLine(`this.${name} = this.${name}.trim();`);
+      this.dedent();
+      this.emitLine('}');
+    }
+
     this.dedent();
     this.emitLine('}');
     this.emitLine('');
 
+    if (this.hasConstraints(node)) {
+      this.compileModelValidation(node);
+    }
+
+    this.compileModelSerialization(node);
+
     // Compile methods
     for (const method of node.methods) {
       this.compileMethod(method);
@@ -333,11 +840,225 @@ export class TodoLangCompiler {
     this.emitLine('}');
   }
 
+  /**
+   * Model fields in the order of the constructor's parameters
+   */
+  getConstructorFields(node) {
+    return [
+      ...node.properties.filter(property => !property.defaultValue),
+      ...node.properties.filter(property => property.defaultValue)
+    ];
+  }
+
+  hasConstraints(node) {
+    return node.type === 'Model' && node.properties.some(property => property.constraints.length > 0);
+  }
+
+  getTrimmedFields(node) {
+    return node.properties
+      .filter(property => property.constraints.some(constraint => constraint.name === 'trim'))
+      .map(property => property.name);
+  }
+
+  /**
+   * Compile field constraints into `static validators`, usable with
+   * FormValidator.registerField, and static and instance validate() methods
+   * returning FormValidator.validateAll results. Methods the model declares
+   * itself are kept.
+   */
+  compileModelValidation(node) {
+    const name = node.name;
+
+    this.emitLine('static validators = {');
+    this.indent();
+    const fields = node.properties
+      .map(property => [property.name, property.constraints.filter(constraint => constraint.name !== 'trim')])
+      .filter(([, constraints]) => constraints.length > 0);
+    fields.forEach(([field, constraints], index) => {
+      const validators = constraints.map(constraint => this.compileConstraint(constraint)).join(', ');
+      this.emitLine(`${field}: [${validators}]${index < fields.length - 1 ? ',' : ''}`);
+    });
+    this.dedent();
+    this.emitLine('};');
+    this.emitLine('');
+
+    const declares = isStatic => node.methods.some(method => method.name === 'validate' && method.isStatic === isStatic);
+    const trimmed = this.getTrimmedFields(node);
+    const options = trimmed.length > 0 ? `, { trim: ${JSON.stringify(trimmed)} }` : '';
+
+    if (!declares(true)) {
+      this.emitLine('static validate(values) {');
+      this.indent();
+      this.emitLine(`return validateFields(values, ${name}.validators${options});`);
+      this.dedent();
+      this.emitLine('}');
+      this.emitLine('');
+    }
+
+    if (!declares(false)) {
+      this.emitLine('validate() {');
+      this.indent();
+      this.emitLine(`return ${name}.validate(this);`);
+      this.dedent();
+      this.emitLine('}');
+      this.emitLine('');
+    }
+  }
+
+  /**
+   * Whether a model declares a method itself, so the generated one is skipped
+   */
+  declaresMethod(node, name, isStatic = false) {
+    return node.methods.some(method => method.name === name && method.isStatic === isStatic);
+  }
+
+  /**
+   * Fields compared with `===` in a generated equals() - primitives and enums
+   */
+  isPrimitiveField(property) {
+    const type = property.type;
+    if (!type || type.isArray) return false;
+
+    const declaration = this.declarations.get(type.name);
+    return ['string', 'number', 'boolean'].includes(type.name) || Boolean(declaration && declaration.type === 'Enum');
+  }
+
+  needsValuesEqual(node) {
+    return node.type === 'Model' &&
+      !this.declaresMethod(node, 'equals') &&
+      node.properties.some(property => !this.isPrimitiveField(property));
+  }
+
+  /**
+   * Expression reviving a JSON value of a field's type: Dates are rebuilt,
+   * models go through their fromJSON() and enums through parse(). Returns
+   * null when the value is used as is.
+   */
+  compileFieldRevival(type, value) {
+    if (!type) return null;
+
+    const revive = element => {
+      const declaration = this.declarations.get(type.name);
+      if (type.name === 'Date') return `new Date(${element})`;
+      if (declaration && declaration.type === 'Model') return `${type.name}.fromJSON(${element})`;
+      if (declaration && declaration.type === 'Enum') return `${type.name}.parse(${element})`;
+      return null;
+    };
+
+    if (type.isArray) {
+      const element = revive('item');
+      return element ? `${value}.map(item => ${element})` : `${value}.slice()`;
+    }
+    return revive(value);
+  }
+
+  /**
+   * Generate toJSON(), static fromJSON(), clone() and structural equals()
+   * from the declared fields, skipping any the model declares itself
+   */
+  compileModelSerialization(node) {
+    const name = node.name;
+
+    if (!this.declaresMethod(node, 'toJSON')) {
+      this.emitLine('toJSON() {');
+      this.indent();
+      this.emitLine('return {');
+      this.indent();
+      node.properties.forEach((property, index) => {
+        this.emitLine(`${property.name}: this.${property.name}${index < node.properties.length - 1 ? ',' : ''}`);
+      });
+      this.dedent();
+      this.emitLine('};');
+      this.dedent();
+      this.emitLine('}');
+      this.emitLine('');
+    }
+
+    // Builds the instance from named fields rather than the constructor's
+    // positional parameters. Missing fields get their default; null is kept,
+    // as it is not revived
+    if (!this.declaresMethod(node, 'fromJSON', true)) {
+      this.emitLine('static fromJSON(data) {');
+      this.indent();
+      this.emitLine('if (data === null || typeof data !== "object") {');
+      this.indent();
+      this.emitLine(`throw new TypeError(\`${name}.fromJSON expects an object, got \${data}\`);`);
+      this.dedent();
+      this.emitLine('}');
+      this.emitLine(`const instance = Object.create(${name}.prototype);`);
+      for (const property of node.properties) {
+        const value = `data.${property.name}`;
+        const revived = this.compileFieldRevival(property.type, value);
+        const fallback = property.defaultValue ? this.compileExpression(property.defaultValue) : null;
+
+        if (revived && fallback) {
+          this.emitLine(`instance.${property.name} = ${value} === undefined ? ${fallback} : ${value} === null ? null : ${revived};`);
+        } else if (revived) {
+          this.emitLine(`instance.${property.name} = ${value} != null ? ${revived} : ${value};`);
+        } else if (fallback) {
+          this.emitLine(`instance.${property.name} = ${value} !== undefined ? ${value} : ${fallback};`);
+        } else {
+          this.emitLine(`instance.${property.name} = ${value};`);
+        }
+      }
+      this.emitLine('return instance;');
+      this.dedent();
+      this.emitLine('}');
+      this.emitLine('');
+    }
+
+    if (!this.declaresMethod(node, 'clone')) {
+      this.emitLine('clone() {');
+      this.indent();
+      this.emitLine(`return ${name}.fromJSON(this.toJSON());`);
+      this.dedent();
+      this.emitLine('}');
+      this.emitLine('');
+    }
+
+    if (!this.declaresMethod(node, 'equals')) {
+      const comparisons = node.properties.map(property => this.isPrimitiveField(property)
+        ? `this.${property.name} === other.${property.name}`
+        : `valuesEqual(this.${property.name}, other.${property.name})`);
+
+      this.emitLine('equals(other) {');
+      this.indent();
+      if (comparisons.length === 0) {
+        this.emitLine(`return other instanceof ${name};`);
+      } else {
+        this.emitLine(`return other instanceof ${name} &&`);
+        this.indent();
+        comparisons.forEach((comparison, index) => {
+          this.emitLine(`${comparison}${index < comparisons.length - 1 ? ' &&' : ';'}`);
+        });
+        this.dedent();
+      }
+      this.dedent();
+      this.emitLine('}');
+      this.emitLine('');
+    }
+  }
+
+  /**
+   * Compile a field constraint to a call of the matching `validators` factory
+   */
+  compileConstraint(node) {
+    const args = node.name === 'oneOf'
+      ? [`[${node.arguments.map(arg => this.compileExpression(arg)).join(', ')}]`]
+      : node.arguments.map(arg => this.compileExpression(arg));
+
+    if (node.message !== null) {
+      args.push(JSON.stringify(node.message));
+    }
+
+    return `validators.${node.name}(${args.join(', ')})`;
+  }
+
   /**
    * Compile a service declaration
    */
   compileService(node) {
-    this.emitLine(`export class ${node.name} {`);
+    this.emitLine(`${this.getExportKeyword(node)}class ${node.name} {`);
     this.indent();
 
     // Services are typically singletons
@@ -364,6 +1085,54 @@ export class TodoLangCompiler {
     this.emitLine('}');
   }
 
+  /**
+   * Compile an enum declaration into a frozen class with one static field per
+   * member and values(), isValid() and parse() helpers
+   */
+  compileEnum(node) {
+    const name = node.name;
+
+    this.emitLine(`${this.getExportKeyword(node)}class ${name} {`);
+    this.indent();
+
+    for (const member of node.members) {
+      this.emitLine(`static ${member.name} = ${JSON.stringify(member.value.value)};`);
+    }
+    this.emitLine('');
+
+    const members = node.members.map(member => `${name}.${member.name}`).join(', ');
+    this.emitLine('static values() {');
+    this.indent();
+    this.emitLine(`return [${members}];`);
+    this.dedent();
+    this.emitLine('}');
+    this.emitLine('');
+
+    this.emitLine('static isValid(value) {');
+    this.indent();
+    this.emitLine(`return ${name}.values().includes(value);`);
+    this.dedent();
+    this.emitLine('}');
+    this.emitLine('');
+
+    // Accepts raw values from storage or URLs, so "1" parses to a numeric member
+    this.emitLine('static parse(value) {');
+    this.indent();
+    this.emitLine(`const member = ${name}.values().find(candidate => String(candidate) === String(value));`);
+    this.emitLine('if (member === undefined) {');
+    this.indent();
+    this.emitLine(`throw new Error(\`Invalid ${name}: \${value}\`);`);
+    this.dedent();
+    this.emitLine('}');
+    this.emitLine('return member;');
+    this.dedent();
+    this.emitLine('}');
+
+    this.dedent();
+    this.emitLine('}');
+    this.emitLine(`Object.freeze(${name});`);
+  }
+
   /**
    * Compile a statement
    */
@@ -373,6 +1142,11 @@ export class TodoLangCompiler {
     switch (node.type) {
       case 'Block':
         return this.compileBlockStatement(node);
+    }
+
+    this.addSourceMapping(node);
+
+    switch (node.type) {
       case 'ExpressionStatement':
         this.emitLine(this.compileExpression(node.expression) + ';');
         break;
@@ -382,6 +1156,10 @@ export class TodoLangCompiler {
         return this.compileForStatement(node);
       case 'While':
         return this.compileWhileStatement(node);
+      case 'DoWhile':
+        return this.compileDoWhileStatement(node);
+      case 'Switch':
+        return this.compileSwitchStatement(node);
       case 'Return':
         return this.compileReturnStatement(node);
       case 'Break':
@@ -390,6 +1168,11 @@ export class TodoLangCompiler {
       case 'Continue':
         this.emitLine('continue;');
         break;
+      case 'Try':
+        return this.compileTryStatement(node);
+      case 'Throw':
+        this.emitLine(`throw ${this.compileExpression(node.expression)};`);
+        break;
       case 'VariableDeclaration':
         return this.compileVariableDeclaration(node);
       default:
@@ -440,15 +1223,15 @@ export class TodoLangCompiler {
       // This is a for-in/for-of loop
       let variable;
       if (node.init && node.init.type === 'VariableDeclaration') {
-        // Extract variable name from declaration
-        variable = node.init.declarations[0].id.name;
+        // Extract variable name or pattern from declaration
+        variable = this.compilePattern(node.init.declarations[0].id);
       } else if (node.init && node.init.type === 'Identifier') {
         variable = node.init.name;
       } else {
         variable = 'item';
       }
       const iterable = this.compileExpression(node.condition);
-      this.emitLine(`for (const ${variable} of ${iterable}) {`);
+      this.emitLine(`for ${node.isAwait ? 'await ' : ''}(const ${variable} of ${iterable}) {`);
     } else {
       // Regular for loop
       const init = node.init ? this.compileStatement(node.init) : '';
@@ -475,6 +1258,42 @@ export class TodoLangCompiler {
     this.emitLine('}');
   }
 
+  /**
+   * Compile do-while statement
+   */
+  compileDoWhileStatement(node) {
+    this.emitLine('do {');
+    this.indent();
+    // A block body's braces are the loop's own
+    const statements = node.body.type === 'Block' ? node.body.statements : [node.body];
+    for (const statement of statements) {
+      this.compileStatement(statement);
+    }
+    this.dedent();
+    this.emitLine(`} while (${this.compileExpression(node.condition)});`);
+  }
+
+  /**
+   * Compile switch statement
+   */
+  compileSwitchStatement(node) {
+    this.emitLine(`switch (${this.compileExpression(node.discriminant)}) {`);
+    this.indent();
+
+    for (const switchCase of node.cases) {
+      this.addSourceMapping(switchCase);
+      this.emitLine(switchCase.test ? `case ${this.compileExpression(switchCase.test)}:` : 'default:');
+      this.indent();
+      for (const statement of switchCase.consequent) {
+        this.compileStatement(statement);
+      }
+      this.dedent();
+    }
+
+    this.dedent();
+    this.emitLine('}');
+  }
+
   /**
    * Compile return statement
    */
@@ -487,13 +1306,46 @@ export class TodoLangCompiler {
     }
   }
 
+  /**
+   * Compile try/catch/finally statement
+   */
+  compileTryStatement(node) {
+    this.emitLine('try {');
+    this.indent();
+    for (const statement of node.block.statements) {
+      this.compileStatement(statement);
+    }
+    this.dedent();
+
+    if (node.handler) {
+      const param = node.handler.param ? ` (${node.handler.param.name})` : '';
+      this.emitLine(`} catch${param} {`);
+      this.indent();
+      for (const statement of node.handler.body.statements) {
+        this.compileStatement(statement);
+      }
+      this.dedent();
+    }
+
+    if (node.finalizer) {
+      this.emitLine('} finally {');
+      this.indent();
+      for (const statement of node.finalizer.statements) {
+        this.compileStatement(statement);
+      }
+      this.dedent();
+    }
+
+    this.emitLine('}');
+  }
+
   /**
    * Compile variable declaration
    */
   compileVariableDeclaration(node) {
     for (const declarator of node.declarations) {
       const init = declarator.init ? ' = ' + this.compileExpression(declarator.init) : '';
-      this.emitLine(`${node.kind} ${declarator.id.name}${init};`);
+      this.emitLine(`${node.kind} ${this.compilePattern(declarator.id)}${init};`);
     }
   }
 
@@ -509,11 +1361,29 @@ export class TodoLangCompiler {
       return '';
     }
 
+    const name = node.type === 'Identifier' ? node.name : null;
+    return this.markSourceLocation(node, name) + this.compileExpressionNode(node);
+  }
+
+  /**
+   * Compile an expression node by type
+   */
+  compileExpressionNode(node) {
+    // Plugin codegen hooks go first, in registration order
+    for (const custom of this.expressionCompilers.get(node.type) || []) {
+      const code = this.runPluginHook(custom.plugin, () => custom.compile(node, this));
+      if (code !== undefined) {
+        return code;
+      }
+    }
+
     switch (node.type) {
       case 'BinaryExpression':
         return this.compileBinaryExpression(node);
       case 'UnaryExpression':
         return this.compileUnaryExpression(node);
+      case 'AwaitExpression':
+        return `await ${this.compileOperand(node.argument, this.getPrecedence(node))}`;
       case 'Assignment':
         return this.compileAssignmentExpression(node);
       case 'Conditional':
@@ -534,18 +1404,26 @@ export class TodoLangCompiler {
         return node.value.toString();
       case 'NullLiteral':
         return 'null';
+      case 'RegexLiteral':
+        return `/${node.pattern}/${node.flags}`;
+      case 'TemplateLiteral':
+        return this.compileTemplateLiteral(node);
       case 'ArrayLiteral':
         return this.compileArrayLiteral(node);
       case 'ObjectLiteral':
         return this.compileObjectLiteral(node);
       case 'JSXElement':
         return this.compileJSXElement(node);
+      case 'JSXFragment':
+        return `this.createFragment(${this.compileJSXChildren(node.children)})`;
       case 'JSXExpression':
         return this.compileExpression(node.expression);
       case 'ArrowFunction':
         return this.compileArrowFunction(node);
       case 'NewExpression':
         return this.compileNewExpression(node);
+      case 'SpreadElement':
+        return `...${this.compileExpression(node.argument)}`;
       default:
         throw new CompilerError(`Unknown expression type: ${node.type}`, node);
     }
@@ -555,21 +1433,70 @@ export class TodoLangCompiler {
    * Compile binary expression
    */
   compileBinaryExpression(node) {
-    const left = this.compileExpression(node.left);
-    const right = this.compileExpression(node.right);
+    const precedence = OperatorPrecedence[node.operator.type];
+    const left = this.compileOperand(node.left, precedence, false, node);
+    const right = this.compileOperand(node.right, precedence, true, node);
     const operator = node.operator.value;
     return `${left} ${operator} ${right}`;
   }
 
+  /**
+   * Compile an operand, restoring the parentheses the parser dropped when it
+   * binds looser than the operator it is used with
+   */
+  compileOperand(node, precedence, isRightOperand = false, parent = null) {
+    const code = this.compileExpression(node);
+    const operandPrecedence = this.getPrecedence(node);
+
+    // Binary operators are left-associative, so an equal-precedence right operand was grouped
+    if (operandPrecedence < precedence || (isRightOperand && operandPrecedence === precedence)) {
+      return `(${code})`;
+    }
+
+    // JavaScript rejects '??' mixed with '||' or '&&' unless one side is parenthesized
+    if (parent && this.isNullishMix(parent, node)) {
+      return `(${code})`;
+    }
+    return code;
+  }
+
+  isNullishMix(parent, operand) {
+    if (parent.type !== 'BinaryExpression' || operand.type !== 'BinaryExpression') {
+      return false;
+    }
+
+    const isNullish = node => node.operator.type === TokenType.NULLISH_COALESCING;
+    const isLogical = node => node.operator.type === TokenType.LOGICAL_OR || node.operator.type === TokenType.LOGICAL_AND;
+    return (isNullish(parent) && isLogical(operand)) || (isLogical(parent) && isNullish(operand));
+  }
+
+  getPrecedence(node) {
+    switch (node.type) {
+      case 'Assignment':
+      case 'Conditional':
+      case 'ArrowFunction':
+        return 0;
+      case 'BinaryExpression':
+        return OperatorPrecedence[node.operator.type];
+      case 'AwaitExpression':
+        return OperatorPrecedence[TokenType.LOGICAL_NOT];
+      case 'UnaryExpression':
+        return node.isPrefix ? OperatorPrecedence[TokenType.LOGICAL_NOT] : OperatorPrecedence[TokenType.INCREMENT];
+      default:
+        return Infinity;
+    }
+  }
+
   /**
    * Compile unary expression
    */
   compileUnaryExpression(node) {
-    const operand = this.compileExpression(node.operand);
+    const operand = this.compileOperand(node.operand, this.getPrecedence(node));
     const operator = node.operator.value;
 
     if (node.isPrefix) {
-      return `${operator}${operand}`;
+      // Keyword operators such as typeof need a space before the operand
+      return /^[a-z]/.test(operator) ? `${operator} ${operand}` : `${operator}${operand}`;
     } else {
       return `${operand}${operator}`;
     }
@@ -599,26 +1526,40 @@ export class TodoLangCompiler {
    * Compile call expression
    */
   compileCallExpression(node) {
-    const callee = this.compileExpression(node.callee);
+    const callee = this.compileOperand(node.callee, Infinity);
     const args = node.arguments.map(arg => this.compileExpression(arg)).join(', ');
-    return `${callee}(${args})`;
+    return `${callee}${node.optional ? '?.' : ''}(${args})`;
   }
 
   /**
    * Compile member expression
    */
   compileMemberExpression(node) {
-    const object = this.compileExpression(node.object);
+    const object = this.compileOperand(node.object, Infinity);
 
     if (node.computed) {
       const property = this.compileExpression(node.property);
-      return `${object}[${property}]`;
+      return `${object}${node.optional ? '?.' : ''}[${property}]`;
     } else {
       const property = node.property.name || this.compileExpression(node.property);
-      return `${object}.${property}`;
+      return `${object}${node.optional ? '?.' : '.'}${property}`;
     }
   }
 
+  /**
+   * Compile template literal, re-escaping the cooked text chunks
+   */
+  compileTemplateLiteral(node) {
+    const escape = text => text.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${').replace(/\r/g, '\\r');
+    let code = '`' + escape(node.quasis[0]);
+
+    node.expressions.forEach((expression, index) => {
+      code += '${' + this.compileExpression(expression) + '}' + escape(node.quasis[index + 1]);
+    });
+
+    return code + '`';
+  }
+
   /**
    * Compile array literal
    */
@@ -631,7 +1572,20 @@ export class TodoLangCompiler {
    * Compile object literal
    */
   compileObjectLiteral(node) {
+    // `Model { ... }` builds a model instance from its named fields
+    const declaration = node.typeName && this.declarations.get(node.typeName);
+    if (declaration && declaration.type === 'Model') {
+      return `${node.typeName}.fromJSON(${this.compilePlainObjectLiteral(node)})`;
+    }
+    return this.compilePlainObjectLiteral(node);
+  }
+
+  compilePlainObjectLiteral(node) {
     const properties = node.properties.map(prop => {
+      if (prop.type === 'SpreadElement') {
+        return this.compileExpression(prop);
+      }
+
       let key;
       if (typeof prop.key === 'string') {
         key = prop.key;
@@ -652,17 +1606,82 @@ export class TodoLangCompiler {
    * Compile arrow function
    */
   compileArrowFunction(node) {
-    const params = node.params.map(param => param.name).join(', ');
+    const params = node.params.map(param => this.compilePattern(param)).join(', ');
+    const asyncKeyword = node.isAsync ? 'async ' : '';
 
     if (node.body.type === 'Block') {
-      const body = this.compileBlockStatement(node.body);
-      return `(${params}) => ${body}`;
+      const body = this.compileInlineBlock(node.body);
+      return `${asyncKeyword}(${params}) => ${body}`;
     } else {
       const body = this.compileExpression(node.body);
-      return `(${params}) => ${body}`;
+      return `${asyncKeyword}(${params}) => ${body}`;
     }
   }
 
+  /**
+   * Compile a method parameter: rest, destructured and default values
+   */
+  compileParameter(node) {
+    const target = node.pattern ? this.compilePattern(node.pattern) : node.name;
+    if (node.isRest) {
+      return `...${target}`;
+    }
+    return node.defaultValue ? `${target} = ${this.compileExpression(node.defaultValue)}` : target;
+  }
+
+  /**
+   * Compile a binding target - identifiers and destructuring patterns
+   */
+  compilePattern(node) {
+    switch (node.type) {
+      case 'Identifier':
+        return node.name;
+      case 'ObjectPattern': {
+        const properties = node.properties.map(property => {
+          if (property.type === 'RestElement') {
+            return this.compilePattern(property);
+          }
+          // `{ done = true }` is shorthand for `{ done: done = true }`
+          const target = property.value.type === 'AssignmentPattern' ? property.value.left : property.value;
+          const value = this.compilePattern(property.value);
+          return target.type === 'Identifier' && target.name === property.key ? value : `${property.key}: ${value}`;
+        });
+        return properties.length > 0 ? `{ ${properties.join(', ')} }` : '{}';
+      }
+      case 'ArrayPattern':
+        // A trailing hole needs its own comma: [a, ,] skips the second element
+        return `[${node.elements.map(element => (element ? this.compilePattern(element) : '')).join(', ')}${node.elements[node.elements.length - 1] === null ? ',' : ''}]`;
+      case 'RestElement':
+        return `...${this.compilePattern(node.argument)}`;
+      case 'AssignmentPattern':
+        return `${this.compilePattern(node.left)} = ${this.compileExpression(node.right)}`;
+      default:
+        throw new CompilerError(`Unknown pattern type: ${node.type}`, node);
+    }
+  }
+
+  /**
+   * Compile a block used inside an expression (arrow function bodies).
+   * Blocks are emitted line by line, so the lines are captured and returned
+   * as a string that is spliced into the enclosing line.
+   */
+  compileInlineBlock(node) {
+    const output = this.output;
+    const pendingMappings = this.pendingMappings;
+    const currentLine = this.currentLine;
+    this.output = [];
+    this.pendingMappings = [];
+
+    this.compileBlockStatement(node);
+
+    const lines = this.output;
+    this.output = output;
+    this.pendingMappings = pendingMappings;
+    this.currentLine = currentLine;
+
+    return lines.join('\n').trimStart();
+  }
+
   /**
    * Compile new expression
    */
@@ -676,18 +1695,40 @@ export class TodoLangCompiler {
    * Compile JSX element to virtual DOM calls
    */
   compileJSXElement(node) {
-    const tagName = `"${node.tagName}"`;
+    const tagName = this.compileJSXTagName(node.tagName);
 
-    // Compile attributes to props object
+    // Compile attributes to props object, spreads in source order
     let props = '{}';
-    if (node.attributes.length > 0) {
-      const propEntries = node.attributes.map(attr => {
+    const scoped = this.styleScope && !/^[A-Z]/.test(node.tagName);
+    if (node.attributes.length > 0 || scoped) {
+      // bind:value updates state on input, bind:checked on change; an
+      // element's own handler for that event runs after the update
+      const bindingEvent = binding =>
+        binding.property === 'checked' || node.tagName === 'select' ? 'onChange' : 'onInput';
+      const bindings = new Map(node.attributes
+        .filter(attr => attr.type === 'JSXBinding')
+        .map(binding => [bindingEvent(binding), binding]));
+      const bindState = (binding, handler) =>
+        `this.bindState(${JSON.stringify(binding.path)}, "${binding.property}"${handler ? `, ${handler}` : ''})`;
+
+      const propEntries = node.attributes.flatMap(attr => {
+        if (attr.type === 'JSXSpreadAttribute') {
+          return `...${this.compileExpression(attr.argument)}`;
+        }
+
+        if (attr.type === 'JSXBinding') {
+          const value = `${attr.property}: ${this.compileExpression(attr.expression)}`;
+          const event = bindingEvent(attr);
+          const hasHandler = node.attributes.some(other => other.type === 'JSXAttribute' && other.name === event);
+          return hasHandler ? value : [value, `${event}: ${bindState(attr)}`];
+        }
+
         const name = attr.name;
         let value;
 
         if (attr.value === null) {
           // Boolean attribute like <input disabled />
-          value = 'true';
+          value = attr.modifiers.length > 0 ? 'null' : 'true';
         } else if (attr.value.type === 'StringLiteral') {
           value = `"${attr.value.value}"`;
         } else if (attr.value.type === 'JSXExpression') {
@@ -696,19 +1737,44 @@ export class TodoLangCompiler {
           value = this.compileExpression(attr.value);
         }
 
-        return `${name}: ${value}`;
+        // Event handlers run bound to the component, with their modifiers;
+        // inline arrow functions already see the component as `this`
+        const expression = attr.value && attr.value.type === 'JSXExpression' ? attr.value.expression : attr.value;
+        const isArrow = expression && expression.type === 'ArrowFunction';
+        if (/^on[A-Z]/.test(name) && !(expression && expression.type === 'StringLiteral')) {
+          const modifiers = attr.modifiers.length > 0 ? `, ${JSON.stringify(attr.modifiers)}` : '';
+          if (modifiers || !isArrow) {
+            value = `this.bindEvent(${value}${modifiers})`;
+          }
+          if (bindings.has(name)) {
+            value = bindState(bindings.get(name), value);
+          }
+        }
+
+        const key = /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+        return `${key}: ${value}`;
       });
+      // Last, so spread props cannot remove the scope
+      if (scoped) {
+        propEntries.push(`"${this.styleScope}": true`);
+      }
       props = `{ ${propEntries.join(', ')} }`;
     }
 
-    // Compile children
-    const children = node.children.map(child => {
+    // Generate virtual DOM creation call
+    return `this.createElement(${tagName}, ${props}, ${this.compileJSXChildren(node.children)})`;
+  }
+
+  /**
+   * Compile JSX children to an array literal
+   */
+  compileJSXChildren(nodes) {
+    const children = nodes.map(child => {
       if (child.type === 'JSXText') {
-        // Trim whitespace and escape quotes
-        const text = child.value.trim();
-        return text ? `"${text.replace(/"/g, '\\"')}"` : null;
+        // The parser already dropped the space JSX ignores
+        return JSON.stringify(child.value);
       } else if (child.type === 'JSXElement') {
-        return this.compileJSXElement(child);
+        return this.compileExpression(child);
       } else if (child.type === 'JSXExpression') {
         return this.compileExpression(child.expression);
       } else {
@@ -716,10 +1782,24 @@ export class TodoLangCompiler {
       }
     }).filter(child => child !== null);
 
-    const childrenArray = children.length > 0 ? `[${children.join(', ')}]` : '[]';
+    return children.length > 0 ? `[${children.join(', ')}]` : '[]';
+  }
 
-    // Generate virtual DOM creation call
-    return `this.createElement(${tagName}, ${props}, ${childrenArray})`;
+  /**
+   * Compile a JSX tag name. Lowercase tags are DOM elements, PascalCase tags
+   * are components - referenced directly when declared in this file and
+   * looked up in the component registry otherwise.
+   */
+  compileJSXTagName(tagName) {
+    if (!/^[A-Z]/.test(tagName)) {
+      return `"${tagName}"`;
+    }
+
+    if (this.componentNames.has(tagName)) {
+      return tagName;
+    }
+
+    return `this.resolveComponent("${tagName}")`;
   }
 
   /**
@@ -735,6 +1815,13 @@ export class TodoLangCompiler {
    */
   emitLine(code = '') {
     const indentation = '  '.repeat(this.indentLevel);
+
+    // Statement and declaration mappings point at the start of their line
+    if (this.pendingMappings.length > 0) {
+      code = this.pendingMappings.join('') + code;
+      this.pendingMappings = [];
+    }
+
     this.output.push(indentation + code);
     this.currentLine++;
     this.currentColumn = indentation.length + code.length + 1;
@@ -757,19 +1844,80 @@ export class TodoLangCompiler {
   }
 
   /**
-   * Add source mapping
+   * Add source mapping for the next emitted line (statements and declarations)
    */
   addSourceMapping(node) {
-    if (this.options.generateSourceMaps && node && node.location) {
-      this.sourceMap.addMapping(
-        this.currentLine,
-        this.currentColumn,
-        node.location.line,
-        node.location.column
-      );
+    const marker = this.markSourceLocation(node);
+    if (marker) {
+      this.pendingMappings.push(marker);
     }
   }
 
+  /**
+   * Create an inline marker recording the source location of a node.
+   * Expressions are compiled to strings before they are emitted, so their
+   * generated position is only known once the output is assembled; markers
+   * are replaced by mappings in resolveSourceMappings().
+   */
+  markSourceLocation(node, name = null) {
+    if (!this.options.generateSourceMaps || !node || !node.location) {
+      return '';
+    }
+
+    const id = this.sourceLocations.length;
+    this.sourceLocations.push({
+      line: node.location.line,
+      column: Math.max(0, node.location.column - 1),
+      name
+    });
+
+    return `\u0000${id}\u0001`;
+  }
+
+  /**
+   * Strip source location markers from the generated code, adding a
+   * mapping for the position each one occupied
+   */
+  resolveSourceMappings(code) {
+    if (this.sourceLocations.length === 0) {
+      return code;
+    }
+
+    const markerPattern = /\u0000(\d+)\u0001/g;
+    let result = '';
+    let lastIndex = 0;
+    let line = 1;
+    let column = 0;
+    let previous = null;
+    let match;
+
+    while ((match = markerPattern.exec(code)) !== null) {
+      const chunk = code.slice(lastIndex, match.index);
+      const chunkLines = chunk.split('\n');
+
+      if (chunkLines.length > 1) {
+        line += chunkLines.length - 1;
+        column = chunkLines[chunkLines.length - 1].length;
+      } else {
+        column += chunk.length;
+      }
+
+      result += chunk;
+      lastIndex = markerPattern.lastIndex;
+
+      // Nested nodes starting at the same position keep the outermost mapping
+      if (previous && previous.line === line && previous.column === column) {
+        continue;
+      }
+
+      const location = this.sourceLocations[Number(match[1])];
+      this.sourceMap.addMapping(line, column, location.line, location.column, location.name);
+      previous = { line, column };
+    }
+
+    return result + code.slice(lastIndex);
+  }
+
   /**
    * Get current location for source mapping
    */
@@ -0,0 +1,1418 @@
+/**
+ * TodoLang Formatter
+ *
+ * Prints TodoLang source in one canonical layout: two-space indentation,
+ * double-quoted strings, no semicolons or trailing commas, and lines kept
+ * within the print width where the syntax allows a break. The formatter
+ * reads the lexer's tokens, so comments and blank lines survive, and the
+ * parser's AST, so files that do not parse are reported rather than
+ * formatted.
+ */
+
+import { TodoLangLexer } from '../lexer/index.js';
+import { TodoLangParser } from '../parser/index.js';
+import { TokenType } from '../tokens.js';
+import { getNodeType } from '../traverse/index.js';
+
+const INDENT_WIDTH = 2;
+
+// ============================================================================
+// Documents
+// ============================================================================
+
+// The printer first builds a document describing the layout, then prints it
+// for the line width. A document is a string, an array of documents, or one
+// of the commands below. A group prints its lines as spaces (or nothing, for
+// soft lines) when its contents fit on the rest of the line, and as line
+// breaks otherwise. Hard lines always break, and break every enclosing group.
+
+const line = { type: 'line' };
+const softline = { type: 'line', soft: true };
+const hardline = { type: 'line', hard: true };
+
+function group(contents, shouldBreak = false) {
+  return { type: 'group', contents, break: shouldBreak };
+}
+
+function indent(contents) {
+  return { type: 'indent', contents };
+}
+
+/**
+ * Contents printed only when the enclosing group breaks
+ */
+function ifBreak(breakContents, flatContents = '') {
+  return { type: 'ifBreak', breakContents, flatContents };
+}
+
+/**
+ * Contents and separators alternating: each separator breaks only when the
+ * contents after it do not fit on the line, as words in a paragraph
+ */
+function fill(parts) {
+  return { type: 'fill', parts };
+}
+
+/**
+ * Contents moved to the end of the line, for trailing comments
+ */
+function lineSuffix(contents) {
+  return { type: 'lineSuffix', contents };
+}
+
+function join(separator, docs) {
+  const parts = [];
+  docs.forEach((doc, index) => {
+    if (index > 0) parts.push(separator);
+    parts.push(doc);
+  });
+  return parts;
+}
+
+const MODE_BREAK = 'break';
+const MODE_FLAT = 'flat';
+
+/**
+ * Mark every group holding a hard line, or a group that must break, as
+ * broken
+ * @returns {boolean} Whether the document contains a forced break
+ */
+function propagateBreaks(doc) {
+  if (typeof doc === 'string') {
+    return false;
+  }
+  if (Array.isArray(doc)) {
+    let breaks = false;
+    for (const part of doc) {
+      if (propagateBreaks(part)) breaks = true;
+    }
+    return breaks;
+  }
+
+  switch (doc.type) {
+    case 'line':
+      return Boolean(doc.hard);
+    case 'group':
+      if (propagateBreaks(doc.contents)) {
+        doc.break = true;
+      }
+      return doc.break;
+    case 'indent':
+    case 'lineSuffix':
+      return propagateBreaks(doc.contents);
+    case 'fill':
+      return propagateBreaks(doc.parts);
+    case 'ifBreak': {
+      const breaks = propagateBreaks(doc.breakContents);
+      return propagateBreaks(doc.flatContents) || breaks;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Whether a command, followed by the commands after it up to their first
+ * line break, fits in the width
+ */
+function fits(command, rest, width) {
+  const commands = [command];
+  let restIndex = rest.length;
+
+  while (width >= 0) {
+    if (commands.length === 0) {
+      if (restIndex === 0) return true;
+      const [, restMode, restDoc] = rest[--restIndex];
+      commands.push([restMode, restDoc]);
+      continue;
+    }
+
+    const [mode, doc] = commands.pop();
+    if (typeof doc === 'string') {
+      const newline = doc.indexOf('\n');
+      if (newline !== -1) {
+        return width >= newline;
+      }
+      width -= doc.length;
+    } else if (Array.isArray(doc)) {
+      for (let i = doc.length - 1; i >= 0; i--) {
+        commands.push([mode, doc[i]]);
+      }
+    } else {
+      switch (doc.type) {
+        case 'group':
+          commands.push([doc.break ? MODE_BREAK : mode, doc.contents]);
+          break;
+        case 'indent':
+          commands.push([mode, doc.contents]);
+          break;
+        case 'fill':
+          for (let i = doc.parts.length - 1; i >= 0; i--) {
+            commands.push([mode, doc.parts[i]]);
+          }
+          break;
+        case 'ifBreak':
+          commands.push([mode, mode === MODE_BREAK ? doc.breakContents : doc.flatContents]);
+          break;
+        case 'line':
+          if (mode === MODE_BREAK || doc.hard) return true;
+          if (!doc.soft) width -= 1;
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Print a document, breaking groups that do not fit in the width
+ * @param {*} doc - Document to print
+ * @param {number} width - Line width
+ * @returns {string} Printed text
+ */
+function printDocument(doc, width) {
+  propagateBreaks(doc);
+
+  const output = [];
+  let column = 0;
+  let lineSuffixes = [];
+  const commands = [[0, MODE_BREAK, doc]];
+
+  const trimTrailingWhitespace = () => {
+    while (output.length > 0) {
+      const trimmed = output[output.length - 1].replace(/[ \t]+$/, '');
+      if (trimmed) {
+        output[output.length - 1] = trimmed;
+        return;
+      }
+      output.pop();
+    }
+  };
+
+  while (commands.length > 0 || lineSuffixes.length > 0) {
+    if (commands.length === 0) {
+      commands.push(...lineSuffixes.reverse());
+      lineSuffixes = [];
+      continue;
+    }
+
+    const [indentation, mode, current] = commands.pop();
+    if (typeof current === 'string') {
+      output.push(current);
+      const newline = current.lastIndexOf('\n');
+      column = newline === -1 ? column + current.length : current.length - newline - 1;
+    } else if (Array.isArray(current)) {
+      for (let i = current.length - 1; i >= 0; i--) {
+        commands.push([indentation, mode, current[i]]);
+      }
+    } else {
+      switch (current.type) {
+        case 'group': {
+          const flat = [indentation, MODE_FLAT, current.contents];
+          if (current.break) {
+            commands.push([indentation, MODE_BREAK, current.contents]);
+          } else if (mode === MODE_FLAT) {
+            commands.push(flat);
+          } else {
+            commands.push(fits([MODE_FLAT, current.contents], commands, width - column)
+              ? flat
+              : [indentation, MODE_BREAK, current.contents]);
+          }
+          break;
+        }
+        case 'indent':
+          commands.push([indentation + INDENT_WIDTH, mode, current.contents]);
+          break;
+        case 'fill': {
+          // Print the next contents, and break the separator after them
+          // unless the contents after that fit on the line too
+          const [contents, separator, next] = current.parts;
+          if (current.parts.length === 0) break;
+
+          const contentsFit = fits([MODE_FLAT, contents], [], width - column);
+          const contentsCommand = [indentation, contentsFit ? MODE_FLAT : MODE_BREAK, contents];
+          if (current.parts.length === 1) {
+            commands.push(contentsCommand);
+            break;
+          }
+
+          const separatorFlat = current.parts.length > 2 &&
+            fits([MODE_FLAT, [contents, separator, next]], [], width - column);
+          commands.push(
+            [indentation, mode, fill(current.parts.slice(2))],
+            [indentation, separatorFlat ? MODE_FLAT : MODE_BREAK, separator],
+            contentsCommand
+          );
+          break;
+        }
+        case 'ifBreak':
+          commands.push([indentation, mode, mode === MODE_BREAK ? current.breakContents : current.flatContents]);
+          break;
+        case 'lineSuffix':
+          lineSuffixes.push([indentation, mode, current.contents]);
+          break;
+        case 'line':
+          if (mode === MODE_FLAT && !current.hard) {
+            if (!current.soft) {
+              output.push(' ');
+              column++;
+            }
+          } else if (lineSuffixes.length > 0) {
+            // Trailing comments go before the line break
+            commands.push([indentation, mode, current], ...lineSuffixes.reverse());
+            lineSuffixes = [];
+          } else {
+            trimTrailingWhitespace();
+            output.push('\n' + ' '.repeat(indentation));
+            column = indentation;
+          }
+          break;
+        default:
+          throw new Error(`Unknown document command '${current.type}'`);
+      }
+    }
+  }
+
+  trimTrailingWhitespace();
+  return output.join('');
+}
+
+// ============================================================================
+// Source Ranges
+// ============================================================================
+
+/**
+ * Parser that also records where statements, members and declarations start
+ * and end in the source (`range`), which places comments and blank lines,
+ * and the few details of the source the AST leaves out
+ */
+class FormattingParser extends TodoLangParser {
+  constructor(source) {
+    super();
+    this.source = source;
+  }
+
+  tokenText(token) {
+    return this.source.slice(token.start, token.end);
+  }
+}
+
+// Where each ranged node starts: at the next token, or at the keyword the
+// caller already consumed
+const startAtNext = parser => parser.peek();
+const startAtKeyword = parser => parser.previous();
+
+const RANGED_METHODS = {
+  parseDeclaration: startAtNext,
+  parseStatement: startAtNext,
+  parseBlockStatement: startAtKeyword,
+  parseSwitchCase: startAtNext,
+  parseMethodDeclaration: parser => (parser.previous().type === TokenType.STATIC ? parser.previous() : parser.peek()),
+  parseBoundMethodDeclaration: startAtNext,
+  parseComputedDeclaration: startAtKeyword,
+  parseRenderDeclaration: startAtKeyword,
+  parsePropsDeclaration: startAtKeyword,
+  parseStateDeclaration: startAtKeyword,
+  parseWatchDeclaration: startAtKeyword,
+  parseLifecycleBlock: startAtNext,
+  parsePropertyDeclaration: startAtNext,
+  parseEnumValue: startAtNext,
+  parseArrowFunctionBody: startAtNext
+};
+
+for (const [method, getStart] of Object.entries(RANGED_METHODS)) {
+  FormattingParser.prototype[method] = function (...args) {
+    const start = getStart(this);
+    const node = TodoLangParser.prototype[method].apply(this, args);
+    if (node && typeof node === 'object') {
+      node.range = { start: start.start, end: this.previous().end };
+    }
+    return node;
+  };
+}
+
+Object.assign(FormattingParser.prototype, {
+  // Objects written over several lines stay that way, and comments between
+  // their properties stay with them
+  parseObjectLiteral(...args) {
+    const start = this.current;
+    const multiline = this.peek().line > this.previous().line;
+    const node = TodoLangParser.prototype.parseObjectLiteral.apply(this, args);
+    node.multiline = multiline;
+    node.range = { start: this.tokens[start - 1].start, end: this.previous().end };
+
+    // A property runs up to the comma before the next property, which
+    // starts at its location, or up to the closing brace
+    let first = start;
+    node.properties.forEach((property, index) => {
+      const next = node.properties[index + 1];
+      let last = this.current - 1;
+      if (next) {
+        last = first;
+        while (this.tokens[last].start < next.location.start) last++;
+        last--;
+      }
+      property.range = { start: this.tokens[first].start, end: this.tokens[last - 1].end };
+      first = last + 1;
+    });
+    return node;
+  },
+
+  // The AST does not tell for-in from for-of loops
+  parseForStatement() {
+    const start = this.current;
+    const node = TodoLangParser.prototype.parseForStatement.call(this);
+    node.iteration = null;
+
+    let depth = 0;
+    for (let index = start; index < this.current; index++) {
+      const { type } = this.tokens[index];
+      depth += this.nesting(this.tokens[index]);
+      if (depth === 1 && (type === TokenType.IN || type === TokenType.OF || type === TokenType.SEMICOLON)) {
+        node.iteration = type === TokenType.SEMICOLON ? null : this.tokens[index].value;
+        break;
+      }
+    }
+    return node;
+  },
+
+  // Template literals keep their escapes as written
+  parsePrimaryExpression() {
+    const start = this.current;
+    const node = TodoLangParser.prototype.parsePrimaryExpression.call(this);
+    const first = this.tokens[start];
+    if (node.type === 'TemplateLiteral' &&
+        (first.type === TokenType.TEMPLATE_STRING || first.type === TokenType.TEMPLATE_HEAD)) {
+      node.raw = this.templateQuasis(start);
+    }
+    return node;
+  },
+
+  // JSX text keeps the words as written, which the parser joins up
+  parseJSXChild() {
+    const start = this.current;
+    const node = TodoLangParser.prototype.parseJSXChild.call(this);
+    const tokens = this.tokens.slice(start, this.current);
+    node.range = { start: tokens[0].start, end: tokens[tokens.length - 1].end };
+    if (node.type === 'JSXText') {
+      // Tokens written without space between them make up one word, as do
+      // tokens with more than one space between them on a line, which the
+      // text keeps
+      node.words = [];
+      tokens.forEach((token, index) => {
+        const previous = tokens[index - 1];
+        const gap = previous ? token.start - previous.end : 0;
+        if (index > 0 && (gap === 0 || (gap > 1 && token.line === previous.line))) {
+          node.words[node.words.length - 1] += ' '.repeat(gap) + this.tokenText(token);
+        } else {
+          node.words.push(this.tokenText(token));
+        }
+      });
+    }
+    return node;
+  },
+
+  /**
+   * 1 for a token opening brackets, -1 for one closing them, 0 otherwise
+   */
+  nesting(token) {
+    switch (token.type) {
+      case TokenType.LEFT_PAREN:
+      case TokenType.LEFT_BRACKET:
+      case TokenType.LEFT_BRACE:
+        return 1;
+      case TokenType.RIGHT_PAREN:
+      case TokenType.RIGHT_BRACKET:
+      case TokenType.RIGHT_BRACE:
+        return -1;
+      default:
+        return 0;
+    }
+  },
+
+  /**
+   * Source text of each quasi of the template literal starting at a token
+   */
+  templateQuasis(start) {
+    const first = this.tokens[start];
+    const quasis = [first.type === TokenType.TEMPLATE_STRING
+      ? this.tokenText(first).slice(1, -1)
+      : this.tokenText(first).slice(1, -2)];
+    if (first.type === TokenType.TEMPLATE_STRING) {
+      return quasis;
+    }
+
+    // Templates nested in the interpolations open and close in between
+    let depth = 0;
+    for (let index = start + 1; index < this.current; index++) {
+      const token = this.tokens[index];
+      if (token.type === TokenType.TEMPLATE_HEAD) {
+        depth++;
+      } else if (token.type === TokenType.TEMPLATE_TAIL && depth > 0) {
+        depth--;
+      } else if (depth === 0 && token.type === TokenType.TEMPLATE_MIDDLE) {
+        quasis.push(this.tokenText(token).slice(1, -2));
+      } else if (depth === 0 && token.type === TokenType.TEMPLATE_TAIL) {
+        quasis.push(this.tokenText(token).slice(1, -1));
+        break;
+      }
+    }
+    return quasis;
+  }
+});
+
+// ============================================================================
+// Formatter
+// ============================================================================
+
+// Binding strength of expressions, following the parser's precedence levels
+const PRECEDENCE = {
+  ASSIGNMENT: 1,
+  CONDITIONAL: 2,
+  UNARY: 9,
+  POSTFIX: 10,
+  PRIMARY: 11
+};
+
+const BINARY_PRECEDENCE = {
+  '||': 3, '??': 3,
+  '&&': 4,
+  '==': 5, '!=': 5, '===': 5, '!==': 5,
+  '<': 6, '>': 6, '<=': 6, '>=': 6, 'instanceof': 6,
+  '+': 7, '-': 7,
+  '*': 8, '/': 8, '%': 8
+};
+
+const STRING_ESCAPES = { '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
+export class TodoLangFormatter {
+  constructor(options = {}) {
+    this.options = {
+      // Lines are kept within this many columns where the syntax allows
+      printWidth: 100,
+      ...options
+    };
+  }
+
+  /**
+   * Format TodoLang source
+   * @param {string} source - Source of a .todolang file
+   * @returns {string} Formatted source
+   * @throws {LexerError|ParseError} When the source does not parse
+   */
+  format(source) {
+    const tokens = new TodoLangLexer().tokenize(source);
+    const parser = new FormattingParser(source);
+    const ast = parser.parse(tokens);
+
+    this.source = source;
+    this.tokens = tokens;
+    // The comments left once the parser read those in JSX text as text
+    this.comments = parser.comments;
+    this.nextComment = 0;
+
+    const items = [...ast.imports, ...ast.declarations].sort((a, b) => a.range.start - b.range.start);
+    const parts = this.printSequence(items, Infinity, item => this.printDeclaration(item),
+      (previous, next) => previous.type !== 'Import' || next.type !== 'Import');
+
+    return parts.length > 0 ? printDocument([parts, hardline], this.options.printWidth) : '';
+  }
+
+  /**
+   * Whether the source is already formatted
+   */
+  check(source) {
+    return this.format(source) === source;
+  }
+
+  // ============================================================================
+  // Comments and Blank Lines
+  // ============================================================================
+
+  /**
+   * Print a list of statements, members or declarations one per line, with
+   * the comments before each and before the end of the list. At most one
+   * blank line is kept where the source had blank lines.
+   * @param {ASTNode[]} items - Nodes with a source range
+   * @param {number} end - Source offset where the list ends
+   * @param {Function} printItem - Prints one node
+   * @param {Function} separated - Whether two nodes need a blank line between them
+   */
+  printSequence(items, end, printItem, separated = () => false) {
+    const parts = [];
+    let lastEnd = null;
+    let blankLine = false;
+
+    const emit = (doc, start) => {
+      if (parts.length > 0) {
+        parts.push(hardline);
+        if (blankLine || this.hasBlankLine(lastEnd, start)) {
+          parts.push(hardline);
+        }
+      }
+      parts.push(doc);
+      blankLine = false;
+    };
+
+    const emitComments = until => {
+      for (const comment of this.takeComments(until)) {
+        if (parts.length > 0 && this.isTrailingComment(comment)) {
+          parts.push(lineSuffix([' ', this.printComment(comment)]));
+        } else {
+          emit(this.printComment(comment), comment.start);
+        }
+        lastEnd = comment.end;
+      }
+    };
+
+    items.forEach((item, index) => {
+      if (index > 0) {
+        blankLine = separated(items[index - 1], item);
+      }
+      emitComments(item.range.start);
+      emit(printItem(item), item.range.start);
+      lastEnd = item.range.end;
+    });
+    emitComments(end);
+
+    return parts;
+  }
+
+  /**
+   * `{`, the list on indented lines, and `}`
+   */
+  printBody(items, end, printItem) {
+    const parts = this.printSequence(items, end, printItem);
+    return parts.length > 0 ? ['{', indent([hardline, parts]), hardline, '}'] : '{}';
+  }
+
+  /**
+   * The comments not printed yet that start before a source offset
+   */
+  takeComments(until) {
+    const start = this.nextComment;
+    while (this.nextComment < this.comments.length && this.comments[this.nextComment].start < until) {
+      this.nextComment++;
+    }
+    return this.comments.slice(start, this.nextComment);
+  }
+
+  hasBlankLine(start, end) {
+    return start !== null && /\n[ \t\r]*\n/.test(this.source.slice(start, end));
+  }
+
+  /**
+   * Whether a comment follows code on its line
+   */
+  isTrailingComment(comment) {
+    const lineStart = this.source.lastIndexOf('\n', comment.start - 1) + 1;
+    return this.source.slice(lineStart, comment.start).trim() !== '';
+  }
+
+  printComment(comment) {
+    const lines = comment.value.split('\n');
+    if (lines.length === 1) {
+      return comment.value.trimEnd();
+    }
+
+    // Doc comments line up their stars; other lines keep their indentation
+    // relative to the comment
+    const isDocComment = lines.slice(1).every(text => /^\s*\*/.test(text));
+    const rest = lines.slice(1).map(text => (isDocComment
+      ? ` ${text.trim()}`
+      : text.replace(new RegExp(`^[ \\t]{0,${comment.column - 1}}`), '').trimEnd()));
+    return join(hardline, [lines[0].trimEnd(), ...rest]);
+  }
+
+  // ============================================================================
+  // Declarations
+  // ============================================================================
+
+  printDeclaration(node) {
+    const exported = node.isExported ? 'export ' : '';
+    const end = node.range.end - 1;
+
+    switch (node.type) {
+      case 'Import':
+        return this.printImport(node);
+      case 'Component':
+        return [exported, 'component ', node.name, ' ', this.printBody(this.componentMembers(node), end,
+          member => this.printMember(member))];
+      case 'Model':
+        return [exported, 'model ', node.name, ' ', this.printBody(
+          [...node.properties, ...node.methods].sort((a, b) => a.range.start - b.range.start), end,
+          member => this.printMember(member)
+        )];
+      case 'Service':
+        return [exported, 'service ', node.name, ' ', this.printBody(node.methods, end,
+          member => this.printMember(member))];
+      case 'Enum':
+        return [exported, 'enum ', node.name, ' ', this.printBody(this.enumMembers(node), end,
+          member => this.printEnumMember(member))];
+      default:
+        throw new Error(`Cannot format ${node.type} declarations`);
+    }
+  }
+
+  printImport(node) {
+    const specifiers = node.specifiers.map(specifier => (specifier.imported === specifier.local
+      ? specifier.imported
+      : `${specifier.imported} as ${specifier.local}`));
+    const list = specifiers.length > 0
+      ? group(['{', indent([line, join([',', line], specifiers)]), line, '}'])
+      : '{}';
+    return ['import ', list, ' from ', this.printString(node.source)];
+  }
+
+  /**
+   * Members of a component in source order
+   */
+  componentMembers(node) {
+    if (node.style) {
+      const token = this.tokens.find(candidate => candidate.type === TokenType.STYLE_BLOCK &&
+        candidate.start > node.style.location.start);
+      node.style.range = { start: node.style.location.start, end: token.end };
+    }
+
+    return [
+      node.propsDeclaration, node.stateDeclaration, ...node.computedProperties, ...node.methods,
+      ...node.lifecycleHooks, ...node.watchers, node.renderMethod, node.style
+    ].filter(Boolean).sort((a, b) => a.range.start - b.range.start);
+  }
+
+  /**
+   * Members of an enum with their source ranges
+   */
+  enumMembers(node) {
+    for (const member of node.members) {
+      const explicit = member.value.location !== member.location;
+      member.range = {
+        start: member.location.start,
+        end: explicit ? member.value.range.end : member.location.end
+      };
+    }
+    return node.members;
+  }
+
+  printEnumMember(member) {
+    // Implicit values share the member's location
+    return member.value.location === member.location
+      ? member.name
+      : [member.name, ' = ', this.printExpression(member.value)];
+  }
+
+  printMember(node) {
+    const body = statements => this.printBody(statements, node.range.end - 1, statement => this.printStatement(statement));
+
+    switch (getNodeType(node)) {
+      case 'Props':
+      case 'State':
+        return [node.type === 'Props' ? 'props ' : 'state ', this.printBody(node.properties, node.range.end - 1,
+          property => this.printProperty(property))];
+      case 'Property':
+        return this.printProperty(node);
+      case 'Method':
+        if (node.isBound) {
+          return [
+            node.name,
+            ' = ',
+            node.isAsync ? 'async ' : '',
+            this.printParameterList(node.parameters),
+            node.returnType ? [': ', this.printType(node.returnType)] : '',
+            ' => ',
+            body(node.body)
+          ];
+        }
+        return [
+          node.isStatic ? 'static ' : '',
+          node.isAsync ? 'async ' : '',
+          node.name,
+          this.printParameterList(node.parameters),
+          node.returnType ? [': ', this.printType(node.returnType)] : '',
+          ' ',
+          body(node.body)
+        ];
+      case 'Computed':
+        return ['computed ', node.name, '() ', body(node.body)];
+      case 'Render':
+        return ['render() ', body(node.body)];
+      case 'Lifecycle':
+        return [node.hook, this.printBlockParameters(node.parameters), ' ', body(node.body)];
+      case 'Watch':
+        return [
+          'watch state.', node.path,
+          node.parameters.length > 0 ? [' ', this.printBlockParameters(node.parameters)] : '',
+          ' ', body(node.body)
+        ];
+      case 'Style':
+        return this.printStyle(node);
+      default:
+        throw new Error(`Cannot format ${getNodeType(node)} members`);
+    }
+  }
+
+  /**
+   * Props, state and model fields: `name: Type @constraint = default`
+   */
+  printProperty(node) {
+    return [
+      node.name, ': ', this.printType(node.type),
+      node.constraints.map(constraint => [' ', this.printConstraint(constraint)]),
+      node.defaultValue ? [' = ', this.printExpression(node.defaultValue, PRECEDENCE.ASSIGNMENT)] : ''
+    ];
+  }
+
+  printConstraint(node) {
+    const args = node.arguments.map(arg => this.printExpression(arg));
+    if (node.message !== null) {
+      args.push(this.printString(node.message));
+    }
+    return ['@', node.name, args.length > 0 ? ['(', join(', ', args), ')'] : ''];
+  }
+
+  printType(node) {
+    return [node.name, node.isArray ? '[]' : '', node.isOptional ? '?' : ''];
+  }
+
+  printParameterList(parameters) {
+    if (parameters.length === 0) {
+      return '()';
+    }
+    const printed = parameters.map(parameter => [
+      parameter.isRest ? '...' : '',
+      parameter.pattern ? this.printPattern(parameter.pattern) : parameter.name,
+      parameter.type ? [': ', this.printType(parameter.type)] : '',
+      parameter.defaultValue ? [' = ', this.printExpression(parameter.defaultValue, PRECEDENCE.ASSIGNMENT)] : ''
+    ]);
+    return group(['(', indent([softline, join([',', line], printed)]), softline, ')']);
+  }
+
+  /**
+   * Parameters of lifecycle and watch blocks, whose types are optional
+   */
+  printBlockParameters(parameters) {
+    if (parameters.length === 0) {
+      return '';
+    }
+    return ['(', join(', ', parameters.map(parameter => (parameter.type
+      ? [parameter.name, ': ', this.printType(parameter.type)]
+      : parameter.name))), ')'];
+  }
+
+  /**
+   * The CSS of a style block, re-indented inside the block
+   */
+  printStyle(node) {
+    const lines = node.css.split('\n').map(text => text.trimEnd());
+    while (lines.length > 0 && !lines[0].trim()) lines.shift();
+    while (lines.length > 0 && !lines[lines.length - 1].trim()) lines.pop();
+    if (lines.length === 0) {
+      return 'style {}';
+    }
+
+    const margin = Math.min(...lines.filter(text => text.trim()).map(text => text.match(/^\s*/)[0].length));
+    return ['style {', indent([hardline, join(hardline, lines.map(text => text.slice(margin)))]), hardline, '}'];
+  }
+
+  // ============================================================================
+  // Statements
+  // ============================================================================
+
+  printStatement(node) {
+    switch (node.type) {
+      case 'ExpressionStatement': {
+        const expression = this.printExpression(node.expression);
+        // A statement starting with '{' is a block
+        return this.startsWithObject(node.expression) ? ['(', expression, ')'] : expression;
+      }
+      case 'VariableDeclaration':
+        return this.printVariableDeclaration(node);
+      case 'Block':
+        return this.printBody(node.statements, node.range.end - 1, statement => this.printStatement(statement));
+      case 'If': {
+        const parts = ['if (', this.printExpression(node.condition), ') ', this.printStatement(node.thenStatement)];
+        if (node.elseStatement) {
+          parts.push(node.thenStatement.type === 'Block' ? ' ' : hardline, 'else ', this.printStatement(node.elseStatement));
+        }
+        return parts;
+      }
+      case 'For':
+        return this.printFor(node);
+      case 'While':
+        return ['while (', this.printExpression(node.condition), ') ', this.printStatement(node.body)];
+      case 'DoWhile':
+        return [
+          'do ', this.printStatement(node.body), node.body.type === 'Block' ? ' ' : hardline,
+          'while (', this.printExpression(node.condition), ')'
+        ];
+      case 'Switch':
+        return this.printSwitch(node);
+      case 'Return':
+        return node.expression ? ['return ', this.printWrappedJSX(node.expression)] : 'return';
+      case 'Break':
+        return 'break';
+      case 'Continue':
+        return 'continue';
+      case 'Throw':
+        return ['throw ', this.printExpression(node.expression)];
+      case 'Try':
+        return [
+          'try ', this.printStatement(node.block),
+          node.handler ? [
+            ' catch ', node.handler.param ? ['(', node.handler.param.name, ') '] : '',
+            this.printStatement(node.handler.body)
+          ] : '',
+          node.finalizer ? [' finally ', this.printStatement(node.finalizer)] : ''
+        ];
+      default:
+        throw new Error(`Cannot format ${node.type} statements`);
+    }
+  }
+
+  printVariableDeclaration(node) {
+    return [node.kind, ' ', join(', ', node.declarations.map(declarator => [
+      this.printPattern(declarator.id),
+      declarator.init ? this.printAssigned(' =', declarator.init) : ''
+    ]))];
+  }
+
+  printFor(node) {
+    const head = node.iteration
+      ? [this.printForInit(node.init), ' ', node.iteration, ' ', this.printExpression(node.condition)]
+      : [
+          node.init ? this.printForInit(node.init) : '', ';',
+          node.condition ? [' ', this.printExpression(node.condition)] : '', ';',
+          node.update ? [' ', this.printExpression(node.update)] : ''
+        ];
+    return ['for ', node.isAwait ? 'await ' : '', '(', head, ') ', this.printStatement(node.body)];
+  }
+
+  printForInit(init) {
+    return init.type === 'VariableDeclaration' ? this.printVariableDeclaration(init) : this.printExpression(init);
+  }
+
+  printSwitch(node) {
+    const ends = new Map(node.cases.map((switchCase, index) => [
+      switchCase,
+      index + 1 < node.cases.length ? node.cases[index + 1].range.start : node.range.end - 1
+    ]));
+
+    const cases = this.printBody(node.cases, node.range.end - 1, switchCase => {
+      const label = switchCase.test ? ['case ', this.printExpression(switchCase.test), ':'] : 'default:';
+      const { consequent } = switchCase;
+      if (consequent.length === 1 && consequent[0].type === 'Block') {
+        return [label, ' ', this.printStatement(consequent[0])];
+      }
+      const statements = this.printSequence(consequent, ends.get(switchCase), statement => this.printStatement(statement));
+      return statements.length > 0 ? [label, indent([hardline, statements])] : label;
+    });
+
+    return ['switch (', this.printExpression(node.discriminant), ') ', cases];
+  }
+
+  // ============================================================================
+  // Expressions
+  // ============================================================================
+
+  /**
+   * Print an expression, in parentheses when it binds less tightly than its
+   * position needs
+   * @param {ASTNode} node - Expression
+   * @param {number} precedence - Weakest precedence allowed without parentheses
+   */
+  printExpression(node, precedence = PRECEDENCE.ASSIGNMENT) {
+    const doc = this.printExpressionNode(node);
+    return this.getPrecedence(node) < precedence ? ['(', doc, ')'] : doc;
+  }
+
+  getPrecedence(node) {
+    switch (node.type) {
+      case 'Assignment':
+      case 'ArrowFunction':
+        return PRECEDENCE.ASSIGNMENT;
+      case 'Conditional':
+        return PRECEDENCE.CONDITIONAL;
+      case 'BinaryExpression':
+        return BINARY_PRECEDENCE[node.operator.value];
+      case 'UnaryExpression':
+        return node.isPrefix ? PRECEDENCE.UNARY : PRECEDENCE.POSTFIX;
+      case 'AwaitExpression':
+        return PRECEDENCE.UNARY;
+      case 'Member':
+      case 'Call':
+        return PRECEDENCE.POSTFIX;
+      default:
+        return PRECEDENCE.PRIMARY;
+    }
+  }
+
+  printExpressionNode(node) {
+    switch (node.type) {
+      case 'Identifier':
+        return node.name;
+      case 'This':
+        return 'this';
+      case 'StringLiteral':
+        return this.printString(node.value);
+      case 'NumberLiteral':
+        return this.printNumber(node.value);
+      case 'BooleanLiteral':
+        return String(node.value);
+      case 'NullLiteral':
+        return 'null';
+      case 'RegexLiteral':
+        return `/${node.pattern}/${node.flags}`;
+      case 'TemplateLiteral':
+        return this.printTemplate(node);
+      case 'ArrayLiteral':
+        return this.printList('[', node.elements.map(element => this.printExpression(element)), ']');
+      case 'ObjectLiteral':
+        return this.printObject(node);
+      case 'SpreadElement':
+        return ['...', this.printExpression(node.argument)];
+      case 'Member':
+        return this.printMemberExpression(node);
+      case 'Call':
+        return [
+          this.printExpression(node.callee, PRECEDENCE.POSTFIX),
+          node.optional ? '?.' : '',
+          this.printArguments(node.arguments)
+        ];
+      case 'NewExpression':
+        return ['new ', this.printExpression(node.callee, PRECEDENCE.PRIMARY), this.printArguments(node.arguments)];
+      case 'UnaryExpression':
+        return this.printUnary(node);
+      case 'AwaitExpression':
+        return ['await ', this.printExpression(node.argument, PRECEDENCE.UNARY)];
+      case 'BinaryExpression':
+        return this.printBinary(node);
+      case 'Assignment':
+        return [
+          this.printExpression(node.left, PRECEDENCE.CONDITIONAL),
+          this.printAssigned(` ${node.operator.value}`, node.right)
+        ];
+      case 'Conditional':
+        return group([
+          this.printExpression(node.condition, BINARY_PRECEDENCE['||']),
+          indent([
+            line, '? ', this.printWrappedJSX(node.trueExpression),
+            line, ': ', this.printWrappedJSX(node.falseExpression, PRECEDENCE.CONDITIONAL)
+          ])
+        ]);
+      case 'ArrowFunction':
+        return this.printArrowFunction(node);
+      case 'JSXElement':
+        return this.printJSXElement(node);
+      case 'JSXFragment':
+        return this.printJSXFragment(node);
+      case 'ObjectPattern':
+      case 'ArrayPattern':
+      case 'AssignmentPattern':
+      case 'RestElement':
+        return this.printPattern(node);
+      default:
+        throw new Error(`Cannot format ${node.type} expressions`);
+    }
+  }
+
+  printString(value) {
+    return `"${value.replace(/[\\"\n\r\t]/g, char => STRING_ESCAPES[char])}"`;
+  }
+
+  printNumber(value) {
+    if (Object.is(value, -0)) {
+      return '-0';
+    }
+    const text = String(value);
+    // The lexer reads plain decimals only
+    return text.includes('e')
+      ? value.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 20 })
+      : text;
+  }
+
+  printTemplate(node) {
+    const quasis = node.raw || node.quasis.map(quasi => quasi.replace(/\\|`|\$\{/g, match => `\\${match}`));
+    const parts = ['`', quasis[0]];
+    node.expressions.forEach((expression, index) => {
+      // Interpolations stay on the template's line
+      parts.push('${', printDocument(this.printExpression(expression), Infinity), '}', quasis[index + 1]);
+    });
+    parts.push('`');
+    return parts;
+  }
+
+  /**
+   * Comma-separated items that move to their own lines when they do not fit
+   */
+  printList(open, items, close, shouldBreak = false) {
+    if (items.length === 0) {
+      return open + close;
+    }
+    return group([open, indent([softline, join([',', line], items)]), softline, close], shouldBreak);
+  }
+
+  printObject(node) {
+    const parts = [];
+    let hasComments = false;
+    const printComments = until => {
+      for (const comment of this.takeComments(until)) {
+        hasComments = true;
+        parts.push(parts.length > 0 && this.isTrailingComment(comment)
+          ? lineSuffix([' ', this.printComment(comment)])
+          : [line, this.printComment(comment)]);
+      }
+    };
+
+    node.properties.forEach((property, index) => {
+      printComments(property.range.start);
+      parts.push(line, this.printObjectProperty(property), index < node.properties.length - 1 ? ',' : '');
+    });
+    printComments(node.range.end);
+
+    const typeName = node.typeName ? `${node.typeName} ` : '';
+    if (parts.length === 0) {
+      return `${typeName}{}`;
+    }
+    // Line comments need the object broken over lines
+    return [typeName, group(['{', indent(parts), line, '}'], node.multiline || hasComments)];
+  }
+
+  printObjectProperty(property) {
+    if (property.type === 'SpreadElement') {
+      return this.printExpression(property);
+    }
+    // { key } is { key: key }
+    if (property.value.type === 'Identifier' && property.value.name === property.key) {
+      return property.key;
+    }
+    return [property.key, ': ', this.printExpression(property.value)];
+  }
+
+  printMemberExpression(node) {
+    const object = this.printExpression(node.object, PRECEDENCE.POSTFIX);
+    if (node.computed) {
+      return [object, node.optional ? '?.' : '', '[', this.printExpression(node.property), ']'];
+    }
+    return [object, node.optional ? '?.' : '.', node.property.name];
+  }
+
+  /**
+   * Call arguments. A function or object literal as the last argument, or a
+   * function followed by simple values, hugs the parentheses:
+   * `items.map(item => {` rather than one argument per line.
+   */
+  printArguments(args) {
+    const printed = args.map(arg => this.printExpression(arg));
+    const hugs = node => ['ArrowFunction', 'ObjectLiteral', 'ArrayLiteral'].includes(node.type);
+    const isSimple = node => ['Identifier', 'This', 'StringLiteral', 'NumberLiteral', 'BooleanLiteral',
+      'NullLiteral'].includes(node.type) || (node.type === 'Member' && !node.computed && isSimple(node.object));
+
+    const last = args[args.length - 1];
+    if (args.length > 0 && hugs(last) && !args.slice(0, -1).some(hugs)) {
+      return ['(', join(', ', printed), ')'];
+    }
+    if (args.length > 1 && args[0].type === 'ArrowFunction' && args[0].body.type === 'Block' &&
+        args.slice(1).every(isSimple)) {
+      return ['(', join(', ', printed), ')'];
+    }
+    return this.printList('(', printed, ')');
+  }
+
+  printUnary(node) {
+    const operator = node.operator.value;
+    if (!node.isPrefix) {
+      return [this.printExpression(node.operand, PRECEDENCE.POSTFIX), operator];
+    }
+
+    const isUpdate = operator === '++' || operator === '--';
+    const operand = node.operand;
+    // `- -x` and `+ +x` must not run together into `--x` and `++x`
+    const separated = operator === 'typeof' ||
+      (operator !== '!' && operand.type === 'UnaryExpression' && operand.isPrefix &&
+        operand.operator.value[0] === operator[0]);
+    return [operator, separated ? ' ' : '', this.printExpression(operand, isUpdate ? PRECEDENCE.POSTFIX : PRECEDENCE.UNARY)];
+  }
+
+  /**
+   * @param {boolean} indented - Whether operands moved to new lines are
+   *   indented; the value of an assignment is indented already
+   */
+  printBinary(node, indented = true) {
+    const precedence = BINARY_PRECEDENCE[node.operator.value];
+
+    // a && b && c nests to the left; print the chain as one group
+    const operations = [node];
+    let left = node.left;
+    while (left.type === 'BinaryExpression' && BINARY_PRECEDENCE[left.operator.value] === precedence &&
+           !this.needsClarifyingParens(left, operations[0].operator.value)) {
+      operations.unshift(left);
+      left = left.left;
+    }
+
+    return group([
+      this.printOperand(left, operations[0].operator.value, precedence),
+      operations.map(operation => {
+        const operator = operation.operator.value;
+        // {isOpen && (
+        //   <Dialog />
+        // )}
+        if (this.isJSX(operation.right)) {
+          return [' ', operator, ' ', this.printWrappedJSX(operation.right)];
+        }
+        const operand = [' ', operator, line, this.printOperand(operation.right, operator, precedence + 1)];
+        return indented ? indent(operand) : operand;
+      })
+    ]);
+  }
+
+  printOperand(node, operator, precedence) {
+    const doc = this.printExpression(node, precedence);
+    return this.getPrecedence(node) >= precedence && this.needsClarifyingParens(node, operator)
+      ? ['(', doc, ')']
+      : doc;
+  }
+
+  /**
+   * Whether an operation reads more clearly in parentheses inside another,
+   * though precedence does not need them: `(a && b) || c`, `(a / b) * c`
+   */
+  needsClarifyingParens(node, parentOperator) {
+    if (node.type !== 'BinaryExpression') {
+      return false;
+    }
+    const operator = node.operator.value;
+    const parentPrecedence = BINARY_PRECEDENCE[parentOperator];
+    if (parentPrecedence === BINARY_PRECEDENCE['||']) {
+      return operator === '&&' || (BINARY_PRECEDENCE[operator] === parentPrecedence && operator !== parentOperator);
+    }
+    if (parentPrecedence === BINARY_PRECEDENCE['==']) {
+      return BINARY_PRECEDENCE[operator] === parentPrecedence;
+    }
+    return parentPrecedence === BINARY_PRECEDENCE['*'] && BINARY_PRECEDENCE[operator] === parentPrecedence &&
+      operator !== parentOperator;
+  }
+
+  /**
+   * The operator and right-hand side of an assignment or initializer. Long
+   * conditions and operations move to the next line as a whole.
+   */
+  printAssigned(operator, value) {
+    if (value.type === 'BinaryExpression') {
+      return [operator, group(indent([line, this.printBinary(value, false)]))];
+    }
+    if (value.type === 'Conditional') {
+      return [operator, group(indent([line, this.printExpression(value)]))];
+    }
+    return [operator, ' ', this.printWrappedJSX(value)];
+  }
+
+  printArrowFunction(node) {
+    const [param] = node.params;
+    const params = node.params.length === 1 && param.type === 'Identifier'
+      ? param.name
+      : ['(', join(', ', node.params.map(parameter => this.printPattern(parameter))), ')'];
+
+    let body;
+    if (node.body.type === 'Block') {
+      body = [' ', this.printStatement(node.body)];
+    } else if (this.startsWithObject(node.body)) {
+      // `=> {` starts a block body
+      body = [' (', this.printExpression(node.body), ')'];
+    } else if (this.isJSX(node.body)) {
+      body = [' ', this.printWrappedJSX(node.body)];
+    } else {
+      body = group(indent([line, this.printExpression(node.body)]));
+    }
+
+    return [node.isAsync ? 'async ' : '', params, ' =>', body];
+  }
+
+  printPattern(node) {
+    switch (node.type) {
+      case 'Identifier':
+        return node.name;
+      case 'ObjectPattern':
+        return this.printList('{ ', node.properties.map(property => {
+          if (property.type === 'RestElement') {
+            return this.printPattern(property);
+          }
+          const { key, value } = property;
+          if (value.type === 'Identifier' && value.name === key) {
+            return key;
+          }
+          if (value.type === 'AssignmentPattern' && value.left.type === 'Identifier' && value.left.name === key) {
+            return this.printPattern(value);
+          }
+          return [key, ': ', this.printPattern(value)];
+        }), ' }');
+      case 'ArrayPattern': {
+        // A hole at the end needs its own comma: [a, , ]
+        const elements = node.elements.map(element => (element ? this.printPattern(element) : ''));
+        const hole = node.elements.length > 0 && node.elements[node.elements.length - 1] === null ? ',' : '';
+        return ['[', join(', ', elements), hole, ']'];
+      }
+      case 'AssignmentPattern':
+        return [this.printPattern(node.left), ' = ', this.printExpression(node.right)];
+      case 'RestElement':
+        return ['...', this.printPattern(node.argument)];
+      default:
+        return this.printExpression(node);
+    }
+  }
+
+  /**
+   * Whether an expression printed first in a statement or arrow body would
+   * start with an object literal's '{'
+   */
+  startsWithObject(node) {
+    switch (node.type) {
+      case 'ObjectLiteral':
+        return !node.typeName;
+      case 'Member':
+        return this.startsWithObject(node.object);
+      case 'Call':
+        return this.startsWithObject(node.callee);
+      case 'BinaryExpression':
+      case 'Assignment':
+        return this.startsWithObject(node.left);
+      case 'Conditional':
+        return this.startsWithObject(node.condition);
+      case 'UnaryExpression':
+        return !node.isPrefix && this.startsWithObject(node.operand);
+      default:
+        return false;
+    }
+  }
+
+  isJSX(node) {
+    return node.type === 'JSXElement' || node.type === 'JSXFragment';
+  }
+
+  /**
+   * JSX that spans several lines goes in parentheses:
+   *
+   *   return (
+   *     <div>...</div>
+   *   )
+   */
+  printWrappedJSX(node, precedence = PRECEDENCE.ASSIGNMENT) {
+    if (!this.isJSX(node)) {
+      return this.printExpression(node, precedence);
+    }
+    return group([ifBreak('('), indent([softline, this.printExpression(node)]), softline, ifBreak(')')]);
+  }
+
+  // ============================================================================
+  // JSX
+  // ============================================================================
+
+  printJSXElement(node) {
+    const attributes = indent(node.attributes.map(attribute => [line, this.printJSXAttribute(attribute)]));
+    if (node.selfClosing) {
+      return group(['<', node.tagName, attributes, line, '/>']);
+    }
+
+    const opening = group(['<', node.tagName, attributes, softline, '>']);
+    return this.printJSXChildren(opening, node.children, `</${node.tagName}>`);
+  }
+
+  printJSXFragment(node) {
+    return this.printJSXChildren('<>', node.children, '</>');
+  }
+
+  /**
+   * Several elements and expressions go on their own lines. Children with
+   * text flow like a paragraph. Space at either end of a text, or between
+   * two children on one line, is part of the text and never becomes a line
+   * break, which JSX would drop.
+   */
+  printJSXChildren(opening, children, closing) {
+    const leading = children.length > 0 && children[0].type === 'JSXText' ? children[0].value.match(/^ */)[0] : '';
+    const last = children[children.length - 1];
+    const trailing = last && last.type === 'JSXText' && last.value.trim() ? last.value.match(/ *$/)[0] : '';
+    const content = children.filter(child => child.type !== 'JSXText' || child.value.trim());
+    if (content.length === 0) {
+      return [opening, leading, closing];
+    }
+
+    const parts = [];
+    content.forEach((child, index) => {
+      if (index > 0) {
+        parts.push(this.jsxSeparator(children, children.indexOf(content[index - 1]), children.indexOf(child)));
+      }
+      if (child.type === 'JSXText') {
+        // Text wraps between its words
+        child.words.forEach((word, wordIndex) => parts.push(...(wordIndex > 0 ? [line, word] : [word])));
+      } else {
+        parts.push(this.printJSXChild(child));
+      }
+    });
+
+    const hasText = children.some(child => child.type === 'JSXText');
+    return group([
+      opening,
+      indent([leading || softline, hasText ? fill(parts) : parts]),
+      trailing || softline,
+      closing
+    ], !hasText && children.length > 1);
+  }
+
+  /**
+   * What goes between two printed children: the space the text keeps at
+   * their boundary, or a line break that adds nothing
+   */
+  jsxSeparator(children, previousIndex, nextIndex) {
+    const previous = children[previousIndex];
+    const next = children[nextIndex];
+    if (nextIndex > previousIndex + 1) {
+      return children[previousIndex + 1].value;
+    }
+    if (previous.type === 'JSXText') {
+      return previous.value.match(/ *$/)[0] || softline;
+    }
+    if (next.type === 'JSXText') {
+      return next.value.match(/^ */)[0] || softline;
+    }
+    return softline;
+  }
+
+  printJSXChild(node) {
+    switch (node.type) {
+      case 'JSXExpression':
+        return ['{', this.printExpression(node.expression), '}'];
+      default:
+        return this.printExpression(node);
+    }
+  }
+
+  printJSXAttribute(node) {
+    switch (node.type) {
+      case 'JSXSpreadAttribute':
+        return ['{...', this.printExpression(node.argument), '}'];
+      case 'JSXBinding':
+        return ['bind:', node.property, '={', this.printExpression(node.expression), '}'];
+      default: {
+        const name = [node.name, ...node.modifiers].join('.');
+        if (!node.value) {
+          return name;
+        }
+        return node.value.type === 'StringLiteral'
+          ? [name, '=', this.printString(node.value.value)]
+          : [name, '={', this.printExpression(node.value.expression), '}'];
+      }
+    }
+  }
+}
+
+/**
+ * Format TodoLang source with the default options
+ * @param {string} source - Source of a .todolang file
+ * @param {Object} options - Formatter options, e.g. { printWidth: 80 }
+ * @returns {string} Formatted source
+ */
+export function formatSource(source, options = {}) {
+  return new TodoLangFormatter(options).format(source);
+}
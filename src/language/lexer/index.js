@@ -9,6 +9,22 @@
 
 import { Token, TokenType, Keywords, SourceLocation } from '../tokens.js';
 
+// Tokens that end an operand - a '/' after them is division, not a regex
+const OPERAND_END = [
+  TokenType.IDENTIFIER, TokenType.NUMBER, TokenType.STRING, TokenType.REGEX,
+  TokenType.TEMPLATE_STRING, TokenType.TEMPLATE_TAIL,
+  TokenType.RIGHT_PAREN, TokenType.RIGHT_BRACKET, TokenType.RIGHT_BRACE,
+  TokenType.INCREMENT, TokenType.DECREMENT,
+  // JSX text follows a tag
+  TokenType.GREATER_THAN, TokenType.JSX_SELF_CLOSE
+];
+
+// Keywords after which an expression, and so a regex, may start
+const REGEX_AFTER_KEYWORDS = [
+  TokenType.RETURN, TokenType.THROW, TokenType.TYPEOF, TokenType.INSTANCEOF,
+  TokenType.AWAIT, TokenType.IN, TokenType.OF, TokenType.ELSE
+];
+
 export class LexerError extends Error {
   constructor(message, line, column, start) {
     super(message);
@@ -28,6 +44,8 @@ export class TodoLangLexer {
     this.column = 1;
     this.tokens = [];
     this.errors = [];
+    this.braceDepth = 0;
+    this.templateDepths = [];
   }
 
   // Main tokenization method
@@ -39,6 +57,8 @@ export class TodoLangLexer {
       this.column = 1;
       this.tokens = [];
       this.errors = [];
+      this.braceDepth = 0;
+      this.templateDepths = [];
     }
 
     while (!this.isAtEnd()) {
@@ -49,12 +69,16 @@ export class TodoLangLexer {
     this.addToken(TokenType.EOF, '');
 
     if (this.errors.length > 0) {
-      throw new LexerError(
+      // Report at the first error so code frames point at the problem
+      const [first] = this.errors;
+      const error = new LexerError(
         `Lexer encountered ${this.errors.length} error(s):\n${this.errors.map(e => e.message).join('\n')}`,
-        this.line,
-        this.column,
-        this.position
+        first.line,
+        first.column,
+        first.start
       );
+      error.errors = [...this.errors];
+      throw error;
     }
 
     return this.tokens;
@@ -89,10 +113,18 @@ export class TodoLangLexer {
         this.addToken(TokenType.RIGHT_PAREN, char, startLine, startColumn, start);
         break;
       case '{':
+        this.braceDepth++;
         this.addToken(TokenType.LEFT_BRACE, char, startLine, startColumn, start);
         break;
       case '}':
-        this.addToken(TokenType.RIGHT_BRACE, char, startLine, startColumn, start);
+        if (this.templateDepths[this.templateDepths.length - 1] === this.braceDepth) {
+          // Closes a template literal interpolation
+          this.templateDepths.pop();
+          this.scanTemplate(startLine, startColumn, start, true);
+        } else {
+          this.braceDepth--;
+          this.addToken(TokenType.RIGHT_BRACE, char, startLine, startColumn, start);
+        }
         break;
       case '[':
         this.addToken(TokenType.LEFT_BRACKET, char, startLine, startColumn, start);
@@ -109,17 +141,42 @@ export class TodoLangLexer {
       case ':':
         this.addToken(TokenType.COLON, char, startLine, startColumn, start);
         break;
+      case '@':
+        this.addToken(TokenType.AT, char, startLine, startColumn, start);
+        break;
       case '?':
-        this.addToken(TokenType.QUESTION, char, startLine, startColumn, start);
+        if (this.match('?')) {
+          if (this.match('=')) {
+            this.addToken(TokenType.NULLISH_ASSIGN, '??=', startLine, startColumn, start);
+          } else {
+            this.addToken(TokenType.NULLISH_COALESCING, '??', startLine, startColumn, start);
+          }
+        } else if (this.peek() === '.' && !this.isDigit(this.peekNext())) {
+          // `a ? .5 : 1` is a conditional, not optional chaining
+          this.advance();
+          this.addToken(TokenType.OPTIONAL_CHAIN, '?.', startLine, startColumn, start);
+        } else {
+          this.addToken(TokenType.QUESTION, char, startLine, startColumn, start);
+        }
         break;
       case '.':
-        this.addToken(TokenType.DOT, char, startLine, startColumn, start);
+        if (this.peek() === '.' && this.peekNext() === '.') {
+          this.advance();
+          this.advance();
+          this.addToken(TokenType.SPREAD, '...', startLine, startColumn, start);
+        } else {
+          this.addToken(TokenType.DOT, char, startLine, startColumn, start);
+        }
         break;
 
       // Operators that might be compound
       case '!':
         if (this.match('=')) {
-          this.addToken(TokenType.NOT_EQUAL, '!=', startLine, startColumn, start);
+          if (this.match('=')) {
+            this.addToken(TokenType.STRICT_NOT_EQUAL, '!==', startLine, startColumn, start);
+          } else {
+            this.addToken(TokenType.NOT_EQUAL, '!=', startLine, startColumn, start);
+          }
         } else {
           this.addToken(TokenType.LOGICAL_NOT, '!', startLine, startColumn, start);
         }
@@ -127,7 +184,11 @@ export class TodoLangLexer {
 
       case '=':
         if (this.match('=')) {
-          this.addToken(TokenType.EQUAL, '==', startLine, startColumn, start);
+          if (this.match('=')) {
+            this.addToken(TokenType.STRICT_EQUAL, '===', startLine, startColumn, start);
+          } else {
+            this.addToken(TokenType.EQUAL, '==', startLine, startColumn, start);
+          }
         } else if (this.match('>')) {
           this.addToken(TokenType.ARROW, '=>', startLine, startColumn, start);
         } else {
@@ -211,6 +272,8 @@ export class TodoLangLexer {
         } else if (this.match('*')) {
           // Multi-line comment
           this.scanMultiLineComment(startLine, startColumn, start);
+        } else if (this.isRegexAllowed() && this.findRegexEnd() !== -1) {
+          this.scanRegex(startLine, startColumn, start);
         } else if (this.match('=')) {
           this.addToken(TokenType.DIVIDE_ASSIGN, '/=', startLine, startColumn, start);
         } else if (this.match('>')) {
@@ -226,11 +289,17 @@ export class TodoLangLexer {
         this.scanString(char, startLine, startColumn, start);
         break;
 
+      case '`':
+        this.scanTemplate(startLine, startColumn, start, false);
+        break;
+
       default:
         if (this.isDigit(char)) {
           this.scanNumber(startLine, startColumn, start);
         } else if (this.isAlpha(char)) {
           this.scanIdentifier(startLine, startColumn, start);
+        } else if (this.isNonASCII(char)) {
+          this.scanText(startLine, startColumn, start);
         } else {
           this.addError(`Unexpected character '${char}'`, startLine, startColumn, start);
         }
@@ -255,18 +324,7 @@ export class TodoLangLexer {
           return;
         }
 
-        const escaped = this.advance();
-        switch (escaped) {
-          case 'n': value += '\n'; break;
-          case 't': value += '\t'; break;
-          case 'r': value += '\r'; break;
-          case '\\': value += '\\'; break;
-          case '"': value += '"'; break;
-          case "'": value += "'"; break;
-          default:
-            value += escaped;
-            break;
-        }
+        value += this.scanEscape();
       } else {
         value += this.advance();
       }
@@ -282,6 +340,113 @@ export class TodoLangLexer {
     this.addToken(TokenType.STRING, value, startLine, startColumn, start);
   }
 
+  // Scan the character after a backslash in a string or template literal
+  scanEscape() {
+    const escaped = this.advance();
+    switch (escaped) {
+      case 'n': return '\n';
+      case 't': return '\t';
+      case 'r': return '\r';
+      default:
+        // \\, quotes, backticks and '$' stand for themselves
+        return escaped;
+    }
+  }
+
+  // Scan a template literal chunk, starting after the opening '`' or after
+  // the '}' that closes an interpolation. Each '${' pushes the brace depth
+  // it was opened at, so the matching '}' resumes the template.
+  scanTemplate(startLine, startColumn, start, isContinuation) {
+    let value = '';
+
+    while (!this.isAtEnd() && this.peek() !== '`') {
+      if (this.peek() === '$' && this.peekNext() === '{') {
+        this.advance(); // '$'
+        this.advance(); // '{'
+        this.templateDepths.push(this.braceDepth);
+        const type = isContinuation ? TokenType.TEMPLATE_MIDDLE : TokenType.TEMPLATE_HEAD;
+        this.addToken(type, value, startLine, startColumn, start);
+        return;
+      }
+
+      if (this.peek() === '\\') {
+        this.advance(); // consume backslash
+        if (this.isAtEnd()) break;
+        value += this.scanEscape();
+      } else if (this.peek() === '\n') {
+        value += this.advance();
+        this.line++;
+        this.column = 1;
+      } else {
+        value += this.advance();
+      }
+    }
+
+    if (this.isAtEnd()) {
+      this.addError('Unterminated template literal', startLine, startColumn, start);
+      return;
+    }
+
+    // Consume closing backtick
+    this.advance();
+    const type = isContinuation ? TokenType.TEMPLATE_TAIL : TokenType.TEMPLATE_STRING;
+    this.addToken(type, value, startLine, startColumn, start);
+  }
+
+  // A '/' starts a regex literal where an operand is expected, i.e. unless
+  // the previous token ends one
+  isRegexAllowed() {
+    const previous = this.previousSignificantToken();
+    if (!previous) return true;
+    if (previous.isKeyword()) return REGEX_AFTER_KEYWORDS.includes(previous.type);
+    return !OPERAND_END.includes(previous.type);
+  }
+
+  previousSignificantToken() {
+    for (let i = this.tokens.length - 1; i >= 0; i--) {
+      if (this.tokens[i].type !== TokenType.COMMENT) return this.tokens[i];
+    }
+    return null;
+  }
+
+  // Position of the '/' closing a regex literal that starts at the current
+  // position, or -1 when the line has none and the '/' is division
+  findRegexEnd() {
+    let inClass = false;
+
+    for (let position = this.position; position < this.source.length; position++) {
+      const char = this.source.charAt(position);
+      if (char === '\n') return -1;
+      if (char === '\\') {
+        position++;
+      } else if (char === '[') {
+        inClass = true;
+      } else if (char === ']') {
+        inClass = false;
+      } else if (char === '/' && !inClass) {
+        return position;
+      }
+    }
+
+    return -1;
+  }
+
+  // Scan a regex literal after its opening '/'
+  scanRegex(startLine, startColumn, start) {
+    const end = this.findRegexEnd();
+
+    // Pattern and closing '/', then flags
+    while (this.position <= end) {
+      this.advance();
+    }
+    while (this.isAlpha(this.peek())) {
+      this.advance();
+    }
+
+    const value = this.source.substring(start, this.position);
+    this.addToken(TokenType.REGEX, value, startLine, startColumn, start);
+  }
+
   // Scan number literals
   scanNumber(startLine, startColumn, start) {
     while (this.isDigit(this.peek())) {
@@ -307,8 +472,83 @@ export class TodoLangLexer {
     }
 
     const value = this.source.substring(start, this.position);
-    const tokenType = Keywords[value] || TokenType.IDENTIFIER;
+    const tokenType = Object.prototype.hasOwnProperty.call(Keywords, value) ? Keywords[value] : TokenType.IDENTIFIER;
     this.addToken(tokenType, value, startLine, startColumn, start);
+
+    // A `style { ... }` member of a component holds CSS, not TodoLang
+    if (value === 'style' && this.braceDepth === 1 && this.isStyleBlockStart()) {
+      this.scanStyleBlock();
+    }
+  }
+
+  // Scan a run of non-ASCII characters; the parser only accepts them as JSX text
+  scanText(startLine, startColumn, start) {
+    while (this.isNonASCII(this.peek())) {
+      this.advance();
+    }
+
+    this.addToken(TokenType.TEXT, this.source.substring(start, this.position), startLine, startColumn, start);
+  }
+
+  // Whether only whitespace separates the current position from a '{'
+  isStyleBlockStart() {
+    let position = this.position;
+    while (/\s/.test(this.source.charAt(position))) {
+      position++;
+    }
+    return this.source.charAt(position) === '{';
+  }
+
+  // Scan a style block as one STYLE_BLOCK token holding the CSS between its
+  // braces. Braces inside CSS strings and comments do not end the block.
+  scanStyleBlock() {
+    while (this.peek() !== '{') {
+      if (this.advance() === '\n') {
+        this.line++;
+        this.column = 1;
+      }
+    }
+
+    const start = this.position;
+    const startLine = this.line;
+    const startColumn = this.column;
+    this.advance(); // '{'
+
+    let depth = 1;
+    let quote = null;
+    while (!this.isAtEnd()) {
+      const char = this.advance();
+
+      if (char === '\n') {
+        this.line++;
+        this.column = 1;
+      } else if (quote) {
+        if (char === '\\') {
+          this.advance();
+        } else if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '/' && this.peek() === '*') {
+        while (!this.isAtEnd() && !(this.peek() === '*' && this.peekNext() === '/')) {
+          if (this.advance() === '\n') {
+            this.line++;
+            this.column = 1;
+          }
+        }
+        this.advance();
+        this.advance();
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}' && --depth === 0) {
+        const css = this.source.substring(start + 1, this.position - 1);
+        this.addToken(TokenType.STYLE_BLOCK, css, startLine, startColumn, start);
+        return;
+      }
+    }
+
+    this.addError('Unterminated style block', startLine, startColumn, start);
   }
 
   // Scan single line comments
@@ -396,6 +636,10 @@ export class TodoLangLexer {
     return this.isAlpha(char) || this.isDigit(char);
   }
 
+  isNonASCII(char) {
+    return char > '\x7f';
+  }
+
   addToken(type, value, line = this.line, column = this.column, start = this.position) {
     const end = this.position;
     const token = new Token(type, value, line, column, start, end);
@@ -430,5 +674,7 @@ export class TodoLangLexer {
     this.column = 1;
     this.tokens = [];
     this.errors = [];
+    this.braceDepth = 0;
+    this.templateDepths = [];
   }
 }
\ No newline at end of file
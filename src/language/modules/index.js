@@ -0,0 +1,218 @@
+/**
+ * TodoLang Module Graph
+ *
+ * Resolves `import { ... } from "..."` declarations between .todolang files
+ * and orders the files so every module is compiled after the modules it
+ * imports. Paths are relative to the application source root (src/app) and
+ * always use forward slashes.
+ */
+
+import path from 'path';
+
+const EXTENSION = '.todolang';
+
+export class ModuleError extends Error {
+  constructor(message, file = null, location = null) {
+    super(message);
+    this.name = 'ModuleError';
+    this.file = file;
+    this.location = location;
+  }
+}
+
+/**
+ * Names a module exports. Files without any `export` keep the single-file
+ * behaviour of exporting every declaration.
+ * @param {ProgramNode} ast - Parsed module
+ * @returns {Map<string, Object>} Exported name to declaration node
+ */
+export function getModuleExports(ast) {
+  const declarations = ast.declarations.filter(Boolean);
+  const hasExports = declarations.some(declaration => declaration.isExported);
+
+  return new Map(
+    declarations
+      .filter(declaration => !hasExports || declaration.isExported)
+      .map(declaration => [declaration.name, declaration])
+  );
+}
+
+/**
+ * Specifier the compiled module uses to import another compiled module
+ * @param {string} fromPath - Importing module path
+ * @param {string} toPath - Imported module path
+ * @returns {string} Relative path to the imported module's .js output
+ */
+export function getImportSpecifier(fromPath, toPath) {
+  const target = toPath.replace(/\.todolang$/, '.js');
+  const specifier = path.posix.relative(path.posix.dirname(fromPath), target);
+  return specifier.startsWith('.') ? specifier : `./${specifier}`;
+}
+
+export class ModuleGraph {
+  /**
+   * @param {Iterable<string>} modulePaths - Every module path that imports may resolve to
+   */
+  constructor(modulePaths = []) {
+    this.modulePaths = new Set(modulePaths);
+    this.modules = new Map();
+  }
+
+  /**
+   * Resolve an import specifier to a module path. Relative specifiers
+   * resolve against the importing file, others against the source root;
+   * `../models` matches `models.todolang` or `models/index.todolang`.
+   * @returns {string|null} Module path, or null when nothing matches
+   */
+  resolve(specifier, fromPath) {
+    const base = specifier.startsWith('.')
+      ? path.posix.join(path.posix.dirname(fromPath), specifier)
+      : path.posix.normalize(specifier);
+
+    // Imports cannot reach outside the source root
+    if (base === '..' || base.startsWith('../')) {
+      return null;
+    }
+
+    const candidates = base.endsWith(EXTENSION)
+      ? [base]
+      : [`${base}${EXTENSION}`, path.posix.join(base, `index${EXTENSION}`)];
+
+    return candidates.find(candidate => this.modulePaths.has(candidate)) || null;
+  }
+
+  /**
+   * Add a parsed module, resolving its imports. Each ImportNode gets its
+   * `resolvedPath`.
+   * @throws {ModuleError} When an import cannot be resolved
+   */
+  addModule(modulePath, ast) {
+    const dependencies = new Set();
+
+    for (const importNode of ast.imports || []) {
+      const resolvedPath = this.resolve(importNode.source, modulePath);
+      if (!resolvedPath) {
+        throw new ModuleError(
+          `Cannot resolve module '${importNode.source}' imported from ${modulePath}`,
+          modulePath,
+          importNode.location
+        );
+      }
+
+      importNode.resolvedPath = resolvedPath;
+      dependencies.add(resolvedPath);
+    }
+
+    this.modules.set(modulePath, { ast, dependencies });
+  }
+
+  /**
+   * Check that every imported name is exported by its module
+   * @throws {ModuleError} For the first missing export
+   */
+  validateImports(modulePath) {
+    const { ast } = this.modules.get(modulePath);
+
+    for (const importNode of ast.imports || []) {
+      const target = this.modules.get(importNode.resolvedPath);
+      if (!target) continue;
+
+      const exports = getModuleExports(target.ast);
+      for (const specifier of importNode.specifiers) {
+        if (!exports.has(specifier.imported)) {
+          throw new ModuleError(
+            `Module '${importNode.source}' has no export named '${specifier.imported}'`,
+            modulePath,
+            specifier.location
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Declarations a module imports, keyed by their local names
+   * @returns {Map<string, Object>}
+   */
+  getImportedDeclarations(modulePath) {
+    const imported = new Map();
+    const module = this.modules.get(modulePath);
+    if (!module) return imported;
+
+    for (const importNode of module.ast.imports || []) {
+      const target = this.modules.get(importNode.resolvedPath);
+      if (!target) continue;
+
+      const exports = getModuleExports(target.ast);
+      for (const specifier of importNode.specifiers) {
+        if (exports.has(specifier.imported)) {
+          imported.set(specifier.local, exports.get(specifier.imported));
+        }
+      }
+    }
+
+    return imported;
+  }
+
+  getDependencies(modulePath) {
+    const module = this.modules.get(modulePath);
+    return module ? [...module.dependencies] : [];
+  }
+
+  /**
+   * Modules that import the given module, directly or indirectly
+   */
+  getDependents(modulePath) {
+    const dependents = new Set();
+    const visit = target => {
+      for (const [candidate, { dependencies }] of this.modules) {
+        if (dependencies.has(target) && !dependents.has(candidate)) {
+          dependents.add(candidate);
+          visit(candidate);
+        }
+      }
+    };
+
+    visit(modulePath);
+    return [...dependents];
+  }
+
+  /**
+   * Order modules so dependencies come before the modules importing them
+   * @returns {string[]} Module paths in compilation order
+   * @throws {ModuleError} When imports form a cycle
+   */
+  getCompilationOrder() {
+    const order = [];
+    const visited = new Set();
+    const visiting = [];
+
+    const visit = modulePath => {
+      if (visited.has(modulePath) || !this.modules.has(modulePath)) return;
+
+      const cycleStart = visiting.indexOf(modulePath);
+      if (cycleStart !== -1) {
+        const cycle = [...visiting.slice(cycleStart), modulePath];
+        const importer = cycle[cycle.length - 2];
+        const importNode = this.modules.get(importer).ast.imports
+          .find(node => node.resolvedPath === modulePath);
+        throw new ModuleError(`Circular import: ${cycle.join(' -> ')}`, importer, importNode.location);
+      }
+
+      visiting.push(modulePath);
+      for (const dependency of this.getDependencies(modulePath)) {
+        visit(dependency);
+      }
+      visiting.pop();
+
+      visited.add(modulePath);
+      order.push(modulePath);
+    };
+
+    for (const modulePath of this.modules.keys()) {
+      visit(modulePath);
+    }
+
+    return order;
+  }
+}
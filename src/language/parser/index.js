@@ -7,7 +7,8 @@
  * models, services, JSX elements, and expressions.
  */
 
-import { TokenType, OperatorPrecedence } from '../tokens.js';
+import { Token, TokenType, OperatorPrecedence } from '../tokens.js';
+import { TodoLangLexer } from '../lexer/index.js';
 
 // ============================================================================
 // Parser Error Classes
@@ -18,11 +19,64 @@ export class ParseError extends Error {
     super(message);
     this.name = 'ParseError';
     this.token = token;
-    this.expected = expected;
+    // Token types that would have been valid at this position
+    this.expected = expected === null ? [] : [].concat(expected);
     this.location = token ? { line: token.line, column: token.column } : null;
   }
 }
 
+// Token types that can start each construct - reported as the expected set
+// when the parser meets something else
+const DECLARATION_START = [
+  TokenType.IMPORT, TokenType.EXPORT, TokenType.COMPONENT, TokenType.MODEL, TokenType.SERVICE, TokenType.ENUM
+];
+
+const EXPORTABLE_DECLARATIONS = [TokenType.COMPONENT, TokenType.MODEL, TokenType.SERVICE, TokenType.ENUM];
+
+// Lifecycle blocks and the most parameters each receives
+const LIFECYCLE_HOOKS = { mounted: 0, updated: 2, unmounted: 0 };
+
+const COMPONENT_MEMBER_START = [
+  TokenType.STATE, TokenType.COMPUTED, TokenType.RENDER, TokenType.STATIC, TokenType.ASYNC,
+  TokenType.IDENTIFIER, TokenType.RIGHT_BRACE
+];
+
+const MODEL_MEMBER_START = [TokenType.STATIC, TokenType.ASYNC, TokenType.IDENTIFIER, TokenType.RIGHT_BRACE];
+
+const SERVICE_MEMBER_START = [TokenType.ASYNC, TokenType.IDENTIFIER, TokenType.RIGHT_BRACE];
+
+// Model field constraints and the literal arguments each takes. All but
+// @trim and @oneOf also accept a trailing custom error message.
+const FIELD_CONSTRAINTS = {
+  required: [],
+  trim: [],
+  email: [],
+  minLength: ['number'],
+  maxLength: ['number'],
+  min: ['number'],
+  max: ['number'],
+  pattern: ['regex'],
+  oneOf: null // one or more string or number literals
+};
+
+// Modifiers of JSX event attributes (`onSubmit.prevent`, `onKeyDown.enter`),
+// applied by TodoLangComponent.bindEvent
+const EVENT_MODIFIERS = ['prevent', 'stop', 'self', 'enter', 'esc', 'tab', 'space', 'up', 'down', 'left', 'right', 'delete'];
+
+// Element properties `bind:` keeps in sync with component state
+const JSX_BINDINGS = ['value', 'checked'];
+
+// Static members every compiled enum has, which members cannot shadow
+const ENUM_RESERVED_MEMBERS = ['values', 'isValid', 'parse', 'prototype', 'name', 'length'];
+
+const EXPRESSION_START = [
+  TokenType.TRUE, TokenType.FALSE, TokenType.NULL, TokenType.NUMBER, TokenType.STRING,
+  TokenType.REGEX, TokenType.TEMPLATE_STRING, TokenType.TEMPLATE_HEAD, TokenType.THIS, TokenType.NEW, TokenType.IDENTIFIER, TokenType.LEFT_PAREN,
+  TokenType.LEFT_BRACKET, TokenType.LEFT_BRACE, TokenType.LESS_THAN,
+  TokenType.LOGICAL_NOT, TokenType.MINUS, TokenType.PLUS, TokenType.TYPEOF,
+  TokenType.INCREMENT, TokenType.DECREMENT, TokenType.ASYNC, TokenType.AWAIT
+];
+
 // ============================================================================
 // AST Node Classes
 // ============================================================================
@@ -45,9 +99,33 @@ export class ASTNode {
  * Root program node containing all declarations
  */
 export class ProgramNode extends ASTNode {
-  constructor(declarations = [], location = null) {
+  constructor(declarations = [], imports = [], location = null) {
     super('Program', location);
     this.declarations = declarations;
+    this.imports = imports;
+  }
+}
+
+/**
+ * Import declaration node: import { a, b as c } from "source"
+ */
+export class ImportNode extends ASTNode {
+  constructor(specifiers = [], source, location = null) {
+    super('Import', location);
+    this.specifiers = specifiers;
+    this.source = source;
+    this.resolvedPath = null; // Set by the module graph
+  }
+}
+
+/**
+ * Import specifier node
+ */
+export class ImportSpecifierNode extends ASTNode {
+  constructor(imported, local = imported, location = null) {
+    super('ImportSpecifier', location);
+    this.imported = imported;
+    this.local = local;
   }
 }
 
@@ -55,13 +133,53 @@ export class ProgramNode extends ASTNode {
  * Component declaration node
  */
 export class ComponentNode extends ASTNode {
-  constructor(name, stateDeclaration = null, methods = [], computedProperties = [], renderMethod = null, location = null) {
+  constructor(name, stateDeclaration = null, methods = [], computedProperties = [], renderMethod = null, location = null,
+              propsDeclaration = null, lifecycleHooks = [], watchers = [], style = null) {
     super('Component', location);
     this.name = name;
+    this.propsDeclaration = propsDeclaration;
     this.stateDeclaration = stateDeclaration;
     this.methods = methods;
     this.computedProperties = computedProperties;
     this.renderMethod = renderMethod;
+    this.lifecycleHooks = lifecycleHooks;
+    this.watchers = watchers;
+    this.style = style;
+  }
+}
+
+/**
+ * Style block node - `style { ... }`, holding the component's CSS as written
+ */
+export class StyleNode extends ASTNode {
+  constructor(css, location = null) {
+    super('Style', location);
+    this.css = css;
+  }
+}
+
+/**
+ * Lifecycle block node - `mounted { }`, `updated(prevProps, prevState) { }`
+ * or `unmounted { }`
+ */
+export class LifecycleNode extends ASTNode {
+  constructor(hook, parameters = [], body = [], location = null) {
+    super('Lifecycle', location);
+    this.hook = hook;
+    this.parameters = parameters;
+    this.body = body;
+  }
+}
+
+/**
+ * Watch block node - `watch state.path (newValue, oldValue) { }`
+ */
+export class WatchNode extends ASTNode {
+  constructor(path, parameters = [], body = [], location = null) {
+    super('Watch', location);
+    this.path = path; // Dot-notation path inside the component state
+    this.parameters = parameters;
+    this.body = body;
   }
 }
 
@@ -75,15 +193,38 @@ export class StateNode extends ASTNode {
   }
 }
 
+/**
+ * Props declaration node - the props a component accepts
+ */
+export class PropsNode extends ASTNode {
+  constructor(properties = [], location = null) {
+    super('Props', location);
+    this.properties = properties;
+  }
+}
+
 /**
  * Property declaration node
  */
 export class PropertyNode extends ASTNode {
-  constructor(name, type = null, defaultValue = null, location = null) {
+  constructor(name, type = null, defaultValue = null, location = null, constraints = []) {
     super('Property', location);
     this.name = name;
     this.type = type;
     this.defaultValue = defaultValue;
+    this.constraints = constraints;
+  }
+}
+
+/**
+ * Model field constraint node, e.g. `@maxLength(500)`
+ */
+export class ConstraintNode extends ASTNode {
+  constructor(name, args = [], message = null, location = null) {
+    super('Constraint', location);
+    this.name = name;
+    this.arguments = args; // String, Number or Regex literal nodes
+    this.message = message; // Custom error message, or null
   }
 }
 
@@ -91,12 +232,13 @@ export class PropertyNode extends ASTNode {
  * Method declaration node
  */
 export class MethodNode extends ASTNode {
-  constructor(name, parameters = [], body = [], isStatic = false, location = null) {
+  constructor(name, parameters = [], body = [], isStatic = false, isAsync = false, location = null) {
     super('Method', location);
     this.name = name;
     this.parameters = parameters;
     this.body = body;
     this.isStatic = isStatic;
+    this.isAsync = isAsync;
   }
 }
 
@@ -144,15 +286,40 @@ export class ServiceNode extends ASTNode {
   }
 }
 
+/**
+ * Enum declaration node
+ */
+export class EnumNode extends ASTNode {
+  constructor(name, members = [], location = null) {
+    super('Enum', location);
+    this.name = name;
+    this.members = members;
+  }
+}
+
+/**
+ * Enum member node. Members without an initializer get the previous numeric
+ * value plus one, so `value` is always a string or number literal.
+ */
+export class EnumMemberNode extends ASTNode {
+  constructor(name, value, location = null) {
+    super('EnumMember', location);
+    this.name = name;
+    this.value = value; // StringLiteralNode or NumberLiteralNode
+  }
+}
+
 /**
  * Parameter node
  */
 export class ParameterNode extends ASTNode {
-  constructor(name, type = null, defaultValue = null, location = null) {
+  constructor(name, type = null, defaultValue = null, isRest = false, pattern = null, location = null) {
     super('Parameter', location);
-    this.name = name;
+    this.name = name; // null for destructured parameters
     this.type = type;
     this.defaultValue = defaultValue;
+    this.isRest = isRest; // ...name: Type[]
+    this.pattern = pattern; // ObjectPattern or ArrayPattern
   }
 }
 
@@ -208,12 +375,13 @@ export class IfNode extends ASTNode {
  * For statement node
  */
 export class ForNode extends ASTNode {
-  constructor(init, condition, update, body, location = null) {
+  constructor(init, condition, update, body, isAwait = false, location = null) {
     super('For', location);
     this.init = init;
     this.condition = condition;
     this.update = update;
     this.body = body;
+    this.isAwait = isAwait; // for await (... of ...)
   }
 }
 
@@ -238,6 +406,39 @@ export class ReturnNode extends ASTNode {
   }
 }
 
+/**
+ * Do-while statement node: do body while (condition)
+ */
+export class DoWhileNode extends ASTNode {
+  constructor(body, condition, location = null) {
+    super('DoWhile', location);
+    this.body = body;
+    this.condition = condition;
+  }
+}
+
+/**
+ * Switch statement node
+ */
+export class SwitchNode extends ASTNode {
+  constructor(discriminant, cases = [], location = null) {
+    super('Switch', location);
+    this.discriminant = discriminant;
+    this.cases = cases;
+  }
+}
+
+/**
+ * Switch case node. `test` is null for the default case.
+ */
+export class SwitchCaseNode extends ASTNode {
+  constructor(test, consequent = [], location = null) {
+    super('SwitchCase', location);
+    this.test = test;
+    this.consequent = consequent;
+  }
+}
+
 /**
  * Break statement node
  */
@@ -256,6 +457,39 @@ export class ContinueNode extends ASTNode {
   }
 }
 
+/**
+ * Try statement node
+ */
+export class TryNode extends ASTNode {
+  constructor(block, handler = null, finalizer = null, location = null) {
+    super('Try', location);
+    this.block = block;
+    this.handler = handler;
+    this.finalizer = finalizer;
+  }
+}
+
+/**
+ * Catch clause node
+ */
+export class CatchClause extends ASTNode {
+  constructor(param = null, body, location = null) {
+    super('CatchClause', location);
+    this.param = param;
+    this.body = body;
+  }
+}
+
+/**
+ * Throw statement node
+ */
+export class ThrowNode extends ASTNode {
+  constructor(expression, location = null) {
+    super('Throw', location);
+    this.expression = expression;
+  }
+}
+
 /**
  * Variable declaration node
  */
@@ -329,6 +563,16 @@ export class UnaryExpressionNode extends ASTNode {
   }
 }
 
+/**
+ * Await expression node
+ */
+export class AwaitExpressionNode extends ASTNode {
+  constructor(argument, location = null) {
+    super('AwaitExpression', location);
+    this.argument = argument;
+  }
+}
+
 /**
  * Assignment expression node
  */
@@ -357,10 +601,11 @@ export class ConditionalNode extends ASTNode {
  * Call expression node
  */
 export class CallNode extends ASTNode {
-  constructor(callee, args = [], location = null) {
+  constructor(callee, args = [], optional = false, location = null) {
     super('Call', location);
     this.callee = callee;
     this.arguments = args;
+    this.optional = optional; // true for fn?.()
   }
 }
 
@@ -368,11 +613,12 @@ export class CallNode extends ASTNode {
  * Member expression node
  */
 export class MemberNode extends ASTNode {
-  constructor(object, property, computed = false, location = null) {
+  constructor(object, property, computed = false, optional = false, location = null) {
     super('Member', location);
     this.object = object;
     this.property = property;
     this.computed = computed; // true for obj[prop], false for obj.prop
+    this.optional = optional; // true for obj?.prop and obj?.[prop]
   }
 }
 
@@ -439,6 +685,29 @@ export class NullLiteralNode extends ASTNode {
   }
 }
 
+/**
+ * Regular expression literal node
+ */
+export class RegexLiteralNode extends ASTNode {
+  constructor(pattern, flags = '', location = null) {
+    super('RegexLiteral', location);
+    this.pattern = pattern;
+    this.flags = flags;
+  }
+}
+
+/**
+ * Template literal node - quasis are the text chunks around the
+ * interpolated expressions, so there is always one more quasi
+ */
+export class TemplateLiteralNode extends ASTNode {
+  constructor(quasis = [], expressions = [], location = null) {
+    super('TemplateLiteral', location);
+    this.quasis = quasis;
+    this.expressions = expressions;
+  }
+}
+
 /**
  * Array literal node
  */
@@ -470,6 +739,63 @@ export class ObjectPropertyNode extends ASTNode {
   }
 }
 
+/**
+ * Spread element node: ...argument in array literals, object literals and
+ * call arguments
+ */
+export class SpreadElementNode extends ASTNode {
+  constructor(argument, location = null) {
+    super('SpreadElement', location);
+    this.argument = argument;
+  }
+}
+
+// ============================================================================
+// Destructuring Pattern Nodes
+// ============================================================================
+
+/**
+ * Object destructuring pattern: { a, b: c, d = 1, ...rest }. Properties are
+ * ObjectPropertyNodes whose values are patterns, and a trailing RestElementNode.
+ */
+export class ObjectPatternNode extends ASTNode {
+  constructor(properties = [], location = null) {
+    super('ObjectPattern', location);
+    this.properties = properties;
+  }
+}
+
+/**
+ * Array destructuring pattern: [a, , b = 1, ...rest]. Holes are null.
+ */
+export class ArrayPatternNode extends ASTNode {
+  constructor(elements = [], location = null) {
+    super('ArrayPattern', location);
+    this.elements = elements;
+  }
+}
+
+/**
+ * Rest element node: ...argument in patterns and arrow function parameters
+ */
+export class RestElementNode extends ASTNode {
+  constructor(argument, location = null) {
+    super('RestElement', location);
+    this.argument = argument;
+  }
+}
+
+/**
+ * Pattern with a default value: target = defaultValue
+ */
+export class AssignmentPatternNode extends ASTNode {
+  constructor(left, right, location = null) {
+    super('AssignmentPattern', location);
+    this.left = left;
+    this.right = right;
+  }
+}
+
 // ============================================================================
 // JSX Nodes
 // ============================================================================
@@ -487,14 +813,47 @@ export class JSXElementNode extends ASTNode {
   }
 }
 
+/**
+ * JSX fragment node - `<>...</>` groups children without a wrapper element
+ */
+export class JSXFragmentNode extends ASTNode {
+  constructor(children = [], location = null) {
+    super('JSXFragment', location);
+    this.children = children;
+  }
+}
+
+/**
+ * JSX spread attribute node - `{...props}`
+ */
+export class JSXSpreadAttributeNode extends ASTNode {
+  constructor(argument, location = null) {
+    super('JSXSpreadAttribute', location);
+    this.argument = argument;
+  }
+}
+
 /**
  * JSX attribute node
  */
 export class JSXAttributeNode extends ASTNode {
-  constructor(name, value = null, location = null) {
+  constructor(name, value = null, location = null, modifiers = []) {
     super('JSXAttribute', location);
     this.name = name;
     this.value = value;
+    this.modifiers = modifiers; // Event modifiers, e.g. ['prevent'] for onSubmit.prevent
+  }
+}
+
+/**
+ * JSX two-way binding node - `bind:value={this.state.inputValue}`
+ */
+export class JSXBindingNode extends ASTNode {
+  constructor(property, path, expression, location = null) {
+    super('JSXBinding', location);
+    this.property = property; // Bound element property: 'value' or 'checked'
+    this.path = path; // Dot-notation path inside the component state
+    this.expression = expression;
   }
 }
 
@@ -526,41 +885,67 @@ export class TodoLangParser {
     this.tokens = tokens;
     this.current = 0;
     this.errors = [];
+    this.inAsyncFunction = false;
+    this.jumpTargets = []; // Enclosing 'loop' and 'switch' statements, innermost last
   }
 
   /**
    * Parse tokens into an AST
+   * @throws {ParseError} Aggregate of every syntax error, carrying the partial AST as `ast`
    */
   parse(tokens) {
+    const { ast, errors } = this.parseWithRecovery(tokens);
+
+    if (errors.length > 0) {
+      const error = new ParseError(
+        `Parser encountered ${errors.length} error(s):\n${errors.map(e => e.message).join('\n')}`,
+        errors[0].token,
+        errors[0].expected
+      );
+      error.errors = [...errors];
+      error.ast = ast;
+      throw error;
+    }
+
+    return ast;
+  }
+
+  /**
+   * Parse tokens into an AST without throwing on syntax errors. The parser
+   * recovers at declaration, member, statement and JSX boundaries, so the
+   * partial AST keeps every construct that parsed cleanly.
+   * @returns {{ast: ProgramNode, errors: ParseError[]}}
+   */
+  parseWithRecovery(tokens) {
     if (tokens !== undefined) {
       this.tokens = tokens;
       this.current = 0;
       this.errors = [];
+      this.jumpTargets = [];
     }
 
+    // Comments may sit between any two tokens and carry no syntax, except
+    // in JSX text, where expandJSXComment turns them back into tokens
+    this.comments = this.tokens.filter(token => token.type === TokenType.COMMENT);
+    this.tokens = this.tokens.filter(token => token.type !== TokenType.COMMENT);
+
     try {
       const declarations = [];
+      const imports = [];
 
       while (!this.isAtEnd()) {
-        // Skip comments
-        if (this.check(TokenType.COMMENT)) {
-          this.advance();
-          continue;
-        }
-
         const declaration = this.parseDeclaration();
-        if (declaration) {
+        if (declaration && declaration.type === 'Import') {
+          imports.push(declaration);
+        } else if (declaration) {
           declarations.push(declaration);
         }
       }
 
-      if (this.errors.length > 0) {
-        throw new ParseError(
-          `Parser encountered ${this.errors.length} error(s):\n${this.errors.map(e => e.message).join('\n')}`
-        );
-      }
-
-      return new ProgramNode(declarations, this.getLocation());
+      return {
+        ast: new ProgramNode(declarations, imports, this.getLocation()),
+        errors: [...this.errors]
+      };
     } catch (error) {
       if (error instanceof ParseError) {
         throw error;
@@ -575,6 +960,19 @@ export class TodoLangParser {
 
   parseDeclaration() {
     try {
+      if (this.match(TokenType.IMPORT)) {
+        return this.parseImportDeclaration();
+      }
+      if (this.match(TokenType.EXPORT)) {
+        if (!EXPORTABLE_DECLARATIONS.includes(this.peek().type)) {
+          this.error("Expected component, model, service, or enum after 'export'", EXPORTABLE_DECLARATIONS);
+        }
+        const declaration = this.parseDeclaration();
+        if (declaration) {
+          declaration.isExported = true;
+        }
+        return declaration;
+      }
       if (this.match(TokenType.COMPONENT)) {
         return this.parseComponentDeclaration();
       }
@@ -584,126 +982,434 @@ export class TodoLangParser {
       if (this.match(TokenType.SERVICE)) {
         return this.parseServiceDeclaration();
       }
+      if (this.match(TokenType.ENUM)) {
+        return this.parseEnumDeclaration();
+      }
 
-      // If we reach here, we have an unexpected token
-      this.error(`Unexpected token '${this.peek().value}'. Expected component, model, or service declaration.`);
-      this.synchronize();
-      return null;
+      this.error(`Unexpected token '${this.peek().value}'. Expected component, model, service, or enum declaration.`, DECLARATION_START);
     } catch (error) {
-      this.error(error.message);
-      this.synchronize();
+      this.recover(error);
+      this.synchronizeDeclaration();
       return null;
     }
   }
 
+  /**
+   * Parse `import { a, b as c } from "source"` after the 'import' keyword.
+   * `from` and `as` are contextual, so they stay usable as identifiers.
+   */
+  parseImportDeclaration() {
+    const location = this.getLocation();
+    this.consume(TokenType.LEFT_BRACE, "Expected '{' after 'import'");
+
+    const specifiers = [];
+    if (!this.check(TokenType.RIGHT_BRACE)) {
+      do {
+        const specifierLocation = this.getLocation();
+        const imported = this.consume(TokenType.IDENTIFIER, "Expected imported name").value;
+        let local = imported;
+        if (this.matchContextual('as')) {
+          local = this.consume(TokenType.IDENTIFIER, "Expected local name after 'as'").value;
+        }
+        specifiers.push(new ImportSpecifierNode(imported, local, specifierLocation));
+      } while (this.match(TokenType.COMMA));
+    }
+
+    this.consume(TokenType.RIGHT_BRACE, "Expected '}' after import specifiers");
+    if (!this.matchContextual('from')) {
+      this.error("Expected 'from' after import specifiers", [TokenType.IDENTIFIER]);
+    }
+    const source = this.consume(TokenType.STRING, "Expected module path string after 'from'").value;
+
+    return new ImportNode(specifiers, source, location);
+  }
+
   parseComponentDeclaration() {
     const location = this.getLocation();
     const name = this.consume(TokenType.IDENTIFIER, "Expected component name").value;
 
     this.consume(TokenType.LEFT_BRACE, "Expected '{' after component name");
 
+    let propsDeclaration = null;
     let stateDeclaration = null;
     const methods = [];
     const computedProperties = [];
     let renderMethod = null;
-
-    while (!this.check(TokenType.RIGHT_BRACE) && !this.isAtEnd()) {
-      if (this.match(TokenType.STATE)) {
+    const lifecycleHooks = [];
+    const watchers = [];
+    let style = null;
+
+    this.parseMembers(() => {
+      // `props` is contextual: `props {` starts the block, `props(` is a method
+      if (this.check(TokenType.IDENTIFIER) && this.peek().value === 'props' &&
+          this.peekNext() && this.peekNext().type === TokenType.LEFT_BRACE) {
+        this.advance();
+        if (propsDeclaration) {
+          this.report(this.createError("Component can only have one props declaration"));
+        }
+        propsDeclaration = this.parsePropsDeclaration();
+      } else if (this.checkLifecycleBlock()) {
+        const hook = this.parseLifecycleBlock();
+        if (lifecycleHooks.some(existing => existing.hook === hook.hook)) {
+          this.report(this.createError(`Component can only have one '${hook.hook}' block`, null, hook.location));
+        }
+        lifecycleHooks.push(hook);
+      } else if (this.check(TokenType.IDENTIFIER) && this.peek().value === 'watch' &&
+                 this.peekNext() && this.peekNext().type === TokenType.STATE) {
+        this.advance();
+        watchers.push(this.parseWatchDeclaration());
+      } else if (this.check(TokenType.IDENTIFIER) && this.peek().value === 'style' &&
+                 this.peekNext() && this.peekNext().type === TokenType.STYLE_BLOCK) {
+        // The lexer keeps the CSS of `style {` blocks as one token
+        const location = this.getLocation();
+        this.advance();
+        if (style) {
+          this.report(this.createError("Component can only have one style block", null, location));
+        }
+        style = new StyleNode(this.advance().value, location);
+      } else if (this.match(TokenType.STATE)) {
         if (stateDeclaration) {
-          this.error("Component can only have one state declaration");
+          this.report(this.createError("Component can only have one state declaration"));
         }
         stateDeclaration = this.parseStateDeclaration();
       } else if (this.match(TokenType.COMPUTED)) {
         computedProperties.push(this.parseComputedDeclaration());
       } else if (this.match(TokenType.RENDER)) {
         if (renderMethod) {
-          this.error("Component can only have one render method");
+          this.report(this.createError("Component can only have one render method"));
         }
         renderMethod = this.parseRenderDeclaration();
       } else if (this.match(TokenType.STATIC)) {
         methods.push(this.parseMethodDeclaration());
-      } else if (this.check(TokenType.IDENTIFIER)) {
+      } else if (this.check(TokenType.IDENTIFIER) && this.peekNext() && this.peekNext().type === TokenType.ASSIGN) {
+        methods.push(this.parseBoundMethodDeclaration());
+      } else if (this.check(TokenType.IDENTIFIER) || this.check(TokenType.ASYNC)) {
         methods.push(this.parseMethodDeclaration());
       } else {
-        this.error(`Unexpected token '${this.peek().value}' in component body`);
-        this.advance();
+        this.error(`Unexpected token '${this.peek().value}' in component body`, COMPONENT_MEMBER_START);
       }
-    }
+    });
 
-    this.consume(TokenType.RIGHT_BRACE, "Expected '}' after component body");
+    this.consumeBodyEnd("Expected '}' after component body");
 
     // Validate that component has a render method
     if (!renderMethod) {
-      this.error("Component must have a render method");
+      this.report(this.createError("Component must have a render method"));
     }
 
-    return new ComponentNode(name, stateDeclaration, methods, computedProperties, renderMethod, location);
-  }
-
-  parseStateDeclaration() {
-    const location = this.getLocation();
-    this.consume(TokenType.LEFT_BRACE, "Expected '{' after 'state'");
+    for (const hook of lifecycleHooks) {
+      if (methods.some(method => method.name === hook.hook && !method.isStatic)) {
+        this.report(this.createError(`Component cannot have both a '${hook.hook}' block and a '${hook.hook}()' method`, null, hook.location));
+      }
+    }
 
-    const properties = [];
-    while (!this.check(TokenType.RIGHT_BRACE) && !this.isAtEnd()) {
-      properties.push(this.parsePropertyDeclaration());
+    // A method would replace the computed property's getter on the class
+    for (const computed of computedProperties) {
+      if (methods.some(method => method.name === computed.name && !method.isStatic)) {
+        this.report(this.createError(`Component cannot have both a computed '${computed.name}' and a '${computed.name}()' method`, null, computed.location));
+      }
     }
 
-    this.consume(TokenType.RIGHT_BRACE, "Expected '}' after state properties");
-    return new StateNode(properties, location);
+    return new ComponentNode(name, stateDeclaration, methods, computedProperties, renderMethod, location,
+      propsDeclaration, lifecycleHooks, watchers, style);
   }
 
-  parsePropertyDeclaration() {
+  /**
+   * `mounted {`, `unmounted {`, `updated {` and `updated(` start lifecycle
+   * blocks; `mounted()` stays an ordinary method
+   */
+  checkLifecycleBlock() {
+    if (!this.check(TokenType.IDENTIFIER) || !Object.prototype.hasOwnProperty.call(LIFECYCLE_HOOKS, this.peek().value)) {
+      return false;
+    }
+    const next = this.peekNext();
+    return Boolean(next) && (next.type === TokenType.LEFT_BRACE ||
+      (LIFECYCLE_HOOKS[this.peek().value] > 0 && next.type === TokenType.LEFT_PAREN));
+  }
+
+  parseLifecycleBlock() {
     const location = this.getLocation();
-    const name = this.consume(TokenType.IDENTIFIER, "Expected property name").value;
+    const hook = this.advance().value;
+    const parameters = this.check(TokenType.LEFT_PAREN)
+      ? this.parseBlockParameters(LIFECYCLE_HOOKS[hook], `'${hook}'`)
+      : [];
+    const body = this.parseBlockBody(`'${hook}'`);
+    return new LifecycleNode(hook, parameters, body, location);
+  }
 
-    this.consume(TokenType.COLON, "Expected ':' after property name");
-    const type = this.parseType();
+  /**
+   * Parse `state.path (newValue, oldValue) { }` after 'watch'
+   */
+  parseWatchDeclaration() {
+    const location = this.getLocation();
+    this.consume(TokenType.STATE, "Expected 'state' after 'watch'");
 
-    let defaultValue = null;
-    if (this.match(TokenType.ASSIGN)) {
-      defaultValue = this.parseExpression();
-    }
+    const path = [];
+    do {
+      this.consume(TokenType.DOT, "Expected '.' after 'state'");
+      path.push(this.consume(TokenType.IDENTIFIER, "Expected state property name after '.'").value);
+    } while (this.check(TokenType.DOT));
 
-    return new PropertyNode(name, type, defaultValue, location);
+    const parameters = this.check(TokenType.LEFT_PAREN) ? this.parseBlockParameters(2, 'watch') : [];
+    const body = this.parseBlockBody('watch');
+    return new WatchNode(path.join('.'), parameters, body, location);
   }
 
-  parseMethodDeclaration() {
+  /**
+   * Parameters of lifecycle and watch blocks. Their types come from the
+   * component, so annotations are optional.
+   */
+  parseBlockParameters(max, blockName) {
     const location = this.getLocation();
-    const isStatic = this.previous().type === TokenType.STATIC;
-
-    const name = this.consume(TokenType.IDENTIFIER, "Expected method name").value;
-    this.consume(TokenType.LEFT_PAREN, "Expected '(' after method name");
+    this.consume(TokenType.LEFT_PAREN, `Expected '(' after ${blockName}`);
 
     const parameters = [];
     if (!this.check(TokenType.RIGHT_PAREN)) {
       do {
-        parameters.push(this.parseParameter());
+        const parameterLocation = this.getLocation();
+        const name = this.consume(TokenType.IDENTIFIER, "Expected parameter name").value;
+        const type = this.match(TokenType.COLON) ? this.parseType() : null;
+        parameters.push(new ParameterNode(name, type, null, false, null, parameterLocation));
       } while (this.match(TokenType.COMMA));
     }
 
     this.consume(TokenType.RIGHT_PAREN, "Expected ')' after parameters");
-
-    // Optional return type annotation
-    let returnType = null;
-    if (this.match(TokenType.COLON)) {
-      returnType = this.parseType();
+    if (parameters.length > max) {
+      this.report(this.createError(`${blockName} block takes at most ${max} parameter${max === 1 ? '' : 's'}`, null, location));
     }
+    return parameters;
+  }
 
-    this.consume(TokenType.LEFT_BRACE, "Expected '{' before method body");
+  parseBlockBody(blockName) {
+    this.consume(TokenType.LEFT_BRACE, `Expected '{' before ${blockName} body`);
+    const body = this.withFunctionContext(false, () => this.parseStatementList());
+    this.consume(TokenType.RIGHT_BRACE, `Expected '}' after ${blockName} body`);
+    return body;
+  }
 
-    const body = [];
-    while (!this.check(TokenType.RIGHT_BRACE) && !this.isAtEnd()) {
-      body.push(this.parseStatement());
-    }
+  parsePropsDeclaration() {
+    const location = this.getLocation();
+    this.consume(TokenType.LEFT_BRACE, "Expected '{' after 'props'");
 
-    this.consume(TokenType.RIGHT_BRACE, "Expected '}' after method body");
+    const properties = [];
+    this.parseMembers(() => {
+      const token = this.peek();
+      const property = this.parseComponentProperty();
+      if (properties.some(existing => existing.name === property.name)) {
+        this.report(this.createError(`Duplicate prop '${property.name}'`, null, token));
+      }
+      properties.push(property);
+    });
 
-    const method = new MethodNode(name, parameters, body, isStatic, location);
+    this.consume(TokenType.RIGHT_BRACE, "Expected '}' after props");
+    return new PropsNode(properties, location);
+  }
+
+  parseStateDeclaration() {
+    const location = this.getLocation();
+    this.consume(TokenType.LEFT_BRACE, "Expected '{' after 'state'");
+
+    const properties = [];
+    this.parseMembers(() => {
+      properties.push(this.parseComponentProperty());
+    });
+
+    this.consume(TokenType.RIGHT_BRACE, "Expected '}' after state properties");
+    return new StateNode(properties, location);
+  }
+
+  /**
+   * Parse a props or state property, which cannot carry field constraints
+   */
+  parseComponentProperty() {
+    const property = this.parsePropertyDeclaration();
+    if (property.constraints.length > 0) {
+      this.report(this.createError("Field constraints are only supported on model fields", null, property.constraints[0].location));
+    }
+    return property;
+  }
+
+  parsePropertyDeclaration() {
+    const location = this.getLocation();
+    const name = this.consume(TokenType.IDENTIFIER, "Expected property name").value;
+
+    this.consume(TokenType.COLON, "Expected ':' after property name");
+    const type = this.parseType();
+
+    const constraints = [];
+    while (this.check(TokenType.AT)) {
+      const constraint = this.parseConstraint();
+      if (constraints.some(existing => existing.name === constraint.name)) {
+        this.report(this.createError(`Duplicate constraint '@${constraint.name}' on '${name}'`, null, constraint.location));
+      }
+      constraints.push(constraint);
+    }
+
+    let defaultValue = null;
+    if (this.match(TokenType.ASSIGN)) {
+      defaultValue = this.parseExpression();
+    }
+
+    return new PropertyNode(name, type, defaultValue, location, constraints);
+  }
+
+  /**
+   * Parse a field constraint: `@name` or `@name(arguments)`
+   */
+  parseConstraint() {
+    const location = this.getLocation();
+    this.consume(TokenType.AT, "Expected '@' before constraint name");
+    const nameToken = this.consume(TokenType.IDENTIFIER, "Expected constraint name after '@'");
+    const name = nameToken.value;
+
+    if (!Object.prototype.hasOwnProperty.call(FIELD_CONSTRAINTS, name)) {
+      this.report(this.createError(`Unknown constraint '@${name}'`, null, nameToken));
+    }
+
+    const args = [];
+    if (this.match(TokenType.LEFT_PAREN)) {
+      if (!this.check(TokenType.RIGHT_PAREN)) {
+        do {
+          args.push(this.parseConstraintArgument());
+        } while (this.match(TokenType.COMMA));
+      }
+      this.consume(TokenType.RIGHT_PAREN, `Expected ')' after '@${name}' arguments`);
+    }
+
+    return this.createConstraint(name, args, location);
+  }
+
+  parseConstraintArgument() {
+    const location = this.getLocation();
+    if (this.match(TokenType.REGEX)) {
+      const literal = this.previous().value;
+      const end = literal.lastIndexOf('/');
+      return new RegexLiteralNode(literal.slice(1, end), literal.slice(end + 1), location);
+    }
+
+    if (this.match(TokenType.STRING)) {
+      return new StringLiteralNode(this.previous().value, location);
+    }
+
+    const negative = this.match(TokenType.MINUS);
+    if (this.match(TokenType.NUMBER)) {
+      return new NumberLiteralNode((negative ? '-' : '') + this.previous().value, location);
+    }
+
+    this.error("Constraint arguments must be string, number or regex literals", [TokenType.STRING, TokenType.NUMBER, TokenType.REGEX]);
+  }
+
+  /**
+   * Check constraint arguments against FIELD_CONSTRAINTS, splitting off a
+   * trailing custom message
+   */
+  createConstraint(name, args, location) {
+    const expected = FIELD_CONSTRAINTS[name];
+    if (expected === undefined) {
+      return new ConstraintNode(name, args, null, location);
+    }
+
+    if (expected === null) {
+      if (args.length === 0 || args.some(arg => arg.type === 'RegexLiteral')) {
+        this.report(this.createError(`Constraint '@${name}' expects one or more string or number values`, null, location));
+      }
+      return new ConstraintNode(name, args, null, location);
+    }
+
+    let message = null;
+    const last = args[args.length - 1];
+    if (name !== 'trim' && args.length === expected.length + 1 && last.type === 'StringLiteral') {
+      message = args.pop().value;
+    }
+
+    const kinds = { number: 'NumberLiteral', regex: 'RegexLiteral' };
+    const valid = args.length === expected.length &&
+      expected.every((kind, index) => args[index].type === kinds[kind]);
+    if (!valid) {
+      let usage = `expects a ${expected.join(', ')} and an optional message`;
+      if (name === 'trim') {
+        usage = 'takes no arguments';
+      } else if (expected.length === 0) {
+        usage = 'only takes an optional message';
+      }
+      this.report(this.createError(`Constraint '@${name}' ${usage}`, null, location));
+    }
+
+    return new ConstraintNode(name, args, message, location);
+  }
+
+  parseMethodDeclaration() {
+    const location = this.getLocation();
+    const isStatic = this.previous().type === TokenType.STATIC;
+    const isAsync = this.match(TokenType.ASYNC);
+
+    const name = this.consume(TokenType.IDENTIFIER, "Expected method name").value;
+    this.consume(TokenType.LEFT_PAREN, "Expected '(' after method name");
+    const parameters = this.parseParameterList();
+
+    // Optional return type annotation
+    let returnType = null;
+    if (this.match(TokenType.COLON)) {
+      returnType = this.parseType();
+    }
+
+    this.consume(TokenType.LEFT_BRACE, "Expected '{' before method body");
+    const body = this.withFunctionContext(isAsync, () => this.parseStatementList());
+    this.consume(TokenType.RIGHT_BRACE, "Expected '}' after method body");
+
+    const method = new MethodNode(name, parameters, body, isStatic, isAsync, location);
     method.returnType = returnType; // Add return type to method node
     return method;
   }
 
+  /**
+   * A component method declared as `name = (params) => { ... }`, bound to
+   * the instance so it can be passed around as a listener
+   */
+  parseBoundMethodDeclaration() {
+    const location = this.getLocation();
+    const name = this.consume(TokenType.IDENTIFIER, "Expected method name").value;
+    this.consume(TokenType.ASSIGN, "Expected '=' after method name");
+    const isAsync = this.match(TokenType.ASYNC);
+
+    this.consume(TokenType.LEFT_PAREN, "Expected '(' before parameters");
+    const parameters = this.parseParameterList();
+
+    let returnType = null;
+    if (this.match(TokenType.COLON)) {
+      returnType = this.parseType();
+    }
+
+    this.consume(TokenType.ARROW, "Expected '=>' after parameters");
+    this.consume(TokenType.LEFT_BRACE, "Expected '{' before method body");
+    const body = this.withFunctionContext(isAsync, () => this.parseStatementList());
+    this.consume(TokenType.RIGHT_BRACE, "Expected '}' after method body");
+
+    const method = new MethodNode(name, parameters, body, false, isAsync, location);
+    method.returnType = returnType;
+    method.isBound = true;
+    return method;
+  }
+
+  /**
+   * Parameters up to and including the closing ')'
+   */
+  parseParameterList() {
+    const parameters = [];
+    if (!this.check(TokenType.RIGHT_PAREN)) {
+      do {
+        const parameter = this.parseParameter();
+        parameters.push(parameter);
+        if (parameter.isRest && !this.check(TokenType.RIGHT_PAREN)) {
+          this.error("Rest parameter must be last", [TokenType.RIGHT_PAREN]);
+        }
+      } while (this.match(TokenType.COMMA));
+    }
+
+    this.consume(TokenType.RIGHT_PAREN, "Expected ')' after parameters");
+    return parameters;
+  }
+
   parseComputedDeclaration() {
     const location = this.getLocation();
     const name = this.consume(TokenType.IDENTIFIER, "Expected computed property name").value;
@@ -712,10 +1418,7 @@ export class TodoLangParser {
     this.consume(TokenType.RIGHT_PAREN, "Expected ')' after computed property name");
     this.consume(TokenType.LEFT_BRACE, "Expected '{' before computed property body");
 
-    const body = [];
-    while (!this.check(TokenType.RIGHT_BRACE) && !this.isAtEnd()) {
-      body.push(this.parseStatement());
-    }
+    const body = this.parseStatementList();
 
     this.consume(TokenType.RIGHT_BRACE, "Expected '}' after computed property body");
 
@@ -729,10 +1432,7 @@ export class TodoLangParser {
     this.consume(TokenType.RIGHT_PAREN, "Expected ')' after 'render('");
     this.consume(TokenType.LEFT_BRACE, "Expected '{' before render body");
 
-    const body = [];
-    while (!this.check(TokenType.RIGHT_BRACE) && !this.isAtEnd()) {
-      body.push(this.parseStatement());
-    }
+    const body = this.parseStatementList();
 
     this.consume(TokenType.RIGHT_BRACE, "Expected '}' after render body");
 
@@ -748,8 +1448,8 @@ export class TodoLangParser {
     const properties = [];
     const methods = [];
 
-    while (!this.check(TokenType.RIGHT_BRACE) && !this.isAtEnd()) {
-      if (this.match(TokenType.STATIC)) {
+    this.parseMembers(() => {
+      if (this.match(TokenType.STATIC) || this.check(TokenType.ASYNC)) {
         methods.push(this.parseMethodDeclaration());
       } else if (this.check(TokenType.IDENTIFIER)) {
         // Look ahead to determine if this is a property or method
@@ -759,16 +1459,15 @@ export class TodoLangParser {
         } else if (nextToken && nextToken.type === TokenType.LEFT_PAREN) {
           methods.push(this.parseMethodDeclaration());
         } else {
-          this.error(`Unexpected token sequence in model body`);
           this.advance();
+          this.error(`Unexpected token sequence in model body`, [TokenType.COLON, TokenType.LEFT_PAREN]);
         }
       } else {
-        this.error(`Unexpected token '${this.peek().value}' in model body`);
-        this.advance();
+        this.error(`Unexpected token '${this.peek().value}' in model body`, MODEL_MEMBER_START);
       }
-    }
+    });
 
-    this.consume(TokenType.RIGHT_BRACE, "Expected '}' after model body");
+    this.consumeBodyEnd("Expected '}' after model body");
 
     return new ModelNode(name, properties, methods, location);
   }
@@ -780,33 +1479,120 @@ export class TodoLangParser {
     this.consume(TokenType.LEFT_BRACE, "Expected '{' after service name");
 
     const methods = [];
-    while (!this.check(TokenType.RIGHT_BRACE) && !this.isAtEnd()) {
-      if (this.check(TokenType.IDENTIFIER)) {
+    this.parseMembers(() => {
+      if (this.check(TokenType.IDENTIFIER) || this.check(TokenType.ASYNC)) {
         methods.push(this.parseMethodDeclaration());
       } else {
-        this.error(`Unexpected token '${this.peek().value}' in service body`);
-        this.advance();
+        this.error(`Unexpected token '${this.peek().value}' in service body`, SERVICE_MEMBER_START);
       }
-    }
+    });
 
-    this.consume(TokenType.RIGHT_BRACE, "Expected '}' after service body");
+    this.consumeBodyEnd("Expected '}' after service body");
 
     return new ServiceNode(name, methods, location);
   }
+  /**
+   * Parse `enum Name { A = "a", B = "b" }` or `enum Name { A, B = 5, C }`.
+   * Members are separated by commas or newlines.
+   */
+  parseEnumDeclaration() {
+    const location = this.getLocation();
+    const name = this.consume(TokenType.IDENTIFIER, "Expected enum name").value;
+
+    this.consume(TokenType.LEFT_BRACE, "Expected '{' after enum name");
+
+    const members = [];
+    let nextValue = 0;
+
+    this.parseMembers(() => {
+      const memberLocation = this.getLocation();
+      const memberToken = this.consume(TokenType.IDENTIFIER, "Expected enum member name");
+
+      let value;
+      if (this.match(TokenType.ASSIGN)) {
+        value = this.parseEnumValue();
+      } else if (nextValue === null) {
+        this.error(`Enum member '${memberToken.value}' must have an initializer after a string member`, [TokenType.ASSIGN]);
+      } else {
+        value = new NumberLiteralNode(String(nextValue), memberLocation);
+      }
+      nextValue = value.type === 'NumberLiteral' ? value.value + 1 : null;
+
+      if (ENUM_RESERVED_MEMBERS.includes(memberToken.value)) {
+        this.report(this.createError(`Enum member name '${memberToken.value}' is reserved`, null, memberToken));
+      } else if (members.some(member => member.name === memberToken.value)) {
+        this.report(this.createError(`Duplicate enum member '${memberToken.value}'`, null, memberToken));
+      } else if (members.some(member => member.value.value === value.value)) {
+        this.report(this.createError(`Duplicate enum value ${JSON.stringify(value.value)} in '${memberToken.value}'`, null, memberToken));
+      }
+
+      members.push(new EnumMemberNode(memberToken.value, value, memberLocation));
+      if (!this.match(TokenType.COMMA) && !this.check(TokenType.RIGHT_BRACE) && !this.isAtLineStart()) {
+        this.error("Expected ',' or a new line after enum member", [TokenType.COMMA, TokenType.RIGHT_BRACE]);
+      }
+    });
+
+    this.consumeBodyEnd("Expected '}' after enum body");
+
+    return new EnumNode(name, members, location);
+  }
+
+  /**
+   * Enum initializers are string or (possibly negative) number literals
+   */
+  parseEnumValue() {
+    const location = this.getLocation();
+    if (this.match(TokenType.STRING)) {
+      return new StringLiteralNode(this.previous().value, location);
+    }
+
+    const negative = this.match(TokenType.MINUS);
+    if (this.match(TokenType.NUMBER)) {
+      return new NumberLiteralNode((negative ? '-' : '') + this.previous().value, location);
+    }
+
+    this.error("Enum values must be string or number literals", [TokenType.STRING, TokenType.NUMBER]);
+  }
+
+
+  /**
+   * Parse the members of a declaration or state body up to its closing brace,
+   * recovering at the next member when one fails
+   * @param {Function} parseMember - Parses a single member
+   */
+  parseMembers(parseMember) {
+    while (!this.check(TokenType.RIGHT_BRACE) && !this.isAtEnd() && !this.checkDeclarationStart()) {
+      const start = this.current;
+      try {
+        parseMember();
+      } catch (error) {
+        this.recover(error);
+        this.synchronizeMember(start);
+      }
+    }
+  }
 
   parseParameter() {
     const location = this.getLocation();
-    const name = this.consume(TokenType.IDENTIFIER, "Expected parameter name").value;
+    const isRest = this.match(TokenType.SPREAD);
+
+    let name = null;
+    let pattern = null;
+    if (!isRest && (this.check(TokenType.LEFT_BRACE) || this.check(TokenType.LEFT_BRACKET))) {
+      pattern = this.parseBindingTarget();
+    } else {
+      name = this.consume(TokenType.IDENTIFIER, "Expected parameter name").value;
+    }
 
-    this.consume(TokenType.COLON, "Expected ':' after parameter name");
-    const type = this.parseType();
+    // Untyped parameters accept any value
+    const type = this.match(TokenType.COLON) ? this.parseType() : null;
 
     let defaultValue = null;
-    if (this.match(TokenType.ASSIGN)) {
+    if (!isRest && this.match(TokenType.ASSIGN)) {
       defaultValue = this.parseExpression();
     }
 
-    return new ParameterNode(name, type, defaultValue, location);
+    return new ParameterNode(name, type, defaultValue, isRest, pattern, location);
   }
 
   parseType() {
@@ -832,6 +1618,7 @@ export class TodoLangParser {
   // ============================================================================
 
   parseStatement() {
+    const start = this.current;
     try {
       if (this.match(TokenType.IF)) {
         return this.parseIfStatement();
@@ -842,6 +1629,12 @@ export class TodoLangParser {
       if (this.match(TokenType.WHILE)) {
         return this.parseWhileStatement();
       }
+      if (this.match(TokenType.DO)) {
+        return this.parseDoWhileStatement();
+      }
+      if (this.match(TokenType.SWITCH)) {
+        return this.parseSwitchStatement();
+      }
       if (this.match(TokenType.RETURN)) {
         return this.parseReturnStatement();
       }
@@ -851,6 +1644,12 @@ export class TodoLangParser {
       if (this.match(TokenType.CONTINUE)) {
         return this.parseContinueStatement();
       }
+      if (this.match(TokenType.TRY)) {
+        return this.parseTryStatement();
+      }
+      if (this.match(TokenType.THROW)) {
+        return this.parseThrowStatement();
+      }
       if (this.match(TokenType.LET, TokenType.CONST, TokenType.VAR)) {
         return this.parseVariableDeclaration();
       }
@@ -860,36 +1659,123 @@ export class TodoLangParser {
 
       return this.parseExpressionStatement();
     } catch (error) {
-      this.error(error.message);
-      this.synchronize();
+      this.recover(error);
+      this.synchronizeStatement(start);
       return null;
     }
   }
 
+  /**
+   * Parse statements up to the closing brace of the enclosing body. Statements
+   * that failed to parse are left out.
+   */
+  parseStatementList() {
+    const statements = [];
+
+    while (!this.check(TokenType.RIGHT_BRACE) && !this.isAtEnd() && !this.checkDeclarationStart()) {
+      const statement = this.parseStatement();
+      if (statement) {
+        statements.push(statement);
+      }
+    }
+
+    return statements;
+  }
+
   parseBreakStatement() {
     const location = this.getLocation();
+    if (this.jumpTargets.length === 0) {
+      this.report(this.createError("'break' is only valid inside a loop or switch", null, this.previous()));
+    }
     return new BreakNode(location);
   }
 
   parseContinueStatement() {
     const location = this.getLocation();
+    if (!this.jumpTargets.includes('loop')) {
+      this.report(this.createError("'continue' is only valid inside a loop", null, this.previous()));
+    }
     return new ContinueNode(location);
   }
 
+  /**
+   * Parse the body of a loop or switch, where 'break' (and for loops
+   * 'continue') is allowed
+   * @param {'loop'|'switch'} kind
+   */
+  withJumpTarget(kind, parseBody) {
+    this.jumpTargets.push(kind);
+    try {
+      return parseBody();
+    } finally {
+      this.jumpTargets.pop();
+    }
+  }
+
+  parseTryStatement() {
+    const location = this.getLocation();
+
+    this.consume(TokenType.LEFT_BRACE, "Expected '{' after 'try'");
+    const block = this.parseBlockStatement();
+
+    let handler = null;
+    if (this.match(TokenType.CATCH)) {
+      const catchLocation = this.getLocation();
+      let param = null;
+
+      // The catch binding is optional: catch { ... }
+      if (this.match(TokenType.LEFT_PAREN)) {
+        const id = this.consume(TokenType.IDENTIFIER, "Expected identifier in catch clause");
+        param = new IdentifierNode(id.value, catchLocation);
+        this.consume(TokenType.RIGHT_PAREN, "Expected ')' after catch parameter");
+      }
+
+      this.consume(TokenType.LEFT_BRACE, "Expected '{' before catch body");
+      const body = this.parseBlockStatement();
+      handler = new CatchClause(param, body, catchLocation);
+    }
+
+    let finalizer = null;
+    if (this.match(TokenType.FINALLY)) {
+      this.consume(TokenType.LEFT_BRACE, "Expected '{' after 'finally'");
+      finalizer = this.parseBlockStatement();
+    }
+
+    if (!handler && !finalizer) {
+      throw new ParseError("Expected 'catch' or 'finally' after try block", this.peek());
+    }
+
+    return new TryNode(block, handler, finalizer, location);
+  }
+
+  parseThrowStatement() {
+    const location = this.getLocation();
+
+    if (this.check(TokenType.SEMICOLON) || this.check(TokenType.RIGHT_BRACE)) {
+      throw new ParseError("Expected expression after 'throw'", this.peek());
+    }
+
+    const expression = this.parseExpression();
+    return new ThrowNode(expression, location);
+  }
+
   parseVariableDeclaration() {
     const location = this.getLocation();
     const kind = this.previous().value; // 'let', 'const', or 'var'
 
     const declarations = [];
     do {
-      const id = this.consume(TokenType.IDENTIFIER, "Expected variable name");
+      const id = this.parseBindingTarget();
       let init = null;
 
       if (this.match(TokenType.ASSIGN)) {
         init = this.parseExpression();
+      } else if (id.type !== 'Identifier' && !this.check(TokenType.OF) && !this.check(TokenType.IN)) {
+        // Only loop variables are destructured without an initializer
+        this.error("Destructuring declaration requires an initializer", [TokenType.ASSIGN]);
       }
 
-      declarations.push(new VariableDeclaratorNode(new IdentifierNode(id.value, this.getLocation()), init, this.getLocation()));
+      declarations.push(new VariableDeclaratorNode(id, init, this.getLocation()));
     } while (this.match(TokenType.COMMA));
 
     return new VariableDeclarationNode(kind, declarations, location);
@@ -915,6 +1801,11 @@ export class TodoLangParser {
   parseForStatement() {
     const location = this.getLocation();
 
+    const isAwait = this.match(TokenType.AWAIT);
+    if (isAwait) {
+      this.checkAwaitAllowed();
+    }
+
     this.consume(TokenType.LEFT_PAREN, "Expected '(' after 'for'");
 
     let init = null;
@@ -932,10 +1823,14 @@ export class TodoLangParser {
     if (this.match(TokenType.IN) || this.match(TokenType.OF)) {
       const iterable = this.parseExpression();
       this.consume(TokenType.RIGHT_PAREN, "Expected ')' after for-in/for-of clauses");
-      const body = this.parseStatement();
+      const body = this.withJumpTarget('loop', () => this.parseStatement());
 
       // For for-in/for-of loops, we use the init as the variable and iterable as the condition
-      return new ForNode(init, iterable, null, body, location);
+      return new ForNode(init, iterable, null, body, isAwait, location);
+    }
+
+    if (isAwait) {
+      this.error("Expected 'of' in 'for await' loop", [TokenType.OF]);
     }
 
     this.consume(TokenType.SEMICOLON, "Expected ';' after for loop initializer");
@@ -952,9 +1847,9 @@ export class TodoLangParser {
     }
     this.consume(TokenType.RIGHT_PAREN, "Expected ')' after for clauses");
 
-    const body = this.parseStatement();
+    const body = this.withJumpTarget('loop', () => this.parseStatement());
 
-    return new ForNode(init, condition, update, body, location);
+    return new ForNode(init, condition, update, body, false, location);
   }
 
   parseWhileStatement() {
@@ -964,16 +1859,119 @@ export class TodoLangParser {
     const condition = this.parseExpression();
     this.consume(TokenType.RIGHT_PAREN, "Expected ')' after while condition");
 
-    const body = this.parseStatement();
+    const body = this.withJumpTarget('loop', () => this.parseStatement());
 
     return new WhileNode(condition, body, location);
   }
 
+  parseDoWhileStatement() {
+    const location = this.getLocation();
+
+    const body = this.withJumpTarget('loop', () => this.parseStatement());
+
+    this.consume(TokenType.WHILE, "Expected 'while' after do body");
+    this.consume(TokenType.LEFT_PAREN, "Expected '(' after 'while'");
+    const condition = this.parseExpression();
+    this.consume(TokenType.RIGHT_PAREN, "Expected ')' after while condition");
+
+    return new DoWhileNode(body, condition, location);
+  }
+
+  /**
+   * Parse `switch (value) { case a: ... default: ... }`. Cases with
+   * statements must end in break, continue, return or throw; only empty
+   * cases fall through, to share the next case's statements.
+   */
+  parseSwitchStatement() {
+    const location = this.getLocation();
+
+    this.consume(TokenType.LEFT_PAREN, "Expected '(' after 'switch'");
+    const discriminant = this.parseExpression();
+    this.consume(TokenType.RIGHT_PAREN, "Expected ')' after switch expression");
+    this.consume(TokenType.LEFT_BRACE, "Expected '{' after switch expression");
+
+    const cases = [];
+    this.withJumpTarget('switch', () => {
+      while (!this.check(TokenType.RIGHT_BRACE) && !this.isAtEnd() && !this.checkDeclarationStart()) {
+        cases.push(this.parseSwitchCase(cases));
+      }
+    });
+
+    this.consume(TokenType.RIGHT_BRACE, "Expected '}' after switch body");
+
+    return new SwitchNode(discriminant, cases, location);
+  }
+
+  /**
+   * Parse one `case value:` or `default:` clause and its statements
+   * @param {SwitchCaseNode[]} previousCases - Clauses parsed so far
+   */
+  parseSwitchCase(previousCases) {
+    const keyword = this.peek();
+    const location = this.getLocation();
+
+    let test = null;
+    if (this.match(TokenType.CASE)) {
+      test = this.parseExpression();
+      this.consume(TokenType.COLON, "Expected ':' after case value");
+    } else if (this.match(TokenType.DEFAULT)) {
+      if (previousCases.some(switchCase => switchCase.test === null)) {
+        this.report(this.createError("Switch has more than one 'default' case", null, keyword));
+      }
+      this.consume(TokenType.COLON, "Expected ':' after 'default'");
+    } else {
+      this.error(`Unexpected token '${this.peek().value}' in switch body`, [TokenType.CASE, TokenType.DEFAULT, TokenType.RIGHT_BRACE]);
+    }
+
+    // A previous case with statements would run into this one
+    const previous = previousCases[previousCases.length - 1];
+    const previousLast = previous && previous.consequent[previous.consequent.length - 1];
+    if (previousLast && !this.isTerminatingStatement(previousLast)) {
+      this.report(this.createError(
+        "Previous case falls through into this one; end it with 'break', 'continue', 'return' or 'throw'", null, keyword
+      ));
+    }
+
+    const consequent = [];
+    while (!this.check(TokenType.CASE) && !this.check(TokenType.DEFAULT) && !this.check(TokenType.RIGHT_BRACE) &&
+           !this.isAtEnd() && !this.checkDeclarationStart()) {
+      const statement = this.parseStatement();
+      if (statement) {
+        consequent.push(statement);
+      }
+    }
+
+    return new SwitchCaseNode(test, consequent, location);
+  }
+
+  /**
+   * Whether control never continues past a statement
+   */
+  isTerminatingStatement(statement) {
+    switch (statement.type) {
+      case 'Break':
+      case 'Continue':
+      case 'Return':
+      case 'Throw':
+        return true;
+      case 'Block':
+        return statement.statements.length > 0 &&
+          this.isTerminatingStatement(statement.statements[statement.statements.length - 1]);
+      case 'If':
+        return Boolean(statement.elseStatement) &&
+          this.isTerminatingStatement(statement.thenStatement) &&
+          this.isTerminatingStatement(statement.elseStatement);
+      default:
+        return false;
+    }
+  }
+
   parseReturnStatement() {
     const location = this.getLocation();
 
     let expression = null;
-    if (!this.check(TokenType.SEMICOLON) && !this.check(TokenType.RIGHT_BRACE)) {
+    if (!this.check(TokenType.SEMICOLON) && !this.check(TokenType.RIGHT_BRACE) &&
+        !this.check(TokenType.CASE) && !this.check(TokenType.DEFAULT)) {
       expression = this.parseExpression();
     }
 
@@ -982,11 +1980,7 @@ export class TodoLangParser {
 
   parseBlockStatement() {
     const location = this.getLocation();
-    const statements = [];
-
-    while (!this.check(TokenType.RIGHT_BRACE) && !this.isAtEnd()) {
-      statements.push(this.parseStatement());
-    }
+    const statements = this.parseStatementList();
 
     this.consume(TokenType.RIGHT_BRACE, "Expected '}' after block");
 
@@ -1012,8 +2006,11 @@ export class TodoLangParser {
     let expression = this.parseConditionalExpression();
 
     if (this.match(TokenType.ASSIGN, TokenType.PLUS_ASSIGN, TokenType.MINUS_ASSIGN,
-                   TokenType.MULTIPLY_ASSIGN, TokenType.DIVIDE_ASSIGN)) {
+                   TokenType.MULTIPLY_ASSIGN, TokenType.DIVIDE_ASSIGN, TokenType.NULLISH_ASSIGN)) {
       const operator = this.previous();
+      if (this.isOptionalChain(expression)) {
+        this.report(this.createError('Invalid assignment target: optional chain', null, operator));
+      }
       const right = this.parseAssignmentExpression();
       expression = new AssignmentNode(expression, operator, right, location);
     }
@@ -1039,7 +2036,7 @@ export class TodoLangParser {
     const location = this.getLocation();
     let expression = this.parseLogicalAndExpression();
 
-    while (this.match(TokenType.LOGICAL_OR)) {
+    while (this.match(TokenType.LOGICAL_OR, TokenType.NULLISH_COALESCING)) {
       const operator = this.previous();
       const right = this.parseLogicalAndExpression();
       expression = new BinaryExpressionNode(expression, operator, right, location);
@@ -1065,7 +2062,8 @@ export class TodoLangParser {
     const location = this.getLocation();
     let expression = this.parseRelationalExpression();
 
-    while (this.match(TokenType.EQUAL, TokenType.NOT_EQUAL)) {
+    while (this.match(TokenType.EQUAL, TokenType.NOT_EQUAL,
+                      TokenType.STRICT_EQUAL, TokenType.STRICT_NOT_EQUAL)) {
       const operator = this.previous();
       const right = this.parseRelationalExpression();
       expression = new BinaryExpressionNode(expression, operator, right, location);
@@ -1079,7 +2077,7 @@ export class TodoLangParser {
     let expression = this.parseAdditiveExpression();
 
     while (this.match(TokenType.LESS_THAN, TokenType.GREATER_THAN,
-                      TokenType.LESS_EQUAL, TokenType.GREATER_EQUAL)) {
+                      TokenType.LESS_EQUAL, TokenType.GREATER_EQUAL, TokenType.INSTANCEOF)) {
       const operator = this.previous();
       const right = this.parseAdditiveExpression();
       expression = new BinaryExpressionNode(expression, operator, right, location);
@@ -1117,7 +2115,7 @@ export class TodoLangParser {
   parseUnaryExpression() {
     const location = this.getLocation();
 
-    if (this.match(TokenType.LOGICAL_NOT, TokenType.MINUS, TokenType.PLUS)) {
+    if (this.match(TokenType.LOGICAL_NOT, TokenType.MINUS, TokenType.PLUS, TokenType.TYPEOF)) {
       const operator = this.previous();
       const operand = this.parseUnaryExpression();
       return new UnaryExpressionNode(operator, operand, true, location);
@@ -1129,6 +2127,11 @@ export class TodoLangParser {
       return new UnaryExpressionNode(operator, operand, true, location);
     }
 
+    if (this.match(TokenType.AWAIT)) {
+      this.checkAwaitAllowed();
+      return new AwaitExpressionNode(this.parseUnaryExpression(), location);
+    }
+
     return this.parsePostfixExpression();
   }
 
@@ -1143,25 +2146,22 @@ export class TodoLangParser {
       } else if (this.match(TokenType.LEFT_BRACKET)) {
         const index = this.parseExpression();
         this.consume(TokenType.RIGHT_BRACKET, "Expected ']' after array index");
-        expression = new MemberNode(expression, index, true, location);
+        expression = new MemberNode(expression, index, true, false, location);
       } else if (this.match(TokenType.DOT)) {
-        // Allow both identifiers and keywords as property names
-        let property;
-        if (this.check(TokenType.IDENTIFIER) || this.peek().isKeyword()) {
-          property = this.advance();
+        expression = new MemberNode(expression, this.parsePropertyName('.'), false, false, location);
+      } else if (this.match(TokenType.LEFT_PAREN)) {
+        expression = new CallNode(expression, this.parseArguments(), false, location);
+      } else if (this.match(TokenType.OPTIONAL_CHAIN)) {
+        // a?.b, a?.[b] and a?.(b)
+        if (this.match(TokenType.LEFT_BRACKET)) {
+          const index = this.parseExpression();
+          this.consume(TokenType.RIGHT_BRACKET, "Expected ']' after array index");
+          expression = new MemberNode(expression, index, true, true, location);
+        } else if (this.match(TokenType.LEFT_PAREN)) {
+          expression = new CallNode(expression, this.parseArguments(), true, location);
         } else {
-          throw new ParseError("Expected property name after '.'", this.peek());
+          expression = new MemberNode(expression, this.parsePropertyName('?.'), false, true, location);
         }
-        expression = new MemberNode(expression, new IdentifierNode(property.value, this.getLocation()), false, location);
-      } else if (this.match(TokenType.LEFT_PAREN)) {
-        const args = [];
-        if (!this.check(TokenType.RIGHT_PAREN)) {
-          do {
-            args.push(this.parseExpression());
-          } while (this.match(TokenType.COMMA));
-        }
-        this.consume(TokenType.RIGHT_PAREN, "Expected ')' after arguments");
-        expression = new CallNode(expression, args, location);
       } else {
         break;
       }
@@ -1170,6 +2170,55 @@ export class TodoLangParser {
     return expression;
   }
 
+  /**
+   * Parse the property name after '.' or '?.'; keywords are allowed
+   */
+  parsePropertyName(accessor) {
+    if (this.check(TokenType.IDENTIFIER) || this.peek().isKeyword()) {
+      const property = this.advance();
+      return new IdentifierNode(property.value, this.getLocation());
+    }
+    throw new ParseError(`Expected property name after '${accessor}'`, this.peek());
+  }
+
+  /**
+   * Parse call arguments after '(' up to and including ')'
+   */
+  parseArguments() {
+    const args = [];
+    if (!this.check(TokenType.RIGHT_PAREN)) {
+      do {
+        args.push(this.parseSpreadOrExpression());
+      } while (this.match(TokenType.COMMA));
+    }
+    this.consume(TokenType.RIGHT_PAREN, "Expected ')' after arguments");
+    return args;
+  }
+
+  /**
+   * Parse `...expression` or an expression, for array elements, object
+   * properties and call arguments
+   */
+  parseSpreadOrExpression() {
+    const location = this.getLocation();
+    if (this.match(TokenType.SPREAD)) {
+      return new SpreadElementNode(this.parseExpression(), location);
+    }
+    return this.parseExpression();
+  }
+
+  /**
+   * Whether an expression is an optional chain (a?.b, a?.b.c, a?.()) and so
+   * not a valid assignment target
+   */
+  isOptionalChain(expression) {
+    while (expression && (expression.type === 'Member' || expression.type === 'Call')) {
+      if (expression.optional) return true;
+      expression = expression.type === 'Member' ? expression.object : expression.callee;
+    }
+    return false;
+  }
+
   parsePrimaryExpression() {
     const location = this.getLocation();
 
@@ -1189,21 +2238,27 @@ export class TodoLangParser {
       return new StringLiteralNode(this.previous().value, location);
     }
 
+    if (this.match(TokenType.REGEX)) {
+      const literal = this.previous().value;
+      const end = literal.lastIndexOf('/');
+      return new RegexLiteralNode(literal.slice(1, end), literal.slice(end + 1), location);
+    }
+
+    if (this.match(TokenType.TEMPLATE_STRING)) {
+      return new TemplateLiteralNode([this.previous().value], [], location);
+    }
+
+    if (this.match(TokenType.TEMPLATE_HEAD)) {
+      return this.parseTemplateLiteral(location);
+    }
+
     if (this.match(TokenType.THIS)) {
       return new ThisNode(location);
     }
 
     if (this.match(TokenType.NEW)) {
       const callee = this.parsePrimaryExpression();
-      let args = [];
-      if (this.match(TokenType.LEFT_PAREN)) {
-        if (!this.check(TokenType.RIGHT_PAREN)) {
-          do {
-            args.push(this.parseExpression());
-          } while (this.match(TokenType.COMMA));
-        }
-        this.consume(TokenType.RIGHT_PAREN, "Expected ')' after arguments");
-      }
+      const args = this.match(TokenType.LEFT_PAREN) ? this.parseArguments() : [];
       return new NewExpressionNode(callee, args, location);
     }
 
@@ -1211,23 +2266,9 @@ export class TodoLangParser {
       const identifier = this.previous();
 
       // Check if this is a custom object literal syntax: TypeName { ... }
-      if (this.check(TokenType.LEFT_BRACE)) {
-        this.advance(); // consume '{'
-        const properties = [];
-
-        if (!this.check(TokenType.RIGHT_BRACE)) {
-          do {
-            const key = this.consume(TokenType.IDENTIFIER, "Expected property name").value;
-            this.consume(TokenType.COLON, "Expected ':' after property name");
-            const value = this.parseExpression();
-            properties.push(new ObjectPropertyNode(key, value, this.getLocation()));
-          } while (this.match(TokenType.COMMA));
-        }
-
-        this.consume(TokenType.RIGHT_BRACE, "Expected '}' after object properties");
-
+      if (this.match(TokenType.LEFT_BRACE)) {
         // Create a special object literal with type information
-        const objectLiteral = new ObjectLiteralNode(properties, location);
+        const objectLiteral = this.parseObjectLiteral(location);
         objectLiteral.typeName = identifier.value; // Add type name for custom syntax
         return objectLiteral;
       }
@@ -1235,69 +2276,34 @@ export class TodoLangParser {
       // Check if this might be an arrow function parameter
       if (this.match(TokenType.ARROW)) {
         const param = new IdentifierNode(identifier.value, location);
-        let body;
-        if (this.check(TokenType.LEFT_BRACE)) {
-          // Block body - parse manually to avoid context issues
-          this.advance(); // consume '{'
-          const statements = [];
-          while (!this.check(TokenType.RIGHT_BRACE) && !this.isAtEnd()) {
-            statements.push(this.parseStatement());
-          }
-          this.consume(TokenType.RIGHT_BRACE, "Expected '}' after arrow function block");
-          body = new BlockNode(statements, location);
-        } else {
-          // Expression body
-          body = this.parseExpression();
-        }
-        return new ArrowFunctionNode([param], body, false, location);
+        return new ArrowFunctionNode([param], this.parseArrowFunctionBody(false, location), false, location);
       }
       return new IdentifierNode(identifier.value, location);
     }
 
-    if (this.match(TokenType.LEFT_PAREN)) {
-      // Check if this might be an arrow function parameter list
-      const checkpoint = this.current - 1;
-      try {
-        const params = [];
-        if (!this.check(TokenType.RIGHT_PAREN)) {
-          do {
-            if (this.check(TokenType.IDENTIFIER)) {
-              params.push(new IdentifierNode(this.advance().value, this.getLocation()));
-            } else {
-              throw new Error("Not arrow function params");
-            }
-          } while (this.match(TokenType.COMMA));
-        }
+    if (this.match(TokenType.ASYNC)) {
+      if (this.check(TokenType.IDENTIFIER) && this.peekNext() && this.peekNext().type === TokenType.ARROW) {
+        const param = new IdentifierNode(this.advance().value, this.getLocation());
+        this.advance(); // consume '=>'
+        return new ArrowFunctionNode([param], this.parseArrowFunctionBody(true, location), true, location);
+      }
 
-        this.consume(TokenType.RIGHT_PAREN, "Expected ')' after parameters");
-
-        if (this.match(TokenType.ARROW)) {
-          // This is an arrow function
-          let body;
-          if (this.check(TokenType.LEFT_BRACE)) {
-            // Block body - parse manually to avoid context issues
-            this.advance(); // consume '{'
-            const statements = [];
-            while (!this.check(TokenType.RIGHT_BRACE) && !this.isAtEnd()) {
-              statements.push(this.parseStatement());
-            }
-            this.consume(TokenType.RIGHT_BRACE, "Expected '}' after arrow function block");
-            body = new BlockNode(statements, location);
-          } else {
-            // Expression body
-            body = this.parseExpression();
-          }
-          return new ArrowFunctionNode(params, body, false, location);
-        } else {
-          throw new Error("Not an arrow function");
-        }
-      } catch (error) {
-        // Reset and parse as grouped expression
-        this.current = checkpoint + 1;
-        const expression = this.parseExpression();
-        this.consume(TokenType.RIGHT_PAREN, "Expected ')' after expression");
-        return expression;
+      this.consume(TokenType.LEFT_PAREN, "Expected arrow function after 'async'");
+      if (!this.isArrowFunctionAhead()) {
+        this.error("Expected arrow function parameters after 'async'", [TokenType.IDENTIFIER, TokenType.RIGHT_PAREN]);
       }
+      return this.parseArrowFunction(true, location);
+    }
+
+    if (this.match(TokenType.LEFT_PAREN)) {
+      if (this.isArrowFunctionAhead()) {
+        return this.parseArrowFunction(false, location);
+      }
+
+      // Grouped expression
+      const expression = this.parseExpression();
+      this.consume(TokenType.RIGHT_PAREN, "Expected ')' after expression");
+      return expression;
     }
 
     if (this.match(TokenType.LEFT_BRACKET)) {
@@ -1313,7 +2319,121 @@ export class TodoLangParser {
       return this.parseJSXElement();
     }
 
-    throw new ParseError(`Unexpected token '${this.peek().value}'`, this.peek());
+    throw new ParseError(`Unexpected token '${this.peek().value}'`, this.peek(), EXPRESSION_START);
+  }
+
+  /**
+   * Whether the tokens after an opening '(' are an arrow function parameter
+   * list, i.e. the matching ')' is followed by '=>'
+   */
+  isArrowFunctionAhead() {
+    let depth = 0;
+
+    for (let index = this.current; index < this.tokens.length; index++) {
+      const type = this.tokens[index].type;
+      if (type === TokenType.LEFT_PAREN || type === TokenType.LEFT_BRACKET || type === TokenType.LEFT_BRACE) {
+        depth++;
+      } else if (type === TokenType.RIGHT_BRACKET || type === TokenType.RIGHT_BRACE) {
+        depth--;
+      } else if (type === TokenType.RIGHT_PAREN) {
+        if (depth === 0) {
+          const next = this.tokens[index + 1];
+          return Boolean(next) && next.type === TokenType.ARROW;
+        }
+        depth--;
+      } else if (type === TokenType.EOF) {
+        break;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Parse an arrow function after the '(' of its parameter list
+   */
+  parseArrowFunction(isAsync, location) {
+    const params = [];
+    if (!this.check(TokenType.RIGHT_PAREN)) {
+      do {
+        const paramLocation = this.getLocation();
+        if (this.match(TokenType.SPREAD)) {
+          params.push(new RestElementNode(this.parseBindingTarget(), paramLocation));
+          if (!this.check(TokenType.RIGHT_PAREN)) {
+            this.error("Rest parameter must be last", [TokenType.RIGHT_PAREN]);
+          }
+        } else {
+          params.push(this.parseBindingElement());
+        }
+      } while (this.match(TokenType.COMMA));
+    }
+
+    this.consume(TokenType.RIGHT_PAREN, "Expected ')' after parameters");
+    this.consume(TokenType.ARROW, "Expected '=>' after arrow function parameters");
+    return new ArrowFunctionNode(params, this.parseArrowFunctionBody(isAsync, location), isAsync, location);
+  }
+
+  parseArrowFunctionBody(isAsync, location) {
+    return this.withFunctionContext(isAsync, () => {
+      if (this.match(TokenType.LEFT_BRACE)) {
+        const statements = this.parseStatementList();
+        this.consume(TokenType.RIGHT_BRACE, "Expected '}' after arrow function block");
+        return new BlockNode(statements, location);
+      }
+
+      // Expression body
+      return this.parseExpression();
+    });
+  }
+
+  /**
+   * Parse a function body, tracking whether 'await' is allowed in it
+   */
+  withFunctionContext(isAsync, parseBody) {
+    const enclosing = this.inAsyncFunction;
+    const enclosingJumpTargets = this.jumpTargets;
+    this.inAsyncFunction = isAsync;
+    // 'break' and 'continue' cannot reach loops outside the function
+    this.jumpTargets = [];
+    try {
+      return parseBody();
+    } finally {
+      this.inAsyncFunction = enclosing;
+      this.jumpTargets = enclosingJumpTargets;
+    }
+  }
+
+  checkAwaitAllowed() {
+    if (!this.inAsyncFunction) {
+      const token = this.previous();
+      this.report(new ParseError(
+        `'await' is only valid in async methods and arrow functions at line ${token.line}, column ${token.column}`,
+        token
+      ));
+    }
+  }
+
+  /**
+   * Parse the interpolations of a template literal after its head
+   */
+  parseTemplateLiteral(location) {
+    const quasis = [this.previous().value];
+    const expressions = [];
+
+    do {
+      expressions.push(this.parseExpression());
+
+      if (!this.check(TokenType.TEMPLATE_MIDDLE) && !this.check(TokenType.TEMPLATE_TAIL)) {
+        throw new ParseError(
+          `Expected '}' after template literal expression. Got '${this.peek().value}' at line ${this.peek().line}, column ${this.peek().column}`,
+          this.peek(),
+          [TokenType.TEMPLATE_MIDDLE, TokenType.TEMPLATE_TAIL]
+        );
+      }
+      quasis.push(this.advance().value);
+    } while (this.previous().type === TokenType.TEMPLATE_MIDDLE);
+
+    return new TemplateLiteralNode(quasis, expressions, location);
   }
 
   parseArrayLiteral() {
@@ -1322,7 +2442,7 @@ export class TodoLangParser {
 
     if (!this.check(TokenType.RIGHT_BRACKET)) {
       do {
-        elements.push(this.parseExpression());
+        elements.push(this.parseSpreadOrExpression());
       } while (this.match(TokenType.COMMA));
     }
 
@@ -1330,16 +2450,31 @@ export class TodoLangParser {
     return new ArrayLiteralNode(elements, location);
   }
 
-  parseObjectLiteral() {
-    const location = this.getLocation();
+  parseObjectLiteral(location = this.getLocation()) {
     const properties = [];
 
     if (!this.check(TokenType.RIGHT_BRACE)) {
       do {
+        if (this.check(TokenType.SPREAD)) {
+          properties.push(this.parseSpreadOrExpression());
+          continue;
+        }
+
+        // Keywords are allowed as names, as after '.', but not as shorthand
+        const propertyLocation = this.getLocation();
+        if (this.peek().isKeyword()) {
+          const key = this.advance().value;
+          this.consume(TokenType.COLON, `Expected ':' after property name '${key}'`);
+          properties.push(new ObjectPropertyNode(key, this.parseExpression(), propertyLocation));
+          continue;
+        }
+
         const key = this.consume(TokenType.IDENTIFIER, "Expected property name").value;
-        this.consume(TokenType.COLON, "Expected ':' after property name");
-        const value = this.parseExpression();
-        properties.push(new ObjectPropertyNode(key, value, this.getLocation()));
+        // Shorthand { key } is { key: key }
+        const value = this.match(TokenType.COLON)
+          ? this.parseExpression()
+          : new IdentifierNode(key, propertyLocation);
+        properties.push(new ObjectPropertyNode(key, value, propertyLocation));
       } while (this.match(TokenType.COMMA));
     }
 
@@ -1347,6 +2482,105 @@ export class TodoLangParser {
     return new ObjectLiteralNode(properties, location);
   }
 
+  // ============================================================================
+  // Destructuring Patterns
+  // ============================================================================
+
+  /**
+   * Parse a binding target: an identifier or a destructuring pattern
+   */
+  parseBindingTarget() {
+    const location = this.getLocation();
+
+    if (this.match(TokenType.LEFT_BRACE)) {
+      return this.parseObjectPattern(location);
+    }
+    if (this.match(TokenType.LEFT_BRACKET)) {
+      return this.parseArrayPattern(location);
+    }
+
+    const name = this.consume(TokenType.IDENTIFIER, "Expected variable name or destructuring pattern").value;
+    return new IdentifierNode(name, location);
+  }
+
+  /**
+   * Parse a binding target with an optional default value
+   */
+  parseBindingElement() {
+    const location = this.getLocation();
+    const target = this.parseBindingTarget();
+
+    if (this.match(TokenType.ASSIGN)) {
+      return new AssignmentPatternNode(target, this.parseExpression(), location);
+    }
+    return target;
+  }
+
+  /**
+   * Parse `{ a, b: c, d = 1, ...rest }` after the '{'
+   */
+  parseObjectPattern(location) {
+    const properties = [];
+
+    if (!this.check(TokenType.RIGHT_BRACE)) {
+      do {
+        const propertyLocation = this.getLocation();
+
+        if (this.match(TokenType.SPREAD)) {
+          const name = this.consume(TokenType.IDENTIFIER, "Expected name after '...'").value;
+          properties.push(new RestElementNode(new IdentifierNode(name, propertyLocation), propertyLocation));
+          if (!this.check(TokenType.RIGHT_BRACE)) {
+            this.error("Rest element must be last in a destructuring pattern", [TokenType.RIGHT_BRACE]);
+          }
+          break;
+        }
+
+        const key = this.consume(TokenType.IDENTIFIER, "Expected property name in destructuring pattern").value;
+        let value;
+        if (this.match(TokenType.COLON)) {
+          value = this.parseBindingElement();
+        } else {
+          value = new IdentifierNode(key, propertyLocation);
+          if (this.match(TokenType.ASSIGN)) {
+            value = new AssignmentPatternNode(value, this.parseExpression(), propertyLocation);
+          }
+        }
+        properties.push(new ObjectPropertyNode(key, value, propertyLocation));
+      } while (this.match(TokenType.COMMA));
+    }
+
+    this.consume(TokenType.RIGHT_BRACE, "Expected '}' after destructuring pattern");
+    return new ObjectPatternNode(properties, location);
+  }
+
+  /**
+   * Parse `[a, , b = 1, ...rest]` after the '['
+   */
+  parseArrayPattern(location) {
+    const elements = [];
+
+    while (!this.check(TokenType.RIGHT_BRACKET) && !this.isAtEnd()) {
+      if (this.check(TokenType.COMMA)) {
+        elements.push(null); // Hole: [a, , b]
+      } else if (this.check(TokenType.SPREAD)) {
+        const restLocation = this.getLocation();
+        this.advance();
+        elements.push(new RestElementNode(this.parseBindingTarget(), restLocation));
+        if (!this.check(TokenType.RIGHT_BRACKET)) {
+          this.error("Rest element must be last in a destructuring pattern", [TokenType.RIGHT_BRACKET]);
+        }
+        break;
+      } else {
+        elements.push(this.parseBindingElement());
+      }
+
+      if (!this.match(TokenType.COMMA)) break;
+    }
+
+    this.consume(TokenType.RIGHT_BRACKET, "Expected ']' after destructuring pattern");
+    return new ArrayPatternNode(elements, location);
+  }
+
   // ============================================================================
   // JSX Parsing
   // ============================================================================
@@ -1355,29 +2589,41 @@ export class TodoLangParser {
     const location = this.getLocation();
 
     this.consume(TokenType.LESS_THAN, "Expected '<' to start JSX element");
+    if (this.match(TokenType.GREATER_THAN)) {
+      return this.parseJSXFragment(location);
+    }
     const tagName = this.consume(TokenType.IDENTIFIER, "Expected JSX tag name").value;
 
     const attributes = [];
-    while (!this.check(TokenType.GREATER_THAN) && !this.check(TokenType.JSX_SELF_CLOSE) && !this.isAtEnd()) {
-      attributes.push(this.parseJSXAttribute());
+    let recovered = false;
+    while (!this.check(TokenType.GREATER_THAN) && !this.check(TokenType.JSX_SELF_CLOSE) &&
+           !this.check(TokenType.JSX_END_OPEN) && !this.isAtEnd()) {
+      try {
+        attributes.push(this.parseJSXAttribute());
+      } catch (error) {
+        this.recover(error);
+        this.synchronizeJSXAttribute();
+        recovered = true;
+      }
     }
 
     if (this.match(TokenType.JSX_SELF_CLOSE)) {
       return new JSXElementNode(tagName, attributes, [], true, location);
     }
 
-    this.consume(TokenType.GREATER_THAN, "Expected '>' after JSX opening tag");
-
-    const children = [];
-    while (!this.check(TokenType.JSX_END_OPEN) && !this.isAtEnd()) {
-      children.push(this.parseJSXChild());
+    // A broken attribute list may run into the closing tag, which then
+    // ends the element without a second error for the missing '>'
+    if (!recovered || !this.check(TokenType.JSX_END_OPEN)) {
+      this.consume(TokenType.GREATER_THAN, "Expected '>' after JSX opening tag");
     }
 
+    const children = this.parseJSXChildren();
+
     this.consume(TokenType.JSX_END_OPEN, "Expected '</' to close JSX element");
-    const closingTagName = this.consume(TokenType.IDENTIFIER, "Expected closing tag name").value;
+    const closingTag = this.consume(TokenType.IDENTIFIER, `Expected closing tag name '${tagName}'`);
 
-    if (tagName !== closingTagName) {
-      this.error(`Mismatched JSX tags: expected '${tagName}' but got '${closingTagName}'`);
+    if (tagName !== closingTag.value) {
+      this.report(this.createError(`Mismatched JSX tags: expected '${tagName}' but got '${closingTag.value}'`, null, closingTag));
     }
 
     this.consume(TokenType.GREATER_THAN, "Expected '>' after JSX closing tag");
@@ -1385,23 +2631,129 @@ export class TodoLangParser {
     return new JSXElementNode(tagName, attributes, children, false, location);
   }
 
+  /**
+   * Parse `<>...</>` after its opening `<>`
+   */
+  parseJSXFragment(location) {
+    const children = this.parseJSXChildren();
+
+    this.consume(TokenType.JSX_END_OPEN, "Expected '</>' to close JSX fragment");
+    if (this.check(TokenType.IDENTIFIER)) {
+      const closingTag = this.advance();
+      this.report(this.createError(`Mismatched JSX tags: expected fragment closing '</>' but got '${closingTag.value}'`, null, closingTag));
+    }
+    this.consume(TokenType.GREATER_THAN, "Expected '>' after JSX fragment closing tag");
+
+    return new JSXFragmentNode(children, location);
+  }
+
+  parseJSXChildren() {
+    const children = [];
+    while (!this.isAtEnd()) {
+      this.expandJSXComment();
+
+      // Space on the line between two elements or expressions is a text
+      // child of its own; text keeps the space around it itself
+      const last = children[children.length - 1];
+      const space = this.jsxSpace();
+      if (space && (!last || last.type !== 'JSXText') && this.checkJSXTextEnd()) {
+        children.push(new JSXTextNode(space, this.getLocation()));
+      }
+      if (this.check(TokenType.JSX_END_OPEN)) {
+        break;
+      }
+
+      try {
+        children.push(this.parseJSXChild());
+      } catch (error) {
+        this.recover(error);
+        this.synchronizeJSXChild();
+      }
+    }
+    return children;
+  }
+
   parseJSXAttribute() {
     const location = this.getLocation();
-    const name = this.consume(TokenType.IDENTIFIER, "Expected JSX attribute name").value;
+
+    // Spread attribute: {...props}
+    if (this.match(TokenType.LEFT_BRACE)) {
+      this.consume(TokenType.SPREAD, "Expected '...' in JSX spread attribute");
+      const argument = this.parseExpression();
+      this.consume(TokenType.RIGHT_BRACE, "Expected '}' after JSX spread attribute");
+      return new JSXSpreadAttributeNode(argument, location);
+    }
+
+    let name = this.consume(TokenType.IDENTIFIER, "Expected JSX attribute name").value;
+
+    // Hyphenated names such as `aria-pressed` are written without spaces
+    while (this.check(TokenType.MINUS) && this.peek().start === this.previous().end &&
+           this.peekNext() && this.peekNext().type === TokenType.IDENTIFIER && this.peekNext().start === this.peek().end) {
+      this.advance();
+      name += `-${this.advance().value}`;
+    }
+
+    if (name === 'bind' && this.match(TokenType.COLON)) {
+      return this.parseJSXBinding(location);
+    }
+
+    const modifiers = [];
+    while (this.match(TokenType.DOT)) {
+      const modifier = this.consume(TokenType.IDENTIFIER, "Expected event modifier after '.'");
+      if (!/^on[A-Z]/.test(name)) {
+        this.report(this.createError(`Only event attributes can have modifiers, not '${name}'`, null, modifier));
+      } else if (!EVENT_MODIFIERS.includes(modifier.value)) {
+        this.report(this.createError(`Unknown event modifier '${modifier.value}'`, null, modifier));
+      }
+      modifiers.push(modifier.value);
+    }
 
     if (this.match(TokenType.ASSIGN)) {
       if (this.match(TokenType.STRING)) {
-        return new JSXAttributeNode(name, new StringLiteralNode(this.previous().value, this.getLocation()), location);
+        return new JSXAttributeNode(name, new StringLiteralNode(this.previous().value, this.getLocation()), location, modifiers);
       } else if (this.match(TokenType.LEFT_BRACE)) {
         const expression = this.parseExpression();
         this.consume(TokenType.RIGHT_BRACE, "Expected '}' after JSX expression");
-        return new JSXAttributeNode(name, new JSXExpressionNode(expression, this.getLocation()), location);
+        return new JSXAttributeNode(name, new JSXExpressionNode(expression, this.getLocation()), location, modifiers);
       } else {
-        this.error("Expected string literal or expression after '=' in JSX attribute");
+        this.error("Expected string literal or expression after '=' in JSX attribute", [TokenType.STRING, TokenType.LEFT_BRACE]);
       }
     }
 
-    return new JSXAttributeNode(name, null, location);
+    return new JSXAttributeNode(name, null, location, modifiers);
+  }
+
+  /**
+   * Parse `value={this.state.path}` after 'bind:'
+   */
+  parseJSXBinding(location) {
+    const property = this.consume(TokenType.IDENTIFIER, "Expected property name after 'bind:'");
+    if (!JSX_BINDINGS.includes(property.value)) {
+      this.report(this.createError(`Unknown binding 'bind:${property.value}'; use bind:value or bind:checked`, null, property));
+    }
+
+    this.consume(TokenType.ASSIGN, `Expected '=' after 'bind:${property.value}'`);
+    this.consume(TokenType.LEFT_BRACE, `Expected '{' after 'bind:${property.value}='`);
+    const expression = this.parseExpression();
+    this.consume(TokenType.RIGHT_BRACE, "Expected '}' after JSX expression");
+
+    // Only state can be written back: this.state.a.b
+    const path = [];
+    let node = expression;
+    while (node.type === 'Member' && !node.computed && !node.optional &&
+           !(node.object.type === 'This' && node.property.name === 'state')) {
+      path.unshift(node.property.name);
+      node = node.object;
+    }
+    const isState = node.type === 'Member' && node.object.type === 'This' && node.property.name === 'state';
+    if (!isState || path.length === 0) {
+      this.report(this.createError(
+        `bind:${property.value} needs a state property, e.g. bind:${property.value}={this.state.inputValue}`,
+        null, expression.location
+      ));
+    }
+
+    return new JSXBindingNode(property.value, path.join('.'), expression, location);
   }
 
   parseJSXChild() {
@@ -1415,18 +2767,90 @@ export class TodoLangParser {
       return new JSXExpressionNode(expression, this.getLocation());
     }
 
-    // Parse JSX text - collect all non-JSX tokens as text
-    let text = '';
-    while (!this.check(TokenType.LESS_THAN) && !this.check(TokenType.LEFT_BRACE) &&
-           !this.check(TokenType.JSX_END_OPEN) && !this.isAtEnd()) {
+    // Parse JSX text - collect all non-JSX tokens as text. As in JSX, space
+    // within a line is kept and a line break with the space around it
+    // becomes one space between words, or nothing at either end
+    let text = this.jsxSpace();
+    let hasWords = false;
+    while (!this.isAtEnd()) {
+      this.expandJSXComment();
+      if (this.checkJSXTextEnd()) {
+        break;
+      }
+      if (hasWords && this.peek().start > this.previous().end) {
+        text += this.jsxSpace() || ' ';
+      }
       text += this.advance().value;
+      hasWords = true;
+    }
+
+    if (hasWords) {
+      return new JSXTextNode(text + this.jsxSpace(), this.getLocation());
+    }
+
+    this.error("Expected JSX child element, expression, or text", [TokenType.LESS_THAN, TokenType.LEFT_BRACE, TokenType.JSX_END_OPEN]);
+  }
+
+  /**
+   * The lexer reads `//` and `/*` in JSX text, as in `see http://example.com`,
+   * as the start of a comment running past the text. When such a comment
+   * comes next, its opening is text and the rest of it is lexed again, so
+   * the closing tags and expressions it swallowed still count.
+   */
+  expandJSXComment() {
+    const previous = this.previous();
+    const next = this.peek();
+    const index = this.comments.findIndex(comment => comment.start >= previous.end && comment.start < next.start);
+    if (index === -1) {
+      return;
     }
 
-    if (text.trim()) {
-      return new JSXTextNode(text.trim(), this.getLocation());
+    const [comment] = this.comments.splice(index, 1);
+    let tokens;
+    try {
+      tokens = new TodoLangLexer().tokenize(comment.value.slice(2));
+    } catch (error) {
+      throw this.report(this.createError(`${error.message} in JSX text`, null, comment));
     }
 
-    this.error("Expected JSX child element, expression, or text");
+    // Positions in the comment's text, which starts after its opening
+    const offset = comment.start + 2;
+    const relocated = tokens
+      .filter(token => token.type !== TokenType.EOF)
+      .map(token => new Token(
+        token.type,
+        token.value,
+        comment.line + token.line - 1,
+        token.line === 1 ? comment.column + 1 + token.column : token.column,
+        offset + token.start,
+        offset + token.end
+      ));
+
+    this.comments.push(...relocated.filter(token => token.type === TokenType.COMMENT));
+    this.comments.sort((a, b) => a.start - b.start);
+    this.tokens.splice(this.current, 0,
+      new Token(TokenType.TEXT, comment.value.slice(0, 2), comment.line, comment.column, comment.start, offset),
+      ...relocated.filter(token => token.type !== TokenType.COMMENT));
+  }
+
+  /**
+   * Whether the next token ends JSX text: an element, expression or closing tag
+   */
+  checkJSXTextEnd() {
+    return this.check(TokenType.LESS_THAN) || this.check(TokenType.LEFT_BRACE) || this.check(TokenType.JSX_END_OPEN);
+  }
+
+  /**
+   * The space between the previous and the next token when both are on one
+   * line, which JSX text keeps
+   */
+  jsxSpace() {
+    const previous = this.previous();
+    const next = this.peek();
+    if (!previous || !next || next.line !== previous.line || next.start <= previous.end) {
+      return '';
+    }
+    return ' '.repeat(next.start - previous.end);
   }
 
   // ============================================================================
@@ -1443,6 +2867,17 @@ export class TodoLangParser {
     return false;
   }
 
+  /**
+   * Match an identifier used as a contextual keyword (e.g. 'from', 'as')
+   */
+  matchContextual(word) {
+    if (this.check(TokenType.IDENTIFIER) && this.peek().value === word) {
+      this.advance();
+      return true;
+    }
+    return false;
+  }
+
   check(type) {
     if (this.isAtEnd()) return false;
     return this.peek().type === type;
@@ -1481,33 +2916,139 @@ export class TodoLangParser {
     );
   }
 
-  error(message) {
-    const token = this.peek();
-    const error = new ParseError(
+  /**
+   * Consume the closing brace of a declaration body. A missing brace is
+   * reported without unwinding so the declaration stays in the partial AST.
+   */
+  consumeBodyEnd(message) {
+    try {
+      this.consume(TokenType.RIGHT_BRACE, message);
+    } catch (error) {
+      this.report(error);
+    }
+  }
+
+  createError(message, expected = null, token = this.peek()) {
+    return new ParseError(
       `${message} at line ${token.line}, column ${token.column}`,
-      token
+      token,
+      expected
     );
-    this.errors.push(error);
-    throw error;
   }
 
-  synchronize() {
-    this.advance();
+  error(message, expected = null) {
+    throw this.report(this.createError(message, expected));
+  }
 
-    while (!this.isAtEnd()) {
-      if (this.previous().type === TokenType.SEMICOLON) return;
+  /**
+   * Record a syntax error without unwinding
+   */
+  report(error) {
+    if (!this.errors.includes(error)) {
+      this.errors.push(error);
+    }
+    return error;
+  }
 
-      switch (this.peek().type) {
-        case TokenType.COMPONENT:
-        case TokenType.MODEL:
-        case TokenType.SERVICE:
-        case TokenType.IF:
-        case TokenType.FOR:
-        case TokenType.WHILE:
-        case TokenType.RETURN:
-          return;
+  /**
+   * Record an error caught at a recovery point. Anything other than a
+   * ParseError is a parser bug and keeps unwinding.
+   */
+  recover(error) {
+    if (!(error instanceof ParseError)) {
+      throw error;
+    }
+    this.report(error);
+  }
+
+  checkDeclarationStart() {
+    return DECLARATION_START.includes(this.peek().type);
+  }
+
+  /**
+   * Whether the current token is the first one on its line
+   */
+  isAtLineStart() {
+    return this.current === 0 || this.previous().line < this.peek().line;
+  }
+
+  // Panic-mode recovery. Broken code often leaves braces unbalanced, so
+  // member and statement boundaries are also found from line starts and
+  // indentation: the next construct starts a line at the failed one's column.
+
+  synchronizeDeclaration() {
+    while (!this.isAtEnd() && !this.checkDeclarationStart()) {
+      this.advance();
+    }
+  }
+
+  /**
+   * Skip the rest of a failed member, stopping at the next member or at the
+   * closing brace of the body
+   * @param {number} start - Index of the member's first token
+   */
+  synchronizeMember(start) {
+    this.skipToBoundary(start);
+  }
+
+  /**
+   * Skip the rest of a failed statement, stopping after a ';', at the next
+   * statement or at the closing brace of the enclosing block
+   * @param {number} start - Index of the statement's first token
+   */
+  synchronizeStatement(start) {
+    this.skipToBoundary(start, TokenType.SEMICOLON);
+  }
+
+  skipToBoundary(start, terminator = null) {
+    const first = this.tokens[start] || this.peek();
+    let depth = 0;
+
+    for (let i = start; i < this.current; i++) {
+      if (this.tokens[i].type === TokenType.LEFT_BRACE) depth++;
+      if (this.tokens[i].type === TokenType.RIGHT_BRACE) depth--;
+    }
+
+    while (!this.isAtEnd() && !this.checkDeclarationStart()) {
+      const token = this.peek();
+
+      if (terminator && this.current > start && this.previous().type === terminator) {
+        return;
+      }
+
+      if (token.type === TokenType.RIGHT_BRACE) {
+        // Closes the enclosing body
+        if (depth === 0) return;
+        depth--;
+      } else if (token.line > first.line && this.isAtLineStart() && token.column <= first.column) {
+        return;
+      } else if (token.type === TokenType.LEFT_BRACE) {
+        depth++;
+      }
+
+      this.advance();
+    }
+  }
+
+  synchronizeJSXAttribute() {
+    const attributeEnd = [
+      TokenType.ASSIGN, TokenType.IDENTIFIER, TokenType.GREATER_THAN, TokenType.JSX_SELF_CLOSE, TokenType.JSX_END_OPEN
+    ];
+    while (!this.isAtEnd() && !this.check(TokenType.GREATER_THAN) && !this.check(TokenType.JSX_SELF_CLOSE) &&
+           !this.check(TokenType.JSX_END_OPEN)) {
+      this.advance();
+      // Next attribute: name=, a bare name or {...spread}
+      if (this.check(TokenType.IDENTIFIER) && this.peekNext() && attributeEnd.includes(this.peekNext().type)) {
+        return;
+      }
+      if (this.check(TokenType.LEFT_BRACE) && this.peekNext() && this.peekNext().type === TokenType.SPREAD) {
+        return;
       }
+    }
+  }
 
+  synchronizeJSXChild() {
+    while (!this.isAtEnd() && !this.check(TokenType.LESS_THAN) && !this.check(TokenType.JSX_END_OPEN)) {
       this.advance();
     }
   }
@@ -1,16 +1,270 @@
 /**
- * TodoLang Runtime - Provides runtime support for TodoLang features
+ * TodoLang Runtime - Loads, executes and mounts compiled TodoLang modules
  *
- * This is a placeholder implementation for the bootstrap system.
- * The full runtime will be implemented in other tasks.
+ * The compiler emits ES modules that import the framework from
+ * "./runtime/index.js". The runtime evaluates that output directly: import
+ * declarations are resolved against the framework bindings (or previously
+ * executed modules), exported declarations are collected, and components,
+ * models and services are registered so a root component can be mounted.
  */
 
+import { TodoLangComponent, globalRegistry } from '../../framework/components/component.js';
+import { VirtualDOMRenderer, createElement, createFragment } from '../../framework/components/virtual-dom.js';
+import { TodoLangStateManager } from '../../framework/state/index.js';
+import { validators, validateFields } from '../../framework/components/validation-error.js';
+import { reportWarning, registerSourceMap } from '../../debug/reporting.js';
+
+const RUNTIME_MODULE = 'runtime/index.js';
+
+// Lines evaluated before a module's code: the `function anonymous(__import\n) {`
+// header that the Function constructor adds, then "use strict"
+const EVALUATED_LINE_OFFSET = 3;
+
+export class RuntimeError extends Error {
+  constructor(message, modulePath = null) {
+    super(message);
+    this.name = 'RuntimeError';
+    this.modulePath = modulePath;
+  }
+}
+
+/**
+ * Rewrite compiled ES module source into a function body
+ *
+ * Imports become `__import(specifier)` lookups and exports are collected
+ * into an object returned from the body. Every line of the module stays on
+ * its own line, one below where it was, so source maps of the compiled code
+ * apply with a fixed line offset.
+ * @param {string} code - Compiled module source
+ * @returns {string} Function body taking `__import`
+ */
+export function transformModule(code) {
+  const exportedNames = [];
+  let hasDefault = false;
+
+  // Replacements keep the line breaks of what they replace
+  const keepLines = (match, replacement) => replacement + '\n'.repeat(match.split('\n').length - 1);
+
+  const body = code
+    // import { a, b as c } from "spec";
+    .replace(/^[ \t]*import\s*\{([^}]*)\}\s*from\s*["']([^"']+)["'];?/gm, (match, specifiers, source) => {
+      const bindings = specifiers
+        .split(',')
+        .map(specifier => specifier.trim())
+        .filter(Boolean)
+        .map(specifier => specifier.replace(/\s+as\s+/, ': '));
+      return keepLines(match, `const { ${bindings.join(', ')} } = __import(${JSON.stringify(source)});`);
+    })
+    // import Name from "spec";
+    .replace(/^[ \t]*import\s+([A-Za-z_$][\w$]*)\s+from\s*["']([^"']+)["'];?/gm, (match, name, source) => {
+      return keepLines(match, `const ${name} = __import(${JSON.stringify(source)}).default;`);
+    })
+    // export { a, b as c };
+    .replace(/^[ \t]*export\s*\{([^}]*)\};?/gm, (match, specifiers) => {
+      for (const specifier of specifiers.split(',').map(part => part.trim()).filter(Boolean)) {
+        const [local, exported = local] = specifier.split(/\s+as\s+/);
+        exportedNames.push([exported, local]);
+      }
+      return keepLines(match, '');
+    })
+    // export default expression
+    .replace(/^(\s*)export\s+default\s+/gm, (match, indent) => {
+      hasDefault = true;
+      return `${indent}const __default = `;
+    })
+    // export class/function/const Name
+    .replace(/^(\s*)export\s+((?:async\s+)?(?:class|function\*?|const|let|var)\s+([A-Za-z_$][\w$]*))/gm, (match, indent, declaration, name) => {
+      exportedNames.push([name, name]);
+      return `${indent}${declaration}`;
+    });
+
+  const entries = exportedNames.map(([exported, local]) => `${JSON.stringify(exported)}: ${local}`);
+  if (hasDefault) {
+    entries.push('"default": __default');
+  }
+
+  return `"use strict";\n${body}\nreturn { ${entries.join(', ')} };`;
+}
+
+/**
+ * URL that names an evaluated module in stack traces and developer tools
+ * @param {string} modulePath - Module path, e.g. components/index.todolang
+ * @returns {string} todolang:/// URL of the module's compiled code
+ */
+export function moduleSourceURL(modulePath) {
+  return `todolang:///${modulePath.replace(/\.todolang$/, '.js')}`;
+}
+
+/**
+ * Base64 of a string's UTF-8 bytes, for data: URLs
+ */
+function encodeBase64(text) {
+  let binary = '';
+  for (const byte of new TextEncoder().encode(text)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Structural equality used by compiled models' equals(): Dates compare by
+ * time, values with an equals() method use it, and arrays and plain objects
+ * compare element by element
+ */
+export function valuesEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+    return false;
+  }
+  if (typeof a.equals === 'function') {
+    return a.equals(b);
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) &&
+      a.length === b.length && a.every((item, index) => valuesEqual(item, b[index]));
+  }
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && valuesEqual(a[key], b[key]));
+}
+
+/**
+ * Why a prop value does not match its compiled prop type, or null
+ */
+function describePropMismatch(value, propType) {
+  const expected = `${propType.type}${propType.array ? '[]' : ''}`;
+  const actual = Array.isArray(value) ? 'array'
+    : value instanceof Date ? 'Date'
+    : typeof value === 'object' || typeof value === 'function' ? typeof value
+    : `${typeof value} ${JSON.stringify(value)}`;
+
+  if (propType.array) {
+    return Array.isArray(value) ? null : `expects ${expected}, got ${actual}`;
+  }
+
+  let matches;
+  if (propType.values) {
+    matches = propType.values.includes(value);
+  } else {
+    switch (propType.type) {
+      case 'string':
+      case 'number':
+      case 'boolean':
+        matches = typeof value === propType.type;
+        break;
+      case 'Function':
+        matches = typeof value === 'function';
+        break;
+      case 'Date':
+        matches = value instanceof Date;
+        break;
+      case 'any':
+        matches = true;
+        break;
+      default:
+        // Models and other object types
+        matches = typeof value === 'object' && !Array.isArray(value);
+    }
+  }
+
+  return matches ? null : `expects ${expected}, got ${actual}`;
+}
+
 export class TodoLangRuntime {
   constructor(options = {}) {
-    this.options = options;
+    this.options = {
+      registry: globalRegistry,
+      rootComponent: 'TodoApp',
+      ...options
+    };
+    this.registry = this.options.registry;
     this.modules = new Map();
+    this.moduleExports = new Map();
+    this.components = new Map();
+    this.models = new Map();
+    this.services = new Map();
+    this.rootInstance = null;
+    this.rootElement = null;
+    this.rootComponentName = null;
+    this.rootProps = {};
     this.errorHandlers = [];
     this.performanceMetrics = [];
+
+    // Bindings for the compiler's `import ... from "./runtime/index.js"`
+    this.runtimeBindings = {
+      TodoLangRuntime,
+      Component: TodoLangComponent,
+      StateManager: TodoLangStateManager,
+      VirtualDOM: VirtualDOMRenderer,
+      TodoLangComponent,
+      TodoLangStateManager,
+      VirtualDOMRenderer,
+      createElement,
+      createFragment,
+      validators,
+      validateFields,
+      valuesEqual
+    };
+  }
+
+  /**
+   * Give an instance a bound function for each of its class's bound methods
+   * (`static get boundMethods()`). The function calls the method of the
+   * instance's current prototype, so it stays the same function, for
+   * removing listeners, while hot reload swaps the code behind it.
+   * @param {Object} instance - Component instance
+   */
+  static bindMethods(instance) {
+    for (const name of instance.constructor.boundMethods || []) {
+      if (!Object.prototype.hasOwnProperty.call(instance, name)) {
+        instance[name] = (...args) => Object.getPrototypeOf(instance)[name].apply(instance, args);
+      }
+    }
+  }
+
+  /**
+   * Apply a compiled component's prop defaults (`static get propTypes()`) to
+   * the props it is created with. With `validate`, missing required props and
+   * values of the wrong type are reported as warnings.
+   * @param {Function} component - Component class
+   * @param {Object} props - Props passed to the constructor
+   * @param {Object} options - `validate`: check props (development builds)
+   * @returns {Object} Props with defaults filled in
+   */
+  static resolveProps(component, props = {}, options = {}) {
+    const propTypes = component.propTypes || {};
+    const resolved = { ...props };
+
+    for (const [name, propType] of Object.entries(propTypes)) {
+      if (resolved[name] === undefined && 'default' in propType) {
+        resolved[name] = propType.default;
+      }
+
+      if (!options.validate) continue;
+
+      const value = resolved[name];
+      let problem = null;
+      if (value === undefined || value === null) {
+        problem = propType.required ? 'is required' : null;
+      } else {
+        problem = describePropMismatch(value, propType);
+      }
+
+      if (problem) {
+        reportWarning(`Prop '${name}' of component '${component.name}' ${problem}`, {
+          component: component.name,
+          prop: name
+        });
+      }
+    }
+
+    return resolved;
   }
 
   async initialize(config = {}) {
@@ -23,42 +277,223 @@ export class TodoLangRuntime {
     }
   }
 
-  async execute(compiledCode) {
+  /**
+   * Evaluate a compiled module and register its exports
+   * @param {string} compiledCode - Compiler output
+   * @param {string} modulePath - Path used to resolve imports of other modules
+   * @param {Object} sourceMap - Compiler source map of the code, if any
+   * @returns {Object} { success, exports }
+   */
+  async execute(compiledCode, modulePath = null, sourceMap = null) {
     try {
-      // In a full implementation, this would execute the compiled TodoLang code
-      // For now, we'll just log that execution was attempted
       if (this.enableDebugging) {
-        console.log('⚡ Executing compiled TodoLang code...');
+        console.log(`⚡ Executing compiled TodoLang code${modulePath ? `: ${modulePath}` : ''}...`);
       }
 
-      // Simulate code execution
-      if (typeof compiledCode === 'string' && compiledCode.includes('class')) {
-        // Code appears to be a class definition
-        return { success: true, type: 'class' };
-      }
-
-      return { success: true, type: 'unknown' };
+      return { success: true, exports: this.loadModule(compiledCode, modulePath, sourceMap) };
     } catch (error) {
       this.notifyErrorHandlers(error);
       throw error;
     }
   }
 
-  async mount(element) {
-    if (typeof window !== 'undefined' && element) {
-      // In a full implementation, this would mount the TodoLang application
+  /**
+   * Synchronously evaluate a module, record and register its exports
+   */
+  loadModule(compiledCode, modulePath = null, sourceMap = null) {
+    const startTime = performance.now();
+    const moduleExports = this.evaluate(compiledCode, modulePath, sourceMap);
+
+    if (modulePath) {
+      this.moduleExports.set(modulePath, moduleExports);
+    }
+    this.registerExports(moduleExports);
+
+    this.recordMetric({
+      name: `execute ${modulePath || 'module'}`,
+      value: performance.now() - startTime
+    });
+
+    return moduleExports;
+  }
+
+  /**
+   * Run module source and return its exports. Named modules get a
+   * sourceURL, and an inline source map when one is given, so stack frames
+   * and developer tools point at their TodoLang source.
+   */
+  evaluate(compiledCode, modulePath = null, sourceMap = null) {
+    if (typeof compiledCode !== 'string') {
+      throw new RuntimeError('Compiled code must be a string', modulePath);
+    }
+
+    let body = transformModule(compiledCode);
+    if (modulePath) {
+      const sourceURL = moduleSourceURL(modulePath);
+      const evaluatedMap = sourceMap && {
+        ...sourceMap,
+        file: sourceURL,
+        mappings: ';'.repeat(EVALUATED_LINE_OFFSET) + sourceMap.mappings
+      };
+
+      // Replaces the map of an earlier version of the module
+      registerSourceMap(sourceURL, evaluatedMap);
+      if (evaluatedMap) {
+        body += `\n//# sourceMappingURL=data:application/json;charset=utf-8;base64,${encodeBase64(JSON.stringify(evaluatedMap))}`;
+      }
+
+      body += `\n//# sourceURL=${sourceURL}`;
+    }
+
+    const factory = new Function('__import', body);
+    return factory(specifier => this.resolveImport(specifier, modulePath));
+  }
+
+  /**
+   * Resolve an import specifier from a compiled module
+   */
+  resolveImport(specifier, fromPath = null) {
+    if (specifier === RUNTIME_MODULE || specifier.endsWith(`/${RUNTIME_MODULE}`)) {
+      return this.runtimeBindings;
+    }
+
+    // Compiled modules import each other's .js output; modules are
+    // registered under their .todolang source paths
+    const resolved = this.resolveModulePath(specifier, fromPath);
+    for (const candidate of [resolved, resolved.replace(/\.js$/, '.todolang')]) {
+      if (this.moduleExports.has(candidate)) {
+        return this.moduleExports.get(candidate);
+      }
+    }
+
+    throw new RuntimeError(`Cannot resolve module '${specifier}'${fromPath ? ` from ${fromPath}` : ''}`, fromPath);
+  }
+
+  /**
+   * Resolve a relative specifier against the importing module's path
+   */
+  resolveModulePath(specifier, fromPath = null) {
+    if (!specifier.startsWith('.') || !fromPath) {
+      return specifier;
+    }
+
+    const segments = fromPath.split('/').slice(0, -1);
+    for (const part of specifier.split('/')) {
+      if (part === '..') {
+        segments.pop();
+      } else if (part !== '.' && part !== '') {
+        segments.push(part);
+      }
+    }
+    return segments.join('/');
+  }
+
+  /**
+   * Register exported components, services and models by name
+   */
+  registerExports(moduleExports) {
+    for (const [name, value] of Object.entries(moduleExports)) {
+      if (typeof value !== 'function') continue;
+
+      if (value.prototype instanceof TodoLangComponent) {
+        if (this.registry.isRegistered(name)) {
+          this.registry.unregister(name);
+        }
+        this.registry.register(name, value);
+        this.components.set(name, value);
+      } else if (typeof value.getInstance === 'function') {
+        this.services.set(name, value);
+      } else {
+        this.models.set(name, value);
+      }
+    }
+  }
+
+  getComponent(name) {
+    return this.components.get(name) || this.registry.get(name);
+  }
+
+  getModel(name) {
+    return this.models.get(name) || null;
+  }
+
+  getService(name) {
+    const ServiceClass = this.services.get(name);
+    return ServiceClass ? ServiceClass.getInstance() : null;
+  }
+
+  /**
+   * Mount a registered root component into a DOM element
+   * @param {HTMLElement} element - Mount point
+   * @param {string} componentName - Root component name (defaults to options.rootComponent)
+   * @param {Object} props - Props for the root component
+   * @returns {TodoLangComponent|null} Mounted root instance
+   */
+  async mount(element, componentName = this.options.rootComponent, props = {}) {
+    if (!element) {
+      return null;
+    }
+
+    try {
+      if (!this.getComponent(componentName)) {
+        throw new RuntimeError(`Root component ${componentName} is not registered`);
+      }
+
       if (this.enableDebugging) {
-        console.log('🔗 Mounting TodoLang application to DOM element');
+        console.log(`🔗 Mounting ${componentName} to DOM element`);
       }
 
-      // Placeholder mounting
-      element.innerHTML = '<div>TodoLang Runtime Placeholder - Application would be mounted here</div>';
-      return true;
+      this.unmount();
+
+      const startTime = performance.now();
+      const instance = this.registry.create(componentName, props);
+      instance.mount(element);
+
+      this.rootInstance = instance;
+      this.rootElement = element;
+      this.rootComponentName = componentName;
+      this.rootProps = props;
+
+      this.recordMetric({
+        name: `mount ${componentName}`,
+        value: performance.now() - startTime
+      });
+
+      return instance;
+    } catch (error) {
+      this.notifyErrorHandlers(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unmount the current root component
+   */
+  unmount() {
+    if (this.rootInstance) {
+      this.registry.removeInstance(this.rootInstance.id);
+      this.rootInstance = null;
+      this.rootElement = null;
     }
-    return false;
   }
 
-  async hotReload(modulePath, newCode) {
+  /**
+   * Replace a module's code in the running application
+   *
+   * Live instances of the module's components keep their state and are
+   * switched to the new class prototypes, then re-rendered. When a
+   * component's `state { }` block changed incompatibly the root component
+   * is remounted instead.
+   * @param {string} modulePath - Path of the changed module
+   * @param {string} newCode - Recompiled module code
+   * @param {Object} options - `remount: false` leaves the application as it
+   *   is when it needs remounting, for callers that reload the page instead;
+   *   `sourceMap` is the source map of the recompiled code
+   * @returns {Object} { updated: component names, remountRequired, remounted }
+   */
+  async hotReload(modulePath, newCode, options = {}) {
+    const { remount = true, sourceMap = null } = options;
+
     if (this.enableDebugging) {
       console.log(`🔥 Hot reloading module: ${modulePath}`);
     }
@@ -70,10 +505,194 @@ export class TodoLangRuntime {
       module.lastReloaded = new Date();
     }
 
-    // In a full implementation, this would update the running application
+    const previousExports = this.moduleExports.get(modulePath) || {};
+    let nextExports;
+    try {
+      nextExports = this.loadModule(newCode, modulePath, sourceMap);
+    } catch (error) {
+      this.notifyErrorHandlers(error);
+      throw error;
+    }
+
+    // Old component class -> new component class
+    const replacements = new Map();
+    for (const [name, NextClass] of Object.entries(nextExports)) {
+      const PreviousClass = previousExports[name];
+      if (PreviousClass && PreviousClass !== NextClass && this.isComponentClass(NextClass) && this.isComponentClass(PreviousClass)) {
+        replacements.set(PreviousClass, NextClass);
+      }
+    }
+
+    const result = { updated: [], remountRequired: false, remounted: false };
+    if (replacements.size === 0 || !this.rootInstance) {
+      return result;
+    }
+
+    const instances = this.collectInstances().filter(instance => replacements.has(instance.constructor));
+    const compatible = instances.every(instance =>
+      this.isStateCompatible(instance.state, this.getInitialStateShape(replacements.get(instance.constructor)))
+    );
+
+    if (!compatible) {
+      result.remountRequired = true;
+      if (remount) {
+        await this.mount(this.rootElement, this.rootComponentName, this.rootProps);
+        result.remounted = true;
+      }
+      return result;
+    }
+
+    for (const instance of instances) {
+      const PreviousClass = instance.constructor;
+      const NextClass = replacements.get(PreviousClass);
+      this.migrateState(instance.state, this.getInitialStateShape(NextClass));
+      Object.setPrototypeOf(instance, NextClass.prototype);
+      this.rebindMethods(instance, PreviousClass, NextClass);
+      this.rewatch(instance);
+      result.updated.push(NextClass.name);
+    }
+
+    // Rendered vnodes still reference the old classes; without this the
+    // differ would see a new component type and replace the child instances
+    for (const instance of this.collectInstances()) {
+      this.replaceVNodeTypes(instance._renderer && instance._renderer.currentVTree, replacements);
+    }
+
+    for (const instance of instances) {
+      instance.forceUpdate();
+    }
+
+    result.updated = [...new Set(result.updated)];
+    return result;
+  }
+
+  /**
+   * Drop the bound methods the new class no longer declares and bind the
+   * ones it adds; the others already call the new class's code
+   */
+  rebindMethods(instance, PreviousClass, NextClass) {
+    const nextMethods = NextClass.boundMethods || [];
+    for (const name of PreviousClass.boundMethods || []) {
+      if (!nextMethods.includes(name)) {
+        delete instance[name];
+      }
+    }
+    TodoLangRuntime.bindMethods(instance);
+  }
+
+  /**
+   * Replace an instance's `watch` subscriptions with the ones of its new class
+   */
+  rewatch(instance) {
+    for (const unsubscribe of instance._watchers || []) {
+      unsubscribe();
+    }
+    instance._watchers = [];
+
+    if (typeof instance.initializeWatchers === 'function') {
+      instance.initializeWatchers();
+    }
+  }
+
+  isComponentClass(value) {
+    return typeof value === 'function' && value.prototype instanceof TodoLangComponent;
+  }
+
+  /**
+   * All live component instances: registry instances and their descendants
+   */
+  collectInstances() {
+    const instances = new Set();
+    const visit = instance => {
+      if (!instance || instances.has(instance)) return;
+      instances.add(instance);
+      for (const child of instance.getChildren().values()) {
+        visit(child);
+      }
+    };
+
+    visit(this.rootInstance);
+    this.registry.getActiveInstances().forEach(visit);
+    return [...instances];
+  }
+
+  /**
+   * Initial state of a component class, read from its compiled
+   * `initializeState()` without constructing an instance
+   * @returns {Object|null} The initial state, or null when the initializers
+   *   throw without the instance's props and methods
+   */
+  getInitialStateShape(ComponentClass) {
+    const initializeState = ComponentClass.prototype.initializeState;
+    if (typeof initializeState !== 'function') {
+      return {};
+    }
+
+    const probe = { state: {}, props: {}, createReactiveState: initialState => initialState };
+    try {
+      initializeState.call(probe);
+    } catch (error) {
+      return null;
+    }
+    return probe.state || {};
+  }
+
+  /**
+   * State is compatible when every property kept by the new `state { }`
+   * block still holds the same kind of value. A shape that could not be
+   * read is not compatible, so the component is remounted.
+   */
+  isStateCompatible(state, nextShape) {
+    if (nextShape === null) {
+      return false;
+    }
+    for (const [key, nextValue] of Object.entries(nextShape)) {
+      if (key in state && !this.isSameKind(state[key], nextValue)) {
+        return false;
+      }
+    }
     return true;
   }
 
+  isSameKind(a, b) {
+    if (a === null || b === null || a === undefined || b === undefined) {
+      return true;
+    }
+    if (Array.isArray(a) || Array.isArray(b)) {
+      return Array.isArray(a) && Array.isArray(b);
+    }
+    return typeof a === typeof b;
+  }
+
+  /**
+   * Add properties introduced by the new `state { }` block and drop removed ones
+   */
+  migrateState(state, nextShape) {
+    if (Object.keys(nextShape).length === 0) return;
+
+    for (const key of Object.keys(state)) {
+      if (!(key in nextShape)) {
+        delete state[key];
+      }
+    }
+    for (const [key, value] of Object.entries(nextShape)) {
+      if (!(key in state)) {
+        state[key] = value;
+      }
+    }
+  }
+
+  replaceVNodeTypes(vnode, replacements) {
+    if (!vnode) return;
+
+    if (replacements.has(vnode.type)) {
+      vnode.type = replacements.get(vnode.type);
+    }
+    for (const child of vnode.children || []) {
+      this.replaceVNodeTypes(child, replacements);
+    }
+  }
+
   onError(handler) {
     this.errorHandlers.push(handler);
   }
@@ -83,6 +702,18 @@ export class TodoLangRuntime {
     this.performanceMetricHandlers.push(handler);
   }
 
+  recordMetric(metric) {
+    this.performanceMetrics.push(metric);
+
+    for (const handler of this.performanceMetricHandlers || []) {
+      try {
+        handler(metric);
+      } catch (handlerError) {
+        console.error('Error in performance metric handler:', handlerError);
+      }
+    }
+  }
+
   notifyErrorHandlers(error) {
     for (const handler of this.errorHandlers) {
       try {
@@ -94,7 +725,19 @@ export class TodoLangRuntime {
   }
 
   cleanup() {
+    this.unmount();
+
+    for (const name of this.components.keys()) {
+      if (this.registry.get(name) === this.components.get(name)) {
+        this.registry.unregister(name);
+      }
+    }
+
     this.modules.clear();
+    this.moduleExports.clear();
+    this.components.clear();
+    this.models.clear();
+    this.services.clear();
     this.errorHandlers = [];
     this.performanceMetrics = [];
 
@@ -102,4 +745,4 @@ export class TodoLangRuntime {
       console.log('🧹 TodoLang Runtime cleaned up');
     }
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,140 @@
+/**
+ * TodoLang Scoped Styles
+ *
+ * Scopes the CSS of component `style { ... }` blocks to the component. The
+ * compiler marks every DOM element a component renders with the component's
+ * scope attribute (`data-tl-<hash>`), and every selector of its CSS is
+ * narrowed to elements carrying that attribute.
+ */
+
+// At-rules whose blocks hold style rules, which are scoped in turn
+const NESTED_AT_RULES = ['media', 'supports', 'container', 'layer', 'document'];
+
+// Pseudo-elements must stay at the end of a selector
+const PSEUDO_ELEMENT = /::|:(before|after|first-line|first-letter)\b/;
+
+/**
+ * Attribute marking the elements of a component
+ * @param {string} componentName - Component declaring the styles
+ * @param {string} modulePath - Module of the component, so components with
+ *   the same name in different modules get different scopes
+ * @returns {string} Attribute name, stable across builds
+ */
+export function getStyleScope(componentName, modulePath = '') {
+  let hash = 5381;
+  for (const char of `${modulePath}:${componentName}`) {
+    hash = ((hash * 33) ^ char.charCodeAt(0)) >>> 0;
+  }
+  return `data-tl-${hash.toString(36)}`;
+}
+
+/**
+ * Scope one selector by adding the attribute to its last compound selector:
+ * `.list li:hover` becomes `.list li:hover[data-tl-x]`
+ */
+export function scopeSelector(selector, scope) {
+  const attribute = `[${scope}]`;
+  const match = PSEUDO_ELEMENT.exec(selector);
+  return match
+    ? selector.slice(0, match.index) + attribute + selector.slice(match.index)
+    : selector + attribute;
+}
+
+/**
+ * Scope the CSS of a style block. Rules inside @media, @supports and
+ * similar blocks are scoped; @keyframes, @font-face and other at-rules are
+ * kept as written.
+ * @param {string} css - Contents of the style block
+ * @param {string} scope - Attribute from getStyleScope
+ * @returns {string} Scoped CSS
+ */
+export function scopeStyles(css, scope) {
+  return scopeRules(css.replace(/\/\*[\s\S]*?\*\//g, ''), scope);
+}
+
+function scopeRules(css, scope) {
+  let output = '';
+  let position = 0;
+
+  while (position < css.length) {
+    const preludeEnd = findTopLevel(css, position, '{;');
+    if (preludeEnd === -1) break;
+
+    const prelude = css.slice(position, preludeEnd).trim();
+    if (css[preludeEnd] === ';') {
+      // @import, @charset and the like
+      if (prelude) output += `${prelude};\n`;
+      position = preludeEnd + 1;
+      continue;
+    }
+
+    const blockEnd = findTopLevel(css, preludeEnd + 1, '}');
+    const body = css.slice(preludeEnd + 1, blockEnd === -1 ? css.length : blockEnd);
+    position = blockEnd === -1 ? css.length : blockEnd + 1;
+
+    const atRule = /^@([\w-]+)/.exec(prelude);
+    if (atRule && NESTED_AT_RULES.includes(atRule[1].toLowerCase())) {
+      const rules = scopeRules(body, scope).trimEnd().split('\n').map(line => `  ${line}`);
+      output += `${prelude} {\n${rules.join('\n')}\n}\n`;
+    } else {
+      const selectors = atRule
+        ? prelude
+        : splitTopLevel(prelude).map(selector => scopeSelector(selector, scope)).join(', ');
+      output += `${selectors} ${formatDeclarations(body)}\n`;
+    }
+  }
+
+  return output;
+}
+
+function formatDeclarations(body) {
+  const lines = body.split('\n').map(line => line.trim()).filter(Boolean);
+  return lines.length > 0 ? `{\n  ${lines.join('\n  ')}\n}` : '{}';
+}
+
+/**
+ * Split a selector list at its top-level commas; `:is(.a, .b)` stays whole
+ */
+function splitTopLevel(selectorList) {
+  const selectors = [];
+  let position = 0;
+  let comma;
+
+  while ((comma = findTopLevel(selectorList, position, ',')) !== -1) {
+    selectors.push(selectorList.slice(position, comma).trim());
+    position = comma + 1;
+  }
+  selectors.push(selectorList.slice(position).trim());
+
+  return selectors.filter(Boolean);
+}
+
+/**
+ * Index of the first of `chars` outside strings and brackets, or -1
+ */
+function findTopLevel(text, start, chars) {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (quote) {
+      if (char === '\\') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (depth === 0 && chars.includes(char)) {
+      return i;
+    } else if ('([{'.includes(char)) {
+      depth++;
+    } else if (')]}'.includes(char)) {
+      depth--;
+    }
+  }
+
+  return -1;
+}
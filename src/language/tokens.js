@@ -13,6 +13,19 @@ export const TokenType = {
   NUMBER: 'NUMBER',
   BOOLEAN: 'BOOLEAN',
   NULL: 'NULL',
+  REGEX: 'REGEX',                      // /pattern/flags
+
+  // Template literals: `text` or `head${ ... }middle${ ... }tail`
+  TEMPLATE_STRING: 'TEMPLATE_STRING',  // `text` without interpolations
+  TEMPLATE_HEAD: 'TEMPLATE_HEAD',      // `text${
+  TEMPLATE_MIDDLE: 'TEMPLATE_MIDDLE',  // }text${
+  TEMPLATE_TAIL: 'TEMPLATE_TAIL',      // }text`
+
+  // Raw CSS of a component `style { ... }` block, without the braces
+  STYLE_BLOCK: 'STYLE_BLOCK',
+
+  // Non-ASCII characters such as symbols and emoji, only valid in JSX text
+  TEXT: 'TEXT',
 
   // Identifiers and Keywords
   IDENTIFIER: 'IDENTIFIER',
@@ -22,11 +35,16 @@ export const TokenType = {
   COMPUTED: 'COMPUTED',
   MODEL: 'MODEL',
   SERVICE: 'SERVICE',
+  ENUM: 'ENUM',
   STATIC: 'STATIC',
   IF: 'IF',
   ELSE: 'ELSE',
   FOR: 'FOR',
   WHILE: 'WHILE',
+  DO: 'DO',
+  SWITCH: 'SWITCH',
+  CASE: 'CASE',
+  DEFAULT: 'DEFAULT',
   RETURN: 'RETURN',
   THIS: 'THIS',
   TRUE: 'TRUE',
@@ -39,6 +57,16 @@ export const TokenType = {
   IN: 'IN',
   OF: 'OF',
   NEW: 'NEW',
+  TRY: 'TRY',
+  CATCH: 'CATCH',
+  FINALLY: 'FINALLY',
+  THROW: 'THROW',
+  TYPEOF: 'TYPEOF',
+  INSTANCEOF: 'INSTANCEOF',
+  ASYNC: 'ASYNC',
+  AWAIT: 'AWAIT',
+  IMPORT: 'IMPORT',
+  EXPORT: 'EXPORT',
 
   // Operators
   ASSIGN: 'ASSIGN',                    // =
@@ -46,9 +74,12 @@ export const TokenType = {
   MINUS_ASSIGN: 'MINUS_ASSIGN',        // -=
   MULTIPLY_ASSIGN: 'MULTIPLY_ASSIGN',  // *=
   DIVIDE_ASSIGN: 'DIVIDE_ASSIGN',      // /=
+  NULLISH_ASSIGN: 'NULLISH_ASSIGN',    // ??=
 
   EQUAL: 'EQUAL',                      // ==
   NOT_EQUAL: 'NOT_EQUAL',              // !=
+  STRICT_EQUAL: 'STRICT_EQUAL',        // ===
+  STRICT_NOT_EQUAL: 'STRICT_NOT_EQUAL', // !==
   LESS_THAN: 'LESS_THAN',              // <
   GREATER_THAN: 'GREATER_THAN',        // >
   LESS_EQUAL: 'LESS_EQUAL',            // <=
@@ -66,9 +97,12 @@ export const TokenType = {
   LOGICAL_AND: 'LOGICAL_AND',          // &&
   LOGICAL_OR: 'LOGICAL_OR',            // ||
   LOGICAL_NOT: 'LOGICAL_NOT',          // !
+  NULLISH_COALESCING: 'NULLISH_COALESCING', // ??
 
   QUESTION: 'QUESTION',                // ?
   DOT: 'DOT',                          // .
+  OPTIONAL_CHAIN: 'OPTIONAL_CHAIN',    // ?.
+  SPREAD: 'SPREAD',                    // ... (spread and rest)
   ARROW: 'ARROW',                      // =>
 
   // Delimiters
@@ -88,6 +122,7 @@ export const TokenType = {
   SEMICOLON: 'SEMICOLON',              // ;
   COMMA: 'COMMA',                      // ,
   COLON: 'COLON',                      // :
+  AT: 'AT',                            // @ (model field constraints)
 
   // Stokens
   EOF: 'EOF',                          // End of file
@@ -107,11 +142,16 @@ export const Keywords = {
   'computed': TokenType.COMPUTED,
   'model': TokenType.MODEL,
   'service': TokenType.SERVICE,
+  'enum': TokenType.ENUM,
   'static': TokenType.STATIC,
   'if': TokenType.IF,
   'else': TokenType.ELSE,
   'for': TokenType.FOR,
   'while': TokenType.WHILE,
+  'do': TokenType.DO,
+  'switch': TokenType.SWITCH,
+  'case': TokenType.CASE,
+  'default': TokenType.DEFAULT,
   'return': TokenType.RETURN,
   'this': TokenType.THIS,
   'true': TokenType.TRUE,
@@ -124,7 +164,17 @@ export const Keywords = {
   'continue': TokenType.CONTINUE,
   'in': TokenType.IN,
   'of': TokenType.OF,
-  'new': TokenType.NEW
+  'new': TokenType.NEW,
+  'try': TokenType.TRY,
+  'catch': TokenType.CATCH,
+  'finally': TokenType.FINALLY,
+  'throw': TokenType.THROW,
+  'typeof': TokenType.TYPEOF,
+  'instanceof': TokenType.INSTANCEOF,
+  'async': TokenType.ASYNC,
+  'await': TokenType.AWAIT,
+  'import': TokenType.IMPORT,
+  'export': TokenType.EXPORT
 };
 
 // Token class definition
@@ -161,14 +211,17 @@ export class Token {
   isOperator() {
     const operators = [
       TokenType.ASSIGN, TokenType.PLUS_ASSIGN, TokenType.MINUS_ASSIGN,
-      TokenType.MULTIPLY_ASSIGN, TokenType.DIVIDE_ASSIGN,
+      TokenType.MULTIPLY_ASSIGN, TokenType.DIVIDE_ASSIGN, TokenType.NULLISH_ASSIGN,
       TokenType.EQUAL, TokenType.NOT_EQUAL,
+      TokenType.STRICT_EQUAL, TokenType.STRICT_NOT_EQUAL,
       TokenType.LESS_THAN, TokenType.GREATER_THAN,
       TokenType.LESS_EQUAL, TokenType.GREATER_EQUAL,
       TokenType.PLUS, TokenType.MINUS, TokenType.MULTIPLY,
       TokenType.DIVIDE, TokenType.MODULO,
       TokenType.INCREMENT, TokenType.DECREMENT,
-      TokenType.LOGICAL_AND, TokenType.LOGICAL_OR, TokenType.LOGICAL_NOT
+      TokenType.LOGICAL_AND, TokenType.LOGICAL_OR, TokenType.LOGICAL_NOT,
+      TokenType.NULLISH_COALESCING, TokenType.OPTIONAL_CHAIN, TokenType.SPREAD,
+      TokenType.TYPEOF, TokenType.INSTANCEOF
     ];
     return operators.includes(this.type);
   }
@@ -176,7 +229,7 @@ export class Token {
   // Check if token is a literal
   isLiteral() {
     return this.isOneOf(
-      TokenType.STRING, TokenType.NUMBER,
+      TokenType.STRING, TokenType.NUMBER, TokenType.REGEX, TokenType.TEMPLATE_STRING,
       TokenType.TRUE, TokenType.FALSE, TokenType.NULL
     );
   }
@@ -216,20 +269,27 @@ export class SourceLocation {
 
 // Operator precedence for parsing
 export const OperatorPrecedence = {
+  // '??' cannot be mixed with '||' or '&&' without parentheses in JavaScript,
+  // so the compiler always parenthesizes such operands
+  [TokenType.NULLISH_COALESCING]: 1,
   [TokenType.LOGICAL_OR]: 1,
   [TokenType.LOGICAL_AND]: 2,
   [TokenType.EQUAL]: 3,
   [TokenType.NOT_EQUAL]: 3,
+  [TokenType.STRICT_EQUAL]: 3,
+  [TokenType.STRICT_NOT_EQUAL]: 3,
   [TokenType.LESS_THAN]: 4,
   [TokenType.GREATER_THAN]: 4,
   [TokenType.LESS_EQUAL]: 4,
   [TokenType.GREATER_EQUAL]: 4,
+  [TokenType.INSTANCEOF]: 4,
   [TokenType.PLUS]: 5,
   [TokenType.MINUS]: 5,
   [TokenType.MULTIPLY]: 6,
   [TokenType.DIVIDE]: 6,
   [TokenType.MODULO]: 6,
   [TokenType.LOGICAL_NOT]: 7,
+  [TokenType.TYPEOF]: 7,
   [TokenType.INCREMENT]: 8,
   [TokenType.DECREMENT]: 8
 };
@@ -239,15 +299,17 @@ export const TokenUtils = {
   isAssignmentOperator(tokenType) {
     return [
       TokenType.ASSIGN, TokenType.PLUS_ASSIGN, TokenType.MINUS_ASSIGN,
-      TokenType.MULTIPLY_ASSIGN, TokenType.DIVIDE_ASSIGN
+      TokenType.MULTIPLY_ASSIGN, TokenType.DIVIDE_ASSIGN, TokenType.NULLISH_ASSIGN
     ].includes(tokenType);
   },
 
   isComparisonOperator(tokenType) {
     return [
       TokenType.EQUAL, TokenType.NOT_EQUAL,
+      TokenType.STRICT_EQUAL, TokenType.STRICT_NOT_EQUAL,
       TokenType.LESS_THAN, TokenType.GREATER_THAN,
-      TokenType.LESS_EQUAL, TokenType.GREATER_EQUAL
+      TokenType.LESS_EQUAL, TokenType.GREATER_EQUAL,
+      TokenType.INSTANCEOF
     ].includes(tokenType);
   },
 
@@ -260,23 +322,24 @@ export const TokenUtils = {
 
   isLogicalOperator(tokenType) {
     return [
-      TokenType.LOGICAL_AND, TokenType.LOGICAL_OR, TokenType.LOGICAL_NOT
+      TokenType.LOGICAL_AND, TokenType.LOGICAL_OR, TokenType.LOGICAL_NOT,
+      TokenType.NULLISH_COALESCING
     ].includes(tokenType);
   },
 
   isUnaryOperator(tokenType) {
     return [
       TokenType.PLUS, TokenType.MINUS, TokenType.LOGICAL_NOT,
-      TokenType.INCREMENT, TokenType.DECREMENT
+      TokenType.INCREMENT, TokenType.DECREMENT, TokenType.TYPEOF
     ].includes(tokenType);
   },
 
   isBinaryOperator(tokenType) {
     return [
       TokenType.PLUS, TokenType.MINUS, TokenType.MULTIPLY, TokenType.DIVIDE, TokenType.MODULO,
-      TokenType.EQUAL, TokenType.NOT_EQUAL,
+      TokenType.EQUAL, TokenType.NOT_EQUAL, TokenType.STRICT_EQUAL, TokenType.STRICT_NOT_EQUAL,
       TokenType.LESS_THAN, TokenType.GREATER_THAN, TokenType.LESS_EQUAL, TokenType.GREATER_EQUAL,
-      TokenType.LOGICAL_AND, TokenType.LOGICAL_OR
+      TokenType.INSTANCEOF, TokenType.LOGICAL_AND, TokenType.LOGICAL_OR
     ].includes(tokenType);
   }
 };
\ No newline at end of file
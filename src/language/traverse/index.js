@@ -0,0 +1,258 @@
+/**
+ * TodoLang AST Traversal
+ *
+ * Walks the AST built by the parser, calling visitor functions for each node
+ * on the way down (`enter`) and back up (`exit`). Visitors receive a
+ * NodePath, through which they can replace or remove the node in its parent.
+ * Compiler plugins use it to rewrite the AST before code generation.
+ */
+
+import { ASTNode, PropertyNode, ParameterNode } from '../parser/index.js';
+
+// Properties holding child nodes, in source order, by node type. Nodes of
+// other types, such as ones created by plugins, are walked through all of
+// their properties that hold nodes.
+export const VISITOR_KEYS = {
+  Program: ['imports', 'declarations'],
+  Import: ['specifiers'],
+  ImportSpecifier: [],
+  Component: [
+    'propsDeclaration', 'stateDeclaration', 'computedProperties', 'methods',
+    'lifecycleHooks', 'watchers', 'renderMethod', 'style'
+  ],
+  Style: [],
+  Lifecycle: ['parameters', 'body'],
+  Watch: ['parameters', 'body'],
+  State: ['properties'],
+  Props: ['properties'],
+  Property: ['type', 'defaultValue', 'constraints'],
+  Constraint: ['arguments'],
+  Method: ['parameters', 'returnType', 'body'],
+  Computed: ['body'],
+  Render: ['body'],
+  Model: ['properties', 'methods'],
+  Service: ['methods'],
+  Enum: ['members'],
+  EnumMember: ['value'],
+  Parameter: ['pattern', 'type', 'defaultValue'],
+  Type: [],
+  Block: ['statements'],
+  ExpressionStatement: ['expression'],
+  If: ['condition', 'thenStatement', 'elseStatement'],
+  For: ['init', 'condition', 'update', 'body'],
+  While: ['condition', 'body'],
+  DoWhile: ['body', 'condition'],
+  Return: ['expression'],
+  Switch: ['discriminant', 'cases'],
+  SwitchCase: ['test', 'consequent'],
+  Break: [],
+  Continue: [],
+  Try: ['block', 'handler', 'finalizer'],
+  CatchClause: ['param', 'body'],
+  Throw: ['expression'],
+  VariableDeclaration: ['declarations'],
+  VariableDeclarator: ['id', 'init'],
+  ArrowFunction: ['params', 'body'],
+  NewExpression: ['callee', 'arguments'],
+  BinaryExpression: ['left', 'right'],
+  UnaryExpression: ['operand'],
+  AwaitExpression: ['argument'],
+  Assignment: ['left', 'right'],
+  Conditional: ['condition', 'trueExpression', 'falseExpression'],
+  Call: ['callee', 'arguments'],
+  Member: ['object', 'property'],
+  Identifier: [],
+  This: [],
+  StringLiteral: [],
+  NumberLiteral: [],
+  BooleanLiteral: [],
+  NullLiteral: [],
+  RegexLiteral: [],
+  TemplateLiteral: ['expressions'],
+  ArrayLiteral: ['elements'],
+  ObjectLiteral: ['properties'],
+  ObjectProperty: ['key', 'value'],
+  SpreadElement: ['argument'],
+  ObjectPattern: ['properties'],
+  ArrayPattern: ['elements'],
+  RestElement: ['argument'],
+  AssignmentPattern: ['left', 'right'],
+  JSXElement: ['attributes', 'children'],
+  JSXFragment: ['children'],
+  JSXSpreadAttribute: ['argument'],
+  JSXAttribute: ['value'],
+  JSXBinding: ['expression'],
+  JSXText: [],
+  JSXExpression: ['expression']
+};
+
+/**
+ * Type of an AST node. Property and Parameter nodes keep their type
+ * annotation in `type`, so their node type comes from their class.
+ * @returns {string|null} Node type, or null for values that are not nodes
+ */
+export function getNodeType(node) {
+  if (node === null || typeof node !== 'object') {
+    return null;
+  }
+  if (typeof node.type === 'string') {
+    return node.type;
+  }
+  if (node instanceof PropertyNode) {
+    return 'Property';
+  }
+  if (node instanceof ParameterNode) {
+    return 'Parameter';
+  }
+  return null;
+}
+
+/**
+ * A node and its place in the tree, as passed to visitors
+ */
+export class NodePath {
+  constructor(node, parentPath = null, key = null, index = null) {
+    this.node = node;
+    this.parentPath = parentPath;
+    this.parent = parentPath ? parentPath.node : null;
+    this.key = key; // Property of the parent holding the node
+    this.index = index; // Position in that property when it is a list
+    this.removed = false;
+    this.skipped = false;
+  }
+
+  get type() {
+    return getNodeType(this.node);
+  }
+
+  /**
+   * Put another node in this node's place. The new node's children are
+   * visited next; the new node itself is not visited again.
+   */
+  replaceWith(node) {
+    if (!this.parent) {
+      throw new Error('Cannot replace the root node');
+    }
+    if (this.index === null) {
+      this.parent[this.key] = node;
+    } else {
+      this.parent[this.key][this.index] = node;
+    }
+    this.node = node;
+  }
+
+  /**
+   * Take the node out of its parent: list entries are removed, other
+   * properties are set to null
+   */
+  remove() {
+    if (!this.parent) {
+      throw new Error('Cannot remove the root node');
+    }
+    if (this.index === null) {
+      this.parent[this.key] = null;
+    } else {
+      this.parent[this.key].splice(this.index, 1);
+    }
+    this.removed = true;
+  }
+
+  /**
+   * Do not visit the children of this node
+   */
+  skip() {
+    this.skipped = true;
+  }
+
+  /**
+   * Closest ancestor path matching the predicate, or null
+   */
+  findParent(predicate) {
+    let path = this.parentPath;
+    while (path && !predicate(path)) {
+      path = path.parentPath;
+    }
+    return path;
+  }
+}
+
+/**
+ * Walk an AST depth first. The visitor's `enter(path, state)` and
+ * `exit(path, state)` run for every node; a function under a node type, or an
+ * `{ enter, exit }` object, runs for nodes of that type only:
+ *
+ *   traverse(ast, {
+ *     Call(path) {
+ *       if (path.node.callee.name === 'debug') path.remove();
+ *     }
+ *   });
+ *
+ * @param {ASTNode} node - Root of the walk, usually the Program
+ * @param {Object} visitor - Visitor functions
+ * @param {*} state - Passed to every visitor function
+ * @returns {ASTNode} The root node
+ */
+export function traverse(node, visitor, state = undefined) {
+  visitPath(new NodePath(node), visitor, state);
+  return node;
+}
+
+function visitPath(path, visitor, state) {
+  const handlers = getHandlers(visitor, path.type);
+
+  for (const enter of handlers.enter) {
+    enter.call(visitor, path, state);
+    if (path.removed || !path.node) return;
+  }
+
+  if (!path.skipped) {
+    const node = path.node;
+    for (const key of getVisitorKeys(node)) {
+      const value = node[key];
+      if (Array.isArray(value)) {
+        // Removing an entry shifts the rest of the list down
+        for (let index = 0; index < value.length;) {
+          const child = new NodePath(value[index], path, key, index);
+          if (isNode(value[index])) {
+            visitPath(child, visitor, state);
+          }
+          if (!child.removed) index++;
+        }
+      } else if (isNode(value)) {
+        visitPath(new NodePath(value, path, key), visitor, state);
+      }
+    }
+  }
+
+  for (const exit of handlers.exit) {
+    exit.call(visitor, path, state);
+    if (path.removed || !path.node) return;
+  }
+}
+
+function getHandlers(visitor, type) {
+  const handlers = { enter: [], exit: [] };
+  for (const entry of [visitor, type ? visitor[type] : null]) {
+    if (typeof entry === 'function') {
+      handlers.enter.push(entry);
+    } else if (entry) {
+      if (typeof entry.enter === 'function') handlers.enter.push(entry.enter);
+      if (typeof entry.exit === 'function') handlers.exit.push(entry.exit);
+    }
+  }
+  return handlers;
+}
+
+function getVisitorKeys(node) {
+  const keys = VISITOR_KEYS[getNodeType(node)];
+  if (keys) {
+    return keys;
+  }
+  return Object.keys(node).filter(key => key !== 'location' && key !== 'type' && (
+    isNode(node[key]) || (Array.isArray(node[key]) && node[key].some(isNode))
+  ));
+}
+
+function isNode(value) {
+  return value instanceof ASTNode || getNodeType(value) !== null;
+}
@@ -0,0 +1,1498 @@
+/**
+ * TodoLang Type Checker - Validates type annotations before compilation
+ *
+ * This pass runs between parsing and compilation. It infers expression
+ * types and checks them against the annotations on state properties, model
+ * fields, method parameters and return types. Unknown types (globals,
+ * browser APIs, untyped values) are treated as `any`, so only mismatches
+ * between known types are reported.
+ */
+
+export class TypeCheckError extends Error {
+  constructor(message, node = null) {
+    super(message);
+    this.name = 'TypeCheckError';
+    this.node = node;
+    this.location = node ? node.location : null;
+  }
+}
+
+const PRIMITIVE_TYPES = new Set(['string', 'number', 'boolean', 'Date', 'void', 'null', 'any', 'object', 'Promise', 'Function']);
+
+/**
+ * Type representation used by the checker - an element type name plus the
+ * array and nullability flags from `T[]` and `T?`
+ */
+export class TodoLangType {
+  constructor(name, isArray = false, isOptional = false, isClass = false) {
+    this.name = name;
+    this.isArray = isArray;
+    this.isOptional = isOptional;
+    this.isClass = isClass; // The class itself (e.g. `Todo` in `Todo.create()`)
+  }
+
+  static fromNode(typeNode) {
+    if (!typeNode) {
+      return TodoLangType.ANY;
+    }
+    return new TodoLangType(typeNode.name, typeNode.isArray, typeNode.isOptional);
+  }
+
+  static classOf(name) {
+    return new TodoLangType(name, false, false, true);
+  }
+
+  isAny() {
+    return this.name === 'any' && !this.isArray;
+  }
+
+  elementType() {
+    return new TodoLangType(this.name);
+  }
+
+  arrayOf() {
+    return new TodoLangType(this.name, true);
+  }
+
+  asOptional() {
+    return new TodoLangType(this.name, this.isArray, true, this.isClass);
+  }
+
+  /**
+   * This type without `?` - the left side of `??` once it is known to be set
+   */
+  asRequired() {
+    return this.isOptional ? new TodoLangType(this.name, this.isArray, false, this.isClass) : this;
+  }
+
+  /**
+   * Promise resolving to this type - what calling an async method returns
+   */
+  promiseOf() {
+    const promise = new TodoLangType('Promise');
+    promise.resolvedType = this;
+    return promise;
+  }
+
+  /**
+   * Type of `await value`
+   */
+  awaited() {
+    if (this.name === 'Promise' && !this.isArray) {
+      return this.resolvedType || TodoLangType.ANY;
+    }
+    return this;
+  }
+
+  toString() {
+    if (this.isClass) {
+      return `typeof ${this.name}`;
+    }
+    if (this.resolvedType) {
+      return `Promise<${this.resolvedType}>`;
+    }
+    return `${this.name}${this.isArray ? '[]' : ''}${this.isOptional ? '?' : ''}`;
+  }
+}
+
+TodoLangType.ANY = new TodoLangType('any');
+TodoLangType.STRING = new TodoLangType('string');
+TodoLangType.NUMBER = new TodoLangType('number');
+TodoLangType.BOOLEAN = new TodoLangType('boolean');
+TodoLangType.NULL = new TodoLangType('null');
+TodoLangType.VOID = new TodoLangType('void');
+TodoLangType.OBJECT = new TodoLangType('object');
+
+// Field types each model field constraint applies to; `length` also allows arrays
+const CONSTRAINT_FIELD_TYPES = {
+  trim: 'string',
+  email: 'string',
+  pattern: 'string',
+  minLength: 'length',
+  maxLength: 'length',
+  min: 'number',
+  max: 'number'
+};
+
+// Attributes every JSX component tag accepts without declaring them
+const JSX_RESERVED_ATTRIBUTES = ['key', 'ref'];
+
+// Return types of built-in array methods, given the array type
+const ARRAY_METHODS = {
+  filter: type => type,
+  slice: type => type,
+  sort: type => type,
+  reverse: type => type,
+  concat: type => type,
+  find: type => type.elementType().asOptional(),
+  pop: type => type.elementType().asOptional(),
+  shift: type => type.elementType().asOptional(),
+  map: () => TodoLangType.ANY.arrayOf(),
+  some: () => TodoLangType.BOOLEAN,
+  every: () => TodoLangType.BOOLEAN,
+  includes: () => TodoLangType.BOOLEAN,
+  indexOf: () => TodoLangType.NUMBER,
+  findIndex: () => TodoLangType.NUMBER,
+  push: () => TodoLangType.NUMBER,
+  unshift: () => TodoLangType.NUMBER,
+  join: () => TodoLangType.STRING,
+  forEach: () => TodoLangType.VOID
+};
+
+// Return types of the helpers compiled into every enum, given the enum type
+const ENUM_METHODS = {
+  values: type => type.arrayOf(),
+  isValid: () => TodoLangType.BOOLEAN,
+  parse: type => type
+};
+
+// Return types of the methods compiled into every model that does not
+// declare them itself, given the model type
+const MODEL_METHODS = {
+  toJSON: () => TodoLangType.OBJECT,
+  clone: type => type,
+  equals: () => TodoLangType.BOOLEAN
+};
+
+const MODEL_STATIC_METHODS = {
+  fromJSON: type => type
+};
+
+// Return types of built-in string methods
+const STRING_METHODS = {
+  trim: TodoLangType.STRING,
+  toLowerCase: TodoLangType.STRING,
+  toUpperCase: TodoLangType.STRING,
+  slice: TodoLangType.STRING,
+  substring: TodoLangType.STRING,
+  replace: TodoLangType.STRING,
+  charAt: TodoLangType.STRING,
+  padStart: TodoLangType.STRING,
+  padEnd: TodoLangType.STRING,
+  repeat: TodoLangType.STRING,
+  includes: TodoLangType.BOOLEAN,
+  startsWith: TodoLangType.BOOLEAN,
+  endsWith: TodoLangType.BOOLEAN,
+  indexOf: TodoLangType.NUMBER,
+  split: new TodoLangType('string', true)
+};
+
+/**
+ * Lexical scope for local variables and parameters
+ */
+class Scope {
+  constructor(parent = null) {
+    this.parent = parent;
+    this.variables = new Map();
+  }
+
+  define(name, type) {
+    this.variables.set(name, type);
+  }
+
+  lookup(name) {
+    if (this.variables.has(name)) {
+      return this.variables.get(name);
+    }
+    return this.parent ? this.parent.lookup(name) : null;
+  }
+}
+
+export class TodoLangTypeChecker {
+  constructor(options = {}) {
+    this.options = {
+      errorReporter: null,
+      ...options
+    };
+    this.errors = [];
+    this.warnings = [];
+    this.declarations = new Map();
+    this.context = null;
+  }
+
+  /**
+   * Type check a program
+   * @param {ProgramNode} ast - Parsed program
+   * @param {string} sourceCode - Source used for diagnostics context
+   * @param {string} filePath - File name used in diagnostics
+   * @param {Map<string, Object>} importedDeclarations - Declarations imported from other modules, by local name
+   * @returns {TypeCheckError[]} Diagnostics found in the program. Warnings,
+   *   which do not fail the check, are left in `this.warnings`.
+   */
+  check(ast, sourceCode = null, filePath = null, importedDeclarations = new Map()) {
+    this.errors = [];
+    this.warnings = [];
+    this.declarations = new Map(importedDeclarations);
+    this.context = null;
+
+    for (const declaration of ast.declarations) {
+      if (declaration) {
+        this.declarations.set(declaration.name, declaration);
+      }
+    }
+
+    for (const declaration of ast.declarations) {
+      if (declaration) {
+        this.checkDeclaration(declaration);
+      }
+    }
+
+    if (this.options.errorReporter) {
+      for (const error of this.errors) {
+        this.options.errorReporter.reportCompilationError(error, sourceCode, filePath);
+      }
+      for (const warning of this.warnings) {
+        this.options.errorReporter.reportWarning(warning.message, { file: filePath, location: warning.location });
+      }
+    }
+
+    return this.errors;
+  }
+
+  // ============================================================================
+  // Declarations
+  // ============================================================================
+
+  checkDeclaration(node) {
+    switch (node.type) {
+      case 'Component':
+        return this.checkComponent(node);
+      case 'Model':
+        return this.checkModel(node);
+      case 'Service':
+        return this.checkService(node);
+    }
+  }
+
+  checkComponent(node) {
+    if (node.propsDeclaration) {
+      for (const property of node.propsDeclaration.properties) {
+        this.checkPropertyDefault(property, `prop '${property.name}'`);
+      }
+    }
+
+    if (node.stateDeclaration) {
+      for (const property of node.stateDeclaration.properties) {
+        this.checkPropertyDefault(property, `state property '${property.name}'`);
+      }
+    }
+
+    for (const computed of node.computedProperties) {
+      this.checkBody(computed.body, { declaration: node, isStatic: false, method: null });
+    }
+
+    for (const method of node.methods) {
+      this.checkMethod(node, method);
+    }
+
+    // Lifecycle blocks check like methods; their parameters default to any
+    for (const hook of node.lifecycleHooks) {
+      this.checkMethod(node, hook);
+    }
+
+    for (const watcher of node.watchers) {
+      this.checkWatcher(node, watcher);
+    }
+
+    if (node.renderMethod) {
+      this.checkBody(node.renderMethod.body, { declaration: node, isStatic: false, method: null });
+    }
+  }
+
+  /**
+   * A watch block's parameters take the type of the watched state property
+   */
+  checkWatcher(declaration, watcher) {
+    const [name, ...rest] = watcher.path.split('.');
+    const state = declaration.stateDeclaration;
+    const property = state && state.properties.find(candidate => candidate.name === name);
+
+    let valueType = TodoLangType.ANY;
+    if (!property) {
+      this.error(`Cannot watch unknown state property '${name}' in component '${declaration.name}'`, watcher);
+    } else if (rest.length === 0) {
+      valueType = TodoLangType.fromNode(property.type);
+    }
+
+    const scope = new Scope();
+    for (const parameter of watcher.parameters) {
+      const type = parameter.type ? TodoLangType.fromNode(parameter.type) : valueType;
+      if (parameter.type && !this.isAssignable(type, valueType)) {
+        this.error(`Parameter '${parameter.name}' of watch ${watcher.path} must accept ${valueType}, got ${type}`, parameter);
+      }
+      scope.define(parameter.name, type);
+    }
+
+    this.checkBody(watcher.body, { declaration, isStatic: false, method: null }, scope);
+  }
+
+  checkModel(node) {
+    for (const property of node.properties) {
+      this.checkPropertyDefault(property, `field '${node.name}.${property.name}'`);
+      this.checkConstraints(node, property);
+    }
+
+    for (const method of node.methods) {
+      this.checkMethod(node, method);
+    }
+  }
+
+  checkService(node) {
+    for (const method of node.methods) {
+      this.checkMethod(node, method);
+    }
+  }
+
+  /**
+   * Check each field constraint applies to the field's declared type
+   */
+  checkConstraints(declaration, property) {
+    const fieldType = TodoLangType.fromNode(property.type).asRequired();
+    if (fieldType.isAny()) return;
+
+    const field = `${declaration.name}.${property.name}`;
+    for (const constraint of property.constraints) {
+      if (constraint.name === 'oneOf') {
+        for (const value of constraint.arguments) {
+          const valueType = this.infer(value, new Scope());
+          if (!this.isAssignable(fieldType, valueType)) {
+            this.error(`Constraint '@oneOf' value ${JSON.stringify(value.value)} does not match type ${fieldType} of field '${field}'`, value, constraint);
+          }
+        }
+        continue;
+      }
+
+      const expected = CONSTRAINT_FIELD_TYPES[constraint.name];
+      const applies = !expected ||
+        (fieldType.name === (expected === 'length' ? 'string' : expected) && !fieldType.isArray) ||
+        (expected === 'length' && fieldType.isArray);
+      if (!applies) {
+        const description = expected === 'length' ? 'string or array' : expected;
+        this.error(`Constraint '@${constraint.name}' needs a ${description} field, but '${field}' is ${fieldType}`, constraint, property);
+      }
+    }
+  }
+
+  checkPropertyDefault(property, description) {
+    if (!property.defaultValue) return;
+
+    this.context = null;
+    const expected = TodoLangType.fromNode(property.type);
+    const actual = this.infer(property.defaultValue, new Scope());
+
+    if (!this.isAssignable(expected, actual)) {
+      this.error(`Default value of ${description} must be ${expected}, got ${actual}`, property.defaultValue, property);
+    }
+  }
+
+  checkMethod(declaration, method) {
+    const scope = new Scope();
+    for (const parameter of method.parameters) {
+      // ParameterNode.type is the annotation, so plain parameters are defined directly
+      if (parameter.pattern) {
+        this.declareBindings(parameter.pattern, TodoLangType.fromNode(parameter.type), scope);
+      } else {
+        scope.define(parameter.name, TodoLangType.fromNode(parameter.type));
+      }
+
+      if (parameter.defaultValue) {
+        const expected = TodoLangType.fromNode(parameter.type);
+        const actual = this.infer(parameter.defaultValue, scope);
+        if (!this.isAssignable(expected, actual)) {
+          this.error(`Default value of parameter '${parameter.name}' must be ${expected}, got ${actual}`, parameter.defaultValue, parameter);
+        }
+      }
+    }
+
+    this.checkBody(method.body, { declaration, isStatic: method.isStatic, method }, scope);
+  }
+
+  checkBody(statements, context, scope = new Scope()) {
+    const previousContext = this.context;
+    this.context = context;
+
+    for (const statement of statements) {
+      this.checkStatement(statement, scope);
+    }
+
+    this.context = previousContext;
+  }
+
+  // ============================================================================
+  // Statements
+  // ============================================================================
+
+  checkStatement(node, scope) {
+    if (!node) return;
+
+    switch (node.type) {
+      case 'Block': {
+        const blockScope = new Scope(scope);
+        for (const statement of node.statements) {
+          this.checkStatement(statement, blockScope);
+        }
+        break;
+      }
+      case 'ExpressionStatement':
+        this.infer(node.expression, scope);
+        break;
+      case 'If':
+        this.checkIfStatement(node, scope);
+        break;
+      case 'For':
+        this.checkForStatement(node, scope);
+        break;
+      case 'While':
+        this.infer(node.condition, scope);
+        this.checkStatement(node.body, new Scope(scope));
+        break;
+      case 'DoWhile':
+        this.checkStatement(node.body, new Scope(scope));
+        this.infer(node.condition, scope);
+        break;
+      case 'Switch':
+        this.checkSwitchStatement(node, scope);
+        break;
+      case 'Return':
+        this.checkReturnStatement(node, scope);
+        break;
+      case 'Try':
+        this.checkStatement(node.block, scope);
+        if (node.handler) {
+          const handlerScope = new Scope(scope);
+          if (node.handler.param) {
+            handlerScope.define(node.handler.param.name || node.handler.param, TodoLangType.ANY);
+          }
+          this.checkStatement(node.handler.body, handlerScope);
+        }
+        this.checkStatement(node.finalizer, scope);
+        break;
+      case 'Throw':
+        this.infer(node.expression, scope);
+        break;
+      case 'VariableDeclaration':
+        for (const declarator of node.declarations) {
+          const type = declarator.init ? this.infer(declarator.init, scope) : TodoLangType.ANY;
+          if (declarator.id) {
+            this.declareBindings(declarator.id, type, scope);
+          }
+        }
+        break;
+    }
+  }
+
+  /**
+   * Check an if / else if chain. A chain without a final else that compares
+   * one enum value against its members must cover every member.
+   */
+  checkIfStatement(node, scope) {
+    const conditions = [];
+    let current = node;
+
+    while (current && current.type === 'If') {
+      this.infer(current.condition, scope);
+      this.checkStatement(current.thenStatement, new Scope(scope));
+      conditions.push(current.condition);
+      current = current.elseStatement;
+    }
+
+    if (current || conditions.length < 2) {
+      this.checkStatement(current, new Scope(scope));
+      return;
+    }
+
+    // Every branch must test the same value against members of one enum
+    const comparisons = conditions.map(condition => this.matchEnumComparison(condition));
+    const [first] = comparisons;
+    const subjectKey = first && this.expressionKey(first.subject);
+    const isChainOverOneValue = Boolean(subjectKey) && comparisons.every(comparison =>
+      comparison &&
+      comparison.declaration === first.declaration &&
+      this.expressionKey(comparison.subject) === subjectKey
+    );
+
+    if (isChainOverOneValue) {
+      this.checkEnumExhaustiveness(first.subject, first.declaration, comparisons.map(comparison => comparison.member), scope, node);
+    }
+  }
+
+  /**
+   * Check a switch. Cases share one scope, like in JavaScript; a switch over
+   * an enum value without a default case must cover every member.
+   */
+  checkSwitchStatement(node, scope) {
+    this.infer(node.discriminant, scope);
+
+    const switchScope = new Scope(scope);
+    const members = [];
+    let declaration = null;
+    let coversOnlyMembers = true;
+
+    for (const switchCase of node.cases) {
+      if (switchCase.test) {
+        this.infer(switchCase.test, scope);
+        const resolved = this.resolveEnumMember(switchCase.test);
+        if (resolved && (!declaration || declaration === resolved.declaration)) {
+          declaration = resolved.declaration;
+          members.push(resolved.member);
+        } else {
+          coversOnlyMembers = false;
+        }
+      } else {
+        coversOnlyMembers = false;
+      }
+
+      for (const statement of switchCase.consequent) {
+        this.checkStatement(statement, switchScope);
+      }
+    }
+
+    if (declaration && coversOnlyMembers) {
+      this.checkEnumExhaustiveness(node.discriminant, declaration, members, scope, node);
+    }
+  }
+
+  /**
+   * Report enum members an if chain or switch over `subject` does not cover.
+   * Only values typed as the enum are checked.
+   */
+  checkEnumExhaustiveness(subject, declaration, coveredMembers, scope, node) {
+    // The subject was checked already; inferring it again must not repeat its diagnostics
+    const errorCount = this.errors.length;
+    const subjectType = this.infer(subject, scope);
+    this.errors.length = errorCount;
+    if (subjectType.name !== declaration.name || subjectType.isArray) return;
+
+    const covered = new Set(coveredMembers.map(member => member.name));
+    const missing = declaration.members.filter(member => !covered.has(member.name));
+    if (missing.length > 0) {
+      const subjectKey = this.expressionKey(subject);
+      this.error(
+        `Non-exhaustive check of ${declaration.name}${subjectKey ? ` '${subjectKey}'` : ''}: missing ${missing.map(member => member.name).join(', ')}`,
+        node
+      );
+    }
+  }
+
+  /**
+   * Match `value == Enum.MEMBER` (either way round, `==` or `===`)
+   * @returns {{subject, declaration, member}|null}
+   */
+  matchEnumComparison(condition) {
+    if (!condition || condition.type !== 'BinaryExpression' ||
+        (condition.operator.value !== '==' && condition.operator.value !== '===')) {
+      return null;
+    }
+
+    for (const [candidate, subject] of [[condition.right, condition.left], [condition.left, condition.right]]) {
+      const member = this.resolveEnumMember(candidate);
+      if (member) {
+        return { subject, ...member };
+      }
+    }
+    return null;
+  }
+
+  checkForStatement(node, scope) {
+    const loopScope = new Scope(scope);
+
+    if (node.update === null && node.condition && node.condition.type) {
+      // for-of loop: the variable gets the element type of the iterable
+      const iterable = this.infer(node.condition, loopScope);
+      const elementType = iterable.isArray ? iterable.elementType() : TodoLangType.ANY;
+
+      if (node.init && node.init.type === 'VariableDeclaration') {
+        this.declareBindings(node.init.declarations[0].id, elementType, loopScope);
+      } else if (node.init && node.init.type === 'Identifier') {
+        loopScope.define(node.init.name, elementType);
+      }
+    } else {
+      if (node.init && node.init.type) {
+        if (node.init.type === 'VariableDeclaration') {
+          this.checkStatement(node.init, loopScope);
+        } else {
+          this.infer(node.init, loopScope);
+        }
+      }
+      this.infer(node.condition, loopScope);
+      this.infer(node.update, loopScope);
+    }
+
+    this.checkStatement(node.body, loopScope);
+  }
+
+  checkReturnStatement(node, scope) {
+    const actual = node.expression ? this.infer(node.expression, scope) : null;
+    const method = this.context && this.context.method;
+
+    if (!method || !method.returnType) return;
+
+    const expected = TodoLangType.fromNode(method.returnType);
+    const name = this.describeMethod(this.context.declaration, method);
+
+    if (!actual) {
+      if (expected.name !== 'void' && !expected.isOptional && !expected.isAny()) {
+        this.error(`Method '${name}' must return ${expected}`, node);
+      }
+      return;
+    }
+
+    if (expected.name === 'void' && !expected.isArray) {
+      if (!actual.isAny()) {
+        this.error(`Method '${name}' is declared void but returns ${actual}`, node.expression, node);
+      }
+      return;
+    }
+
+    if (!this.isAssignable(expected, actual)) {
+      this.error(`Method '${name}' must return ${expected}, got ${actual}`, node.expression, node);
+    }
+  }
+
+  // ============================================================================
+  // Expressions
+  // ============================================================================
+
+  /**
+   * Infer the type of an expression, checking its subexpressions
+   */
+  infer(node, scope) {
+    if (!node || !node.type) {
+      return TodoLangType.ANY;
+    }
+
+    switch (node.type) {
+      case 'StringLiteral':
+        return TodoLangType.STRING;
+      case 'NumberLiteral':
+        return TodoLangType.NUMBER;
+      case 'BooleanLiteral':
+        return TodoLangType.BOOLEAN;
+      case 'NullLiteral':
+        return TodoLangType.NULL;
+      case 'RegexLiteral':
+        return new TodoLangType('RegExp');
+      case 'TemplateLiteral':
+        node.expressions.forEach(expression => this.infer(expression, scope));
+        return TodoLangType.STRING;
+      case 'ArrayLiteral':
+        return this.inferArrayLiteral(node, scope);
+      case 'ObjectLiteral':
+        return this.inferObjectLiteral(node, scope);
+      case 'Identifier':
+        return this.inferIdentifier(node, scope);
+      case 'This':
+        return this.inferThis();
+      case 'Member':
+        return this.inferMember(node, scope);
+      case 'Call':
+        return this.inferCall(node, scope);
+      case 'NewExpression':
+        return this.inferNew(node, scope);
+      case 'BinaryExpression':
+        return this.inferBinary(node, scope);
+      case 'UnaryExpression': {
+        const operand = this.infer(node.operand, scope);
+        const operator = node.operator.value;
+        if (operator === '!') return TodoLangType.BOOLEAN;
+        if (operator === 'typeof') return TodoLangType.STRING;
+        if (operator === '-' || operator === '+' || operator === '++' || operator === '--') {
+          return TodoLangType.NUMBER;
+        }
+        return operand;
+      }
+      case 'AwaitExpression':
+        return this.infer(node.argument, scope).awaited();
+      case 'Assignment':
+        return this.checkAssignment(node, scope);
+      case 'Conditional': {
+        this.infer(node.condition, scope);
+        return this.unify(this.infer(node.trueExpression, scope), this.infer(node.falseExpression, scope));
+      }
+      case 'ArrowFunction':
+        this.checkArrowFunction(node, scope);
+        return new TodoLangType('Function');
+      case 'JSXElement':
+        this.checkJSXElement(node, scope);
+        return TodoLangType.ANY;
+      case 'JSXFragment':
+        this.checkJSXChildren(node.children, scope);
+        return TodoLangType.ANY;
+      case 'JSXExpression':
+        return this.infer(node.expression, scope);
+      case 'SpreadElement':
+        return this.infer(node.argument, scope);
+      default:
+        return TodoLangType.ANY;
+    }
+  }
+
+  inferArrayLiteral(node, scope) {
+    // `...items` contributes the element type of the spread array
+    const elementTypes = node.elements.map(element => {
+      const type = this.infer(element, scope);
+      if (element.type !== 'SpreadElement') return type;
+      return type.isArray && !type.isOptional ? type.elementType() : TodoLangType.ANY;
+    });
+    if (elementTypes.length === 0) {
+      return TodoLangType.ANY.arrayOf();
+    }
+
+    const [first] = elementTypes;
+    const sameType = elementTypes.every(type =>
+      type.name === first.name && !type.isArray && !type.isOptional && !type.isClass
+    );
+    return sameType && !first.isArray ? first.arrayOf() : TodoLangType.ANY.arrayOf();
+  }
+
+  /**
+   * Plain object literals are `object`; `Model { ... }` literals construct a
+   * model and are checked against its fields
+   */
+  inferObjectLiteral(node, scope) {
+    const valueTypes = new Map();
+    let hasSpread = false;
+    for (const property of node.properties) {
+      if (property.type === 'SpreadElement') {
+        this.infer(property, scope);
+        hasSpread = true;
+        continue;
+      }
+      valueTypes.set(this.propertyKey(property), { type: this.infer(property.value, scope), node: property.value });
+    }
+
+    if (!node.typeName) {
+      return TodoLangType.OBJECT;
+    }
+
+    const model = this.declarations.get(node.typeName);
+    if (!model || model.type !== 'Model') {
+      return new TodoLangType(node.typeName);
+    }
+
+    for (const [key, value] of valueTypes) {
+      const field = model.properties.find(property => property.name === key);
+      if (!field) {
+        this.error(`Model '${model.name}' has no field '${key}'`, value.node, node);
+        continue;
+      }
+
+      const expected = TodoLangType.fromNode(field.type);
+      if (!this.isAssignable(expected, value.type)) {
+        this.error(`Field '${model.name}.${key}' expects ${expected}, got ${value.type}`, value.node, node);
+      }
+    }
+
+    // Fields copied in by a spread cannot be checked
+    for (const field of hasSpread ? [] : model.properties) {
+      const optional = field.defaultValue || (field.type && field.type.isOptional);
+      if (!optional && !valueTypes.has(field.name)) {
+        this.error(`Missing field '${field.name}' in ${model.name} constructor`, node);
+      }
+    }
+
+    return new TodoLangType(model.name);
+  }
+
+  inferIdentifier(node, scope) {
+    const local = scope.lookup(node.name);
+    if (local) {
+      return local;
+    }
+
+    if (this.declarations.has(node.name)) {
+      return TodoLangType.classOf(node.name);
+    }
+
+    if (node.name === 'undefined') {
+      return TodoLangType.NULL;
+    }
+
+    return TodoLangType.ANY;
+  }
+
+  inferThis() {
+    if (!this.context) {
+      return TodoLangType.ANY;
+    }
+
+    const { declaration, isStatic } = this.context;
+    return isStatic ? TodoLangType.classOf(declaration.name) : new TodoLangType(declaration.name);
+  }
+
+  inferMember(node, scope) {
+    const type = this.inferMemberAccess(node, scope);
+    return node.optional ? type.asOptional() : type;
+  }
+
+  inferMemberAccess(node, scope) {
+    const objectType = this.infer(node.object, scope);
+
+    // Enum.MEMBER
+    if (objectType.isClass && !node.computed) {
+      const declaration = this.declarations.get(objectType.name);
+      if (declaration && declaration.type === 'Enum') {
+        const name = this.propertyName(node.property);
+        if (!ENUM_METHODS[name] && !declaration.members.some(member => member.name === name)) {
+          this.error(`Enum '${declaration.name}' has no member '${name}'`, node.property, node);
+        }
+        return ENUM_METHODS[name] ? TodoLangType.ANY : new TodoLangType(declaration.name);
+      }
+    }
+
+    if (node.computed) {
+      this.infer(node.property, scope);
+      return objectType.isArray ? objectType.elementType() : TodoLangType.ANY;
+    }
+
+    const name = this.propertyName(node.property);
+
+    // this.state.x inside a component
+    const stateProperty = this.resolveStateProperty(node);
+    if (stateProperty !== undefined) {
+      return stateProperty ? TodoLangType.fromNode(stateProperty.type) : TodoLangType.ANY;
+    }
+
+    // this.props.x inside a component with a props block
+    const prop = this.resolveProp(node);
+    if (prop === null) {
+      this.error(`Component '${this.context.declaration.name}' has no prop '${name}'`, node.property, node);
+      return TodoLangType.ANY;
+    }
+    if (prop) {
+      // Props with defaults are always set
+      const type = TodoLangType.fromNode(prop.type);
+      return prop.defaultValue ? type.asRequired() : type;
+    }
+
+    if (name === 'length' && (objectType.isArray || objectType.name === 'string')) {
+      return TodoLangType.NUMBER;
+    }
+
+    if (objectType.isArray || objectType.isOptional && objectType.isAny()) {
+      return TodoLangType.ANY;
+    }
+
+    const declaration = this.declarations.get(objectType.name);
+    if (!declaration) {
+      return TodoLangType.ANY;
+    }
+
+    if (!objectType.isClass) {
+      const field = this.findField(declaration, name);
+      if (field) {
+        return TodoLangType.fromNode(field.type);
+      }
+    }
+
+    return TodoLangType.ANY;
+  }
+
+  inferCall(node, scope) {
+    const type = this.inferCallResult(node, scope);
+    const optional = node.optional || (node.callee && node.callee.type === 'Member' && node.callee.optional);
+    return optional ? type.asOptional() : type;
+  }
+
+  inferCallResult(node, scope) {
+    const argumentTypes = node.arguments.map(arg => this.infer(arg, scope));
+    const callee = node.callee;
+
+    if (!callee || callee.type !== 'Member' || callee.computed) {
+      this.infer(callee, scope);
+      return TodoLangType.ANY;
+    }
+
+    const objectType = this.infer(callee.object, scope);
+    const name = this.propertyName(callee.property);
+
+    // this.setState({ ... }) is checked like assignments to this.state.x
+    if (name === 'setState' && callee.object.type === 'This' && this.isComponentContext()) {
+      this.checkSetState(node);
+      return TodoLangType.VOID;
+    }
+
+    if (objectType.isArray && !objectType.isOptional) {
+      return ARRAY_METHODS[name] ? ARRAY_METHODS[name](objectType) : TodoLangType.ANY;
+    }
+
+    if (objectType.name === 'string' && !objectType.isArray) {
+      return STRING_METHODS[name] || TodoLangType.ANY;
+    }
+
+    const declaration = this.declarations.get(objectType.name);
+    if (declaration && declaration.type === 'Enum' && objectType.isClass) {
+      return ENUM_METHODS[name] ? ENUM_METHODS[name](new TodoLangType(declaration.name)) : TodoLangType.ANY;
+    }
+
+    if (!declaration || !declaration.methods) {
+      return TodoLangType.ANY;
+    }
+
+    if (objectType.isClass && declaration.type === 'Service' && name === 'getInstance') {
+      return new TodoLangType(declaration.name);
+    }
+
+    const method = declaration.methods.find(candidate =>
+      candidate.name === name && candidate.isStatic === objectType.isClass
+    );
+    if (!method) {
+      const generated = objectType.isClass ? MODEL_STATIC_METHODS : MODEL_METHODS;
+      if (declaration.type === 'Model' && Object.prototype.hasOwnProperty.call(generated, name)) {
+        return generated[name](new TodoLangType(declaration.name));
+      }
+      return TodoLangType.ANY;
+    }
+
+    // Spread arguments hide how many values are passed
+    if (!node.arguments.some(arg => arg.type === 'SpreadElement')) {
+      this.checkArguments(declaration, method, node, argumentTypes);
+    }
+    const returnType = TodoLangType.fromNode(method.returnType);
+    return method.isAsync ? returnType.promiseOf() : returnType;
+  }
+
+  checkArguments(declaration, method, node, argumentTypes) {
+    const name = this.describeMethod(declaration, method);
+    const parameters = method.parameters;
+    const rest = parameters.find(parameter => parameter.isRest);
+    const required = parameters.filter(parameter =>
+      !parameter.isRest && !parameter.defaultValue && !(parameter.type && parameter.type.isOptional)
+    ).length;
+
+    if (!rest && argumentTypes.length > parameters.length) {
+      this.error(`Method '${name}' expects at most ${parameters.length} argument(s), got ${argumentTypes.length}`, node);
+    } else if (argumentTypes.length < required) {
+      this.error(`Method '${name}' expects ${required} argument(s), got ${argumentTypes.length}`, node);
+    }
+
+    argumentTypes.forEach((actual, index) => {
+      const parameter = parameters[index] || rest;
+      if (!parameter) return;
+
+      // Each argument collected by a rest parameter has its element type
+      const type = TodoLangType.fromNode(parameter.type);
+      const expected = parameter.isRest && type.isArray ? type.elementType() : type;
+      if (!this.isAssignable(expected, actual)) {
+        this.error(
+          `Argument '${parameter.name}' of '${name}' expects ${expected}, got ${actual}`,
+          node.arguments[index],
+          node
+        );
+      }
+    });
+  }
+
+  /**
+   * `new Model(...)` passes the fields without defaults and then the ones
+   * with defaults, in declaration order, as the compiled constructor takes them
+   */
+  inferNew(node, scope) {
+    const argumentTypes = node.arguments.map(arg => this.infer(arg, scope));
+    if (!node.callee || node.callee.type !== 'Identifier') {
+      return TodoLangType.ANY;
+    }
+
+    const model = this.declarations.get(node.callee.name);
+    if (model && model.type === 'Model' && !node.arguments.some(arg => arg.type === 'SpreadElement')) {
+      const parameters = [
+        ...model.properties.filter(property => !property.defaultValue),
+        ...model.properties.filter(property => property.defaultValue)
+      ];
+      this.checkArguments(model, { name: 'constructor', parameters }, node, argumentTypes);
+    }
+    return new TodoLangType(node.callee.name);
+  }
+
+  inferBinary(node, scope) {
+    const left = this.infer(node.left, scope);
+    const right = this.infer(node.right, scope);
+    const operator = node.operator.value;
+
+    switch (operator) {
+      case '+':
+        if (left.name === 'string' || right.name === 'string') {
+          return TodoLangType.STRING;
+        }
+        if (left.name === 'number' && right.name === 'number') {
+          return TodoLangType.NUMBER;
+        }
+        return TodoLangType.ANY;
+      case '-':
+      case '*':
+      case '/':
+      case '%':
+        return TodoLangType.NUMBER;
+      case '==':
+      case '!=':
+      case '===':
+      case '!==':
+      case '<':
+      case '>':
+      case '<=':
+      case '>=':
+      case 'instanceof':
+        return TodoLangType.BOOLEAN;
+      case '||':
+        // `value || null` keeps the value type but makes it nullable
+        if (right.name === 'null') {
+          return left.asOptional();
+        }
+        return this.unify(left, right);
+      case '??':
+        // `value ?? fallback` is only nullable when the fallback is
+        return this.unify(left.asRequired(), right);
+      default:
+        return TodoLangType.ANY;
+    }
+  }
+
+  checkAssignment(node, scope) {
+    const actual = this.infer(node.right, scope);
+    const target = node.left;
+    const operator = node.operator.value;
+
+    if (!target || target.type !== 'Member' || target.computed) {
+      return this.infer(target, scope);
+    }
+
+    // this.state.x = value
+    const stateProperty = this.resolveStateProperty(target);
+    if (stateProperty === null) {
+      this.error(
+        `Unknown state property '${this.propertyName(target.property)}' in component '${this.context.declaration.name}'`,
+        target,
+        node
+      );
+      return actual;
+    }
+
+    let expected = null;
+    let description = null;
+
+    if (stateProperty) {
+      expected = TodoLangType.fromNode(stateProperty.type);
+      description = `state property '${stateProperty.name}'`;
+    } else if (target.object.type === 'This' && this.context && !this.context.isStatic) {
+      // this.field = value inside a model, or a state property via this.x
+      const field = this.findField(this.context.declaration, this.propertyName(target.property));
+      if (field) {
+        expected = TodoLangType.fromNode(field.type);
+        description = this.context.declaration.type === 'Model'
+          ? `field '${this.context.declaration.name}.${field.name}'`
+          : `state property '${field.name}'`;
+      }
+    }
+
+    if (!expected) {
+      this.infer(target, scope);
+      return actual;
+    }
+
+    if ((operator === '=' || operator === '??=') && !this.isAssignable(expected, actual)) {
+      this.error(`Cannot assign ${actual} to ${description} of type ${expected}`, node.right, node);
+    }
+
+    return expected;
+  }
+
+  checkSetState(node) {
+    const [update] = node.arguments;
+    if (!update || update.type !== 'ObjectLiteral' || update.typeName) return;
+
+    const state = this.context.declaration.stateDeclaration;
+    const properties = state ? state.properties : [];
+
+    for (const property of update.properties) {
+      if (property.type === 'SpreadElement') continue;
+
+      const key = this.propertyKey(property);
+      const stateProperty = properties.find(candidate => candidate.name === key);
+
+      if (!stateProperty) {
+        this.error(`Unknown state property '${key}' in component '${this.context.declaration.name}'`, property.value, node);
+        continue;
+      }
+
+      const expected = TodoLangType.fromNode(stateProperty.type);
+      const actual = this.infer(property.value, new Scope());
+      if (!this.isAssignable(expected, actual)) {
+        this.error(`Cannot assign ${actual} to state property '${key}' of type ${expected}`, property.value, node);
+      }
+    }
+  }
+
+  checkArrowFunction(node, scope) {
+    const arrowScope = new Scope(scope);
+    for (const param of node.params) {
+      if (param) {
+        this.declareBindings(param, TodoLangType.ANY, arrowScope);
+      }
+    }
+
+    // Returns inside an arrow belong to the arrow, not the enclosing method
+    const previousContext = this.context;
+    this.context = previousContext ? { ...previousContext, method: null } : null;
+
+    if (node.body && node.body.type === 'Block') {
+      this.checkStatement(node.body, arrowScope);
+    } else {
+      this.infer(node.body, arrowScope);
+    }
+
+    this.context = previousContext;
+  }
+
+  checkJSXElement(node, scope) {
+    const declaration = this.declarations.get(node.tagName);
+    const props = declaration && declaration.type === 'Component' && declaration.propsDeclaration
+      ? declaration.propsDeclaration.properties
+      : null;
+
+    const isComponent = /^[A-Z]/.test(node.tagName);
+
+    for (const attribute of node.attributes) {
+      if (attribute.type === 'JSXSpreadAttribute') {
+        this.infer(attribute.argument, scope);
+        continue;
+      }
+
+      if (attribute.type === 'JSXBinding') {
+        this.checkJSXBinding(attribute, isComponent, scope);
+        continue;
+      }
+
+      if (isComponent && attribute.modifiers.length > 0) {
+        this.error(`Event modifiers only apply to DOM element events, not '${attribute.name}' of '${node.tagName}'`, attribute, node);
+      }
+
+      const actual = attribute.value ? this.infer(attribute.value, scope) : TodoLangType.BOOLEAN;
+      if (!props || JSX_RESERVED_ATTRIBUTES.includes(attribute.name)) continue;
+
+      const prop = props.find(candidate => candidate.name === attribute.name);
+      if (!prop) {
+        this.error(`Component '${node.tagName}' has no prop '${attribute.name}'`, attribute, node);
+        continue;
+      }
+
+      const expected = TodoLangType.fromNode(prop.type);
+      if (!this.isAssignable(expected, actual)) {
+        this.error(`Prop '${attribute.name}' of '${node.tagName}' expects ${expected}, got ${actual}`, attribute, node);
+      }
+    }
+
+    // Spread attributes may supply any required prop
+    const hasSpread = node.attributes.some(attribute => attribute.type === 'JSXSpreadAttribute');
+    if (props && !hasSpread) {
+      const hasChildren = node.children.some(child => child.type !== 'JSXText' || child.value.trim());
+      for (const prop of props) {
+        const passed = node.attributes.some(attribute => attribute.name === prop.name) ||
+          (prop.name === 'children' && hasChildren);
+        if (!passed && !prop.defaultValue && !prop.type.isOptional) {
+          this.error(`Component '${node.tagName}' requires prop '${prop.name}'`, node);
+        }
+      }
+    }
+
+    this.checkJSXChildren(node.children, scope);
+  }
+
+  /**
+   * `bind:value` needs a string state property and `bind:checked` a boolean
+   * one, since that is what the element writes back
+   */
+  checkJSXBinding(binding, isComponent, scope) {
+    const actual = this.infer(binding.expression, scope);
+    if (isComponent) {
+      this.error(`bind:${binding.property} only applies to DOM elements`, binding);
+      return;
+    }
+
+    const expected = binding.property === 'checked' ? TodoLangType.BOOLEAN : TodoLangType.STRING;
+    if (!this.isAssignable(actual, expected)) {
+      this.error(`bind:${binding.property} needs a ${expected} state property, got ${actual}`, binding);
+    }
+  }
+
+  checkJSXChildren(children, scope) {
+    for (const child of children) {
+      if (child.type !== 'JSXText') {
+        this.infer(child, scope);
+      }
+      if (child.type === 'JSXExpression') {
+        this.checkListKeys(child.expression);
+      }
+    }
+  }
+
+  /**
+   * Warn when `{items.map(item => <li>...</li>)}` renders elements without
+   * a `key`, which the virtual DOM needs to match list items across renders
+   */
+  checkListKeys(expression) {
+    if (expression.type !== 'Call' || expression.callee.type !== 'Member' ||
+        expression.callee.computed || this.propertyName(expression.callee.property) !== 'map') {
+      return;
+    }
+
+    const callback = expression.arguments[0];
+    if (!callback || callback.type !== 'ArrowFunction') return;
+
+    const rendered = callback.body.type === 'Block'
+      ? callback.body.statements
+        .filter(statement => statement.type === 'Return' && statement.expression)
+        .map(statement => statement.expression)
+      : [callback.body];
+
+    for (const node of rendered) {
+      if (node.type === 'JSXFragment') {
+        this.warn("Fragments rendered by map() cannot have a 'key'; wrap the items in an element with a 'key' attribute", node);
+      } else if (node.type === 'JSXElement' &&
+                 !node.attributes.some(attribute => attribute.name === 'key' || attribute.type === 'JSXSpreadAttribute')) {
+        this.warn(`Elements rendered by map() need a 'key' attribute: <${node.tagName} key={...}>`, node);
+      }
+    }
+  }
+
+  /**
+   * Define the variables a binding target introduces. Destructured model
+   * fields get their declared types; anything else is `any`.
+   */
+  declareBindings(target, type, scope) {
+    switch (target.type) {
+      case 'Identifier':
+        scope.define(target.name, type);
+        break;
+      case 'AssignmentPattern': {
+        // The default replaces a missing value, like `??`
+        const fallback = this.infer(target.right, scope);
+        this.declareBindings(target.left, type.isOptional ? this.unify(type.asRequired(), fallback) : type, scope);
+        break;
+      }
+      case 'RestElement':
+        this.declareBindings(target.argument, type, scope);
+        break;
+      case 'ArrayPattern': {
+        const isArray = type.isArray && !type.isOptional;
+        for (const element of target.elements.filter(Boolean)) {
+          if (element.type === 'RestElement') {
+            this.declareBindings(element, isArray ? type : TodoLangType.ANY.arrayOf(), scope);
+          } else {
+            this.declareBindings(element, isArray ? type.elementType() : TodoLangType.ANY, scope);
+          }
+        }
+        break;
+      }
+      case 'ObjectPattern': {
+        const declaration = type.isArray || type.isClass ? null : this.declarations.get(type.name);
+        for (const property of target.properties) {
+          if (property.type === 'RestElement') {
+            this.declareBindings(property, TodoLangType.OBJECT, scope);
+            continue;
+          }
+          const field = declaration ? this.findField(declaration, this.propertyKey(property)) : null;
+          this.declareBindings(property.value, field ? TodoLangType.fromNode(field.type) : TodoLangType.ANY, scope);
+        }
+        break;
+      }
+    }
+  }
+
+  // ============================================================================
+  // Type Relations
+  // ============================================================================
+
+  /**
+   * Check whether a value of type `source` can be stored where `target` is expected
+   */
+  isAssignable(target, source) {
+    if (target.isAny() || source.isAny()) {
+      return true;
+    }
+
+    if (source.name === 'null' && !source.isArray) {
+      return target.isOptional || target.name === 'null';
+    }
+
+    if (source.isOptional && !target.isOptional) {
+      return false;
+    }
+
+    if (target.isClass || source.isClass) {
+      return target.isClass === source.isClass && target.name === source.name;
+    }
+
+    if (target.isArray !== source.isArray) {
+      return false;
+    }
+
+    if (target.name === 'any' || source.name === 'any') {
+      return true;
+    }
+
+    // Only compare types the checker knows about
+    if (!this.isKnownType(target.name) || !this.isKnownType(source.name)) {
+      return true;
+    }
+
+    // Enum values can be used as their underlying strings or numbers
+    const sourceDeclaration = this.declarations.get(source.name);
+    if (sourceDeclaration && sourceDeclaration.type === 'Enum' && target.name !== source.name) {
+      return sourceDeclaration.members.every(member => typeof member.value.value === target.name);
+    }
+
+    // Plain object literals are accepted wherever a model is expected
+    if (source.name === 'object' && this.declarations.has(target.name)) {
+      return true;
+    }
+
+    return target.name === source.name;
+  }
+
+  isKnownType(name) {
+    return PRIMITIVE_TYPES.has(name) || this.declarations.has(name);
+  }
+
+  /**
+   * Common type of two branches (conditionals, `||`)
+   */
+  unify(a, b) {
+    if (b.name === 'null' && !b.isArray) return a.asOptional();
+    if (a.name === 'null' && !a.isArray) return b.asOptional();
+
+    if (a.name === b.name && a.isArray === b.isArray && a.isClass === b.isClass) {
+      return a.isOptional ? a : b;
+    }
+
+    return TodoLangType.ANY;
+  }
+
+  // ============================================================================
+  // Helpers
+  // ============================================================================
+
+  /**
+   * Resolve `this.state.x` in a component
+   * @returns {PropertyNode|null|undefined} The state property, null if the
+   *   component has no such property, undefined if node is not `this.state.x`
+   */
+  resolveStateProperty(node) {
+    if (!this.isComponentContext() || node.computed) {
+      return undefined;
+    }
+
+    const object = node.object;
+    if (!object || object.type !== 'Member' || object.computed ||
+        !object.object || object.object.type !== 'This' ||
+        this.propertyName(object.property) !== 'state') {
+      return undefined;
+    }
+
+    const state = this.context.declaration.stateDeclaration;
+    const name = this.propertyName(node.property);
+    return (state && state.properties.find(property => property.name === name)) || null;
+  }
+
+  /**
+   * Resolve `this.props.x` in a component with a props block
+   * @returns {PropertyNode|null|undefined} The prop, null when undeclared,
+   *   undefined when the expression is not a declared prop access
+   */
+  resolveProp(node) {
+    if (!this.isComponentContext() || node.computed) {
+      return undefined;
+    }
+
+    const object = node.object;
+    if (!object || object.type !== 'Member' || object.computed ||
+        !object.object || object.object.type !== 'This' ||
+        this.propertyName(object.property) !== 'props') {
+      return undefined;
+    }
+
+    const props = this.context.declaration.propsDeclaration;
+    if (!props) {
+      return undefined;
+    }
+
+    const name = this.propertyName(node.property);
+    if (name === 'children') {
+      return props.properties.find(property => property.name === name);
+    }
+    return props.properties.find(property => property.name === name) || null;
+  }
+
+  /**
+   * Resolve `Enum.MEMBER`
+   * @returns {{declaration: EnumNode, member: EnumMemberNode}|null}
+   */
+  resolveEnumMember(node) {
+    if (!node || node.type !== 'Member' || node.computed || !node.object || node.object.type !== 'Identifier') {
+      return null;
+    }
+
+    const declaration = this.declarations.get(node.object.name);
+    if (!declaration || declaration.type !== 'Enum') {
+      return null;
+    }
+
+    const member = declaration.members.find(candidate => candidate.name === this.propertyName(node.property));
+    return member ? { declaration, member } : null;
+  }
+
+  /**
+   * Source-like key for `a` or `this.a.b`, used to tell whether branches test
+   * the same value. Null for anything more complex.
+   */
+  expressionKey(node) {
+    if (!node) return null;
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'This') return 'this';
+    if (node.type === 'Member' && !node.computed) {
+      const object = this.expressionKey(node.object);
+      return object === null ? null : `${object}.${this.propertyName(node.property)}`;
+    }
+    return null;
+  }
+
+  isComponentContext() {
+    return Boolean(this.context && this.context.declaration.type === 'Component' && !this.context.isStatic);
+  }
+
+  /**
+   * Find a typed field of a declaration - model fields or component state
+   */
+  findField(declaration, name) {
+    if (declaration.type === 'Model') {
+      return declaration.properties.find(property => property.name === name) || null;
+    }
+
+    if (declaration.type === 'Component' && declaration.stateDeclaration) {
+      return declaration.stateDeclaration.properties.find(property => property.name === name) || null;
+    }
+
+    return null;
+  }
+
+  describeMethod(declaration, method) {
+    return `${declaration.name}.${method.name}`;
+  }
+
+  propertyName(property) {
+    if (!property) return null;
+    return typeof property === 'string' ? property : property.name || property.value || null;
+  }
+
+  propertyKey(property) {
+    return typeof property.key === 'string' ? property.key : this.propertyName(property.key);
+  }
+
+  error(message, node, fallbackNode = null) {
+    const located = node && node.location ? node : fallbackNode;
+    this.errors.push(new TypeCheckError(message, located || node));
+  }
+
+  warn(message, node) {
+    this.warnings.push(new TypeCheckError(message, node));
+  }
+}
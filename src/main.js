@@ -16,6 +16,10 @@ import { fileURLToPath } from 'url';
 import { TodoLangLexer } from './language/lexer/index.js';
 import { TodoLangParser } from './language/parser/index.js';
 import { TodoLangCompiler } from './language/compiler/index.js';
+import { TodoLangTypeChecker } from './language/type-checker/index.js';
+import { ModuleGraph, ModuleError } from './language/modules/index.js';
+import { globalErrorReporter } from './debug/error-reporter.js';
+import { RUNTIME_GLOBAL } from './debug/live-reload-client.js';
 import { TodoLangRuntime } from './language/runtime/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -33,14 +37,18 @@ export class TodoLangBootstrap {
       enableSourceMaps: true,
       enableHotReload: false,
       enableErrorReporting: true,
+      plugins: [], // Compiler plugins, as in build.js
       ...options
     };
 
     this.lexer = new TodoLangLexer();
     this.parser = new TodoLangParser();
+    this.typeChecker = new TodoLangTypeChecker({ errorReporter: globalErrorReporter });
     this.compiler = new TodoLangCompiler({
       generateSourceMaps: this.options.enableSourceMaps,
-      minify: this.options.mode === 'production'
+      minify: this.options.mode === 'production',
+      development: this.options.mode === 'development',
+      plugins: this.options.plugins
     });
     this.runtime = new TodoLangRuntime();
 
@@ -48,6 +56,8 @@ export class TodoLangBootstrap {
     this.runtimeErrors = [];
     this.sourceFiles = new Map();
     this.compiledModules = new Map();
+    this.moduleGraph = new ModuleGraph();
+    this.watchers = new Map();
   }
 
   /**
@@ -118,25 +128,67 @@ export class TodoLangBootstrap {
   }
 
   /**
-   * Compile all TodoLang source files
+   * Compile all TodoLang source files. Every file is parsed first so imports
+   * can be resolved; files are then compiled in dependency order, and a file
+   * whose imports failed to compile is not compiled either.
    */
   async compileSourceFiles() {
     console.log('🔨 Compiling TodoLangs...');
 
     this.compilationErrors = [];
+    this.moduleGraph = new ModuleGraph(this.sourceFiles.keys());
 
+    const parsedModules = new Map();
     for (const [relativePath, fileInfo] of this.sourceFiles) {
       try {
-        console.log(`  📝 Compiling: ${relativePath}`);
-
         // Step 1: Tokenize
         const tokens = this.lexer.tokenize(fileInfo.sourceCode);
 
-        // Step 2: Parse to AST
+        // Step 2: Parse to AST and resolve imports
         const ast = this.parser.parse(tokens);
+        this.moduleGraph.addModule(relativePath, ast);
+
+        parsedModules.set(relativePath, { tokens, ast });
+      } catch (error) {
+        this.recordCompilationError(relativePath, error);
+      }
+    }
+
+    let compilationOrder = [];
+    try {
+      compilationOrder = this.moduleGraph.getCompilationOrder();
+    } catch (error) {
+      this.recordCompilationError(error.file, error);
+    }
 
-        // Step 3: Compile to JavaScript
-        const compilationResult = this.compiler.compile(ast);
+    const compiledPaths = new Set();
+    for (const relativePath of compilationOrder) {
+      const fileInfo = this.sourceFiles.get(relativePath);
+      const { tokens, ast } = parsedModules.get(relativePath);
+
+      try {
+        console.log(`  📝 Compiling: ${relativePath}`);
+
+        const failedDependency = this.moduleGraph.getDependencies(relativePath)
+          .find(dependency => !compiledPaths.has(dependency));
+        if (failedDependency) {
+          throw new ModuleError(`Imported module '${failedDependency}' failed to compile`, relativePath);
+        }
+        this.moduleGraph.validateImports(relativePath);
+
+        // Step 3: Type check annotations
+        const importedDeclarations = this.moduleGraph.getImportedDeclarations(relativePath);
+        const typeErrors = this.typeChecker.check(ast, fileInfo.sourceCode, relativePath, importedDeclarations);
+        if (typeErrors.length > 0) {
+          this.recordTypeErrors(relativePath, typeErrors);
+          continue;
+        }
+
+        // Step 4: Compile to JavaScript
+        const compilationResult = this.compiler.compile(ast, {
+          ...this.getSourceInfo(fileInfo),
+          importedDeclarations
+        });
 
         // Store compiled module
         this.compiledModules.set(relativePath, {
@@ -144,9 +196,11 @@ export class TodoLangBootstrap {
           tokens,
           ast,
           compiledCode: compilationResult.code,
+          css: compilationResult.css,
           sourceMap: compilationResult.sourceMap,
           compiledAt: new Date()
         });
+        compiledPaths.add(relativePath);
 
         // Write compiled output if in build mode
         if (this.options.outputDir) {
@@ -156,21 +210,7 @@ export class TodoLangBootstrap {
         console.log(`    ✅ Compiled successfully`);
 
       } catch (error) {
-        const compilationError = {
-          file: relativePath,
-          error: error.message,
-          location: error.location,
-          stack: error.stack,
-          timestamp: new Date()
-        };
-
-        this.compilationErrors.push(compilationError);
-
-        console.error(`    ❌ Compilation failed: ${error.message}`);
-
-        if (error.location) {
-          console.error(`       at line ${error.location.line}, column ${error.location.column}`);
-        }
+        this.recordCompilationError(relativePath, error);
       }
     }
 
@@ -185,6 +225,60 @@ export class TodoLangBootstrap {
     }
   }
 
+  /**
+   * Record an error that stopped a file from compiling
+   */
+  recordCompilationError(relativePath, error) {
+    this.compilationErrors.push({
+      file: relativePath,
+      error: error.message,
+      location: error.location,
+      stack: error.stack,
+      timestamp: new Date()
+    });
+
+    console.error(`    ❌ Compilation failed${relativePath ? ` (${relativePath})` : ''}: ${error.message}`);
+
+    if (error.location) {
+      console.error(`       at line ${error.location.line}, column ${error.location.column}`);
+    }
+  }
+
+  /**
+   * Record type checker diagnostics as compilation errors for a file
+   */
+  recordTypeErrors(relativePath, typeErrors) {
+    for (const error of typeErrors) {
+      this.compilationErrors.push({
+        file: relativePath,
+        error: error.message,
+        location: error.location,
+        stack: error.stack,
+        timestamp: new Date()
+      });
+    }
+
+    console.error(`    ❌ Type checking failed with ${typeErrors.length} error(s)`);
+  }
+
+  /**
+   * Source details for a file's source map; the source path is relative to
+   * the compiled file when output is written to disk
+   */
+  getSourceInfo(fileInfo) {
+    const outputFile = fileInfo.relativePath.replace('.todolang', '.js');
+    const sourcePath = this.options.outputDir
+      ? path.relative(path.dirname(path.join(this.options.outputDir, outputFile)), fileInfo.absolutePath)
+      : fileInfo.relativePath;
+
+    return {
+      path: sourcePath.split(path.sep).join('/'),
+      content: fileInfo.sourceCode,
+      outputFile: path.basename(outputFile),
+      modulePath: fileInfo.relativePath.split(path.sep).join('/')
+    };
+  }
+
   /**
    * Write compiled output to disk
    */
@@ -263,8 +357,14 @@ export class TodoLangBootstrap {
         throw new Error('Main application component not found (components/index.todolang)');
       }
 
-      // Execute the compiled application code in the runtime
-      await this.runtime.execute(mainComponent.compiledCode);
+      // Execute every compiled module so models and services are available
+      // to the components, then the main component module
+      for (const [relativePath, compiledModule] of this.compiledModules) {
+        if (compiledModule !== mainComponent) {
+          await this.runtime.execute(compiledModule.compiledCode, relativePath, compiledModule.sourceMap);
+        }
+      }
+      await this.runtime.execute(mainComponent.compiledCode, 'components/index.todolang', mainComponent.sourceMap);
 
       // Mount the application to the DOM if in browser environment
       if (typeof window !== 'undefined') {
@@ -292,8 +392,10 @@ export class TodoLangBootstrap {
         throw new Error('Application mount point not found (element with id="app")');
       }
 
-      // Use runtime to mount the main component
-      await this.runtime.mount(appElement);
+      this.applyComponentStyles();
+
+      // Use runtime to mount the root component
+      await this.runtime.mount(appElement, 'TodoApp');
 
       console.log('✅ Application mounted to DOM');
 
@@ -313,6 +415,11 @@ export class TodoLangBootstrap {
       await this.setupHotReload();
     }
 
+    // The dev server's live-reload client hot reloads modules through it
+    if (typeof window !== 'undefined') {
+      window[RUNTIME_GLOBAL] = this.runtime;
+    }
+
     // Setup development error overlay
     this.setupErrorOverlay();
 
@@ -328,12 +435,23 @@ export class TodoLangBootstrap {
   async setupHotReload() {
     console.log('🔥 Setting up hot reload...');
 
-    // Watch source files for changes
+    // Watch source files for changes; editors often emit several change
+    // events per save, so recompiles are debounced per file
     for (const [relativePath, fileInfo] of this.sourceFiles) {
-      fs.watchFile(fileInfo.absolutePath, { interval: 1000 }, async (curr, prev) => {
-        if (curr.mtime > prev.mtime) {
+      let timer = null;
+      const watcher = fs.watch(fileInfo.absolutePath, () => {
+        clearTimeout(timer);
+        timer = setTimeout(async () => {
           console.log(`🔄 File changed: ${relativePath}`);
           await this.recompileFile(relativePath);
+        }, 50);
+      });
+
+      // Closing the watcher also drops a pending recompile
+      this.watchers.set(relativePath, {
+        close: () => {
+          clearTimeout(timer);
+          watcher.close();
         }
       });
     }
@@ -343,6 +461,7 @@ export class TodoLangBootstrap {
 
   /**
    * Recompile a single file for hot reloading
+   * @returns {Error|null} The error that stopped the reload, if any
    */
   async recompileFile(relativePath) {
     try {
@@ -350,7 +469,7 @@ export class TodoLangBootstrap {
 
       if (!fileInfo) {
         console.error(`❌ File not found for recompilation: ${relativePath}`);
-        return;
+        return null;
       }
 
       // Read updated source code
@@ -358,10 +477,23 @@ export class TodoLangBootstrap {
       fileInfo.sourceCode = updatedSourceCode;
       fileInfo.lastModified = new Date();
 
-      // Recompile
+      // Recompile, re-resolving imports in case they changed
       const tokens = this.lexer.tokenize(updatedSourceCode);
       const ast = this.parser.parse(tokens);
-      const compilationResult = this.compiler.compile(ast);
+      this.moduleGraph.addModule(relativePath, ast);
+      this.moduleGraph.getCompilationOrder(); // Throws if the edit introduced a circular import
+      this.moduleGraph.validateImports(relativePath);
+
+      const importedDeclarations = this.moduleGraph.getImportedDeclarations(relativePath);
+      const typeErrors = this.typeChecker.check(ast, updatedSourceCode, relativePath, importedDeclarations);
+      if (typeErrors.length > 0) {
+        throw typeErrors[0];
+      }
+
+      const compilationResult = this.compiler.compile(ast, {
+        ...this.getSourceInfo(fileInfo),
+        importedDeclarations
+      });
 
       // Update compiled module
       this.compiledModules.set(relativePath, {
@@ -369,18 +501,29 @@ export class TodoLangBootstrap {
         tokens,
         ast,
         compiledCode: compilationResult.code,
+        css: compilationResult.css,
         sourceMap: compilationResult.sourceMap,
         compiledAt: new Date()
       });
 
       // Hot reload in runtime
-      await this.runtime.hotReload(relativePath, compilationResult.code);
+      const { updated, remounted } = await this.runtime.hotReload(relativePath, compilationResult.code, {
+        sourceMap: compilationResult.sourceMap
+      });
+      this.applyComponentStyles();
+
+      if (remounted) {
+        console.log(`✅ Hot reloaded: ${relativePath} (state changed, application remounted)`);
+      } else {
+        console.log(`✅ Hot reloaded: ${relativePath}${updated.length > 0 ? ` (${updated.join(', ')})` : ''}`);
+      }
 
-      console.log(`✅ Hot reloaded: ${relativePath}`);
+      return null;
 
     } catch (error) {
       console.error(`❌ Hot reload failed for ${relativePath}:`, error.message);
       this.showErrorOverlay(error);
+      return error;
     }
   }
 
@@ -422,6 +565,28 @@ export class TodoLangBootstrap {
     });
   }
 
+  /**
+   * Put the scoped CSS of component style blocks into the page, replacing
+   * the styles of an earlier compilation
+   */
+  applyComponentStyles() {
+    if (typeof document === 'undefined') {
+      return;
+    }
+
+    let styleElement = document.getElementById('todolang-component-styles');
+    if (!styleElement) {
+      styleElement = document.createElement('style');
+      styleElement.id = 'todolang-component-styles';
+      document.head.appendChild(styleElement);
+    }
+
+    styleElement.textContent = [...this.compiledModules.values()]
+      .map(compiledModule => compiledModule.css)
+      .filter(Boolean)
+      .join('\n');
+  }
+
   /**
    * Show error overlay
    */
@@ -576,13 +741,18 @@ export class TodoLangBootstrap {
     console.log('🧹 Cleaning up TodoLang Bootstrap...');
 
     // Stop watching files
-    for (const [, fileInfo] of this.sourceFiles) {
-      fs.unwatchFile(fileInfo.absolutePath);
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
     }
+    this.watchers.clear();
 
     // Cleanup runtime
     if (this.runtime) {
       this.runtime.cleanup();
+
+      if (typeof window !== 'undefined' && window[RUNTIME_GLOBAL] === this.runtime) {
+        delete window[RUNTIME_GLOBAL];
+      }
     }
 
     console.log('✅ Cleanup complete');
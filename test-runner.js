@@ -41,6 +41,10 @@ class TodoLangTestRunner {
       await this.runCompilerTests();
     }
 
+    if (testTypes.includes('all') || testTypes.includes('formatter')) {
+      await this.runFormatterTests();
+    }
+
     if (testTypes.includes('all') || testTypes.includes('framework')) {
       await this.runFrameworkTests();
     }
@@ -322,6 +326,21 @@ class TodoLangTestRunner {
     }
   }
 
+  async runFormatterTests() {
+    try {
+      const { runFormatterTests } = await import('./tests/language/formatter.test.js');
+      const results = runFormatterTests();
+
+      this.results.passed += results.passed;
+      this.results.failed += results.failed;
+      this.results.total += results.total;
+    } catch (error) {
+      console.log('❌ Failed to run formatter tests:', error.message);
+      this.results.failed++;
+      this.results.total++;
+    }
+  }
+
   async runFrameworkTests() {
     try {
       const { runFrameworkTests } = await import('./tests/framework/index.js');
@@ -406,6 +425,20 @@ class TodoLangTestRunner {
     });
 
     await this.runTestSuite(testSuite);
+
+    try {
+      // Run dev server and builder tests
+      const { runDevToolingTests } = await import('./tests/integration/dev-tooling.test.js');
+      const toolingResults = await runDevToolingTests();
+
+      this.results.passed += toolingResults.passed;
+      this.results.failed += toolingResults.failed;
+      this.results.total += toolingResults.total;
+    } catch (error) {
+      console.log('❌ Failed to run development tooling tests:', error.message);
+      this.results.failed++;
+      this.results.total++;
+    }
   }
 
   async runE2ETests() {
@@ -421,7 +454,7 @@ class TodoLangTestRunner {
       this.results.total += workflowResults.total;
 
       // Run comprehensive E2E application tests
-      console.log('\n🎯 Running Comprehen: 'E E2E Application Tests...');
+      console.log('\n🎯 Running Comprehensive E2E Application Tests...');
 
       const testSuite = new TestSuite('E2E Application Tests');
 
@@ -756,7 +789,7 @@ Usage: node test-runner.js [options]
 
 Options:
   --type <types>     Comma-separated list of test types to run
-                     Available: lexer, parser, compiler, framework, integration, e2e, all
+                     Available: lexer, parser, compiler, formatter, framework, integration, e2e, all
   --verbose, -v      Verbose output
   --help            Show this help message
 
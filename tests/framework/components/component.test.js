@@ -13,7 +13,7 @@ import {
   createComponent,
   globalRegistry
 } from '../../../src/framework/components/component.js';
-import { createElement } from '../../../src/framework/components/virtual-dom.js';
+import { createElement, createFragment } from '../../../src/framework/components/virtual-dom.js';
 
 /**
  * Test Component Classes
@@ -123,6 +123,56 @@ class ParentComponent extends TodoLangComponent {
   }
 }
 
+class LabelComponent extends TodoLangComponent {
+  render() {
+    return createElement('span', { className: 'label' }, [this.props.text, this.props.children]);
+  }
+}
+
+class LabelListComponent extends TodoLangComponent {
+  getInitialState() {
+    return {
+      items: ['one', 'two']
+    };
+  }
+
+  render() {
+    return createElement('ul', {}, this.state.items.map(item =>
+      createElement('li', {}, [createElement(LabelComponent, { text: item }, '!')])
+    ));
+  }
+}
+
+class TermComponent extends TodoLangComponent {
+  getInitialState() {
+    return {
+      done: false
+    };
+  }
+
+  render() {
+    return createFragment(
+      createElement('dt', {}, this.props.term),
+      createElement('dd', {}, this.state.done ? 'done' : 'open')
+    );
+  }
+}
+
+class GlossaryComponent extends TodoLangComponent {
+  getInitialState() {
+    return {
+      terms: ['one', 'two']
+    };
+  }
+
+  render() {
+    return createElement('dl', { className: 'glossary' }, [
+      ...this.state.terms.map(term => createElement(TermComponent, { term })),
+      createElement('dt', {}, 'end')
+    ]);
+  }
+}
+
 /**
  * Test Utilities
  */
@@ -432,6 +482,119 @@ describe('Component Hierarchy', () => {
   });
 });
 
+/**
+ * Component Tag Tests
+ */
+describe('Component Tags', () => {
+  let component;
+  let container;
+
+  beforeEach(() => {
+    container = createTestContainer();
+    component = new LabelListComponent();
+    component.mount(container);
+  });
+
+  afterEach(() => {
+    if (component._isMounted) {
+      component.unmount();
+    }
+    cleanupTestContainer(container);
+  });
+
+  test('should mount component vnodes as child instances', () => {
+    const labels = container.querySelectorAll('.label');
+
+    expect(labels.length).toBe(2);
+    expect(labels[0].textContent).toBe('one!');
+    expect(component.getChildren().size).toBe(2);
+  });
+
+  test('should pass children as props.children', () => {
+    const [child] = component.getChildren().values();
+
+    expect(child).toBeInstanceOf(LabelComponent);
+    expect(child.props.text).toBe('one');
+    expect(child.props.children[0].props.textContent).toBe('!');
+  });
+
+  test('should update child instances across re-renders', () => {
+    const [firstChild] = component.getChildren().values();
+
+    component.setState({ items: ['uno', 'two'] });
+    component.forceUpdate();
+
+    const [updatedChild] = component.getChildren().values();
+    expect(updatedChild).toBe(firstChild);
+    expect(firstChild.props.text).toBe('uno');
+    expect(container.querySelector('.label').textContent).toBe('uno!');
+  });
+
+  test('should unmount removed child instances', () => {
+    const children = [...component.getChildren().values()];
+
+    component.setState({ items: ['one'] });
+    component.forceUpdate();
+
+    expect(container.querySelectorAll('.label').length).toBe(1);
+    expect(component.getChildren().size).toBe(1);
+    expect(children[1]._isMounted).toBe(false);
+  });
+});
+
+/**
+ * Fragment Root Tests
+ */
+describe('Component Fragment Roots', () => {
+  let component;
+  let container;
+
+  const renderedText = () => [...container.querySelector('.glossary').children].map(node => node.textContent);
+
+  beforeEach(() => {
+    container = createTestContainer();
+    component = new GlossaryComponent();
+    component.mount(container);
+  });
+
+  afterEach(() => {
+    if (component._isMounted) {
+      component.unmount();
+    }
+    cleanupTestContainer(container);
+  });
+
+  test('should mount the children of a nested fragment root', () => {
+    expect(renderedText()).toEqual(['one', 'open', 'two', 'open', 'end']);
+  });
+
+  test('should patch the live DOM when a fragment root child updates', () => {
+    const [firstChild] = component.getChildren().values();
+
+    firstChild.setState({ done: true });
+    firstChild.forceUpdate();
+
+    expect(renderedText()).toEqual(['one', 'done', 'two', 'open', 'end']);
+  });
+
+  test('should pass new props to a fragment root child', () => {
+    component.setState({ terms: ['uno', 'two', 'three'] });
+    component.forceUpdate();
+
+    expect(renderedText()).toEqual(['uno', 'open', 'two', 'open', 'three', 'open', 'end']);
+  });
+
+  test('should remove every node of a fragment root child', () => {
+    const children = [...component.getChildren().values()];
+
+    component.setState({ terms: ['one'] });
+    component.forceUpdate();
+
+    expect(renderedText()).toEqual(['one', 'open', 'end']);
+    expect(children[1]._isMounted).toBe(false);
+  });
+});
+
 /**
  * Component Event System Tests
  */
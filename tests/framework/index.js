@@ -21,13 +21,16 @@ global.HTMLElement = dom.window.HTMLElement;
 global.Event = dom.window.Event;
 global.CustomEvent = dom.window.CustomEvent;
 
-// Mock performance API
+// Mock performance API, precise enough that a quick render takes some time
 global.performance = {
-  now: () => Date.now()
+  now: () => Number(process.hrtime.bigint()) / 1e6
 };
 
 /**
  * Simple test framework for component tests
+ *
+ * Test files register their tests when imported; the tests then run one
+ * after another, each awaited together with its beforeEach and afterEach.
  */
 class SimpleTestFramework {
   constructor() {
@@ -40,12 +43,19 @@ class SimpleTestFramework {
     this.currentSuite = null;
     this.beforeEachFn = null;
     this.afterEachFn = null;
+    this.queue = Promise.resolve();
   }
 
   describe(name, fn) {
-    console.log(`\n📦 ${name}`);
+    this.enqueue(() => console.log(`\n📦 ${name}`));
     this.currentSuite = name;
+
+    // Hooks registered in the block only apply to its own tests
+    const { beforeEachFn, afterEachFn } = this;
     fn();
+    this.beforeEachFn = beforeEachFn;
+    this.afterEachFn = afterEachFn;
+
     this.currentSuite = null;
   }
 
@@ -58,28 +68,44 @@ class SimpleTestFramework {
   }
 
   test(name, fn) {
-    this.results.total++;
+    // The hooks of the describe block the test was registered in
+    const { beforeEachFn, afterEachFn } = this;
 
-    try {
-      // Run beforeEach if defined
-      if (this.beforeEachFn) {
-        this.beforeEachFn();
-      }
+    this.enqueue(async () => {
+      this.results.total++;
+
+      try {
+        // Run beforeEach if defined
+        if (beforeEachFn) {
+          await beforeEachFn();
+        }
+
+        // Run the test
+        await fn();
 
-      // Run the test
-      fn();
+        // Run afterEach if defined
+        if (afterEachFn) {
+          await afterEachFn();
+        }
 
-      // Run afterEach if defined
-      if (this.afterEachFn) {
-        this.afterEachFn();
+        console.log(`  ✅ ${name}`);
+        this.results.passed++;
+      } catch (error) {
+        console.log(`  ❌ ${name}: ${error.message}`);
+        this.results.failed++;
       }
+    });
+  }
 
-      console.log(`  ✅ ${name}`);
-      this.results.passed++;
-    } catch (error) {
-      console.log(`  ❌ ${name}: ${error.message}`);
-      this.results.failed++;
-    }
+  enqueue(step) {
+    this.queue = this.queue.then(step);
+  }
+
+  /**
+   * Wait for every test registered so far
+   */
+  run() {
+    return this.queue;
   }
 
   expect(actual) {
@@ -114,6 +140,11 @@ class SimpleTestFramework {
           throw new Error(`Expected ${actual} to be defined`);
         }
       },
+      toBeUndefined: () => {
+        if (actual !== undefined) {
+          throw new Error(`Expected ${actual} to be undefined`);
+        }
+      },
       toBeInstanceOf: (expectedClass) => {
         if (!(actual instanceof expectedClass)) {
           throw new Error(`Expected ${actual} to be instance of ${expectedClass.name}`);
@@ -169,6 +200,11 @@ class SimpleTestFramework {
           if (actual.mock && actual.mock.calls.length > 0) {
             throw new Error('Expected function not to have been called');
           }
+        },
+        toContain: (expected) => {
+          if (actual.includes(expected)) {
+            throw new Error(`Expected ${Array.isArray(actual) ? 'array' : 'string'} not to contain ${expected}`);
+          }
         }
       },
       toBeGreaterThan: (expected) => {
@@ -176,6 +212,11 @@ class SimpleTestFramework {
           throw new Error(`Expected ${actual} to be greater than ${expected}`);
         }
       },
+      toBeLessThan: (expected) => {
+        if (actual >= expected) {
+          throw new Error(`Expected ${actual} to be less than ${expected}`);
+        }
+      },
       toThrow: (expectedMessage) => {
         if (typeof actual !== 'function') {
           throw new Error('Expected a function to test for throwing');
@@ -270,12 +311,31 @@ export async function runFrameworkTests() {
   try {
     // Import and run component tests
     await import('./components/component.test.js');
+    await testFramework.run();
 
     // Import and run router tests
     await import('./router.test.js');
+    await testFramework.run();
+
+    // Import and run runtime tests
+    await import('./runtime.test.js');
+    await testFramework.run();
+
+    // Import and run live reload client tests
+    await import('./live-reload-client.test.js');
+    await testFramework.run();
+
+    // Import and run state management tests
+    await import('./state.test.js');
+    await testFramework.run();
+
+    // Import and run virtual DOM tests, which replace the document with a mock
+    const { document } = global;
+    await import('./virtual-dom.test.js');
+    await testFramework.run();
+    global.document = document;
 
     // TODO: Add other framework tests as they are implemented
-    // await import('./state/state.test.js');
     // await import('./storage/storage.test.js');
 
     return testFramework.results;
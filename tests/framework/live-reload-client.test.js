@@ -0,0 +1,200 @@
+/**
+ * Tests for the dev server's live reload client and compile error overlay
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { liveReloadClient, createLiveReloadScript, OVERLAY_ID, RUNTIME_GLOBAL } from '../../src/debug/live-reload-client.js';
+import { TodoLangDevServer } from '../../dev-server.js';
+import { TodoLangLexer } from '../../src/language/lexer/index.js';
+import { TodoLangParser } from '../../src/language/parser/index.js';
+
+/**
+ * Minimal EventSource stand-in - jsdom does not implement it
+ */
+class FakeEventSource {
+  constructor(url) {
+    this.url = url;
+    this.listeners = new Map();
+    FakeEventSource.instance = this;
+  }
+
+  addEventListener(type, listener) {
+    this.listeners.set(type, listener);
+  }
+
+  emit(type, data) {
+    this.listeners.get(type)({ data: data === undefined ? undefined : JSON.stringify(data) });
+  }
+}
+
+/**
+ * Count page reloads while running fn - jsdom reports them as unimplemented
+ * navigation
+ */
+async function countReloads(fn) {
+  const error = console.error;
+  let reloads = 0;
+  console.error = (...args) => {
+    if (String(args[0]).includes('navigation')) {
+      reloads++;
+    } else {
+      error(...args);
+    }
+  };
+
+  try {
+    await fn();
+  } finally {
+    console.error = error;
+  }
+  return reloads;
+}
+
+function waitForUpdate() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+function parseError(source) {
+  try {
+    new TodoLangParser().parse(new TodoLangLexer().tokenize(source));
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected source to fail parsing');
+}
+
+const brokenSource = `component Broken {
+  render() {
+    <div>{this.state.count</div>
+  }
+}
+`;
+
+describe('Live Reload Client', () => {
+  let devServer;
+  let sourceFile;
+
+  beforeEach(() => {
+    window.EventSource = FakeEventSource;
+    devServer = new TodoLangDevServer({ distDir: os.tmpdir() });
+    sourceFile = path.join(os.tmpdir(), `broken-${Date.now()}.todolang`);
+    fs.writeFileSync(sourceFile, brokenSource);
+  });
+
+  afterEach(() => {
+    const overlay = document.getElementById(OVERLAY_ID);
+    if (overlay) overlay.parentNode.removeChild(overlay);
+    fs.rmSync(sourceFile, { force: true });
+    delete window.EventSource;
+    delete window[RUNTIME_GLOBAL];
+  });
+
+  test('should inject a script that starts the client', () => {
+    const html = devServer.injectLiveReloadClient('<html><body></body></html>');
+
+    expect(html).toContain(createLiveReloadScript('/__todolang/events'));
+    expect(html.indexOf('<script>') < html.indexOf('</body>')).toBe(true);
+  });
+
+  test('should build error payloads with a code frame and suggestions', () => {
+    const payload = devServer.createErrorPayload(parseError(brokenSource), sourceFile);
+
+    expect(payload.location.line).toBe(3);
+    expect(payload.message).toContain("Expected '}' after JSX expression");
+    expect(payload.context.lines.find(line => line.isErrorLine).content).toContain('{this.state.count</div>');
+    expect(payload.suggestions.length).toBeGreaterThan(0);
+  });
+
+  test('should show the overlay on error events and dismiss it on click', () => {
+    liveReloadClient('/__todolang/events', OVERLAY_ID);
+    const source = FakeEventSource.instance;
+    expect(source.url).toBe('/__todolang/events');
+
+    // Connection errors carry no data and are ignored
+    source.emit('error');
+    expect(document.getElementById(OVERLAY_ID)).toBeNull();
+
+    source.emit('error', devServer.createErrorPayload(parseError(brokenSource), sourceFile));
+    const overlay = document.getElementById(OVERLAY_ID);
+
+    expect(overlay).toBeTruthy();
+    expect(overlay.querySelector('.todolang-error-file').textContent).toContain('.todolang:3:');
+    expect(overlay.querySelector('.todolang-error-message').textContent).toContain("Expected '}' after JSX expression");
+    expect(overlay.querySelector('.todolang-error-line').textContent).toContain('> 3 |');
+    expect(overlay.querySelectorAll('.todolang-error-suggestions li').length).toBeGreaterThan(0);
+
+    overlay.dispatchEvent(new Event('click'));
+    expect(document.getElementById(OVERLAY_ID)).toBeNull();
+  });
+
+  test('should clear the overlay once the next build succeeds', () => {
+    liveReloadClient('/__todolang/events', OVERLAY_ID);
+    const source = FakeEventSource.instance;
+
+    source.emit('error', { file: 'app.todolang', message: 'Unexpected token' });
+    expect(document.getElementById(OVERLAY_ID)).toBeTruthy();
+
+    source.emit('css-update', { file: 'styles.css' });
+    expect(document.getElementById(OVERLAY_ID)).toBeNull();
+  });
+
+  test('should hot reload recompiled modules into the running application', async () => {
+    const calls = [];
+    window[RUNTIME_GLOBAL] = {
+      hotReload: async (...args) => {
+        calls.push(args);
+        return { updated: ['TodoApp'], remountRequired: false, remounted: false };
+      }
+    };
+    liveReloadClient('/__todolang/events', OVERLAY_ID, RUNTIME_GLOBAL);
+    const source = FakeEventSource.instance;
+
+    source.emit('error', { file: 'app.todolang', message: 'Unexpected token' });
+    const reloads = await countReloads(async () => {
+      source.emit('hot-update', {
+        file: 'app.todolang',
+        modulePath: 'components/index.todolang',
+        code: 'export class A {}',
+        sourceMap: { version: 3, mappings: 'AAAA' }
+      });
+      await waitForUpdate();
+    });
+
+    expect(calls).toEqual([[
+      'components/index.todolang',
+      'export class A {}',
+      { remount: false, sourceMap: { version: 3, mappings: 'AAAA' } }
+    ]]);
+    expect(reloads).toBe(0);
+    expect(document.getElementById(OVERLAY_ID)).toBeNull();
+  });
+
+  test('should reload the page when a hot update needs a remount', async () => {
+    window[RUNTIME_GLOBAL] = {
+      hotReload: async () => ({ updated: [], remountRequired: true, remounted: false })
+    };
+    liveReloadClient('/__todolang/events', OVERLAY_ID, RUNTIME_GLOBAL);
+    const source = FakeEventSource.instance;
+
+    const reloads = await countReloads(async () => {
+      source.emit('hot-update', { file: 'app.todolang', modulePath: 'components/index.todolang', code: '' });
+      await waitForUpdate();
+    });
+
+    expect(reloads).toBe(1);
+  });
+
+  test('should reload the page on a hot update when it has no runtime', async () => {
+    liveReloadClient('/__todolang/events', OVERLAY_ID, RUNTIME_GLOBAL);
+    const source = FakeEventSource.instance;
+
+    const reloads = await countReloads(async () => {
+      source.emit('hot-update', { file: 'app.todolang', modulePath: 'components/index.todolang', code: '' });
+      await waitForUpdate();
+    });
+
+    expect(reloads).toBe(1);
+  });
+});
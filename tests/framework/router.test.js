@@ -17,23 +17,17 @@ const mockReplaceState = jest.fn();
 const mockBack = jest.fn();
 const mockForward = jest.fn();
 const mockGo = jest.fn();
-const mockLocationReplace = jest.fn();
 
-// Enhance window mock for router testing
-global.window.history = {
+// jsdom's window.history and window.location cannot be replaced, so the
+// history methods are mocked on the object itself. The location stays at
+// http://localhost/.
+Object.assign(global.window.history, {
   pushState: mockPushState,
   replaceState: mockReplaceState,
   back: mockBack,
   forward: mockForward,
   go: mockGo
-};
-
-global.window.location = {
-  pathname: '/',
-  search: '',
-  hash: '',
-  replace: mockLocationReplace
-};
+});
 
 describe('Route Class', () => {
   test('should create route with basic path', () => {
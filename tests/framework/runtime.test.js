@@ -0,0 +1,388 @@
+/**
+ * Tests for the TodoLang Runtime
+ *
+ * Compiles TodoLang source, executes the generated modules and mounts the
+ * root component into a jsdom container.
+ */
+
+import { TodoLangLexer } from '../../src/language/lexer/index.js';
+import { TodoLangParser } from '../../src/language/parser/index.js';
+import { TodoLangCompiler } from '../../src/language/compiler/index.js';
+import { TodoLangRuntime, transformModule } from '../../src/language/runtime/index.js';
+import { TodoLangComponent, ComponentRegistry } from '../../src/framework/components/component.js';
+import { globalErrorReporter } from '../../src/debug/error-reporter.js';
+import { installReporter } from '../../src/debug/reporting.js';
+
+function compile(source) {
+  const tokens = new TodoLangLexer().tokenize(source);
+  const ast = new TodoLangParser().parse(tokens);
+  return new TodoLangCompiler().compile(ast).code;
+}
+
+function createTestContainer() {
+  const container = document.createElement('div');
+  document.body.appendChild(container);
+  return container;
+}
+
+const appSource = `
+  model Todo {
+    id: string
+    text: string
+  }
+
+  service TodoService {
+    label(todo: Todo): string {
+      return todo.id + ": " + todo.text
+    }
+  }
+
+  component TodoBadge {
+    render() {
+      <span class="badge">{this.props.text}</span>
+    }
+  }
+
+  component TodoApp {
+    state {
+      count: number = 0
+    }
+
+    increment() {
+      this.state.count = this.state.count + 1
+    }
+
+    render() {
+      <div class="app">
+        <TodoBadge text="todos" />
+        <button onClick={() => this.increment()}>{this.state.count}</button>
+      </div>
+    }
+  }
+`;
+
+const lifecycleSource = `
+  component Counter {
+    state {
+      count: number = 0
+    }
+
+    mounted {
+      this.props.log.push("mounted")
+    }
+
+    updated(prevProps, prevState) {
+      this.props.log.push("updated " + prevState.count + " -> " + this.state.count)
+    }
+
+    unmounted {
+      this.props.log.push("unmounted")
+    }
+
+    watch state.count (count, previous) {
+      this.props.log.push("count " + previous + " -> " + count)
+    }
+
+    render() {
+      <p>{this.state.count}</p>
+    }
+  }
+`;
+
+const formSource = `
+  component TodoForm {
+    state {
+      text: string = ""
+      done: boolean = false
+      submitted: number = 0
+      entered: number = 0
+    }
+
+    submit(event: Event) {
+      this.state.submitted = this.state.submitted + 1
+    }
+
+    enter(event: Event) {
+      this.state.entered = this.state.entered + 1
+    }
+
+    render() {
+      <form onSubmit.prevent={this.submit}>
+        <input class="text" bind:value={this.state.text} onKeyDown.enter={this.enter} />
+        <input class="done" type="checkbox" bind:checked={this.state.done} />
+      </form>
+    }
+  }
+`;
+
+describe('TodoLang Runtime', () => {
+  let runtime;
+  let container;
+
+  beforeEach(() => {
+    // Execution and mounting run synchronously inside the async methods
+    runtime = new TodoLangRuntime({ registry: new ComponentRegistry() });
+    container = createTestContainer();
+  });
+
+  afterEach(() => {
+    runtime.cleanup();
+    container.parentNode.removeChild(container);
+  });
+
+  test('should rewrite module imports and exports', () => {
+    const body = transformModule([
+      'import { Component, StateManager as SM } from "./runtime/index.js";',
+      'export class A extends Component {}',
+      'export const B = 1;'
+    ].join('\n'));
+
+    expect(body).toContain('const { Component, StateManager: SM } = __import("./runtime/index.js");');
+    expect(body).toContain('return { "A": A, "B": B };');
+    // Lines stay in place after the "use strict" line, for source maps
+    expect(body.split('\n')[3]).toBe('const B = 1;');
+  });
+
+  test('should execute compiled modules and register exports', async () => {
+    await runtime.execute(compile(appSource), 'components/index.todolang');
+
+    expect(runtime.getComponent('TodoApp').prototype instanceof TodoLangComponent).toBe(true);
+    expect(runtime.registry.isRegistered('TodoBadge')).toBe(true);
+    expect(typeof runtime.getModel('Todo')).toBe('function');
+
+    const Todo = runtime.getModel('Todo');
+    const service = runtime.getService('TodoService');
+    expect(service.label(new Todo('1', 'Write tests'))).toBe('1: Write tests');
+    expect(runtime.getService('TodoService')).toBe(service);
+  });
+
+  test('should mount the root component into a DOM element', async () => {
+    await runtime.execute(compile(appSource), 'components/index.todolang');
+    await runtime.mount(container, 'TodoApp');
+
+    expect(runtime.rootInstance).toBeTruthy();
+    expect(container.querySelector('.app')).toBeTruthy();
+    expect(container.querySelector('.badge').textContent).toBe('todos');
+    expect(container.querySelector('button').textContent).toBe('0');
+
+    runtime.rootInstance.increment();
+    runtime.rootInstance.update();
+    expect(container.querySelector('button').textContent).toBe('1');
+  });
+
+  test('should resolve imports between executed modules', async () => {
+    await runtime.execute('export class Todo {}', 'models/index.todolang');
+    const result = runtime.evaluate(
+      'import { Todo } from "../models/index.todolang";\nexport const todo = new Todo();',
+      'components/index.todolang'
+    );
+
+    expect(result.todo).toBeInstanceOf(runtime.getModel('Todo'));
+    expect(() => runtime.evaluate('import { X } from "./missing.todolang";', 'app.todolang'))
+      .toThrow("Cannot resolve module './missing.todolang'");
+  });
+
+  test('should resolve compiled imports of other modules by their .js output path', async () => {
+    await runtime.execute(compile('export model Todo {\n  text: string\n}'), 'models/index.todolang');
+    const ast = new TodoLangParser().parse(new TodoLangLexer().tokenize(
+      'import { Todo } from "../models"\ncomponent TodoApp {\n  render() {\n    <p>{Todo.name}</p>\n  }\n}'
+    ));
+    ast.imports[0].resolvedPath = 'models/index.todolang';
+    const code = new TodoLangCompiler().compile(ast, { modulePath: 'components/index.todolang' }).code;
+
+    await runtime.execute(code, 'components/index.todolang');
+    await runtime.mount(container, 'TodoApp');
+
+    expect(container.querySelector('p').textContent).toBe('Todo');
+  });
+
+  test('should map errors thrown in evaluated modules to their TodoLang source', async () => {
+    const source = [
+      'component Broken {',
+      '  explode() {',
+      '    throw new Error("boom")',
+      '  }',
+      '',
+      '  render() {',
+      '    <p>ok</p>',
+      '  }',
+      '}'
+    ].join('\n');
+    const ast = new TodoLangParser().parse(new TodoLangLexer().tokenize(source));
+    const { code, sourceMap } = new TodoLangCompiler({ generateSourceMaps: true })
+      .compile(ast, { path: 'components/Broken.todolang', content: source, outputFile: 'Broken.js' });
+
+    await runtime.execute(code, 'components/Broken.todolang', sourceMap);
+    await runtime.mount(container, 'Broken');
+
+    let error = null;
+    try {
+      runtime.rootInstance.explode();
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.stack).toContain('todolang:///components/Broken.js:');
+    expect(globalErrorReporter.mapStackTrace(error.stack)).toContain('components/Broken.todolang:3:');
+  });
+
+  test('should hot reload components without losing state', async () => {
+    const modulePath = 'components/index.todolang';
+    await runtime.execute(compile(appSource), modulePath);
+    await runtime.mount(container, 'TodoApp');
+
+    const app = runtime.rootInstance;
+    const badge = app.getChildren().values().next().value;
+    app.state.count = 3;
+    app.update();
+
+    const nextSource = appSource
+      .replace('{this.props.text}', '{this.props.text.toUpperCase()}')
+      .replace('<button onClick', '<button class="counter" onClick');
+    await runtime.hotReload(modulePath, compile(nextSource));
+
+    expect(runtime.rootInstance).toBe(app);
+    expect(app.getChildren().values().next().value).toBe(badge);
+    expect(app instanceof runtime.getComponent('TodoApp')).toBe(true);
+    expect(app.state.count).toBe(3);
+    expect(container.querySelector('.badge').textContent).toBe('TODOS');
+    expect(container.querySelector('.counter').textContent).toBe('3');
+  });
+
+  test('should remount when the state block changes incompatibly', async () => {
+    const modulePath = 'components/index.todolang';
+    await runtime.execute(compile(appSource), modulePath);
+    await runtime.mount(container, 'TodoApp');
+
+    const app = runtime.rootInstance;
+    app.state.count = 3;
+
+    const nextSource = appSource.replace('count: number = 0', 'count: string = "none"');
+    await runtime.hotReload(modulePath, compile(nextSource));
+
+    expect(runtime.rootInstance).not.toBe(app);
+    expect(runtime.rootInstance.state.count).toBe('none');
+    expect(container.querySelector('button').textContent).toBe('none');
+  });
+
+  test('should report a required remount without remounting when asked', async () => {
+    const modulePath = 'components/index.todolang';
+    await runtime.execute(compile(appSource), modulePath);
+    await runtime.mount(container, 'TodoApp');
+
+    const app = runtime.rootInstance;
+    const nextSource = appSource.replace('count: number = 0', 'count: string = "none"');
+    const result = await runtime.hotReload(modulePath, compile(nextSource), { remount: false });
+
+    expect(result.remountRequired).toBe(true);
+    expect(result.remounted).toBe(false);
+    expect(runtime.rootInstance).toBe(app);
+    expect(container.querySelector('button').textContent).toBe('0');
+  });
+
+  test('should remount when the new state block cannot be read without an instance', async () => {
+    const modulePath = 'components/index.todolang';
+    await runtime.execute(compile(appSource), modulePath);
+    await runtime.mount(container, 'TodoApp', { start: [1, 2] });
+
+    const app = runtime.rootInstance;
+    const nextSource = appSource.replace('count: number = 0', 'count: number = this.props.start.length');
+    const result = await runtime.hotReload(modulePath, compile(nextSource));
+
+    expect(result.remounted).toBe(true);
+    expect(runtime.rootInstance).not.toBe(app);
+    expect(container.querySelector('button').textContent).toBe('2');
+  });
+
+  test('should hot reload the bodies of bound methods', async () => {
+    const modulePath = 'components/index.todolang';
+    const boundSource = appSource
+      .replace('increment() {', 'increment = () => {')
+      .replace('onClick={() => this.increment()}', 'onClick={this.increment}');
+    await runtime.execute(compile(boundSource), modulePath);
+    await runtime.mount(container, 'TodoApp');
+
+    const app = runtime.rootInstance;
+    const { increment } = app;
+    const nextSource = boundSource.replace('this.state.count + 1', 'this.state.count + 10');
+    await runtime.hotReload(modulePath, compile(nextSource));
+
+    // The same function as before the reload, now running the new body
+    expect(app.increment).toBe(increment);
+    increment();
+    expect(app.state.count).toBe(10);
+
+    container.querySelector('button').click();
+    expect(app.state.count).toBe(20);
+  });
+
+  test('should run lifecycle blocks and remove watchers on unmount', async () => {
+    const log = [];
+    await runtime.execute(compile(lifecycleSource), 'components/index.todolang');
+    await runtime.mount(container, 'Counter', { log });
+
+    const counter = runtime.rootInstance;
+    counter.state.count = 2;
+    counter.update();
+
+    // State subscribers run in a microtask; deliver the change directly
+    counter._stateManager._notifyPathSubscribers('count', { path: 'count', newValue: 2, oldValue: 0 });
+    runtime.unmount();
+
+    expect(log).toEqual(['mounted', 'updated 0 -> 2', 'count 0 -> 2', 'unmounted']);
+    expect(counter._stateManager._subscribers.has('count')).toBe(false);
+  });
+
+  test('should apply event modifiers and two-way bindings', async () => {
+    await runtime.execute(compile(formSource), 'components/index.todolang');
+    await runtime.mount(container, 'TodoForm');
+    const form = runtime.rootInstance;
+    const text = container.querySelector('.text');
+    const done = container.querySelector('.done');
+
+    text.value = 'Buy milk';
+    text.dispatchEvent(new window.Event('input'));
+    done.checked = true;
+    done.dispatchEvent(new window.Event('change'));
+    text.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'a' }));
+    text.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter' }));
+    const submit = new window.Event('submit', { cancelable: true });
+    container.querySelector('form').dispatchEvent(submit);
+
+    expect(form.state.text).toBe('Buy milk');
+    expect(form.state.done).toBe(true);
+    expect(form.state.entered).toBe(1);
+    expect(form.state.submitted).toBe(1);
+    expect(submit.defaultPrevented).toBe(true);
+
+    // Handlers keep their identity across renders
+    expect(form.bindEvent(form.submit, ['prevent'])).toBe(form.bindEvent(form.submit, ['prevent']));
+  });
+
+  test('should report prop warnings through the installed reporter', () => {
+    const warnings = [];
+    installReporter({ reportWarning: message => warnings.push(message), registerSourceMap: () => {} });
+    try {
+      class Badge {
+        static get propTypes() {
+          return { label: { type: 'string', required: true } };
+        }
+      }
+      TodoLangRuntime.resolveProps(Badge, {}, { validate: true });
+    } finally {
+      installReporter(globalErrorReporter);
+    }
+
+    expect(warnings).toEqual(["Prop 'label' of component 'Badge' is required"]);
+  });
+
+  test('should unmount the root component on cleanup', async () => {
+    await runtime.execute(compile(appSource), 'components/index.todolang');
+    await runtime.mount(container, 'TodoApp');
+    runtime.cleanup();
+
+    expect(runtime.rootInstance).toBeNull();
+    expect(container.innerHTML).toBe('');
+    expect(runtime.registry.isRegistered('TodoApp')).toBe(false);
+  });
+});
@@ -4,104 +4,27 @@
 
 import { TodoLangStateManager, ReactiveState } from '../../src/framework/state/index.js';
 
-// Simple test framework
-class TestFramework {
-  constructor() {
-    this.tests = [];
-    this.results = { passed: 0, failed: 0, total: 0 };
-    this.currentSuite = '';
-  }
-
-  describe(name, fn) {
-    this.currentSuite = name;
-    console.log(`\n--- ${name} ---`);
-    fn();
-  }
-
-  test(name, fn) {
-    this.tests.push({ name: `${this.currentSuite}: ${name}`, fn });
-  }
-
-  beforeEach(fn) {
-    this.beforeEachFn = fn;
-  }
-
-  async run() {
-    for (const test of this.tests) {
-      try {
-        if (this.beforeEachFn) {
-          this.beforeEachFn();
-        }
-
-        await test.fn();
-        console.log(`  ✅ ${test.name}`);
-        this.results.passed++;
-      } catch (error) {
-        console.log(`  ❌ ${test.name}: ${error.message}`);
-        this.results.failed++;
-      }
-      this.results.total++;
-    }
-
-    console.log(`\n📊 Results: ${this.results.passed}/${this.results.total} passed`);
-    return this.results.failed === 0;
-  }
-
-  expect(actual) {
-    return {
-      toBe: (expected) => {
-        if (actual !== expected) {
-          throw new Error(`Expected ${expected}, got ${actual}`);
-        }
-      },
-      toEqual: (expected) => {
-        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
-          throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
-        }
-      },
-      toHaveLength: (expected) => {
-        if (actual.length !== expected) {
-          throw new Error(`Expected length ${expected}, got ${actual.length}`);
-        }
-      },
-      toHaveProperty: (prop) => {
-        if (!(prop in actual)) {
-          throw new Error(`Expected object to have property ${prop}`);
-        }
-      },
-      toBeInstanceOf: (constructor) => {
-        if (!(actual instanceof constructor)) {
-          throw new Error(`Expected instance of ${constructor.name}`);
-        }
-      }
-    };
-  }
-}
-
-const framework = new TestFramework();
-
 // Helper function to wait for async operations
 function waitFor(ms = 10) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-// Test setup
 let stateManager;
 
-framework.beforeEach(() => {
-  stateManager = new TodoLangStateManager();
-});
+describe('State Creation', () => {
+  beforeEach(() => {
+    stateManager = new TodoLangStateManager();
+  });
 
-framework.describe('State Creation', () => {
-  framework.test('should create reactive state from initial object', () => {
+  test('should create reactive state from initial object', () => {
     const initialState = { count: 0, name: 'test' };
     const state = stateManager.createState(initialState);
 
-    framework.expect(state.count).toBe(0);
-    framework.expect(state.name).toBe('test');
+    expect(state.count).toBe(0);
+    expect(state.name).toBe('test');
   });
 
-  framework.test('should handle nested objects', () => {
+  test('should handle nested objects', () => {
     const initialState = {
       user: {
         name: 'John',
@@ -110,20 +33,45 @@ framework.describe('State Creation', () => {
     };
     const state = stateManager.createState(initialState);
 
-    framework.expect(state.user.name).toBe('John');
-    framework.expect(state.user.settings.theme).toBe('dark');
+    expect(state.user.name).toBe('John');
+    expect(state.user.settings.theme).toBe('dark');
+  });
+
+  test('should spread and iterate state arrays', () => {
+    const state = stateManager.createState({ todos: [{ id: '1' }] });
+
+    const todos = [...state.todos, { id: '2' }];
+    const ids = [];
+    for (const todo of state.todos) {
+      ids.push(todo.id);
+    }
+
+    expect(todos).toHaveLength(2);
+    expect(ids).toEqual(['1']);
+  });
+
+  test('should leave dates in state working', () => {
+    const createdAt = new Date('2024-01-15T10:00:00Z');
+    const state = stateManager.createState({ todo: { id: '1', createdAt } });
+
+    expect(state.todo.createdAt.getTime()).toBe(createdAt.getTime());
+    expect(JSON.stringify(state.todo)).toBe('{"id":"1","createdAt":"2024-01-15T10:00:00.000Z"}');
   });
 });
 
-framework.describe('State Reactivity', () => {
-  framework.test('should detect simple property changes', async () => {
+describe('State Reactivity', () => {
+  beforeEach(() => {
+    stateManager = new TodoLangStateManager();
+  });
+
+  test('should detect simple property changes', async () => {
     const state = stateManager.createState({ count: 0 });
     let changeDetected = false;
 
     stateManager.subscribe((changes) => {
-      framework.expect(changes).toHaveLength(1);
-      framework.expect(changes[0].path).toBe('count');
-      framework.expect(changes[0].newValue).toBe(1);
+      expect(changes).toHaveLength(1);
+      expect(changes[0].path).toBe('count');
+      expect(changes[0].newValue).toBe(1);
       changeDetected = true;
     });
 
@@ -135,15 +83,15 @@ framework.describe('State Reactivity', () => {
     }
   });
 
-  framework.test('should detect nested property changes', async () => {
+  test('should detect nested property changes', async () => {
     const state = stateManager.createState({
       user: { name: 'John' }
     });
     let changeDetected = false;
 
     stateManager.subscribe((changes) => {
-      framework.expect(changes[0].path).toBe('user.name');
-      framework.expect(changes[0].newValue).toBe('Jane');
+      expect(changes[0].path).toBe('user.name');
+      expect(changes[0].newValue).toBe('Jane');
       changeDetected = true;
     });
 
@@ -156,13 +104,17 @@ framework.describe('State Reactivity', () => {
   });
 });
 
-framework.describe('Subscription System', () => {
-  framework.test('should support global subscriptions', async () => {
+describe('Subscription System', () => {
+  beforeEach(() => {
+    stateManager = new TodoLangStateManager();
+  });
+
+  test('should support global subscriptions', async () => {
     const state = stateManager.createState({ value: 1 });
     let changeDetected = false;
 
     stateManager.subscribe((changes) => {
-      framework.expect(changes).toHaveLength(1);
+      expect(changes).toHaveLength(1);
       changeDetected = true;
     });
 
@@ -174,7 +126,7 @@ framework.describe('Subscription System', () => {
     }
   });
 
-  framework.test('should return unsubscribe function', async () => {
+  test('should return unsubscribe function', async () => {
     const state = stateManager.createState({ value: 1 });
     let callCount = 0;
 
@@ -190,33 +142,41 @@ framework.describe('Subscription System', () => {
     state.value = 3;
     await waitFor();
 
-    framework.expect(callCount).toBe(1);
+    expect(callCount).toBe(1);
   });
 });
 
-framework.describe('State Updates', () => {
-  framework.test('should update state using updateState method', () => {
+describe('State Updates', () => {
+  beforeEach(() => {
+    stateManager = new TodoLangStateManager();
+  });
+
+  test('should update state using updateState method', () => {
     const state = stateManager.createState({ count: 0 }, 'test');
 
     stateManager.updateState('count', 5);
 
-    framework.expect(state.count).toBe(5);
+    expect(state.count).toBe(5);
   });
 
-  framework.test('should update nested state using dot notation', () => {
+  test('should update nested state using dot notation', () => {
     const state = stateManager.createState({
       user: { name: 'John', age: 30 }
     }, 'test');
 
     stateManager.updateState('user.name', 'Jane');
 
-    framework.expect(state.user.name).toBe('Jane');
-    framework.expect(state.user.age).toBe(30);
+    expect(state.user.name).toBe('Jane');
+    expect(state.user.age).toBe(30);
   });
 });
 
-framework.describe('Todo Application Scenarios', () => {
-  framework.test('should handle todo state structure', async () => {
+describe('Todo Application Scenarios', () => {
+  beforeEach(() => {
+    stateManager = new TodoLangStateManager();
+  });
+
+  test('should handle todo state structure', async () => {
     const todoState = stateManager.createState({
       todos: [],
       filter: 'all'
@@ -224,7 +184,7 @@ framework.describe('Todo Application Scenarios', () => {
     let changeDetected = false;
 
     stateManager.subscribe((changes) => {
-      framework.expect(changes[0].path).toBe('todos.0');
+      expect(changes[0].path).toBe('todos.0');
       changeDetected = true;
     });
 
@@ -241,7 +201,7 @@ framework.describe('Todo Application Scenarios', () => {
     }
   });
 
-  framework.test('should handle computed properties pattern', () => {
+  test('should handle computed properties pattern', () => {
     const state = stateManager.createState({
       todos: [
         { id: '1', completed: false },
@@ -258,27 +218,12 @@ framework.describe('Todo Application Scenarios', () => {
       });
     };
 
-    framework.expect(getFilteredTodos()).toHaveLength(1);
+    expect(getFilteredTodos()).toHaveLength(1);
 
     state.filter = 'completed';
-    framework.expect(getFilteredTodos()).toHaveLength(1);
+    expect(getFilteredTodos()).toHaveLength(1);
 
     state.filter = 'all';
-    framework.expect(getFilteredTodos()).toHaveLength(2);
+    expect(getFilteredTodos()).toHaveLength(2);
   });
 });
-
-// Run the tests
-console.log('🧪 Running State Management Tests...');
-framework.run().then(success => {
-  if (success) {
-    console.log('\n🎉 All state management tests passed!');
-    process.exit(0);
-  } else {
-    console.log('\n❌ Some tests failed');
-    process.exit(1);
-  }
-}).catch(error => {
-  console.error('Test runner error:', error);
-  process.exit(1);
-});
\ No newline at end of file
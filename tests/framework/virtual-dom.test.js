@@ -16,6 +16,7 @@ import {
   VirtualDOMRenderer,
   h
 } from '../../src/framework/components/virtual-dom.js';
+import { installReporter } from '../../src/debug/reporting.js';
 
 // Mock DOM environment for testing
 class MockElement {
@@ -32,6 +33,13 @@ class MockElement {
   }
 
   appendChild(child) {
+    // Like the DOM, appending a fragment moves its children instead
+    if (child instanceof MockDocumentFragment) {
+      child.children.slice().forEach(fragmentChild => this.appendChild(fragmentChild));
+      child.children = [];
+      child.childNodes = [];
+      return child;
+    }
     child.parentNode = this;
     this.children.push(child);
     this.childNodes.push(child);
@@ -48,6 +56,20 @@ class MockElement {
     return child;
   }
 
+  insertBefore(newChild, referenceNode) {
+    if (newChild.parentNode) {
+      newChild.parentNode.removeChild(newChild);
+    }
+    const index = referenceNode ? this.children.indexOf(referenceNode) : -1;
+    if (index === -1) {
+      return this.appendChild(newChild);
+    }
+    newChild.parentNode = this;
+    this.children.splice(index, 0, newChild);
+    this.childNodes.splice(index, 0, newChild);
+    return newChild;
+  }
+
   replaceChild(newChild, oldChild) {
     const index = this.children.indexOf(oldChild);
     if (index > -1) {
@@ -59,6 +81,11 @@ class MockElement {
     return oldChild;
   }
 
+  // Only clearing is supported, as VirtualDOMRenderer.unmount() does
+  set innerHTML(html) {
+    this.children.slice().forEach(child => this.removeChild(child));
+  }
+
   setAttribute(name, value) {
     this.attributes[name] = value;
   }
@@ -84,7 +111,7 @@ class MockElement {
   }
 }
 
-cltNode {
+class MockTextNode {
   constructor(text = '') {
     this.nodeType = 3; // TEXT_NODE
     this.textContent = text;
@@ -258,8 +285,9 @@ describe('Virtual DOM Diffing', () => {
     expect(updatePatches.length).toBeGreaterThan(0);
     expect(createPatches.length).toBeGreaterThan(0);
   });
-});/
-**
+});
+
+/**
  * Test Suite: Virtual DOM Patching
  */
 describe('Virtual DOM Patching', () => {
@@ -335,7 +363,8 @@ describe('Virtual DOM Patching', () => {
     element.setAttribute('id', 'test');
     element.className = 'old-class';
 
-    patcher._removeProperty(element,   patcher._removeProperty(element, 'className');
+    patcher._removeProperty(element, 'id');
+    patcher._removeProperty(element, 'className');
 
     expect(element.attributes.id).toBeUndefined();
     expect(element.className).toBe('');
@@ -449,6 +478,164 @@ describe('Event Handling', () => {
   });
 });
 
+/**
+ * Test Suite: Keyed Reconciliation
+ */
+describe('Keyed Reconciliation', () => {
+  const createTodos = (count) => {
+    const todos = [];
+    for (let i = 0; i < count; i++) {
+      todos.push({
+        id: `todo-${i}`,
+        text: `Todo ${String.fromCharCode(122 - (i % 26))}${i}`,
+        completed: i % 3 === 0,
+        createdAt: new Date(2024, 0, i + 1)
+      });
+    }
+    return todos;
+  };
+
+  // Same ordering rules as TodoList.sortTodos
+  const sortTodos = (todos, sortOrder) => {
+    const sorted = todos.slice();
+    if (sortOrder === 'alphabetical') {
+      sorted.sort((a, b) => a.text.toLowerCase().localeCompare(b.text.toLowerCase()));
+    } else if (sortOrder === 'completed') {
+      sorted.sort((a, b) => {
+        if (a.completed === b.completed) {
+          return new Date(b.createdAt) - new Date(a.createdAt);
+        }
+        return a.completed ? 1 : -1;
+      });
+    } else {
+      sorted.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+    return sorted;
+  };
+
+  const renderList = (todos) => createElement('ul', { className: 'todo-list' },
+    todos.map(todo => createElement('li', { key: todo.id }, todo.text))
+  );
+
+  test('removing the first keyed item only removes that node', () => {
+    const todos = createTodos(500);
+    const differ = new VirtualDOMDiffer();
+
+    const patches = differ.diff(renderList(todos), renderList(todos.slice(1)));
+
+    expect(patches).toHaveLength(1);
+    expect(patches[0].type).toBe(PatchType.REMOVE);
+    expect(patches[0].vnode.key).toBe('todo-0');
+  });
+
+  test('reordering keyed items produces moves instead of replacements', () => {
+    const todos = createTodos(5);
+    const differ = new VirtualDOMDiffer();
+
+    const patches = differ.diff(renderList(todos), renderList(todos.slice().reverse()));
+
+    expect(patches.length).toBeGreaterThan(0);
+    expect(patches.every(patch => patch.type === PatchType.MOVE)).toBe(true);
+    expect(patches).toHaveLength(4); // One item stays, the others move around it
+  });
+
+  test('inserting a keyed item produces a single insert', () => {
+    const todos = createTodos(4);
+    const newTodo = { id: 'todo-new', text: 'New todo', completed: false, createdAt: new Date() };
+    const differ = new VirtualDOMDiffer();
+
+    const patches = differ.diff(
+      renderList(todos),
+      renderList([todos[0], todos[1], newTodo, todos[2], todos[3]])
+    );
+
+    expect(patches).toHaveLength(1);
+    expect(patches[0].type).toBe(PatchType.INSERT);
+    expect(patches[0].newVNode.key).toBe('todo-new');
+  });
+
+  test('renderer applies sortTodos reorders and keeps DOM nodes', () => {
+    const renderer = new VirtualDOMRenderer();
+    const container = new MockElement('div');
+    const todos = sortTodos(createTodos(12), 'newest');
+
+    renderer.render(renderList(todos), container);
+    const list = container.children[0];
+    const nodesById = new Map(todos.map((todo, i) => [todo.id, list.children[i]]));
+
+    for (const sortOrder of ['alphabetical', 'completed', 'newest']) {
+      const sorted = sortTodos(todos, sortOrder);
+      renderer.render(renderList(sorted), container);
+
+      expect(list.children).toHaveLength(sorted.length);
+      sorted.forEach((todo, i) => {
+        expect(list.children[i]).toBe(nodesById.get(todo.id));
+        expect(list.children[i].children[0].textContent).toBe(todo.text);
+      });
+    }
+  });
+
+  test('renderer handles mixed inserts, removals and moves', () => {
+    const renderer = new VirtualDOMRenderer();
+    const container = new MockElement('div');
+    const todos = createTodos(6);
+
+    renderer.render(renderList(todos), container);
+
+    const updated = [
+      { id: 'todo-a', text: 'Added first' },
+      todos[4],
+      todos[1],
+      { id: 'todo-b', text: 'Added middle' },
+      todos[0],
+      { ...todos[5], text: 'Edited' }
+    ];
+    renderer.render(renderList(updated), container);
+
+    const list = container.children[0];
+    expect(list.children.map(li => li.children[0].textContent))
+      .toEqual(updated.map(todo => todo.text));
+  });
+
+  test('renderer reorders keyed items under a fragment root', () => {
+    const renderer = new VirtualDOMRenderer();
+    const container = new MockElement('div');
+    const todos = createTodos(4);
+    const renderRows = (items) => createFragment(createElement('h2', {}, 'Todos'), renderList(items));
+
+    renderer.render(renderRows(todos), container);
+    renderer.render(renderRows([todos[2], todos[0], todos[3]]), container);
+
+    const list = container.children[1];
+    expect(list.children.map(li => li.children[0].textContent))
+      .toEqual([todos[2].text, todos[0].text, todos[3].text]);
+  });
+
+  test('fragment children are spliced into their parent', () => {
+    const list = createElement('ul', {}, [
+      createFragment(createElement('li', { key: 'a' }), createElement('li', { key: 'b' })),
+      null,
+      createElement('li', { key: 'c' })
+    ]);
+
+    expect(list.children.map(child => child.key)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('lists without keys are reported through the installed reporter', () => {
+    const warnings = [];
+    const previous = installReporter({ reportWarning: message => warnings.push(message), registerSourceMap: () => {} });
+    try {
+      createElement('dl', {}, [[createElement('dt', {}), createElement('dt', {})]]);
+      createElement('dl', {}, [[createElement('dt', {}), createElement('dt', {})]]);
+    } finally {
+      installReporter(previous);
+    }
+
+    // Re-renders do not repeat a warning
+    expect(warnings).toEqual(["Each child in a list rendered inside <dl> should have a 'key' prop"]);
+  });
+});
+
 /**
  * Test Suite: Performance and Edge Cases
  */
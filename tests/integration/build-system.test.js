@@ -14,7 +14,7 @@ import { ProductionBuilder } from '../../scripts/build-production.js';
 import { TodoLangDevServer } from '../../dev-server.js';
 import { TodoLangErrorReporter } from '../../src/debug/error-reporter.js';
 
-const __filenameToPath(import.meta.url);
+const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Test directories
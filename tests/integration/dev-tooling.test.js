@@ -0,0 +1,228 @@
+/**
+ * Development Tooling Integration Tests
+ *
+ * Tests the development server and builder against TodoLang sources written
+ * to a temporary directory.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TodoLangBuilder } from '../../build.js';
+import { TodoLangDevServer } from '../../dev-server.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const tempDir = path.join(__dirname, 'temp-dev-tooling');
+
+function assertContains(text, fragment) {
+  if (!text.includes(fragment)) {
+    throw new Error(`Expected output to contain ${JSON.stringify(fragment)}`);
+  }
+}
+
+function httpGet(url, onResponse) {
+  return new Promise((resolve, reject) => {
+    http.get(url, res => onResponse(res, resolve, reject)).on('error', reject);
+  });
+}
+
+export async function runDevToolingTests() {
+  console.log('🛠️  Running Development Tooling Tests\n');
+
+  const results = { passed: 0, failed: 0, total: 0 };
+
+  async function runTest(name, testFn) {
+    results.total++;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    fs.mkdirSync(tempDir, { recursive: true });
+
+    try {
+      await testFn();
+      console.log(`  ✅ ${name}`);
+      results.passed++;
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      results.failed++;
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  await runTest('Dev server pushes live-reload events to connected clients', async () => {
+    fs.writeFileSync(path.join(tempDir, 'index.html'), '<html><body><div id="app"></div></body></html>');
+
+    const devServer = new TodoLangDevServer({ distDir: tempDir });
+    const server = devServer.createServer();
+    await new Promise(resolve => server.listen(0, resolve));
+    const baseUrl = `http://localhost:${server.address().port}`;
+
+    try {
+      // Served HTML pages include the live-reload client
+      const html = await httpGet(`${baseUrl}/`, (res, resolve) => {
+        let body = '';
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => resolve(body));
+      });
+      assertContains(html, '"/__todolang/events"');
+
+      const events = await httpGet(`${baseUrl}/__todolang/events`, (res, resolve, reject) => {
+        if (res.headers['content-type'] !== 'text/event-stream') {
+          res.destroy();
+          reject(new Error(`Unexpected content type: ${res.headers['content-type']}`));
+          return;
+        }
+
+        let body = '';
+        res.on('data', chunk => {
+          body += chunk;
+          if (body.includes('event: error')) {
+            res.destroy();
+            resolve(body);
+          }
+        });
+
+        devServer.notifyClients('reload', { file: 'app.todolang' });
+        devServer.notifyClients('css-update', { file: 'styles.css' });
+        devServer.notifyClients('error', { message: 'Unexpected token', file: 'app.todolang' });
+      });
+
+      assertContains(events, 'event: reload\ndata: {"file":"app.todolang"}');
+      assertContains(events, 'event: css-update\ndata: {"file":"styles.css"}');
+      assertContains(events, 'event: error\ndata: {"message":"Unexpected token","file":"app.todolang"}');
+    } finally {
+      devServer.cleanup();
+      server.close();
+    }
+  });
+
+  await runTest('Dev server reports the compile error when the first edit breaks the application', async () => {
+    const appDir = path.join(tempDir, 'app');
+    fs.mkdirSync(path.join(appDir, 'components'), { recursive: true });
+    const devServer = new TodoLangDevServer({ distDir: path.join(tempDir, 'dist'), appDir });
+    await devServer.builder.init();
+
+    const brokenFile = path.join(appDir, 'components', 'TodoApp.todolang');
+    fs.writeFileSync(brokenFile, `
+component TodoApp {
+  render() {
+    <div>
+  }
+}`);
+
+    let error = null;
+    try {
+      await devServer.handleTodoLangFileChange(brokenFile);
+    } catch (caught) {
+      error = caught;
+    }
+
+    if (!error) throw new Error('Broken edit did not throw');
+    if (!error.location) throw new Error('Compile error has no location');
+    if (error.filePath !== brokenFile) throw new Error(`Wrong error file: ${error.filePath}`);
+
+    const payload = devServer.createErrorPayload(error, error.filePath);
+    if (!payload.location) throw new Error('Error payload has no location');
+    if (payload.context.lines.length === 0) throw new Error('Error payload has no source context');
+
+    // Fixing the file compiles it once into dist
+    fs.writeFileSync(brokenFile, `
+component TodoApp {
+  render() {
+    <div></div>
+  }
+}`);
+    const update = await devServer.handleTodoLangFileChange(brokenFile);
+    devServer.cleanup();
+
+    if (!update.code.includes('class TodoApp')) throw new Error('Hot update has no compiled component');
+    if (update.stylesOnly) throw new Error('Hot update reported a style-only change');
+    if (!update.sourceMap || !update.sourceMap.mappings) throw new Error('Hot update has no source map');
+    const written = fs.readFileSync(devServer.builder.getOutputPath(brokenFile), 'utf8');
+    if (!written.includes('class TodoApp')) throw new Error('Compiled component was not written to dist');
+  });
+
+  await runTest('Builder compiles imported modules in dependency order', async () => {
+    const appDir = path.join(tempDir, 'src', 'app');
+    const distDir = path.join(tempDir, 'dist');
+    fs.mkdirSync(path.join(appDir, 'models'), { recursive: true });
+    fs.mkdirSync(path.join(appDir, 'components'), { recursive: true });
+
+    fs.writeFileSync(path.join(appDir, 'models', 'Board.todolang'), `
+export enum Priority { Low, High }
+
+export model Card {
+  text: string = ""
+}
+`);
+    fs.writeFileSync(path.join(appDir, 'components', 'Board.todolang'), `
+import { Card, Priority } from "../models/Board"
+
+model Column {
+  cards: Card[] = []
+  priority: Priority = Priority.Low
+}
+`);
+
+    const builder = new TodoLangBuilder({
+      srcDir: path.join(tempDir, 'src'),
+      distDir,
+      appDir,
+      todoLangExt: '.todolang',
+      jsExt: '.js',
+      stylesFile: 'todolang-components.css',
+      plugins: []
+    });
+
+    await builder.init();
+    await builder.compileTodoLangFiles();
+
+    const code = fs.readFileSync(path.join(distDir, 'app', 'components', 'Board.js'), 'utf8');
+    assertContains(code, 'import { Card, Priority } from "../models/Board.js";');
+    assertContains(code, 'data.cards.map(item => Card.fromJSON(item))');
+    assertContains(code, 'Priority.parse(data.priority)');
+  });
+
+  await runTest('Dev server recompiles the modules importing a changed module', async () => {
+    const appDir = path.join(tempDir, 'app');
+    fs.mkdirSync(path.join(appDir, 'models'), { recursive: true });
+    fs.mkdirSync(path.join(appDir, 'components'), { recursive: true });
+
+    const modelsFile = path.join(appDir, 'models', 'Board.todolang');
+    fs.writeFileSync(modelsFile, `
+export model Card {
+  text: string = ""
+}
+`);
+    fs.writeFileSync(path.join(appDir, 'components', 'Board.todolang'), `
+import { Card } from "../models/Board"
+
+model Column {
+  cards: Card[] = []
+}
+`);
+
+    const devServer = new TodoLangDevServer({ distDir: path.join(tempDir, 'dist'), appDir });
+    await devServer.builder.init();
+    await devServer.builder.compileTodoLangFiles();
+
+    // Cards become enum values, which the importing module parses
+    fs.writeFileSync(modelsFile, `
+export enum Card { Todo, Done }
+`);
+    const update = await devServer.handleTodoLangFileChange(modelsFile);
+    devServer.cleanup();
+
+    if (update.dependents.length !== 1) throw new Error(`Expected one dependent, got ${update.dependents.length}`);
+    const [dependent] = update.dependents;
+    if (dependent.modulePath !== 'components/Board.todolang') throw new Error(`Wrong dependent: ${dependent.modulePath}`);
+    if (!dependent.sourceMap) throw new Error('Dependent has no source map');
+    assertContains(dependent.code, 'data.cards.map(item => Card.parse(item))');
+    const written = fs.readFileSync(devServer.builder.getOutputPath(dependent.file), 'utf8');
+    assertContains(written, 'Card.parse(item)');
+  });
+
+  return results;
+}
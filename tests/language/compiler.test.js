@@ -5,8 +5,15 @@
  */
 
 import { TodoLangLexer } from '../../src/language/lexer/index.js';
-import { TodoLangParser } from '../../src/language/parser/index.js';
-import { TodoLangCompiler, CompilerError } from '../../src/language/compiler/index.js';
+import { TodoLangParser, CallNode, MemberNode, IdentifierNode, StringLiteralNode } from '../../src/language/parser/index.js';
+import { TodoLangCompiler, CompilerError, SourceMap, encodeVLQ, decodeVLQ } from '../../src/language/compiler/index.js';
+import { TodoLangTypeChecker } from '../../src/language/type-checker/index.js';
+import { ModuleGraph } from '../../src/language/modules/index.js';
+import { getStyleScope } from '../../src/language/styles/index.js';
+import { traverse } from '../../src/language/traverse/index.js';
+import { validators, validateFields } from '../../src/framework/components/validation-error.js';
+import { TodoLangRuntime, valuesEqual } from '../../src/language/runtime/index.js';
+import { globalErrorReporter } from '../../src/debug/error-reporter.js';
 
 // Test helper function
 function compileSource(source) {
@@ -19,6 +26,28 @@ function compileSource(source) {
   return compiler.compile(ast);
 }
 
+function typeCheckSource(source) {
+  const lexer = new TodoLangLexer();
+  const parser = new TodoLangParser();
+  const checker = new TodoLangTypeChecker();
+
+  const tokens = lexer.tokenize(source);
+  const ast = parser.parse(tokens);
+  return checker.check(ast, source, 'test.todolang');
+}
+
+function parseSource(source) {
+  return new TodoLangParser().parse(new TodoLangLexer().tokenize(source));
+}
+
+function expectCompiledToContain(code, fragments, description = 'compiled code') {
+  for (const fragment of fragments) {
+    if (!code.includes(fragment)) {
+      throw new Error(`Expected ${description} to contain: ${fragment}`);
+    }
+  }
+}
+
 export function runCompilerTests() {
   console.log('🔧 Running Compiler Tests...');
 
@@ -215,7 +244,7 @@ export function runCompilerTests() {
       throw new Error('Model class not generated');
     }
 
-    if (!result.code.includes('constructor(id, text)')) {
+    if (!result.code.includes('constructor(id, text, completed)')) {
       throw new Error('Model constructor not generated correctly');
     }
 
@@ -447,11 +476,1431 @@ export function runCompilerTests() {
       throw new Error('JSX not compiled');
     }
 
-    if (!result.code.includes('onKeyPress: this.handleKeyPress')) {
+    if (!result.code.includes('onKeyPress: this.bindEvent(this.handleKeyPress)')) {
       throw new Error('Event handlers not compiled correctly');
     }
   });
 
+  // Test 13: Exception handling compilation
+  test('should compile try/catch/finally and throw statements', () => {
+    const source = `
+      model Todo {
+        text: string
+
+        static create(text: string): Todo {
+          if (text == null) {
+            throw new Error("Todo text must be a non-empty string")
+          }
+          try {
+            this.validate(text)
+          } catch (error) {
+            console.log(error)
+          } finally {
+            this.done()
+          }
+          try {
+            this.validate(text)
+          } catch {
+            return null
+          }
+        }
+      }
+    `;
+
+    const result = compileSource(source);
+
+    if (!result.code.includes('throw new Error("Todo text must be a non-empty string");')) {
+      throw new Error('Throw statements not compiled correctly');
+    }
+
+    if (!result.code.includes('try {') || !result.code.includes('} catch (error) {')) {
+      throw new Error('Try/catch statements not compiled correctly');
+    }
+
+    if (!result.code.includes('} finally {')) {
+      throw new Error('Finally blocks not compiled correctly');
+    }
+
+    if (!result.code.includes('} catch {')) {
+      throw new Error('Catch clauses without binding not compiled correctly');
+    }
+  });
+
+  // Test 14: Component tags in JSX
+  test('should compile PascalCase JSX tags to component references', () => {
+    const source = `
+      component TodoItem {
+        render() {
+          <li>{this.props.todo.text}</li>
+        }
+      }
+
+      component TodoList {
+        render() {
+          <ul class="todo-list">
+            <TodoItem todo={this.props.todo} onToggle={this.handleToggle} />
+            <TodoFilter filter="all">
+              <span>Filters</span>
+            </TodoFilter>
+          </ul>
+        }
+      }
+    `;
+
+    const result = compileSource(source);
+
+    if (!result.code.includes('this.createElement(TodoItem, { todo: this.props.todo, onToggle: this.bindEvent(this.handleToggle) }, [])')) {
+      throw new Error('Component declared in the same file not referenced by class');
+    }
+
+    if (!result.code.includes('this.createElement(this.resolveComponent("TodoFilter"), { filter: "all" }, [this.createElement("span"')) {
+      throw new Error('External component not resolved through the registry');
+    }
+
+    if (!result.code.includes('this.createElement("ul"')) {
+      throw new Error('Lowercase tags should remain DOM elements');
+    }
+  });
+
+  // Test 15: VLQ source maps
+  test('should generate Source Map v3 with VLQ mappings', () => {
+    const source = [
+      'component Counter {',
+      '  increment(step: number) {',
+      '    const next = this.count + step',
+      '    return next',
+      '  }',
+      '',
+      '  render() {',
+      '    <div>{this.count}</div>',
+      '  }',
+      '}'
+    ].join('\n');
+
+    const expectedVLQ = { 0: 'A', 1: 'C', '-1': 'D', 16: 'gB', 123: '2H' };
+    for (const [value, encoded] of Object.entries(expectedVLQ)) {
+      if (encodeVLQ(Number(value)) !== encoded || decodeVLQ(encoded)[0] !== Number(value)) {
+        throw new Error(`VLQ encoding of ${value} should be ${encoded}`);
+      }
+    }
+
+    const tokens = new TodoLangLexer().tokenize(source);
+    const ast = new TodoLangParser().parse(tokens);
+    const result = new TodoLangCompiler({ generateSourceMaps: true }).compile(ast, {
+      path: 'counter.todolang',
+      content: source,
+      outputFile: 'counter.js'
+    });
+    const map = result.sourceMap;
+
+    if (/[\u0000\u0001]/.test(result.code)) {
+      throw new Error('Source location markers left in generated code');
+    }
+
+    if (map.file !== 'counter.js' || map.sources[0] !== 'counter.todolang' || map.sourcesContent[0] !== source) {
+      throw new Error('Source map sources not recorded');
+    }
+
+    if (!/^[A-Za-z0-9+/,;]+$/.test(map.mappings)) {
+      throw new Error('Mappings are not base64 VLQ encoded');
+    }
+
+    // The statement `return next` must map back to line 4 of the source
+    const generatedLines = result.code.split('\n');
+    const returnLine = generatedLines.findIndex(line => line.includes('return next;')) + 1;
+    const returnColumn = generatedLines[returnLine - 1].indexOf('return');
+    const position = SourceMap.originalPositionFor(map, returnLine, returnColumn);
+
+    if (!position || position.source !== 'counter.todolang' || position.line !== 4) {
+      throw new Error(`Statement mapped to ${JSON.stringify(position)} instead of line 4`);
+    }
+
+    // Expressions are mapped too, with identifier names recorded
+    const stepLine = generatedLines.findIndex(line => line.includes('this.count + step'));
+    const stepPosition = SourceMap.originalPositionFor(
+      map, stepLine + 1, generatedLines[stepLine].indexOf('step')
+    );
+
+    if (!stepPosition || stepPosition.line !== 3 || stepPosition.name !== 'step') {
+      throw new Error(`Expression mapped to ${JSON.stringify(stepPosition)} instead of line 3`);
+    }
+  });
+
+  // Test 16: Type checker accepts well-typed programs
+  test('should type check valid annotations without errors', () => {
+    const source = `
+      model Todo {
+        id: string
+        text: string
+        completed: boolean = false
+        tags: string[] = []
+
+        toggle(): Todo {
+          return Todo { id: this.id, text: this.text, completed: !this.completed }
+        }
+      }
+
+      component TodoList {
+        state {
+          todos: Todo[] = []
+          selected: Todo? = null
+          count: number = 0
+        }
+
+        findTodo(id: string): Todo? {
+          return this.state.todos.find(todo => todo.id == id) || null
+        }
+
+        select(id: string) {
+          this.state.selected = this.findTodo(id)
+          this.setState({ count: this.state.todos.length })
+          for (const todo of this.state.todos) {
+            this.state.count = this.state.count + todo.tags.length
+          }
+        }
+
+        render() {
+          <div>{this.state.count}</div>
+        }
+      }
+    `;
+
+    const errors = typeCheckSource(source);
+
+    if (errors.length > 0) {
+      throw new Error(`Unexpected type errors: ${errors.map(error => error.message).join('; ')}`);
+    }
+  });
+
+  // Test 17: Type checker reports mismatches with locations
+  test('should report type errors with source locations', () => {
+    const source = `model Todo {
+  id: string
+  completed: boolean = false
+
+  rename(text: string): string {
+    return 42
+  }
+}
+
+component App {
+  state {
+    current: Todo = null
+    count: number = 0
+  }
+
+  update() {
+    this.state.count = "many"
+    this.setState({ missing: true })
+    const todo = Todo { id: 1 }
+    todo.rename()
+  }
+
+  render() {
+    <div></div>
+  }
+}`;
+
+    const errors = typeCheckSource(source);
+    const expected = [
+      [6, "Method 'Todo.rename' must return string, got number"],
+      [12, "Default value of state property 'current' must be Todo, got null"],
+      [17, "Cannot assign string to state property 'count' of type number"],
+      [18, "Unknown state property 'missing' in component 'App'"],
+      [19, "Field 'Todo.id' expects string, got number"],
+      [20, "Method 'Todo.rename' expects 1 argument(s), got 0"]
+    ];
+
+    for (const [line, message] of expected) {
+      const error = errors.find(candidate => candidate.message === message);
+      if (!error) {
+        throw new Error(`Missing type error: ${message}`);
+      }
+      if (error.name !== 'TypeCheckError' || !error.location || error.location.line !== line) {
+        throw new Error(`Type error "${message}" reported at ${JSON.stringify(error.location)} instead of line ${line}`);
+      }
+    }
+
+    if (errors.length !== expected.length) {
+      throw new Error(`Expected ${expected.length} type errors, got ${errors.length}`);
+    }
+  });
+
+  // Test 18: Regex and template literals, typeof, instanceof and strict equality
+  test('should compile regex, template literals and type operators', () => {
+    const source = `
+      component Greeting {
+        state {
+          name: string = "World"
+        }
+
+        label(count: number): string {
+          if (typeof window === "undefined" || !(this.state.name instanceof String)) {
+            return \`\${count} item\${count !== 1 ? "s" : ""} for \${this.state.name.replace(/\\s+/g, "")}\`
+          }
+          return \`plain \\\` text\`
+        }
+
+        render() {
+          <div title={\`Hi \${this.state.name}\`}>{this.label(1)}</div>
+        }
+      }
+    `;
+
+    const { code } = compileSource(source);
+    const expected = [
+      'typeof window === "undefined" || !(this.state.name instanceof String)',
+      'return `${count} item${count !== 1 ? "s" : ""} for ${this.state.name.replace(/\\s+/g, "")}`;',
+      'return `plain \\` text`;',
+      'title: `Hi ${this.state.name}`'
+    ];
+
+    for (const fragment of expected) {
+      if (!code.includes(fragment)) {
+        throw new Error(`Expected compiled code to contain: ${fragment}`);
+      }
+    }
+
+    if (typeCheckSource(source).length > 0) {
+      throw new Error('Expected the new operators to type check');
+    }
+  });
+
+  // Test 19: Async methods, async arrow functions and await
+  test('should compile async functions and await', () => {
+    const source = `
+      service TodoApi {
+        async fetchAll(): string[] {
+          const response = await fetch("/todos")
+          return await response.json()
+        }
+      }
+
+      component TodoList {
+        state {
+          todos: string[] = []
+          count: number = 0
+        }
+
+        async refresh() {
+          this.state.todos = await TodoApi.getInstance().fetchAll()
+          for await (const todo of this.stream()) {
+            this.state.count = this.state.count + 1
+          }
+        }
+
+        render() {
+          <button onClick={async () => { await this.refresh() }}>Refresh</button>
+        }
+      }
+    `;
+
+    const { code } = compileSource(source);
+    const expected = [
+      'async fetchAll() {',
+      'const response = await fetch("/todos");',
+      'async refresh() {',
+      'for await (const todo of this.stream()) {',
+      'onClick: async () => {'
+    ];
+
+    for (const fragment of expected) {
+      if (!code.includes(fragment)) {
+        throw new Error(`Expected compiled code to contain: ${fragment}`);
+      }
+    }
+
+    const errors = typeCheckSource(source.replace('this.state.todos = await', 'this.state.count ='));
+    if (!errors.some(error => error.message.includes('Promise<string[]>'))) {
+      throw new Error('Expected un-awaited async calls to have a Promise type');
+    }
+  });
+
+  // Test 20: Imports, exports and module ordering
+  test('should compile modules in dependency order', () => {
+    const sources = {
+      'models/index.todolang': `
+        export model Todo {
+          text: string
+        }
+
+        model Internal {
+          id: string
+        }
+      `,
+      'components/badge.todolang': `
+        import { Todo } from "../models"
+
+        export component Badge {
+          render() {
+            <span>{this.props.todo.text}</span>
+          }
+        }
+      `,
+      'components/index.todolang': `
+        import { Todo } from "../models"
+        import { Badge as TodoBadge } from "./badge"
+
+        component TodoApp {
+          render() {
+            <TodoBadge todo={Todo { text: "a" }} />
+          }
+        }
+      `
+    };
+
+    const parse = source => new TodoLangParser().parse(new TodoLangLexer().tokenize(source));
+    const createGraph = files => {
+      const graph = new ModuleGraph(Object.keys(files));
+      for (const [modulePath, source] of Object.entries(files)) {
+        graph.addModule(modulePath, parse(source));
+      }
+      return graph;
+    };
+
+    const graph = createGraph(sources);
+    const order = graph.getCompilationOrder();
+    if (order.join(',') !== 'models/index.todolang,components/badge.todolang,components/index.todolang') {
+      throw new Error(`Unexpected compilation order: ${order.join(',')}`);
+    }
+
+    const ast = graph.modules.get('components/index.todolang').ast;
+    const { code } = new TodoLangCompiler().compile(ast, { modulePath: 'components/index.todolang' });
+    const expected = [
+      'from "../runtime/index.js";',
+      'import { Todo } from "../models/index.js";',
+      'import { Badge as TodoBadge } from "./badge.js";',
+      'export class TodoApp extends Component {',
+      'this.createElement(TodoBadge, '
+    ];
+    for (const fragment of expected) {
+      if (!code.includes(fragment)) {
+        throw new Error(`Expected compiled code to contain: ${fragment}`);
+      }
+    }
+
+    const models = new TodoLangCompiler().compile(graph.modules.get('models/index.todolang').ast).code;
+    if (!models.includes('export class Todo {') || !models.includes('\nclass Internal {')) {
+      throw new Error('Expected only exported declarations to be exported');
+    }
+
+    const expectModuleError = (files, message) => {
+      try {
+        const failing = createGraph(files);
+        failing.getCompilationOrder();
+        for (const modulePath of Object.keys(files)) {
+          failing.validateImports(modulePath);
+        }
+      } catch (error) {
+        if (error.name === 'ModuleError' && error.message.includes(message)) return;
+        throw new Error(`Expected module error "${message}" but got "${error.message}"`);
+      }
+      throw new Error(`Expected module error "${message}"`);
+    };
+
+    expectModuleError({ 'components/badge.todolang': sources['components/badge.todolang'] },
+      "Cannot resolve module '../models' imported from components/badge.todolang");
+    expectModuleError({ ...sources, 'app.todolang': 'import { Internal } from "models"' },
+      "Module 'models' has no export named 'Internal'");
+    expectModuleError({
+      ...sources,
+      'models/index.todolang': `import { Badge } from "../components/badge"\n${sources['models/index.todolang']}`
+    }, 'Circular import: models/index.todolang -> components/badge.todolang -> models/index.todolang');
+  });
+
+  // Test 21: Optional chaining, nullish coalescing, spread and destructuring
+  test('should compile optional chaining, nullish coalescing, spread and destructuring', () => {
+    const source = `
+      model Todo {
+        text: string
+        done: boolean = false
+
+        static tag(prefix: string, ...names: string[]): string {
+          return prefix + names.join(",")
+        }
+      }
+
+      component TodoApp {
+        state {
+          todos: Todo[] = []
+          selected: Todo? = null
+          count: number = 0
+        }
+
+        update({ text, done = true }: Todo, [first, , ...others]: Todo[]) {
+          const { todos, ...rest } = this.state
+          this.state.count = this.state.selected?.text?.length ?? (todos.length || 0)
+          this.state.selected ??= first
+          this.setState({ ...rest, todos: [...todos, Todo { ...first, text }] })
+          this.props.onChange?.(...others)
+          Todo.tag("a", "b", "c")
+        }
+
+        render() {
+          <div>{this.state.todos.map(({ text }, index) => text ?? index)}</div>
+        }
+      }
+    `;
+
+    const { code } = compileSource(source);
+    const expected = [
+      'static tag(prefix, ...names) {',
+      'update({ text, done = true }, [first, , ...others]) {',
+      'const { todos, ...rest } = this.state;',
+      'this.state.count = this.state.selected?.text?.length ?? (todos.length || 0);',
+      'this.state.selected ??= first;',
+      'this.setState({ ...rest, todos: [...todos, Todo.fromJSON({ ...first, text: text })] });',
+      'this.props.onChange?.(...others);',
+      '(({ text }, index) => text ?? index)'
+    ];
+    for (const fragment of expected) {
+      if (!code.includes(fragment)) {
+        throw new Error(`Expected compiled code to contain: ${fragment}`);
+      }
+    }
+
+    // Only the links written with ?. short-circuit
+    const links = [];
+    traverse(parseSource(source), {
+      Member: path => links.push(`${path.node.property.name}${path.node.optional ? '?' : ''}`),
+      Call: path => path.node.optional && links.push('call?')
+    });
+    for (const link of ['text?', 'length?', 'onChange', 'call?']) {
+      if (!links.includes(link)) {
+        throw new Error(`Expected a '${link}' link, got ${links.join()}`);
+      }
+    }
+    if (links.includes('selected?') || links.includes('onChange?')) {
+      throw new Error(`Expected the links before ?. to stay plain, got ${links.join()}`);
+    }
+
+    const errors = typeCheckSource(source
+      .replace('Todo.tag("a", "b", "c")', 'Todo.tag("a", "b", 3)')
+      .replace('this.state.selected ??= first', 'this.state.count = text')
+      .replace('return prefix + names.join(",")', 'return prefix.length + names.length'));
+    const messages = errors.map(error => error.message);
+    const expectedErrors = [
+      "Argument 'names' of 'Todo.tag' expects string, got number",
+      "Cannot assign string to state property 'count' of type number",
+      "Method 'Todo.tag' must return string, got number"
+    ];
+    for (const message of expectedErrors) {
+      if (!messages.includes(message)) {
+        throw new Error(`Expected type error "${message}", got: ${messages.join('; ')}`);
+      }
+    }
+    if (errors.length !== expectedErrors.length) {
+      throw new Error(`Unexpected type errors: ${messages.join('; ')}`);
+    }
+  });
+
+  // Test 22: Enums
+  test('should compile enums with values, isValid and parse helpers', () => {
+    const source = `
+      export enum FilterType {
+        ALL = "all"
+        ACTIVE = "active"
+        COMPLETED = "completed"
+      }
+
+      enum Priority { Low, High }
+
+      model TodoList {
+        filter: FilterType = FilterType.ALL
+        priority: Priority = Priority.Low
+
+        describe(filter: FilterType): string {
+          if (filter == FilterType.ALL) {
+            return "All"
+          } else if (filter == FilterType.ACTIVE) {
+            return "Active"
+          } else if (filter == FilterType.COMPLETED) {
+            return "Completed"
+          }
+          return filter
+        }
+
+        setFilter(value: string): void {
+          this.filter = FilterType.parse(value)
+        }
+      }
+    `;
+
+    const { code } = compileSource(source);
+    const expected = [
+      'export class FilterType {',
+      'static ALL = "all";',
+      'static High = 1;',
+      'return [FilterType.ALL, FilterType.ACTIVE, FilterType.COMPLETED];',
+      'Object.freeze(FilterType);',
+      'this.filter = filter !== undefined ? filter : FilterType.ALL;'
+    ];
+    for (const fragment of expected) {
+      if (!code.includes(fragment)) {
+        throw new Error(`Expected compiled code to contain: ${fragment}`);
+      }
+    }
+
+    const enumSource = code.slice(code.indexOf('export class FilterType'), code.indexOf('class TodoList'))
+      .replace(/export /g, '');
+    const { FilterType, Priority } = new Function(`${enumSource}\nreturn { FilterType, Priority };`)();
+    if (FilterType.values().length !== 3 || !FilterType.isValid('active') || FilterType.isValid('ACTIVE')) {
+      throw new Error('Expected values() and isValid() to work on member values');
+    }
+    if (FilterType.parse('completed') !== 'completed' || Priority.parse('1') !== Priority.High) {
+      throw new Error('Expected parse() to return members');
+    }
+    try {
+      FilterType.parse('done');
+      throw new Error('Expected parse() to reject unknown values');
+    } catch (error) {
+      if (error.message !== 'Invalid FilterType: done') throw error;
+    }
+
+    const errors = typeCheckSource(source
+      .replace(`          } else if (filter == FilterType.COMPLETED) {
+            return "Completed"
+          }`, '          }')
+      .replace('this.filter = FilterType.parse(value)', 'this.filter = value')
+      .replace('priority: Priority = Priority.Low', 'priority: Priority = Priority.Urgent'));
+    const messages = errors.map(error => error.message);
+    const expectedErrors = [
+      "Non-exhaustive check of FilterType 'filter': missing COMPLETED",
+      "Cannot assign string to field 'TodoList.filter' of type FilterType",
+      "Enum 'Priority' has no member 'Urgent'"
+    ];
+    for (const message of expectedErrors) {
+      if (!messages.includes(message)) {
+        throw new Error(`Expected type error "${message}", got: ${messages.join('; ')}`);
+      }
+    }
+    if (errors.length !== expectedErrors.length) {
+      throw new Error(`Unexpected type errors: ${messages.join('; ')}`);
+    }
+  });
+
+  // Test 23: Switch and do-while
+  test('should compile switch and do-while statements', () => {
+    const source = `
+      enum FilterType {
+        ALL = "all"
+        ACTIVE = "active"
+        COMPLETED = "completed"
+      }
+
+      model TodoList {
+        filter: FilterType = FilterType.ALL
+
+        label(): string {
+          switch (this.filter) {
+            case FilterType.ALL:
+              return "All"
+            case FilterType.ACTIVE:
+            case FilterType.COMPLETED:
+              return "Some"
+          }
+          return ""
+        }
+
+        countdown(from: number): number {
+          let count = from
+          do {
+            count--
+          } while (count > 0)
+          return count
+        }
+      }
+    `;
+
+    const { code } = compileSource(source);
+    const expected = [
+      'switch (this.filter) {',
+      '      case FilterType.ALL:\n        return "All";\n      case FilterType.ACTIVE:\n      case FilterType.COMPLETED:',
+      '    let count = from;\n    do {\n      count--;\n    } while (count > 0);\n    return count;'
+    ];
+    for (const fragment of expected) {
+      if (!code.includes(fragment)) {
+        throw new Error(`Expected compiled code to contain: ${fragment}`);
+      }
+    }
+
+    // ACTIVE falls through to COMPLETED rather than getting a body of its own
+    const cases = [];
+    traverse(parseSource(source), { SwitchCase: path => cases.push(path.node) });
+    const shape = cases.map(node => `${node.test.property.name}:${node.consequent.length}`);
+    if (shape.join() !== 'ALL:1,ACTIVE:0,COMPLETED:1') {
+      throw new Error(`Expected three cases with ACTIVE falling through, got ${shape.join()}`);
+    }
+
+    const complete = typeCheckSource(source);
+    if (complete.length !== 0) {
+      throw new Error(`Unexpected type errors: ${complete.map(error => error.message).join('; ')}`);
+    }
+
+    const errors = typeCheckSource(source.replace('            case FilterType.ACTIVE:\n', ''));
+    if (errors.length !== 1 || errors[0].message !== "Non-exhaustive check of FilterType 'this.filter': missing ACTIVE") {
+      throw new Error(`Expected a missing ACTIVE case, got: ${errors.map(error => error.message).join('; ')}`);
+    }
+  });
+
+  // Test 24: Model field constraints
+  test('should compile model field constraints into validators and validate()', () => {
+    const source = `
+      model Task {
+        title: string @required("Title is required") @trim @maxLength(10)
+        code: string @pattern(/^[A-Z]{3}$/) = "ABC"
+        priority: string @oneOf("low", "high") = "low"
+        estimate: number @min(0) @max(8, "Too long") = 1
+      }
+    `;
+
+    const { code } = compileSource(source);
+    const expected = [
+      'import { TodoLangRuntime, Component, StateManager, VirtualDOM, validators, validateFields } from',
+      'title: [validators.required("Title is required"), validators.maxLength(10)],',
+      'code: [validators.pattern(/^[A-Z]{3}$/)],',
+      'priority: [validators.oneOf(["low", "high"])],',
+      'estimate: [validators.min(0), validators.max(8, "Too long")]',
+      'return validateFields(values, Task.validators, { trim: ["title"] });',
+      'return Task.validate(this);'
+    ];
+    for (const fragment of expected) {
+      if (!code.includes(fragment)) {
+        throw new Error(`Expected compiled code to contain: ${fragment}`);
+      }
+    }
+
+    const taskSource = code.slice(code.indexOf('export class Task')).replace(/export /g, '');
+    const Task = new Function('validators', 'validateFields', `${taskSource}\nreturn Task;`)(validators, validateFields);
+
+    const valid = Task.validate({ title: '  Write  ', code: 'ABC', priority: 'low', estimate: 2 });
+    if (!valid.isValid || valid.values.title !== 'Write' || !valid.fields.title.isValid) {
+      throw new Error('Expected trimmed valid values to pass');
+    }
+
+    const invalid = Task.validate({ title: '   ', code: 'abc', priority: 'urgent', estimate: 9 });
+    if (invalid.isValid || Object.keys(invalid.errors).join() !== 'title,code,priority,estimate') {
+      throw new Error(`Expected every field to fail, got: ${Object.keys(invalid.errors).join()}`);
+    }
+    const titleError = invalid.errors.title[0];
+    if (titleError.type !== 'required' || titleError.message !== 'Title is required' || titleError.field !== 'title') {
+      throw new Error('Expected structured errors with type, message and field');
+    }
+    if (invalid.errors.estimate[0].message !== 'Too long') {
+      throw new Error('Expected the custom constraint message');
+    }
+
+    const errors = typeCheckSource(`
+      model Task {
+        title: string @min(1)
+        count: number @oneOf(1, "two")
+        tags: string[] @maxLength(3)
+      }
+    `);
+    const messages = errors.map(error => error.message);
+    const expectedErrors = [
+      "Constraint '@min' needs a number field, but 'Task.title' is string",
+      "Constraint '@oneOf' value \"two\" does not match type number of field 'Task.count'"
+    ];
+    if (messages.join('; ') !== expectedErrors.join('; ')) {
+      throw new Error(`Unexpected type errors: ${messages.join('; ')}`);
+    }
+  });
+
+  // Test 25: Generated model serialization
+  test('should generate toJSON, fromJSON, clone and equals for models', () => {
+    const source = `
+      enum FilterType { ALL = "all", ACTIVE = "active" }
+
+      model Todo {
+        id: string
+        text: string
+        completed: boolean = false
+        createdAt: Date
+        dueAt: Date?
+        tags: string[] = []
+      }
+
+      model TodoList {
+        todos: Todo[] = []
+        filter: FilterType = FilterType.ALL
+        pinned: Todo?
+
+        equals(other: TodoList): boolean {
+          return other.todos.length == this.todos.length
+        }
+      }
+    `;
+
+    const { code } = compileSource(source);
+    const expected = [
+      'VirtualDOM, valuesEqual } from',
+      'instance.createdAt = data.createdAt != null ? new Date(data.createdAt) : data.createdAt;',
+      'instance.tags = data.tags === undefined ? [] : data.tags === null ? null : data.tags.slice();',
+      'instance.todos = data.todos === undefined ? [] : data.todos === null ? null : data.todos.map(item => Todo.fromJSON(item));',
+      'instance.filter = data.filter === undefined ? FilterType.ALL : data.filter === null ? null : FilterType.parse(data.filter);',
+      'return other instanceof Todo &&\n      this.id === other.id &&'
+    ];
+    for (const fragment of expected) {
+      if (!code.includes(fragment)) {
+        throw new Error(`Expected compiled code to contain: ${fragment}`);
+      }
+    }
+    if (code.split('equals(other) {').length !== 3) {
+      throw new Error('Expected the declared TodoList.equals to replace the generated one');
+    }
+
+    const modelSource = code.slice(code.indexOf('export class FilterType')).replace(/export /g, '');
+    const { Todo, TodoList } = new Function('valuesEqual', `${modelSource}\nreturn { Todo, TodoList };`)(valuesEqual);
+
+    const list = TodoList.fromJSON({
+      todos: [
+        { id: '1', text: 'Write tests', createdAt: '2024-01-01T00:00:00.000Z', tags: ['work'] },
+        { id: '2', text: 'Ship', completed: true, createdAt: 0, dueAt: '2024-02-01T00:00:00.000Z' }
+      ],
+      filter: 'active'
+    });
+    const [first, second] = list.todos;
+    if (!(first instanceof Todo) || !(first.createdAt instanceof Date) || first.completed !== false || first.dueAt !== undefined) {
+      throw new Error('Expected nested todos revived with Dates and defaults');
+    }
+    if (list.filter !== 'active' || list.pinned !== undefined || !(second.dueAt instanceof Date)) {
+      throw new Error('Expected enum and optional fields revived');
+    }
+
+    // Missing fields get their default, null is kept, revived or not
+    const partial = TodoList.fromJSON({ todos: null });
+    const plain = Todo.fromJSON({ id: '3', text: 'Plain', completed: null });
+    if (partial.todos !== null || partial.filter !== 'all' || plain.completed !== null || plain.tags.length !== 0) {
+      throw new Error('Expected defaults for missing fields and null kept');
+    }
+
+    const restored = TodoList.fromJSON(JSON.parse(JSON.stringify(list)));
+    if (!restored.todos.every((todo, index) => todo.equals(list.todos[index]))) {
+      throw new Error('Expected todos to survive a JSON round trip');
+    }
+
+    const copy = first.clone();
+    copy.tags.push('home');
+    if (copy === first || first.tags.length !== 1 || copy.equals(first) || !first.clone().equals(first)) {
+      throw new Error('Expected clone() to copy arrays and equals() to compare fields');
+    }
+
+    try {
+      TodoList.fromJSON({ filter: 'archived' });
+      throw new Error('Expected an invalid enum value to be rejected');
+    } catch (error) {
+      if (error.message !== 'Invalid FilterType: archived') throw error;
+    }
+
+    // Imported models and enums are revived too
+    const imported = new TodoLangParser().parse(new TodoLangLexer().tokenize(source)).declarations;
+    const { code: listCode } = new TodoLangCompiler().compile(
+      new TodoLangParser().parse(new TodoLangLexer().tokenize('model Board {\n  lists: TodoList[]\n  filter: FilterType?\n}')),
+      { importedDeclarations: new Map(imported.map(declaration => [declaration.name, declaration])) }
+    );
+    if (!listCode.includes('data.lists.map(item => TodoList.fromJSON(item))') || !listCode.includes('FilterType.parse(data.filter)')) {
+      throw new Error('Expected imported declarations to drive revival');
+    }
+  });
+
+  // Test 26: Component props blocks
+  test('should compile and check component props blocks', () => {
+    const source = `
+      enum Priority { LOW = "low", HIGH = "high" }
+
+      component Badge {
+        props {
+          label: string
+          count: number = 0
+          priority: Priority = Priority.LOW
+          tags: string[] = []
+          onClick: Function?
+        }
+
+        render() {
+          <span>{this.props.label}</span>
+        }
+      }
+
+      component Panel {
+        render() {
+          <div>
+            <Badge label="New" count={3} onClick={() => this.render()} />
+            <Badge key="b" label="Old" />
+          </div>
+        }
+      }
+    `;
+
+    const compile = development => new TodoLangCompiler({ development }).compile(
+      new TodoLangParser().parse(new TodoLangLexer().tokenize(source))
+    ).code;
+    const code = compile(true);
+    const expected = [
+      'label: { type: "string", required: true },',
+      'priority: { type: "Priority", values: Priority.values(), default: Priority.LOW },',
+      'tags: { type: "string", array: true, default: [] },',
+      'super(TodoLangRuntime.resolveProps(Badge, props, { validate: true }));',
+      'super.receiveProps(TodoLangRuntime.resolveProps(Badge, nextProps, { validate: true }));'
+    ];
+    for (const fragment of expected) {
+      if (!code.includes(fragment)) {
+        throw new Error(`Expected compiled code to contain: ${fragment}`);
+      }
+    }
+    if (!compile(false).includes('super(TodoLangRuntime.resolveProps(Badge, props));')) {
+      throw new Error('Expected props validation to be left out of production builds');
+    }
+
+    const classSource = code.slice(code.indexOf('export class Priority'), code.indexOf('export class Panel')).replace(/export /g, '');
+    const Component = class { constructor(props) { this.props = props; } };
+    const { Badge } = new Function('Component', 'TodoLangRuntime', `${classSource}\nreturn { Badge };`)(Component, TodoLangRuntime);
+
+    const { options, warningLog } = globalErrorReporter;
+    const saved = { ...options };
+    Object.assign(options, { enableConsoleOutput: false, enableFileLogging: false });
+    const warningCount = warningLog.length;
+    try {
+      const badge = new Badge({ label: 'New' });
+      if (badge.props.count !== 0 || badge.props.priority !== 'low' || new Badge({ label: 'Old' }).props.tags === badge.props.tags) {
+        throw new Error('Expected defaults applied with a fresh array per instance');
+      }
+      if (warningLog.length !== warningCount) {
+        throw new Error('Expected valid props not to warn');
+      }
+
+      Component.prototype.receiveProps = function (nextProps) { this.props = nextProps; };
+      badge.receiveProps({ label: 'Renamed' });
+      if (badge.props.label !== 'Renamed' || badge.props.count !== 0) {
+        throw new Error('Expected defaults applied to props from a re-render');
+      }
+
+      new Badge({ count: '3', priority: 'urgent', onClick: true });
+      const warnings = warningLog.slice(warningCount).map(warning => warning.message);
+      const expectedWarnings = [
+        "Prop 'label' of component 'Badge' is required",
+        "Prop 'count' of component 'Badge' expects number, got string \"3\"",
+        "Prop 'priority' of component 'Badge' expects Priority, got string \"urgent\"",
+        "Prop 'onClick' of component 'Badge' expects Function, got boolean true"
+      ];
+      if (warnings.join('\n') !== expectedWarnings.join('\n')) {
+        throw new Error(`Unexpected prop warnings: ${warnings.join('; ')}`);
+      }
+    } finally {
+      Object.assign(options, saved);
+      warningLog.length = warningCount;
+    }
+
+    if (typeCheckSource(source).length > 0) {
+      throw new Error('Expected valid props to type check');
+    }
+    const errors = typeCheckSource(source
+      .replace('count={3}', 'count="3" size={2}')
+      .replace('<Badge key="b" label="Old" />', '<Badge key="b" />')
+      .replace('{this.props.label}', '{this.props.title}'));
+    const expectedErrors = [
+      "Component 'Badge' has no prop 'title'",
+      "Prop 'count' of 'Badge' expects number, got string",
+      "Component 'Badge' has no prop 'size'",
+      "Component 'Badge' requires prop 'label'"
+    ];
+    if (errors.map(error => error.message).join('\n') !== expectedErrors.join('\n')) {
+      throw new Error(`Unexpected type errors: ${errors.map(error => error.message).join('; ')}`);
+    }
+  });
+
+  // Test 27: Lifecycle and watch blocks
+  test('should compile lifecycle and watch blocks', () => {
+    const source = `
+      component TodoFilter {
+        state {
+          currentFilter: string = "all"
+          count: number = 0
+        }
+
+        mounted {
+          this.load()
+        }
+
+        updated(prevProps) {
+          this.sync(prevProps.current)
+        }
+
+        watch state.currentFilter (filter, previous) {
+          this.setState({ count: this.state.count + 1 })
+        }
+
+        render() {
+          <div>{this.state.currentFilter}</div>
+        }
+      }
+    `;
+
+    const { code } = compileSource(source);
+    const expected = [
+      'this.initializeState();\n    this.initializeWatchers();',
+      'initializeWatchers() {\n    this.watchState("currentFilter", (filter, previous) => {',
+      'mounted() {\n    this.load();',
+      'updated(prevProps) {\n    this.sync(prevProps.current);'
+    ];
+    for (const fragment of expected) {
+      if (!code.includes(fragment)) {
+        throw new Error(`Expected compiled code to contain: ${fragment}`);
+      }
+    }
+    const withoutWatchers = source.slice(0, source.indexOf('watch state')) + source.slice(source.indexOf('render()'));
+    if (compileSource(withoutWatchers).code.includes('initializeWatchers')) {
+      throw new Error('Expected no watcher setup without watch blocks');
+    }
+
+    if (typeCheckSource(source).length > 0) {
+      throw new Error('Expected lifecycle and watch blocks to type check');
+    }
+    const errors = typeCheckSource(source
+      .replace('(filter, previous)', '(filter: number)')
+      .replace('watch state.currentFilter', 'watch state.missing {\n        }\n\n        watch state.currentFilter'));
+    const expectedErrors = [
+      "Cannot watch unknown state property 'missing' in component 'TodoFilter'",
+      "Parameter 'filter' of watch currentFilter must accept string, got number"
+    ];
+    if (errors.map(error => error.message).join('\n') !== expectedErrors.join('\n')) {
+      throw new Error(`Unexpected type errors: ${errors.map(error => error.message).join('; ')}`);
+    }
+  });
+
+  // Test 28: Fragments, spread attributes and list keys
+  test('should compile fragments and spread attributes', () => {
+    const source = `
+      component TodoRows {
+        render() {
+          <>
+            <span {...this.props} class="row" {...extra} />
+            {this.props.items.map(item => <li>{item}</li>)}
+            {this.props.items.map(item => <li key={item}>{item}</li>)}
+            {this.props.items.map(item => <><b /></>)}
+          </>
+        }
+      }
+    `;
+
+    const { code } = compileSource(source);
+    const expected = [
+      'return this.createFragment([',
+      'this.createElement("span", { ...this.props, class: "row", ...extra }, [])',
+      'this.createElement("li", { key: item }, [item])',
+      'this.createFragment([this.createElement("b", {}, [])])'
+    ];
+    for (const fragment of expected) {
+      if (!code.includes(fragment)) {
+        throw new Error(`Expected compiled code to contain: ${fragment}`);
+      }
+    }
+
+    const checker = new TodoLangTypeChecker();
+    const errors = checker.check(new TodoLangParser().parse(new TodoLangLexer().tokenize(source)));
+    const expectedWarnings = [
+      "Elements rendered by map() need a 'key' attribute: <li key={...}>",
+      "Fragments rendered by map() cannot have a 'key'; wrap the items in an element with a 'key' attribute"
+    ];
+    if (errors.length > 0 || checker.warnings.map(warning => warning.message).join('\n') !== expectedWarnings.join('\n')) {
+      throw new Error(`Unexpected diagnostics: ${[...errors, ...checker.warnings].map(error => error.message).join('; ')}`);
+    }
+  });
+
+  // Test 29: Scoped style blocks
+  test('should scope component style blocks', () => {
+    const source = `
+      component TodoItem {
+        style {
+          .todo-item, .todo-item:hover::after { color: red; }
+          @media (max-width: 600px) {
+            .todo-item { padding: 0; }
+          }
+        }
+
+        render() {
+          <li class="todo-item" {...this.props}><Badge /><span>Text</span></li>
+        }
+      }
+
+      component Badge {
+        render() { <b /> }
+      }
+    `;
+
+    const { code, css } = compileSource(source);
+    const scope = getStyleScope('TodoItem');
+    const expectedCode = [
+      `this.createElement("li", { class: "todo-item", ...this.props, "${scope}": true }`,
+      'this.createElement(Badge, {}, [])',
+      `this.createElement("span", { "${scope}": true }, ["Text"])`,
+      'this.createElement("b", {}, [])'
+    ];
+    for (const fragment of expectedCode) {
+      if (!code.includes(fragment)) {
+        throw new Error(`Expected compiled code to contain: ${fragment}`);
+      }
+    }
+
+    const expectedCss = [
+      `.todo-item[${scope}], .todo-item:hover[${scope}]::after {`,
+      `@media (max-width: 600px) {\n  .todo-item[${scope}] {\n    padding: 0;`
+    ];
+    for (const fragment of expectedCss) {
+      if (!css.includes(fragment)) {
+        throw new Error(`Expected scoped CSS to contain: ${fragment}`);
+      }
+    }
+    if (css.includes('Badge') || getStyleScope('TodoItem', 'a.todolang') === getStyleScope('TodoItem', 'b.todolang')) {
+      throw new Error('Expected styles only for components with style blocks, scoped per module');
+    }
+  });
+
+  // Test 30: Event modifiers and two-way bindings
+  test('should lower event modifiers and bindings to bound handlers', () => {
+    const source = `
+      component TodoInput {
+        state {
+          text: string = ""
+          done: boolean = false
+        }
+
+        render() {
+          <form onSubmit.prevent={this.submit}>
+            <input bind:value={this.state.text} onKeyDown.enter={this.add} />
+            <input bind:value={this.state.text} onInput={this.changed} />
+            <input type="checkbox" bind:checked={this.state.done} />
+            <a href="#" onClick.prevent>Skip</a>
+          </form>
+        }
+
+        submit(event: Event) {}
+        add(event: Event) {}
+        changed(event: Event) {}
+      }
+    `;
+
+    const { code } = compileSource(source);
+    const expected = [
+      'this.createElement("form", { onSubmit: this.bindEvent(this.submit, ["prevent"]) }',
+      '{ value: this.state.text, onInput: this.bindState("text", "value"), onKeyDown: this.bindEvent(this.add, ["enter"]) }',
+      '{ value: this.state.text, onInput: this.bindState("text", "value", this.bindEvent(this.changed)) }',
+      '{ type: "checkbox", checked: this.state.done, onChange: this.bindState("done", "checked") }',
+      '{ href: "#", onClick: this.bindEvent(null, ["prevent"]) }'
+    ];
+    for (const fragment of expected) {
+      if (!code.includes(fragment)) {
+        throw new Error(`Expected compiled code to contain: ${fragment}`);
+      }
+    }
+
+    if (typeCheckSource(source).length > 0) {
+      throw new Error('Expected modifiers and bindings to type check');
+    }
+    const errors = typeCheckSource(source
+      .replace('text: string = ""', 'text: number = 0')
+      .replace('<a href="#" onClick.prevent>Skip</a>', '<TodoInput onPick.stop={this.add} bind:checked={this.state.done} />'));
+    const expectedErrors = [
+      'bind:value needs a string state property, got number',
+      'bind:value needs a string state property, got number',
+      "Event modifiers only apply to DOM element events, not 'onPick' of 'TodoInput'",
+      'bind:checked only applies to DOM elements'
+    ];
+    if (errors.map(error => error.message).join('\n') !== expectedErrors.join('\n')) {
+      throw new Error(`Unexpected type errors: ${errors.map(error => error.message).join('; ')}`);
+    }
+  });
+
+  // Test 31: Compiler plugins
+  test('should apply compiler plugin transforms and codegen hooks', () => {
+    const source = `
+      component TodoList {
+        add(text: string): void {
+          log("adding", text)
+          if (feature("bulkEdit")) {
+            this.state.bulk = true
+          }
+        }
+
+        render() { <ul /> }
+      }
+    `;
+    const isCallTo = (node, name) =>
+      node.type === 'Call' && node.callee.type === 'Identifier' && node.callee.name === name;
+
+    // log(...) becomes console.log("[Component]", ...), and is dropped in production
+    const logging = {
+      name: 'logging',
+      visitor: {
+        ExpressionStatement(path, context) {
+          if (!context.options.development && isCallTo(path.node.expression, 'log')) {
+            path.remove();
+          }
+        },
+        Call(path) {
+          if (isCallTo(path.node, 'log')) {
+            const component = path.findParent(parent => parent.type === 'Component').node;
+            path.replaceWith(new CallNode(
+              new MemberNode(new IdentifierNode('console'), new IdentifierNode('log')),
+              [new StringLiteralNode(`[${component.name}]`), ...path.node.arguments]
+            ));
+          }
+        }
+      }
+    };
+    const flags = { bulkEdit: true };
+    const featureFlags = {
+      name: 'feature-flags',
+      transform(ast) {
+        ast.declarations.push({ type: 'FeatureFlags', name: 'FeatureFlags', flags, location: null });
+      },
+      declarations: {
+        FeatureFlags(node, compiler) {
+          compiler.emitLine(`const ${node.name} = Object.freeze(${JSON.stringify(node.flags)});`);
+        }
+      },
+      expressions: {
+        Call(node) {
+          if (isCallTo(node, 'feature')) {
+            return String(flags[node.arguments[0].value] === true);
+          }
+        }
+      }
+    };
+    const compileWith = options => new TodoLangCompiler(options)
+      .compile(new TodoLangParser().parse(new TodoLangLexer().tokenize(source))).code;
+
+    const code = compileWith({ plugins: [logging, featureFlags] });
+    const expected = [
+      'console.log("[TodoList]", "adding", text);',
+      'if (true) {',
+      'const FeatureFlags = Object.freeze({"bulkEdit":true});'
+    ];
+    for (const fragment of expected) {
+      if (!code.includes(fragment)) {
+        throw new Error(`Expected compiled code to contain: ${fragment}`);
+      }
+    }
+    if (compileWith({ plugins: [logging, featureFlags], development: false }).includes('console.log')) {
+      throw new Error('Expected the logging plugin to drop log() calls in production');
+    }
+
+    let parameters = 0;
+    const types = [];
+    traverse(new TodoLangParser().parse(new TodoLangLexer().tokenize(source)), {
+      Parameter: () => parameters++,
+      Type: path => types.push(path.node.name)
+    });
+    if (parameters !== 1) {
+      throw new Error(`Expected traverse() to visit 1 parameter, visited ${parameters}`);
+    }
+    if (types.join() !== 'string,void') {
+      throw new Error(`Expected traverse() to visit the parameter and return types, visited ${types.join()}`);
+    }
+
+    const expectedErrors = [
+      [{ plugins: [{ transform() {} }] }, 'Compiler plugins need a name'],
+      [{ plugins: [{ name: 'x', declarations: { Component() {} } }] }, "Plugin 'x' cannot redefine the Component declaration"],
+      [{ plugins: [{ name: 'broken', transform() { throw new Error('boom'); } }] }, "Plugin 'broken': boom"]
+    ];
+    for (const [options, message] of expectedErrors) {
+      try {
+        compileWith(options);
+        throw new Error(`Expected error: ${message}`);
+      } catch (error) {
+        if (!(error instanceof CompilerError) || error.message !== message) {
+          throw new Error(`Expected error '${message}', got '${error.message}'`);
+        }
+      }
+    }
+  });
+
+  // Test 32: JSX text whitespace
+  test('should keep the spaces between JSX text and expressions', () => {
+    const { code } = compileSource(`
+      component Summary {
+        render() {
+          <p>
+            {a} b{c} d
+            <b>x</b> <i>y</i>
+          </p>
+        }
+      }
+    `);
+    expectCompiledToContain(code, [
+      '[a, " b", c, " d", this.createElement("b", {}, ["x"]), " ", this.createElement("i", {}, ["y"])]'
+    ]);
+  });
+
+  // Test 33: Parameters without type annotations
+  test('should compile and type check untyped parameters as any', () => {
+    const source = `
+      component Search {
+        state {
+          query: string = ""
+        }
+
+        handleInput(event, { limit }, ...rest) {
+          this.state.query = event.target.value
+          this.state.query = limit
+        }
+
+        render() {
+          <input onInput={this.handleInput} />
+        }
+      }
+    `;
+
+    expectCompiledToContain(compileSource(source).code, ['handleInput(event, { limit }, ...rest) {']);
+
+    const errors = typeCheckSource(source);
+    if (errors.length !== 0) {
+      throw new Error(`Expected untyped parameters to be any, got: ${errors.map(error => error.message).join('; ')}`);
+    }
+  });
+
+  // Test 34: Bound methods
+  test('should compile bound methods to methods bound in the constructor', () => {
+    const source = `
+      component Router {
+        state {
+          path: string = ""
+        }
+
+        mounted {
+          window.addEventListener("popstate", this.handlePopState)
+        }
+
+        handlePopState = (event) => {
+          this.state.path = event.state
+        }
+
+        load = async (url: string): string => {
+          return await fetch(url)
+        }
+
+        render() {
+          <div>{this.state.path}</div>
+        }
+      }
+    `;
+
+    const { code } = compileSource(source);
+    expectCompiledToContain(code, [
+      'static get boundMethods() {\n    return ["handlePopState","load"];\n  }',
+      'super(props);\n    TodoLangRuntime.bindMethods(this);',
+      'handlePopState(event) {\n    this.state.path = event.state;\n  }',
+      'async load(url) {'
+    ]);
+
+    const errors = typeCheckSource(source.replace('return await fetch(url)', 'return 1'));
+    if (errors.length !== 1 || errors[0].message !== "Method 'Router.load' must return string, got number") {
+      throw new Error(`Expected the bound method's return type to be checked, got: ${errors.map(error => error.message).join('; ')}`);
+    }
+  });
+
+  // Test 35: Hyphenated JSX attribute names
+  test('should quote hyphenated JSX attribute names', () => {
+    const { code } = compileSource(`
+      component Toggle {
+        render() {
+          <button aria-pressed={this.props.on} data-id="toggle" onClick={this.toggle}>Toggle</button>
+        }
+      }
+    `);
+    expectCompiledToContain(code, ['{ "aria-pressed": this.props.on, "data-id": "toggle", onClick: this.bindEvent(this.toggle) }']);
+  });
+
+  // Test 36: Source map names of shorthand properties
+  test('should map shorthand properties to their names in the source', () => {
+    const source = [
+      'component Filters {',
+      '  select(filter: string, previous: string) {',
+      '    this.emit({ filter, previous })',
+      '  }',
+      '',
+      '  render() {',
+      '    <div></div>',
+      '  }',
+      '}'
+    ].join('\n');
+
+    const result = new TodoLangCompiler({ generateSourceMaps: true }).compile(parseSource(source), {
+      path: 'filters.todolang',
+      content: source,
+      outputFile: 'filters.js'
+    });
+    const generatedLines = result.code.split('\n');
+    const line = generatedLines.findIndex(text => text.includes('{ filter: filter, previous: previous }'));
+    if (line === -1) {
+      throw new Error('Expected the shorthand properties to be compiled');
+    }
+
+    // The value of each shorthand property maps to the name it repeats
+    for (const name of ['filter', 'previous']) {
+      const column = generatedLines[line].indexOf(`: ${name}`) + 2;
+      const position = SourceMap.originalPositionFor(result.sourceMap, line + 1, column);
+      const expectedColumn = source.split('\n')[2].indexOf(name);
+      if (!position || position.line !== 3 || position.column !== expectedColumn || position.name !== name) {
+        throw new Error(`Expected '${name}' to map to 3:${expectedColumn}, got ${JSON.stringify(position)}`);
+      }
+    }
+  });
+
+  // Test 37: Model constructors and model literals
+  test('should check model constructor arguments and build model literals as instances', () => {
+    const source = `
+      model Todo {
+        id: string
+        completed: boolean = false
+        text: string
+
+        static create(text: string): Todo {
+          return new Todo("1", text)
+        }
+
+        static restore(id: string, text: string, completed: boolean): Todo {
+          return Todo { id, text, completed }
+        }
+      }
+    `;
+
+    const errors = typeCheckSource(source);
+    if (errors.length > 0) {
+      throw new Error(`Unexpected type errors: ${errors.map(error => error.message).join('; ')}`);
+    }
+
+    const wrong = typeCheckSource(source
+      .replace('new Todo("1", text)', 'new Todo(1, "a")')
+      .replace('Todo { id, text, completed }', 'new Todo(id)'));
+    const messages = wrong.map(error => error.message);
+    const expected = [
+      "Argument 'id' of 'Todo.constructor' expects string, got number",
+      "Method 'Todo.constructor' expects 2 argument(s), got 1"
+    ];
+    if (messages.join('; ') !== expected.join('; ')) {
+      throw new Error(`Expected constructor argument errors, got: ${messages.join('; ')}`);
+    }
+
+    const { code } = compileSource(source);
+    expectCompiledToContain(code, [
+      'constructor(id, text, completed) {',
+      'return Todo.fromJSON({ id: id, text: text, completed: completed });'
+    ]);
+
+    const modelSource = code.slice(code.indexOf('export class Todo')).replace(/export /g, '');
+    const Todo = new Function(`${modelSource}\nreturn Todo;`)();
+    const created = Todo.create('Write tests');
+    const restored = Todo.restore('2', 'Ship', true);
+    if (!(created instanceof Todo) || created.text !== 'Write tests' || created.completed !== false) {
+      throw new Error('Expected new Todo() to fill in the defaulted field');
+    }
+    if (!(restored instanceof Todo) || restored.completed !== true || !restored.equals(restored.clone())) {
+      throw new Error('Expected a model literal to build a Todo instance');
+    }
+  });
+
   console.log(`\n--- Compiler Test Results ---`);
   console.log(`Total: ${results.total}, Passed: ${results.passed}, Failed: ${results.failed}`);
 
@@ -0,0 +1,502 @@
+/**
+ * TodoLang Formatter Tests
+ *
+ * Tests for the source formatter behind `todolang fmt`
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TodoLangLexer } from '../../src/language/lexer/index.js';
+import { TodoLangParser, ParseError } from '../../src/language/parser/index.js';
+import { TodoLangFormatter, formatSource } from '../../src/language/formatter/index.js';
+import { TodoLangCLI } from '../../scripts/todolang.js';
+
+// Properties the formatter adds to the AST, or that depend on the layout
+const LAYOUT_KEYS = new Set(['location', 'range', 'raw', 'words', 'multiline', 'iteration']);
+
+// Test helper functions
+function parseForComparison(source) {
+  const normalize = value => {
+    if (Array.isArray(value)) {
+      return value.map(normalize);
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    if (value.constructor.name === 'Token') {
+      return value.value;
+    }
+    const result = {};
+    for (const key of Object.keys(value)) {
+      if (!LAYOUT_KEYS.has(key)) result[key] = normalize(value[key]);
+    }
+    // Style blocks are re-indented
+    if (value.type === 'Style') {
+      result.css = value.css.split('\n').map(text => text.trim()).filter(Boolean).join('\n');
+    }
+    return result;
+  };
+
+  return JSON.stringify(normalize(new TodoLangParser().parse(new TodoLangLexer().tokenize(source))));
+}
+
+function countComments(source) {
+  return new TodoLangLexer().tokenize(source).filter(token => token.type === 'COMMENT').length;
+}
+
+function expectFormatted(source, expected, options) {
+  const actual = formatSource(source, options);
+  if (actual !== expected) {
+    throw new Error(`Unexpected formatting:\n${actual}\n--- expected ---\n${expected}`);
+  }
+}
+
+function expectCanonical(source, options) {
+  const formatted = formatSource(source, options);
+  if (formatSource(formatted, options) !== formatted) {
+    throw new Error(`Formatting is not idempotent:\n${formatted}`);
+  }
+  if (parseForComparison(formatted) !== parseForComparison(source)) {
+    throw new Error(`Formatting changed the program:\n${formatted}`);
+  }
+  if (countComments(formatted) !== countComments(source)) {
+    throw new Error(`Formatting dropped comments:\n${formatted}`);
+  }
+  return formatted;
+}
+
+// Uses every construct of the language
+const CORPUS = `
+/**
+ * Task list
+ */
+import { Todo, FilterType as Filter } from "../models"
+enum Priority { Low, Medium, High = 10 }
+export enum Status {
+  OPEN = 'open' // the default
+  DONE = "done"
+}
+model Task {
+  title: string @required('Title is required') @trim @maxLength(80, "Too long")
+  tags: string[] = []
+  priority: number @min(-1) @oneOf(1, 2, 3) = 1
+  static create(title: string, ...rest: any[]): Task {
+    return Task { title: title, tags: [] }
+  }
+}
+service Api {
+  async load(url: string, { retries = 3, delay }: any = {}): any {
+    for (let attempt = 0; attempt < retries; attempt++) {
+      try {
+        const response = await fetch(\`\${url}?attempt=\${attempt + 1}\\n\${\`inner \${delay}\`}\`)
+        return response?.json?.()
+      } catch (error) {
+        if (attempt == retries - 1) throw error
+        else continue
+      } finally { console.log("done") }
+    }
+    return null
+  }
+}
+export component TaskList {
+  props {
+    items: Task[] // all tasks
+    onSelect: Function?
+  }
+  state { filter: string = "all"
+    draft: string = "" }
+  mounted { this.timer = setInterval(() => { this.tick() }, 1000) }
+  updated(prevProps, prevState) {
+    if (prevProps.items !== this.props.items) this.refresh()
+  }
+  watch state.filter (next, previous) { console.log(next, previous) }
+  computed visible() {
+    return this.props.items.filter(item => this.state.filter == "all" || (item.done && this.state.filter == "done"))
+  }
+  select(item, { shiftKey } = {}, ...rest) { this.props.onSelect?.(item, shiftKey) }
+  onResize = (event, { width }) => { this.tick(event, width) }
+  tick() {
+    let [first, , third = 3, ...others] = this.props.items
+    const { a, b: renamed, c = 1, ...more } = this.state
+    for (const key in this.state) { console.log(key) }
+    for (const item of this.props.items) {
+      switch (item.priority) {
+        case 1:
+        case 2: { break }
+        case 3:
+          console.log(- -item.priority, !(!item.done), typeof item)
+          break
+        default:
+          throw new Error("Unknown priority " + item.priority)
+      }
+    }
+    do { first = first.next } while (first && !first.done)
+    while (third > 0) third--
+    const total = (a + b) * c - a / (b * c) + a % b * c
+    const chosen = a ? b : c ? d : e
+    const grouped = (a ? b : c) ? d : e
+    const fn = async x => await x
+    const pattern = /ab+c/g.test(renamed) ?? false
+    let value = this.state.items?.[0]?.name ?? "none"
+    value ??= "y"
+    const made = new Map(), other = new (getClass())()
+    this.setState({ draft: "", // cleared
+      filter: \`\${value}\` })
+  }
+  render() {
+    const { items } = this.props
+    return <section class="tasks" {...this.props.extra}>
+      <>
+        <h1>Tasks ({items.length})</h1>
+        <input bind:value={this.state.draft} onKeyDown.enter.prevent={this.add} placeholder="What needs doing?" disabled />
+        {items.length > 0 ? <ul>{items.map(item => <li key={item.id} onClick={() => this.props.onSelect(item)}>{item.title}</li>)}</ul> : <p>Nothing to do</p>}
+      </>
+    </section>
+  }
+  style {
+        .tasks { color: red; }
+  }
+}
+`;
+
+export function runFormatterTests() {
+  console.log('🖌️  Running Formatter Tests...');
+
+  const results = {
+    passed: 0,
+    failed: 0,
+    total: 0
+  };
+
+  function test(name, fn) {
+    results.total++;
+    try {
+      fn();
+      console.log(`  ✅ ${name}`);
+      results.passed++;
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      results.failed++;
+    }
+  }
+
+  // Test 1: Canonical layout
+  test('should format declarations canonically', () => {
+    expectFormatted(
+      `import {Todo} from '../models'
+model  Note{
+      text:string @required =''
+  static   create( text:string ):Note{ return Note{text:text} }
+}`,
+      `import { Todo } from "../models"
+
+model Note {
+  text: string @required = ""
+  static create(text: string): Note {
+    return Note { text }
+  }
+}
+`
+    );
+  });
+
+  // Test 2: Idempotency and meaning across the language
+  test('should be idempotent and keep the program unchanged', () => {
+    expectCanonical(CORPUS);
+    expectCanonical(CORPUS, { printWidth: 40 });
+  });
+
+  // Test 3: The app's own sources, which `npm run fmt:check` keeps formatted
+  test('should format the app sources idempotently', () => {
+    for (const module of ['models', 'components', 'services']) {
+      const sourcePath = new URL(`../../src/app/${module}/index.todolang`, import.meta.url);
+      const source = fs.readFileSync(sourcePath, 'utf8');
+      if (expectCanonical(source) !== source) {
+        throw new Error(`Expected src/app/${module}/index.todolang to be formatted`);
+      }
+    }
+  });
+
+  // Test 4: Comments
+  test('should keep comments in place', () => {
+    expectFormatted(
+      `// Models
+
+/**
+   * A note
+   */
+model Note {
+  // The text
+  text: string = ""   // trailing
+  update() {
+    const changes = {
+      text: "", // cleared
+      // stamped
+      at: Date.now()
+    }
+    /* empty */
+  }
+}
+// end`,
+      `// Models
+
+/**
+ * A note
+ */
+model Note {
+  // The text
+  text: string = "" // trailing
+  update() {
+    const changes = {
+      text: "", // cleared
+      // stamped
+      at: Date.now()
+    }
+    /* empty */
+  }
+}
+// end
+`
+    );
+  });
+
+  // Test 5: Blank lines
+  test('should keep at most one blank line', () => {
+    expectFormatted(
+      `service Log {
+
+
+  first() {
+
+    a()
+
+
+    b()
+    c()
+
+  }
+  second() {}
+}
+service Other {}`,
+      `service Log {
+  first() {
+    a()
+
+    b()
+    c()
+  }
+  second() {}
+}
+
+service Other {}
+`
+    );
+  });
+
+  // Test 6: JSX within the line width
+  test('should wrap JSX at the line width', () => {
+    const source = `component Item {
+  render() {
+    return <li class="item" onClick={this.select}>{this.props.text}</li>
+  }
+}`;
+    expectFormatted(source, `${source}\n`);
+
+    expectFormatted(source, `component Item {
+  render() {
+    return (
+      <li class="item" onClick={this.select}>
+        {this.props.text}
+      </li>
+    )
+  }
+}
+`, { printWidth: 60 });
+
+    expectFormatted(source, `component Item {
+  render() {
+    return (
+      <li
+        class="item"
+        onClick={this.select}
+      >
+        {this.props.text}
+      </li>
+    )
+  }
+}
+`, { printWidth: 36 });
+
+    expectFormatted(`component Text {
+  render() {
+    <p>Some words that wrap <b>across</b> lines when the paragraph is long</p>
+  }
+}`, `component Text {
+  render() {
+    <p>
+      Some words that wrap <b>across</b> lines
+      when the paragraph is long
+    </p>
+  }
+}
+`, { printWidth: 50 });
+
+    // Spaces next to expressions are text, so lines only break where there was none
+    const count = `component Count {
+  render() {
+    <span>{this.state.count} item{this.state.count === 1 ? "" : "s"} selected</span>
+  }
+}`;
+    expectCanonical(count, { printWidth: 50 });
+    expectFormatted(count, `component Count {
+  render() {
+    <span>
+      {this.state.count} item
+      {this.state.count === 1 ? "" : "s"} selected
+    </span>
+  }
+}
+`, { printWidth: 50 });
+
+    // Slashes in text are text, not comments to move out of the element
+    const link = `component Link {
+  render() {
+    <p>
+      see http://example.com here
+    </p> // the link
+  }
+}`;
+    const linkFormatted = `component Link {
+  render() {
+    <p>see http://example.com here</p> // the link
+  }
+}
+`;
+    expectFormatted(link, linkFormatted);
+    expectFormatted(linkFormatted, linkFormatted);
+    if (parseForComparison(linkFormatted) !== parseForComparison(link)) {
+      throw new Error(`Formatting changed the program:\n${linkFormatted}`);
+    }
+  });
+
+  // Test 7: Expressions within the line width
+  test('should break long expressions', () => {
+    expectFormatted(`service Stats {
+  ratio(): number {
+    const ratio = this.completedCount * 100 / this.totalCount + this.adjustment - this.penalty
+    return this.format(ratio, this.options.precision, this.options.locale, this.options.unit)
+  }
+}`, `service Stats {
+  ratio(): number {
+    const ratio =
+      (this.completedCount * 100) / this.totalCount +
+      this.adjustment -
+      this.penalty
+    return this.format(
+      ratio,
+      this.options.precision,
+      this.options.locale,
+      this.options.unit
+    )
+  }
+}
+`, { printWidth: 60 });
+  });
+
+  // Test 8: Literals keep their meaning
+  test('should keep literals and loops as written', () => {
+    const formatted = expectCanonical(`service S {
+  run() {
+    const quote = 'it\\'s "quoted"'
+    const template = \`line\\n\${name}\`
+    for (const key in object) {}
+    for (const item of list) {}
+  }
+}`);
+    for (const fragment of ['"it\'s \\"quoted\\""', '`line\\n${name}`', 'for (const key in object)', 'for (const item of list)']) {
+      if (!formatted.includes(fragment)) {
+        throw new Error(`Expected formatted source to contain: ${fragment}`);
+      }
+    }
+  });
+
+  // Test 9: check()
+  test('should check whether source is formatted', () => {
+    const formatter = new TodoLangFormatter();
+    if (!formatter.check('enum Size {\n  Small\n  Large\n}\n')) {
+      throw new Error('Expected formatted source to pass the check');
+    }
+    if (formatter.check('enum Size { Small, Large }')) {
+      throw new Error('Expected unformatted source to fail the check');
+    }
+  });
+
+  // Test 10: Source that does not parse
+  test('should refuse to format invalid source', () => {
+    try {
+      formatSource('component Broken {\n  render() {\n    <div>\n  }\n}');
+      throw new Error('Expected a ParseError');
+    } catch (error) {
+      if (!(error instanceof ParseError)) {
+        throw error;
+      }
+    }
+  });
+
+  // Test 11: todolang fmt
+  test('should format files with todolang fmt and check them with --check', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'todolang-fmt-'));
+    const file = path.join(directory, 'note.todolang');
+    const broken = path.join(directory, 'broken.todolang');
+    const log = console.log;
+    const error = console.error;
+
+    try {
+      fs.writeFileSync(file, 'enum Size { Small, Large }');
+      console.log = console.error = () => {};
+      const cli = new TodoLangCLI();
+
+      const checked = cli.run(['fmt', '--check', directory]);
+      const unchanged = fs.readFileSync(file, 'utf8');
+      const formatted = cli.run(['fmt', directory]);
+      const rechecked = cli.run(['fmt', '--check', directory]);
+      fs.writeFileSync(broken, 'enum {');
+      const failed = cli.run(['fmt', directory]);
+      const brokenAfter = fs.readFileSync(broken, 'utf8');
+      fs.rmSync(broken);
+      const missing = cli.run(['fmt', '--check', path.join(directory, 'missing')]);
+      const partlyMissing = cli.run(['fmt', '--check', file, path.join(directory, 'missing.todolang')]);
+      console.log = log;
+      console.error = error;
+
+      if (checked !== 1 || unchanged !== 'enum Size { Small, Large }') {
+        throw new Error('Expected --check to fail without writing the file');
+      }
+      if (formatted !== 0 || fs.readFileSync(file, 'utf8') !== 'enum Size {\n  Small\n  Large\n}\n') {
+        throw new Error('Expected fmt to format the file');
+      }
+      if (rechecked !== 0) {
+        throw new Error('Expected --check to pass after formatting');
+      }
+      if (failed !== 1 || brokenAfter !== 'enum {') {
+        throw new Error('Expected fmt to fail on a file that does not parse and leave it alone');
+      }
+      if (missing !== 1 || partlyMissing !== 1) {
+        throw new Error('Expected fmt to fail on a path that does not exist');
+      }
+    } finally {
+      console.log = log;
+      console.error = error;
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  console.log(`\n--- Formatter Test Results ---`);
+  console.log(`Total: ${results.total}, Passed: ${results.passed}, Failed: ${results.failed}`);
+
+  return results;
+}
+
+// Export for use in test runner
+export { runFormatterTests as default };
@@ -85,12 +85,15 @@ function testKeywords() {
 
 function testIdentifiers() {
   const lexer = new TodoLangLexer();
-  const tokens = lexer.tokenize('TodoApp myVariable _private');
+  const tokens = lexer.tokenize('TodoApp myVariable _private toString constructor');
 
+  // Names inherited from Object.prototype are not keywords
   expectTokens(tokens, [
     [TokenType.IDENTIFIER, 'TodoApp'],
     [TokenType.IDENTIFIER, 'myVariable'],
     [TokenType.IDENTIFIER, '_private'],
+    [TokenType.IDENTIFIER, 'toString'],
+    [TokenType.IDENTIFIER, 'constructor'],
     [TokenType.EOF, '']
   ]);
 
@@ -322,6 +325,142 @@ function testJSXSyntax() {
   return { status: 'passed', message: 'JSX-like syntax tokenized correctly' };
 }
 
+function testStrictAndTypeOperators() {
+  const lexer = new TodoLangLexer();
+  const tokens = lexer.tokenize('=== !== typeof instanceof');
+
+  expectTokens(tokens, [
+    [TokenType.STRICT_EQUAL, '==='],
+    [TokenType.STRICT_NOT_EQUAL, '!=='],
+    [TokenType.TYPEOF, 'typeof'],
+    [TokenType.INSTANCEOF, 'instanceof'],
+    [TokenType.EOF, '']
+  ]);
+
+  return { status: 'passed', message: 'Strict equality and type operators tokenized correctly' };
+}
+
+function testRegexLiterals() {
+  const lexer = new TodoLangLexer();
+  const tokens = lexer.tokenize('text.replace(/\\s[/]+/g, "") / 2\nreturn /a/i');
+
+  expectTokens(tokens, [
+    [TokenType.IDENTIFIER, 'text'],
+    [TokenType.DOT, '.'],
+    [TokenType.IDENTIFIER, 'replace'],
+    [TokenType.LEFT_PAREN, '('],
+    [TokenType.REGEX, '/\\s[/]+/g'],
+    [TokenType.COMMA, ','],
+    [TokenType.STRING, ''],
+    [TokenType.RIGHT_PAREN, ')'],
+    [TokenType.DIVIDE, '/'],
+    [TokenType.NUMBER, '2'],
+    [TokenType.RETURN, 'return', 2],
+    [TokenType.REGEX, '/a/i', 2],
+    [TokenType.EOF, '', 2]
+  ]);
+
+  return { status: 'passed', message: 'Regex literals told apart from division' };
+}
+
+function testTemplateLiterals() {
+  const lexer = new TodoLangLexer();
+  const tokens = lexer.tokenize('`a ${b + `c${d}`} e ${ {f: 1}.f }\\``');
+
+  expectTokens(tokens, [
+    [TokenType.TEMPLATE_HEAD, 'a '],
+    [TokenType.IDENTIFIER, 'b'],
+    [TokenType.PLUS, '+'],
+    [TokenType.TEMPLATE_HEAD, 'c'],
+    [TokenType.IDENTIFIER, 'd'],
+    [TokenType.TEMPLATE_TAIL, ''],
+    [TokenType.TEMPLATE_MIDDLE, ' e '],
+    [TokenType.LEFT_BRACE, '{'],
+    [TokenType.IDENTIFIER, 'f'],
+    [TokenType.COLON, ':'],
+    [TokenType.NUMBER, '1'],
+    [TokenType.RIGHT_BRACE, '}'],
+    [TokenType.DOT, '.'],
+    [TokenType.IDENTIFIER, 'f'],
+    [TokenType.TEMPLATE_TAIL, '`'],
+    [TokenType.EOF, '']
+  ]);
+
+  expectToken(lexer.tokenize('`plain`')[0], TokenType.TEMPLATE_STRING, 'plain');
+
+  return { status: 'passed', message: 'Template literals and nested interpolations tokenized correctly' };
+}
+
+function testStyleBlocks() {
+  const lexer = new TodoLangLexer();
+  const tokens = lexer.tokenize('component A {\n  style {\n    .a { content: "}" } /* } */\n  }\n  render() { <div style={s} /> }\n}');
+
+  expectTokens(tokens.slice(0, 7), [
+    [TokenType.COMPONENT, 'component'],
+    [TokenType.IDENTIFIER, 'A'],
+    [TokenType.LEFT_BRACE, '{'],
+    [TokenType.IDENTIFIER, 'style', 2],
+    [TokenType.STYLE_BLOCK, '\n    .a { content: "}" } /* } */\n  ', 2],
+    [TokenType.RENDER, 'render', 5],
+    [TokenType.LEFT_PAREN, '(', 5]
+  ]);
+
+  // Only component members hold CSS; `style={s}` is an attribute
+  const attribute = tokens.findIndex((token, index) => index > 4 && token.value === 'style');
+  expectToken(tokens[attribute + 1], TokenType.ASSIGN, '=', 5);
+
+  return { status: 'passed', message: 'Style blocks kept as raw CSS' };
+}
+
+function testNullishAndSpreadOperators() {
+  const lexer = new TodoLangLexer();
+  const tokens = lexer.tokenize('a?.b ?? c ??= [...d] x ? 5 : 1');
+
+  expectTokens(tokens, [
+    [TokenType.IDENTIFIER, 'a'],
+    [TokenType.OPTIONAL_CHAIN, '?.'],
+    [TokenType.IDENTIFIER, 'b'],
+    [TokenType.NULLISH_COALESCING, '??'],
+    [TokenType.IDENTIFIER, 'c'],
+    [TokenType.NULLISH_ASSIGN, '??='],
+    [TokenType.LEFT_BRACKET, '['],
+    [TokenType.SPREAD, '...'],
+    [TokenType.IDENTIFIER, 'd'],
+    [TokenType.RIGHT_BRACKET, ']'],
+    [TokenType.IDENTIFIER, 'x'],
+    [TokenType.QUESTION, '?'],
+    [TokenType.NUMBER, '5'],
+    [TokenType.COLON, ':'],
+    [TokenType.NUMBER, '1'],
+    [TokenType.EOF, '']
+  ]);
+
+  expectToken(lexer.tokenize('x?.5:1')[1], TokenType.QUESTION, '?');
+
+  return { status: 'passed', message: 'Optional chaining, nullish and spread operators tokenized correctly' };
+}
+
+function testNonASCIIText() {
+  const lexer = new TodoLangLexer();
+  const tokens = lexer.tokenize('Done ✓ 📋📋 <b>⚠️</b>');
+
+  expectTokens(tokens, [
+    [TokenType.IDENTIFIER, 'Done'],
+    [TokenType.TEXT, '✓'],
+    [TokenType.TEXT, '📋📋'],
+    [TokenType.LESS_THAN, '<'],
+    [TokenType.IDENTIFIER, 'b'],
+    [TokenType.GREATER_THAN, '>'],
+    [TokenType.TEXT, '⚠️'],
+    [TokenType.JSX_END_OPEN, '</'],
+    [TokenType.IDENTIFIER, 'b'],
+    [TokenType.GREATER_THAN, '>'],
+    [TokenType.EOF, '']
+  ]);
+
+  return { status: 'passed', message: 'Non-ASCII text tokenized correctly' };
+}
+
 // Error handling tests
 function testUnterminatedString() {
   const lexer = new TodoLangLexer();
@@ -351,11 +490,25 @@ function testUnterminatedComment() {
   }
 }
 
+function testUnterminatedTemplate() {
+  const lexer = new TodoLangLexer();
+
+  try {
+    lexer.tokenize('`open ${value} template');
+    return { status: 'failed', message: 'Should have thrown error for unterminated template literal' };
+  } catch (error) {
+    if (error instanceof LexerError && error.message.includes('Unterminated template literal')) {
+      return { status: 'passed', message: 'Unterminated template error handled correctly' };
+    }
+    return { status: 'failed', message: `Unexpected error: ${error.message}` };
+  }
+}
+
 function testInvalidCharacters() {
   const lexer = new TodoLangLexer();
 
   try {
-    lexer.tokenize('valid @ invalid');
+    lexer.tokenize('valid # invalid');
     return { status: 'failed', message: 'Should have thrown error for invalid character' };
   } catch (error) {
     if (error instanceof LexerError && error.message.includes('Unexpected character')) {
@@ -388,8 +541,15 @@ export function runComprehensiveLexerTests() {
     ['should track line numbers correctly', testLineTracking],
     ['should tokenize component definition', testComponentDefinition],
     ['should tokenize JSX-like syntax', testJSXSyntax],
+    ['should tokenize strict equality and type operators', testStrictAndTypeOperators],
+    ['should tokenize regex literals', testRegexLiterals],
+    ['should tokenize template literals', testTemplateLiterals],
+    ['should keep component style blocks as raw CSS', testStyleBlocks],
+    ['should tokenize optional chaining, nullish and spread operators', testNullishAndSpreadOperators],
+    ['should tokenize non-ASCII text', testNonASCIIText],
     ['should handle unterminated string error', testUnterminatedString],
     ['should handle unterminated comment error', testUnterminatedComment],
+    ['should handle unterminated template error', testUnterminatedTemplate],
     ['should handle invalid characters', testInvalidCharacters]
   ];
 
@@ -430,7 +430,7 @@ export const lexerTests = {
     const lexer = new TodoLangLexer();
 
     try {
-      lexer.tokenize('valid @ invalid');
+      lexer.tokenize('valid # invalid');
       return { status: 'failed', message: 'Should have thrown error for invalid character' };
     } catch (error) {
       if (error instanceof LexerError && error.message.includes('Unexpected character')) {
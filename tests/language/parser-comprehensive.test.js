@@ -7,6 +7,7 @@
 
 import { TodoLangLexer } from '../../src/language/lexer/index.js';
 import { TodoLangParser, ParseError } from '../../src/language/parser/index.js';
+import { TokenType } from '../../src/language/tokens.js';
 
 export function runComprehensiveParserTests() {
   const results = {
@@ -160,6 +161,35 @@ export function runComprehensiveParserTests() {
     `);
   });
 
+  runTest('should parse bound methods', () => {
+    const ast = parseSource(`
+      component BoundTest {
+        handleResize = (event) => {
+          this.width = event.target.innerWidth
+        }
+        load = async (url: string): string => {
+          return await fetch(url)
+        }
+        render() { <div /> }
+      }
+    `);
+
+    const [resize, load] = ast.declarations[0].methods;
+    if (!resize.isBound || resize.name !== 'handleResize' || resize.parameters[0].name !== 'event' || resize.body.length !== 1) {
+      throw new Error('Expected handleResize to be a bound method with one parameter and statement');
+    }
+    if (!load.isBound || !load.isAsync || load.returnType.name !== 'string' || load.parameters[0].type.name !== 'string') {
+      throw new Error('Expected load to be an async bound method with types');
+    }
+
+    expectParseError(`
+      component A {
+        handle = (event) { }
+        render() { <div /> }
+      }
+    `, "Expected '=>' after parameters");
+  });
+
   // ============================================================================
   // Type System Tests
   // ============================================================================
@@ -208,6 +238,26 @@ export function runComprehensiveParserTests() {
     }
   });
 
+  runTest('should parse parameters without type annotations', () => {
+    const ast = parseSource(`
+      component TypeTest {
+        handle(event, { id }, count: number = 1, ...rest) {
+          return event
+        }
+        render() { <div /> }
+      }
+    `);
+
+    const parameters = ast.declarations[0].methods[0].parameters;
+    const types = parameters.map(parameter => (parameter.type ? parameter.type.name : null));
+    if (types.join() !== ',,number,') {
+      throw new Error(`Expected only 'count' to have a type, got ${JSON.stringify(types)}`);
+    }
+    if (!parameters[1].pattern || !parameters[3].isRest || !parameters[2].defaultValue) {
+      throw new Error('Expected patterns, defaults and rest parameters without annotations');
+    }
+  });
+
   // ============================================================================
   // Expression Parsing Edge Cases
   // ============================================================================
@@ -347,6 +397,115 @@ export function runComprehensiveParserTests() {
     }
   });
 
+  runTest('should parse JSX fragments and spread attributes', () => {
+    const ast = parseSource(`
+      component FragmentTest {
+        render() {
+          <>
+            <TodoItem {...this.props} key={todo.id} {...extra} />
+            <>{this.label}</>
+          </>
+        }
+      }
+    `);
+
+    const fragment = ast.declarations[0].renderMethod.body[0].expression;
+    if (fragment.type !== 'JSXFragment' || fragment.children.length !== 2) {
+      throw new Error('Expected a fragment with two children');
+    }
+    const [item, nested] = fragment.children;
+    if (item.attributes.map(attribute => attribute.type).join() !== 'JSXSpreadAttribute,JSXAttribute,JSXSpreadAttribute') {
+      throw new Error('Expected spread attributes to keep their source order');
+    }
+    if (item.attributes[0].argument.type !== 'Member' || nested.type !== 'JSXFragment') {
+      throw new Error('Expected spread arguments and nested fragments to be parsed');
+    }
+
+    expectParseError(`
+      component A {
+        render() { <><span /></div> }
+      }
+    `, "expected fragment closing '</>'");
+    expectParseError(`
+      component A {
+        render() { <div {this.props} /> }
+      }
+    `, "Expected '...' in JSX spread attribute");
+  });
+
+  runTest('should keep JSX text spaces on a line and collapse line breaks', () => {
+    const ast = parseSource(`
+      component WhitespaceTest {
+        render() {
+          <p>
+            {count} item{suffix}  selected
+            <b>x</b> <i>y</i>
+            Two
+            lines
+          </p>
+        }
+      }
+    `);
+
+    const children = ast.declarations[0].renderMethod.body[0].expression.children;
+    const shape = children.map(child => (child.type === 'JSXText' ? JSON.stringify(child.value) : child.type));
+    const expected = ['JSXExpression', '" item"', 'JSXExpression', '"  selected"', 'JSXElement', '" "', 'JSXElement', '"Two lines"'];
+    if (shape.join() !== expected.join()) {
+      throw new Error(`Expected children ${expected.join()}, got ${shape.join()}`);
+    }
+  });
+
+  runTest('should keep // and /* in JSX text as text', () => {
+    const ast = parseSource(`
+      component LinkTest {
+        render() {
+          <p>see http://example.com here <b>/* not a comment */</b> // and this</p> // a comment
+        }
+      }
+
+      model After {
+        id: string
+      }
+    `);
+
+    const children = ast.declarations[0].renderMethod.body[0].expression.children;
+    const shape = children.map(child => (child.type === 'JSXText' ? JSON.stringify(child.value) : child.type));
+    const expected = ['"see http://example.com here "', 'JSXElement', '" // and this"'];
+    if (shape.join() !== expected.join()) {
+      throw new Error(`Expected children ${expected.join()}, got ${shape.join()}`);
+    }
+    if (children[1].children[0].value !== '/* not a comment */') {
+      throw new Error(`Expected the nested text to be kept, got ${JSON.stringify(children[1].children[0].value)}`);
+    }
+    if (ast.declarations.length !== 2) {
+      throw new Error('Expected the declaration after the JSX to be parsed');
+    }
+  });
+
+  runTest('should parse hyphenated JSX attribute names', () => {
+    const ast = parseSource(`
+      component AttributeTest {
+        render() {
+          <button aria-pressed={this.active} data-test-id="save" class={a - b} />
+        }
+      }
+    `);
+
+    const attributes = ast.declarations[0].renderMethod.body[0].expression.attributes;
+    if (attributes.map(attribute => attribute.name).join() !== 'aria-pressed,data-test-id,class') {
+      throw new Error(`Expected hyphenated names, got ${attributes.map(attribute => attribute.name).join()}`);
+    }
+    if (attributes[2].value.expression.type !== 'BinaryExpression') {
+      throw new Error('Expected a minus inside an attribute value to stay subtraction');
+    }
+
+    expectParseError(`
+      component A {
+        render() { <button aria - pressed={true} /> }
+      }
+    `);
+  });
+
   runTest('should reject mismatched JSX tags', () => {
     expectParseError(`
       component MismatchTest {
@@ -444,6 +603,530 @@ export function runComprehensiveParserTests() {
     }
   });
 
+  runTest('should parse try/catch/finally and throw statements', () => {
+    const source = `
+      model TryTest {
+        run(text: string): void {
+          try {
+            this.save(text)
+          } catch (error) {
+            throw new Error("Save failed")
+          } finally {
+            this.cleanup()
+          }
+
+          try {
+            this.load()
+          } catch {
+            return
+          }
+
+          try {
+            this.load()
+          } finally {
+            this.cleanup()
+          }
+        }
+      }
+    `;
+
+    const ast = parseSource(source);
+    const [full, bareCatch, onlyFinally] = ast.declarations[0].methods[0].body;
+
+    if (full.type !== 'Try' || !full.handler || !full.finalizer) {
+      throw new Error('Expected try statement with catch and finally');
+    }
+    if (full.handler.type !== 'CatchClause' || full.handler.param.name !== 'error') {
+      throw new Error('Expected catch clause binding "error"');
+    }
+    if (full.handler.body.statements[0].type !== 'Throw') {
+      throw new Error('Expected throw statement in catch body');
+    }
+    if (full.handler.body.statements[0].expression.type !== 'NewExpression') {
+      throw new Error('Expected thrown new expression');
+    }
+    if (bareCatch.handler.param !== null) {
+      throw new Error('Expected catch clause without binding');
+    }
+    if (onlyFinally.handler !== null || !onlyFinally.finalizer) {
+      throw new Error('Expected try/finally without catch');
+    }
+  });
+
+  runTest('should reject try without catch or finally', () => {
+    expectParseError(`
+      model TryTest {
+        run(): void {
+          try {
+            this.save()
+          }
+        }
+      }
+    `, "Expected 'catch' or 'finally'");
+  });
+
+  runTest('should parse template literals, regex literals and type operators', () => {
+    const ast = parseSource(`
+      model Format {
+        label(value: any): string {
+          return \`\${typeof value}: \${value instanceof Date ? <b>{value}</b> : value}\`
+        }
+
+        clean(text: string): string {
+          return text.replace(/[^a-z]+/gi, "")
+        }
+      }
+    `);
+
+    const [label, clean] = ast.declarations[0].methods;
+    const template = label.body[0].expression;
+    if (template.type !== 'TemplateLiteral' || template.quasis.join('|') !== '|: |') {
+      throw new Error('Expected template literal with three quasis');
+    }
+    const [typeOf, conditional] = template.expressions;
+    if (typeOf.type !== 'UnaryExpression' || typeOf.operator.type !== TokenType.TYPEOF) {
+      throw new Error('Expected typeof unary expression');
+    }
+    if (conditional.condition.operator.type !== TokenType.INSTANCEOF || conditional.trueExpression.type !== 'JSXElement') {
+      throw new Error('Expected instanceof test and JSX inside the interpolation');
+    }
+    const regex = clean.body[0].expression.arguments[0];
+    if (regex.type !== 'RegexLiteral' || regex.pattern !== '[^a-z]+' || regex.flags !== 'gi') {
+      throw new Error('Expected regex literal argument');
+    }
+  });
+
+  runTest('should parse async methods, async arrow functions and await', () => {
+    const ast = parseSource(`
+      service Loader {
+        async load(url: string): string {
+          for await (const chunk of this.stream(url)) {
+            this.log(chunk)
+          }
+          return await this.fetch(url).then(async response => await response.text())
+        }
+      }
+    `);
+
+    const method = ast.declarations[0].methods[0];
+    if (!method.isAsync) {
+      throw new Error('Expected async method');
+    }
+    const [loop, ret] = method.body;
+    if (loop.type !== 'For' || !loop.isAwait) {
+      throw new Error('Expected for await loop');
+    }
+    if (ret.expression.type !== 'AwaitExpression') {
+      throw new Error('Expected await expression');
+    }
+    const callback = ret.expression.argument.arguments[0];
+    if (callback.type !== 'ArrowFunction' || !callback.isAsync || callback.body.type !== 'AwaitExpression') {
+      throw new Error('Expected async arrow function with await body');
+    }
+
+    expectParseError(`
+      service Loader {
+        load(url: string): string {
+          return await this.fetch(url)
+        }
+      }
+    `, "'await' is only valid in async methods and arrow functions");
+  });
+
+  runTest('should parse imports and exported declarations', () => {
+    const ast = parseSource(`
+      import { Todo, FilterType as Filter } from "../models"
+
+      export model TodoStore {
+        todos: Todo[]
+      }
+
+      service Hidden {
+        from(as: string): string {
+          return as
+        }
+      }
+    `);
+
+    const [importNode] = ast.imports;
+    if (ast.imports.length !== 1 || importNode.source !== '../models') {
+      throw new Error('Expected one import from ../models');
+    }
+    const names = importNode.specifiers.map(specifier => `${specifier.imported}:${specifier.local}`);
+    if (names.join(',') !== 'Todo:Todo,FilterType:Filter') {
+      throw new Error(`Unexpected import specifiers: ${names.join(',')}`);
+    }
+    const [store, hidden] = ast.declarations;
+    if (!store.isExported || hidden.isExported) {
+      throw new Error('Expected only the exported model to be marked');
+    }
+
+    expectParseError('import Todo from "../models"', "Expected '{' after 'import'");
+    expectParseError('export const x = 1', "Expected component, model, service, or enum after 'export'");
+  });
+
+  runTest('should parse optional chaining, nullish coalescing, spread and destructuring', () => {
+    const ast = parseSource(`
+      model Todo {
+        text: string
+
+        static merge(base: Todo, ...updates: object[]): object {
+          const { text: label = "none", ...rest } = base
+          const [first, , ...others] = updates
+          base.text ??= label
+          return { ...rest, ...first, label, size: others?.length ?? 0 }
+        }
+      }
+    `);
+
+    const method = ast.declarations[0].methods[0];
+    const updates = method.parameters[1];
+    if (!updates.isRest || updates.name !== 'updates') {
+      throw new Error('Expected rest parameter');
+    }
+    const [objectDeclaration, arrayDeclaration, assignment, ret] = method.body;
+    const objectPattern = objectDeclaration.declarations[0].id;
+    const [label, rest] = objectPattern.properties;
+    if (objectPattern.type !== 'ObjectPattern' || label.value.type !== 'AssignmentPattern' || rest.type !== 'RestElement') {
+      throw new Error('Expected object pattern with default and rest');
+    }
+    const arrayPattern = arrayDeclaration.declarations[0].id;
+    if (arrayPattern.type !== 'ArrayPattern' || arrayPattern.elements[1] !== null || arrayPattern.elements[2].type !== 'RestElement') {
+      throw new Error('Expected array pattern with a hole and rest');
+    }
+    if (assignment.expression.operator.type !== TokenType.NULLISH_ASSIGN) {
+      throw new Error('Expected ??= assignment');
+    }
+    const properties = ret.expression.properties;
+    if (properties[0].type !== 'SpreadElement' || properties[2].key !== 'label' || properties[2].value.name !== 'label') {
+      throw new Error('Expected spread and shorthand properties');
+    }
+    const size = properties[3].value;
+    if (size.operator.type !== TokenType.NULLISH_COALESCING || !size.left.optional) {
+      throw new Error('Expected ?? with an optional member on the left');
+    }
+
+    expectParseError(`
+      service Api {
+        call(...args: any[], last: any) {
+        }
+      }
+    `, 'Rest parameter must be last');
+  });
+
+  runTest('should parse enum declarations', () => {
+    const ast = parseSource(`
+      export enum FilterType {
+        ALL = "all"
+        ACTIVE = "active",
+        COMPLETED = "completed"
+      }
+
+      enum Priority { Low, Medium = 5, High, Lowest = -1 }
+    `);
+
+    const [filter, priority] = ast.declarations;
+    if (filter.type !== 'Enum' || !filter.isExported || filter.members.length !== 3) {
+      throw new Error('Expected exported enum with 3 members');
+    }
+    if (filter.members[1].name !== 'ACTIVE' || filter.members[1].value.value !== 'active') {
+      throw new Error('Expected string member values');
+    }
+    const values = priority.members.map(member => `${member.name}=${member.value.value}`);
+    if (values.join(',') !== 'Low=0,Medium=5,High=6,Lowest=-1') {
+      throw new Error(`Unexpected numeric members: ${values.join(',')}`);
+    }
+
+    expectParseError('enum Mixed { A = "a", B }', "Enum member 'B' must have an initializer after a string member");
+    expectParseError('enum Twice { A, A }', "Duplicate enum member 'A'");
+    expectParseError('enum Same { A = 1, B = 1 }', 'Duplicate enum value 1');
+    expectParseError('enum Helpers { values }', "Enum member name 'values' is reserved");
+    expectParseError('enum Computed { A = Other.A }', 'Enum values must be string or number literals');
+    expectParseError('enum Expression { A = 1 + 2 }', "Expected ',' or a new line after enum member");
+  });
+
+  runTest('should parse switch and do-while statements', () => {
+    const ast = parseSource(`
+      service Keys {
+        handle(key: string): string {
+          let attempts = 0
+          do {
+            attempts++
+          } while (attempts < 3)
+
+          switch (key) {
+            case "Enter":
+            case "Tab":
+              return "submit"
+            case "Escape": {
+              attempts = 0
+              break
+            }
+            default:
+              return
+          }
+          return "none"
+        }
+      }
+    `);
+
+    const [, loop, switchStatement] = ast.declarations[0].methods[0].body;
+    if (loop.type !== 'DoWhile' || loop.body.type !== 'Block' || loop.condition.type !== 'BinaryExpression') {
+      throw new Error('Expected do-while loop');
+    }
+    if (switchStatement.type !== 'Switch' || switchStatement.cases.length !== 4) {
+      throw new Error('Expected switch with 4 cases');
+    }
+    const [enter, tab, escape, fallback] = switchStatement.cases;
+    if (enter.test.value !== 'Enter' || enter.consequent.length !== 0 || tab.consequent.length !== 1) {
+      throw new Error('Expected an empty case grouped with the next one');
+    }
+    if (escape.consequent[0].type !== 'Block' || fallback.test !== null || fallback.consequent[0].expression !== null) {
+      throw new Error('Expected block case and default case');
+    }
+
+    const method = body => `service Keys {\n  handle(key: string) {\n${body}\n  }\n}`;
+    expectParseError(method(`
+      switch (key) {
+        case "a":
+          this.log(key)
+        case "b":
+          break
+      }
+    `), 'Previous case falls through into this one');
+    expectParseError(method('switch (key) {\n default:\n break\n default:\n break\n }'), "Switch has more than one 'default' case");
+    expectParseError(method('break'), "'break' is only valid inside a loop or switch");
+    expectParseError(method('switch (key) {\n case "a":\n continue\n }'), "'continue' is only valid inside a loop");
+    expectParseError(method('while (true) {\n this.items.forEach(item => {\n break\n })\n }'), "'break' is only valid inside a loop or switch");
+  });
+
+  runTest('should parse keywords as object property names', () => {
+    const keys = ['default', 'case', 'do', 'async', 'catch', 'try', 'typeof', 'import', 'export', 'enum', 'state'];
+    const ast = parseSource(`
+      service Options {
+        get(): any {
+          return { ${keys.map((key, index) => `${key}: ${index}`).join(', ')}, value }
+        }
+      }
+    `);
+
+    const properties = ast.declarations[0].methods[0].body[0].expression.properties;
+    if (properties.map(property => property.key).join() !== [...keys, 'value'].join()) {
+      throw new Error(`Unexpected keys: ${properties.map(property => property.key).join()}`);
+    }
+    if (properties[0].value.value !== 0 || properties[properties.length - 1].value.type !== 'Identifier') {
+      throw new Error('Expected keyword keys with values and a shorthand property');
+    }
+
+    expectParseError('service S {\n  get() {\n    return { default }\n  }\n}', "Expected ':' after property name 'default'");
+  });
+
+  runTest('should parse model field constraints', () => {
+    const ast = parseSource(`
+      model Todo {
+        text: string @required("Text is required") @trim @maxLength(500)
+        code: string @pattern(/^[a-z]+$/i) = "todo"
+        priority: string @oneOf("low", "high")
+        estimate: number @min(-1) = 0
+      }
+    `);
+
+    const [text, code, priority, estimate] = ast.declarations[0].properties;
+    if (text.constraints.map(constraint => constraint.name).join() !== 'required,trim,maxLength') {
+      throw new Error('Expected three constraints on text');
+    }
+    const [required, , maxLength] = text.constraints;
+    if (required.message !== 'Text is required' || required.arguments.length !== 0 || maxLength.arguments[0].value !== 500) {
+      throw new Error('Expected a custom message split from the arguments');
+    }
+    if (code.constraints[0].arguments[0].type !== 'RegexLiteral' || code.defaultValue.value !== 'todo') {
+      throw new Error('Expected regex argument followed by a default value');
+    }
+    if (priority.constraints[0].arguments.map(arg => arg.value).join() !== 'low,high' || estimate.constraints[0].arguments[0].value !== -1) {
+      throw new Error('Expected literal constraint arguments');
+    }
+
+    const model = field => `model Todo {\n  ${field}\n}`;
+    expectParseError(model('text: string @unique'), "Unknown constraint '@unique'");
+    expectParseError(model('text: string @maxLength("long")'), "Constraint '@maxLength' expects a number and an optional message");
+    expectParseError(model('text: string @trim("x")'), "Constraint '@trim' takes no arguments");
+    expectParseError(model('text: string @oneOf()'), "Constraint '@oneOf' expects one or more string or number values");
+    expectParseError(model('text: string @trim @trim'), "Duplicate constraint '@trim' on 'text'");
+    expectParseError('component A {\n  state {\n    text: string @required = ""\n  }\n  render() { <div /> }\n}', 'Field constraints are only supported on model fields');
+  });
+
+  runTest('should parse component props blocks', () => {
+    const ast = parseSource(`
+      component TodoItem {
+        props {
+          todo: Todo
+          onSelect: Function?
+          isSelected: boolean = false
+        }
+
+        state {
+          isEditing: boolean = false
+        }
+
+        props() {
+          return this.props
+        }
+
+        render() { <div /> }
+      }
+    `);
+
+    const component = ast.declarations[0];
+    if (!component.propsDeclaration || component.propsDeclaration.type !== 'Props') {
+      throw new Error('Expected a props declaration');
+    }
+    const [todo, onSelect, isSelected] = component.propsDeclaration.properties;
+    if (todo.type.name !== 'Todo' || todo.defaultValue !== null || !onSelect.type.isOptional || isSelected.defaultValue.value !== false) {
+      throw new Error('Expected typed props with optional and default values');
+    }
+    if (!component.stateDeclaration || component.methods.map(method => method.name).join() !== 'props') {
+      throw new Error('Expected a props() method to stay a method');
+    }
+
+    const withBody = body => `component A {\n${body}\n  render() { <div /> }\n}`;
+    expectParseError(withBody('  props {\n    a: string\n    a: number\n  }'), "Duplicate prop 'a'");
+    expectParseError(withBody('  props {\n    a: string\n  }\n  props {\n    b: string\n  }'), 'Component can only have one props declaration');
+    expectParseError(withBody('  props {\n    a: string @required\n  }'), 'Field constraints are only supported on model fields');
+  });
+
+  runTest('should parse lifecycle and watch blocks', () => {
+    const ast = parseSource(`
+      component TodoFilter {
+        state {
+          currentFilter: string = "all"
+        }
+
+        mounted {
+          this.load()
+        }
+
+        updated(prevProps, prevState) {
+          this.sync(prevProps)
+        }
+
+        unmounted {
+          this.save()
+        }
+
+        watch state.currentFilter (filter, previous) {
+          this.save()
+        }
+
+        watch state.options.sort {
+          this.save()
+        }
+
+        render() { <div /> }
+      }
+    `);
+
+    const component = ast.declarations[0];
+    if (component.lifecycleHooks.map(hook => `${hook.hook}(${hook.parameters.map(p => p.name).join()})`).join() !== 'mounted(),updated(prevProps,prevState),unmounted()') {
+      throw new Error('Expected mounted, updated and unmounted blocks');
+    }
+    const [filter, sort] = component.watchers;
+    if (filter.path !== 'currentFilter' || filter.parameters.length !== 2 || sort.path !== 'options.sort' || sort.parameters.length !== 0) {
+      throw new Error('Expected watchers with their state paths');
+    }
+    if (component.methods.length !== 0 || filter.body[0].type !== 'ExpressionStatement') {
+      throw new Error('Expected block bodies to be parsed as statements');
+    }
+
+    const withBody = body => `component A {\n${body}\n  render() { <div /> }\n}`;
+    expectParseError(withBody('  mounted {}\n  mounted {}'), "Component can only have one 'mounted' block");
+    expectParseError(withBody('  mounted {}\n  mounted() {}'), "Component cannot have both a 'mounted' block and a 'mounted()' method");
+    expectParseError(withBody('  updated(a, b, c) {}'), "'updated' block takes at most 2 parameters");
+    expectParseError(withBody('  watch state (value) {}'), "Expected '.' after 'state'");
+  });
+
+  runTest('should reject a computed property and a method of the same name', () => {
+    expectParseError(`
+      component A {
+        computed total() { return 1 }
+        total() { return 2 }
+        render() { <div /> }
+      }
+    `, "Component cannot have both a computed 'total' and a 'total()' method");
+
+    const ast = parseSource(`
+      component A {
+        computed total() { return 1 }
+        static total() { return 2 }
+        render() { <div /> }
+      }
+    `);
+    if (ast.declarations[0].computedProperties.length !== 1 || !ast.declarations[0].methods[0].isStatic) {
+      throw new Error('Expected a static method to sit beside a computed property of the same name');
+    }
+  });
+
+  runTest('should parse component style blocks', () => {
+    const ast = parseSource(`
+      component TodoItem {
+        style {
+          .todo-item { padding: 8px; }
+        }
+
+        style() {
+          return "method"
+        }
+
+        render() { <li class="todo-item" /> }
+      }
+    `);
+
+    const component = ast.declarations[0];
+    if (!component.style || component.style.type !== 'Style' || component.style.css.trim() !== '.todo-item { padding: 8px; }') {
+      throw new Error('Expected the style block to keep its CSS');
+    }
+    if (component.methods.map(method => method.name).join() !== 'style') {
+      throw new Error('Expected style() to stay an ordinary method');
+    }
+
+    expectParseError(`
+      component A {
+        style { a { color: red } }
+        style { b { color: blue } }
+        render() { <div /> }
+      }
+    `, "Component can only have one style block");
+  });
+
+  runTest('should parse event modifiers and bindings', () => {
+    const ast = parseSource(`
+      component TodoInput {
+        render() {
+          <form onSubmit.prevent={this.submit}>
+            <input bind:value={this.state.draft.text} onKeyDown.enter.stop={this.add} />
+          </form>
+        }
+      }
+    `);
+
+    const form = ast.declarations[0].renderMethod.body[0].expression;
+    const input = form.children.find(child => child.type === 'JSXElement');
+    const [binding, keyDown] = input.attributes;
+    if (form.attributes[0].name !== 'onSubmit' || form.attributes[0].modifiers.join() !== 'prevent') {
+      throw new Error('Expected onSubmit with the prevent modifier');
+    }
+    if (binding.type !== 'JSXBinding' || binding.property !== 'value' || binding.path !== 'draft.text') {
+      throw new Error('Expected bind:value to the draft.text state path');
+    }
+    if (keyDown.modifiers.join() !== 'enter,stop') {
+      throw new Error('Expected modifiers in source order');
+    }
+
+    expectParseError('component A { render() { <div class.prevent="a" /> } }', "Only event attributes can have modifiers, not 'class'");
+    expectParseError('component A { render() { <div onClick.later={this.go} /> } }', "Unknown event modifier 'later'");
+    expectParseError('component A { render() { <input bind:text={this.state.a} /> } }', "Unknown binding 'bind:text'");
+    expectParseError('component A { render() { <input bind:value={this.props.a} /> } }', 'bind:value needs a state property');
+  });
+
   // ============================================================================
   // Error Recovery Tests
   // ============================================================================
@@ -489,6 +1172,121 @@ export function runComprehensiveParserTests() {
     `);
   });
 
+  const fiveTypos = `
+    model Todo {
+      id: string
+      text string
+    }
+
+    component TodoList {
+      state {
+        filter: string =
+      }
+
+      add(text: string) {
+        const todo = new Todo("1", text false)
+        this.state.todos.push(todo)
+      }
+
+      remove(id: string) {
+        this.state.todos = this.state.todos.filter(t => t.id != id
+      }
+
+      render() {
+        <span class="count">{this.state.todos.length}</spn>
+      }
+    }
+
+    service Api {
+      fetch(url: string) { return url }
+    }
+  `;
+
+  runTest('should report every syntax error in a file', () => {
+    try {
+      parseSource(fiveTypos);
+      throw new Error('Expected parse error');
+    } catch (error) {
+      if (!(error instanceof ParseError)) {
+        throw new Error(`Expected ParseError but got ${error.message}`);
+      }
+      const lines = error.errors.map(e => e.location.line);
+      if (lines.join(',') !== '4,10,13,19,22') {
+        throw new Error(`Expected errors on lines 4,10,13,19,22 but got ${lines.join(',')}`);
+      }
+      if (!error.errors[2].expected.includes(TokenType.RIGHT_PAREN)) {
+        throw new Error('Expected the missing ")" in the expected token set');
+      }
+      if (!error.ast || error.ast.declarations.length !== 3) {
+        throw new Error('Expected the partial AST on the aggregated error');
+      }
+    }
+  });
+
+  runTest('should return a partial AST alongside the errors', () => {
+    const parser = new TodoLangParser();
+    const { ast, errors } = parser.parseWithRecovery(new TodoLangLexer().tokenize(fiveTypos));
+
+    if (errors.length !== 5) {
+      throw new Error(`Expected 5 errors but got ${errors.length}`);
+    }
+    const [model, component, service] = ast.declarations;
+    if (model.properties.map(p => p.name).join(',') !== 'id') {
+      throw new Error('Expected the well-formed model property to survive');
+    }
+    if (component.methods.map(m => m.name).join(',') !== 'add,remove' || !component.renderMethod) {
+      throw new Error('Expected every component member in the partial AST');
+    }
+    if (component.methods[0].body.length !== 1) {
+      throw new Error('Expected the statement after the broken one to be parsed');
+    }
+    if (service.methods[0].name !== 'fetch') {
+      throw new Error('Expected declarations after the errors to be parsed');
+    }
+  });
+
+  runTest('should recover from a broken JSX attribute at the closing tag', () => {
+    const parser = new TodoLangParser();
+    const { ast, errors } = parser.parseWithRecovery(new TodoLangLexer().tokenize(`
+      component Label {
+        render() {
+          <span class="a" =>hi</span>
+        }
+      }
+
+      model After {
+        id: string
+      }
+    `));
+
+    if (errors.length !== 1) {
+      throw new Error(`Expected 1 error but got ${errors.length}: ${errors.map(e => e.message).join('; ')}`);
+    }
+    if (ast.declarations.map(d => d.name).join(',') !== 'Label,After' || !ast.declarations[0].renderMethod) {
+      throw new Error('Expected the component and the model after it to be parsed');
+    }
+  });
+
+  runTest('should allow comments inside declaration bodies', () => {
+    const ast = parseSource(`
+      component Commented {
+        // Count of clicks
+        state {
+          count: number = 0 // starts at zero
+        }
+
+        render() {
+          /* markup */
+          <div>{this.state.count}</div>
+        }
+      }
+    `);
+
+    if (ast.declarations[0].stateDeclaration.properties.length !== 1) {
+      throw new Error('Expected comments to be ignored');
+    }
+  });
+
   // ============================================================================
   // Complex Integration Tests
   // ============================================================================